@@ -0,0 +1,16 @@
+// 此文件由 scripts/export-abi.js 根据Hardhat编译产物自动生成，请勿手动修改
+module.exports = {
+  CreatorToken: require('./CreatorToken.json'),
+  CreatorRegistry: require('./CreatorRegistry.json'),
+  TokenVesting: require('./TokenVesting.json'),
+  RevenuePool: require('./RevenuePool.json'),
+  Governance: require('./Governance.json'),
+  // 各合约ABI的哈希，可与部署清单中的abiHash比对
+  ABI_HASHES: {
+    CreatorToken: '0xcd8563ca81a6de858b8f1a60c4e30ce641136c4717b27c231ae971aabe0b3f42',
+    CreatorRegistry: '0xc6c5dc26c1a985849b81f3347cac76e152e49830dea6a38c97bf55c16ba6b961',
+    TokenVesting: '0x27f7e50016d2ee0bfa1dffec84f7e65a0365abcbff3d771ff522ad31aff545f1',
+    RevenuePool: '0xa600b9a58663a7250f4ff1ddc315e4e87444a5b3c8cd2a1fb28bbb6a803e8dce',
+    Governance: '0x46d279919240e06b29b40a37df611a3a7585208f59df565ea47a62e1d557501b'
+  }
+};
@@ -2,6 +2,7 @@
 
 const hre = require('hardhat');
 const { ethers } = require('hardhat');
+const { writeDeployment } = require('./utils/deployments');
 
 async function main() {
   console.log('开始部署CreatorToken生态系统合约...');
@@ -84,6 +85,16 @@ async function main() {
   console.log('TokenVesting:', tokenVesting.address);
   console.log('RevenuePool:', revenuePool.address);
   console.log('Governance:', governance.address);
+
+  // 写入部署清单
+  const manifestFile = await writeDeployment(hre, deployer, {
+    CreatorToken: creatorToken,
+    CreatorRegistry: creatorRegistry,
+    TokenVesting: tokenVesting,
+    RevenuePool: revenuePool,
+    Governance: governance
+  });
+  console.log('\n部署清单已写入:', manifestFile);
 }
 
 // 执行主函数
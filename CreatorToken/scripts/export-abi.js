@@ -0,0 +1,78 @@
+// ABI导出脚本 - 从Hardhat编译产物生成可供前端和集成方导入的ABI模块
+// 用法: npm run export-abi（会先执行编译）
+
+const fs = require('fs');
+const path = require('path');
+const { utils } = require('ethers');
+
+// 需要导出的合约
+const CONTRACTS = [
+  'CreatorToken',
+  'CreatorRegistry',
+  'TokenVesting',
+  'RevenuePool',
+  'Governance'
+];
+
+const ARTIFACTS_DIR = path.join(__dirname, '..', 'artifacts');
+const OUTPUT_DIR = path.join(__dirname, '..', 'abi');
+
+// 递归查找合约的artifact文件（跳过build-info）
+function findArtifact(dir, contractName) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name === 'build-info') continue;
+      const found = findArtifact(fullPath, contractName);
+      if (found) return found;
+    } else if (entry.name === `${contractName}.json`) {
+      return fullPath;
+    }
+  }
+  return null;
+}
+
+function main() {
+  if (!fs.existsSync(ARTIFACTS_DIR)) {
+    throw new Error('未找到编译产物，请先运行 npm run compile');
+  }
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  const hashes = {};
+  for (const contractName of CONTRACTS) {
+    const artifactFile = findArtifact(ARTIFACTS_DIR, contractName);
+    if (!artifactFile) {
+      throw new Error(`未找到 ${contractName} 的编译产物`);
+    }
+
+    const { abi } = JSON.parse(fs.readFileSync(artifactFile, 'utf8'));
+    // 与部署清单中abiHash的计算方式保持一致
+    hashes[contractName] = utils.id(JSON.stringify(abi));
+
+    fs.writeFileSync(path.join(OUTPUT_DIR, `${contractName}.json`), JSON.stringify(abi, null, 2) + '\n');
+    console.log(`已导出 ${contractName} ABI (${abi.length} 项)`);
+  }
+
+  const lines = [
+    '// 此文件由 scripts/export-abi.js 根据Hardhat编译产物自动生成，请勿手动修改',
+    'module.exports = {',
+    ...CONTRACTS.map((name) => `  ${name}: require('./${name}.json'),`),
+    '  // 各合约ABI的哈希，可与部署清单中的abiHash比对',
+    '  ABI_HASHES: {',
+    CONTRACTS.map((name) => `    ${name}: '${hashes[name]}'`).join(',\n'),
+    '  }',
+    '};',
+    ''
+  ];
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'index.js'), lines.join('\n'));
+
+  console.log('\nABI模块已写入:', OUTPUT_DIR);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -27,6 +27,7 @@ contract CrowdFundCore is Ownable, ReentrancyGuard, Pausable {
         CrowdfundStatus status;      // 众筹状态
         uint256 createdAt;           // 创建时间
         bool fundsReleased;          // 资金是否已释放
+        bytes32 metadataHash;        // 链下元数据文档的内容哈希（keccak256），为0表示没有元数据
     }
     
     // 众筹ID计数器
@@ -90,8 +91,14 @@ contract CrowdFundCore is Ownable, ReentrancyGuard, Pausable {
      * @param projectName 项目名称
      * @param targetAmount 目标金额（ETH）
      * @param deadline 截止时间戳
+     * @param metadataHash 链下元数据文档（详细描述、图片、团队、预算等）的内容哈希
      */
-    function createCrowdfund(string memory projectName, uint256 targetAmount, uint256 deadline) external whenNotPaused {
+    function createCrowdfund(
+        string memory projectName,
+        uint256 targetAmount,
+        uint256 deadline,
+        bytes32 metadataHash
+    ) external whenNotPaused {
         require(bytes(projectName).length > 0, "Project name cannot be empty");
         require(targetAmount > 0, "Target amount must be greater than 0");
         require(deadline > block.timestamp, "Deadline must be in the future");
@@ -113,7 +120,8 @@ contract CrowdFundCore is Ownable, ReentrancyGuard, Pausable {
             mybPerEth: mybPerEth,
             status: CrowdfundStatus.ACTIVE,
             createdAt: block.timestamp,
-            fundsReleased: false
+            fundsReleased: false,
+            metadataHash: metadataHash
         });
         
         emit CrowdfundCreated(crowdfundId, projectName, msg.sender, targetAmount, deadline);
@@ -221,8 +229,8 @@ contract CrowdFundCore is Ownable, ReentrancyGuard, Pausable {
         
         uint256 refundAmount = investor.totalInvestment;
         
-        // 重置投资金额（防止重复退款）
-        investorRegistry.registerInvestor(crowdfundId, msg.sender, 0);
+        // 清除投资记录（防止重复退款），registerInvestor 不接受0金额
+        investorRegistry.clearInvestment(crowdfundId, msg.sender);
         
         // 转账退款
         (bool success, ) = msg.sender.call{value: refundAmount}("");
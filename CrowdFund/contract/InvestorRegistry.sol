@@ -84,6 +84,21 @@ contract InvestorRegistry is Ownable, Pausable {
         emit TokensClaimed(crowdfundId, investor, amount);
     }
     
+    /**
+     * @dev 清除投资记录（退款后调用，防止重复退款）
+     * @param crowdfundId 众筹ID
+     * @param investor 投资者地址
+     */
+    function clearInvestment(uint256 crowdfundId, address investor) external onlyOwner {
+        Investor storage user = investors[crowdfundId][investor];
+        require(user.isRegistered, "Investor not registered");
+        
+        user.totalInvestment = 0;
+        user.mybTokens = 0;
+        user.lastUpdateTime = block.timestamp;
+        emit InvestmentUpdated(crowdfundId, investor, 0);
+    }
+    
     /**
      * @dev 获取投资者信息
      * @param crowdfundId 众筹ID
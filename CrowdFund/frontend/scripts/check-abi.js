@@ -0,0 +1,99 @@
+// 检查前端代码调用的合约函数和监听的事件是否都存在于导出的ABI中
+// 用法: npm run check:abi（构建前自动执行）
+import { readdirSync, readFileSync } from 'node:fs'
+import { join, relative } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const rootDir = fileURLToPath(new URL('..', import.meta.url))
+const srcDir = join(rootDir, 'src')
+const abiDir = join(srcDir, 'abi')
+
+// 前端代码中合约实例的变量名与合约的对应关系
+const CONTRACT_RECEIVERS = {
+  crowdfundCoreContract: 'CrowdFundCore',
+  mybTokenContract: 'MYBToken',
+  investorRegistryContract: 'InvestorRegistry',
+}
+
+// ethers v6 Contract 自带的方法和属性，不属于合约ABI
+const CONTRACT_BUILTINS = new Set([
+  'target', 'runner', 'interface', 'filters', 'fallback',
+  'connect', 'attach', 'getAddress', 'getDeployedCode', 'waitForDeployment', 'deploymentTransaction',
+  'getFunction', 'getEvent', 'queryFilter', 'queryTransaction',
+  'on', 'once', 'off', 'emit', 'listenerCount', 'listeners', 'removeAllListeners',
+  'addListener', 'removeListener',
+])
+
+// 读取每个合约ABI中的函数名和事件名
+const loadAbiEntries = (contractName) => {
+  const abi = JSON.parse(readFileSync(join(abiDir, `${contractName}.json`), 'utf8'))
+  return {
+    functions: new Set(abi.filter(item => item.type === 'function').map(item => item.name)),
+    events: new Set(abi.filter(item => item.type === 'event').map(item => item.name)),
+  }
+}
+
+// 递归列出src下的源码文件（跳过生成的ABI目录）
+const listSourceFiles = (dir) => readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+  const fullPath = join(dir, entry.name)
+  if (entry.isDirectory()) {
+    return fullPath === abiDir ? [] : listSourceFiles(fullPath)
+  }
+  return /\.(js|jsx)$/.test(entry.name) ? [fullPath] : []
+})
+
+const lineOf = (source, index) => source.slice(0, index).split('\n').length
+
+const abis = Object.fromEntries(
+  Object.values(CONTRACT_RECEIVERS).map(name => [name, loadAbiEntries(name)]),
+)
+
+const problems = []
+
+for (const file of listSourceFiles(srcDir)) {
+  const source = readFileSync(file, 'utf8')
+
+  for (const [receiver, contractName] of Object.entries(CONTRACT_RECEIVERS)) {
+    const { functions, events } = abis[contractName]
+    const report = (index, kind, name) => {
+      problems.push(`${relative(rootDir, file)}:${lineOf(source, index)} ${receiver} 使用了 ${contractName} ABI 中不存在的${kind} "${name}"`)
+    }
+
+    // 函数调用：contract.method(...) / contract.method.staticCall(...)
+    for (const match of source.matchAll(new RegExp(`\\b${receiver}\\??\\.(\\w+)`, 'g'))) {
+      const name = match[1]
+      if (!CONTRACT_BUILTINS.has(name) && !functions.has(name)) {
+        report(match.index, '函数', name)
+      }
+    }
+
+    // 事件过滤器：contract.filters.EventName(...)
+    for (const match of source.matchAll(new RegExp(`\\b${receiver}\\??\\.filters\\.(\\w+)`, 'g'))) {
+      if (!events.has(match[1])) {
+        report(match.index, '事件', match[1])
+      }
+    }
+
+    // 按名称监听或查询事件：contract.on('EventName', ...) / contract.queryFilter('EventName', ...)
+    for (const match of source.matchAll(new RegExp(`\\b${receiver}\\??\\.(?:on|once|off|queryFilter|getEvent)\\(\\s*['"\`](\\w+)`, 'g'))) {
+      if (!events.has(match[1])) {
+        report(match.index, '事件', match[1])
+      }
+    }
+
+    // 按名称获取函数：contract.getFunction('name')
+    for (const match of source.matchAll(new RegExp(`\\b${receiver}\\??\\.getFunction\\(\\s*['"\`](\\w+)`, 'g'))) {
+      if (!functions.has(match[1])) {
+        report(match.index, '函数', match[1])
+      }
+    }
+  }
+}
+
+if (problems.length > 0) {
+  console.error('ABI检查失败:')
+  problems.forEach(problem => console.error(`  ${problem}`))
+  process.exit(1)
+}
+
+console.log('ABI检查通过')
@@ -0,0 +1,91 @@
+// 本地的内容寻址元数据服务，作为IPFS的替代，供前端的 http 元数据后端使用
+// 用法: npm run metadata-server（默认监听 8787 端口，文档保存在 CrowdFund/metadata 目录）
+//   GET /metadata/<hash>  读取文档
+//   PUT /metadata/<hash>  保存文档，内容的 keccak256 必须与 <hash> 一致
+import { createServer } from 'node:http'
+import { mkdirSync, readFileSync, writeFileSync, existsSync } from 'node:fs'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { keccak256, toUtf8Bytes } from 'ethers'
+
+const PORT = Number(process.env.METADATA_PORT || 8787)
+const STORE_DIR = process.env.METADATA_DIR || fileURLToPath(new URL('../../metadata', import.meta.url))
+// 单个文档的大小上限
+const MAX_DOCUMENT_SIZE = 256 * 1024
+
+const HASH_PATTERN = /^\/metadata\/(0x[0-9a-f]{64})$/
+
+mkdirSync(STORE_DIR, { recursive: true })
+
+const send = (res, status, body, contentType = 'text/plain; charset=utf-8') => {
+  res.writeHead(status, {
+    'Content-Type': contentType,
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  })
+  res.end(body)
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = []
+  let size = 0
+  req.on('data', (chunk) => {
+    size += chunk.length
+    if (size > MAX_DOCUMENT_SIZE) {
+      reject(new Error('文档过大'))
+      req.destroy()
+      return
+    }
+    chunks.push(chunk)
+  })
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+  req.on('error', reject)
+})
+
+const server = createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    send(res, 204, '')
+    return
+  }
+
+  const match = req.url.toLowerCase().match(HASH_PATTERN)
+  if (!match) {
+    send(res, 404, 'Not Found')
+    return
+  }
+  const hash = match[1]
+  const file = join(STORE_DIR, `${hash}.json`)
+
+  if (req.method === 'GET') {
+    if (!existsSync(file)) {
+      send(res, 404, 'Not Found')
+      return
+    }
+    send(res, 200, readFileSync(file, 'utf8'), 'application/json; charset=utf-8')
+    return
+  }
+
+  if (req.method === 'PUT') {
+    try {
+      const body = await readBody(req)
+      // 只接受内容与哈希一致的文档，保证同一地址的内容不会被替换
+      if (keccak256(toUtf8Bytes(body)) !== hash) {
+        send(res, 400, '内容哈希不匹配')
+        return
+      }
+      JSON.parse(body)
+      writeFileSync(file, body)
+      send(res, 201, hash)
+    } catch (err) {
+      send(res, 400, err.message)
+    }
+    return
+  }
+
+  send(res, 405, 'Method Not Allowed')
+})
+
+server.listen(PORT, () => {
+  console.log(`元数据服务已启动: http://127.0.0.1:${PORT}/metadata （存储目录 ${STORE_DIR}）`)
+})
@@ -1,65 +1,118 @@
-import React, { useState } from 'react';
+import React, { useEffect } from 'react';
 import { Web3Provider } from './utils/Web3Context';
+import { TransactionProvider } from './utils/TransactionContext';
+import { NotificationProvider } from './utils/NotificationContext';
+import { RouterProvider } from './utils/RouterContext';
+import { I18nProvider } from './utils/I18nContext';
+import { useRouter } from './hooks/useRouter';
+import { usePermissions } from './hooks/usePermissions';
+import { useI18n } from './hooks/useI18n';
+import { ACTIONS } from './utils/permissions';
+import { ROUTES, DEFAULT_PATH, campaignPath } from './config/routes';
 import WalletConnect from './components/WalletConnect';
+import NetworkStatus from './components/NetworkStatus';
+import TransactionQueue from './components/TransactionQueue';
+import NotificationCenter from './components/NotificationCenter';
+import SimulationPanel from './components/SimulationPanel';
+import LanguageSwitcher from './components/LanguageSwitcher';
 import CampaignList from './components/CampaignList';
 import CampaignDetail from './components/CampaignDetail';
 import CreateCampaign from './components/CreateCampaign';
 import TokenInfo from './components/TokenInfo';
+import Portfolio from './components/Portfolio';
+import CreatorDashboard from './components/CreatorDashboard';
+import AdminConsole from './components/AdminConsole';
+import Link from './components/Link';
+import NotFound from './components/NotFound';
 import './App.css';
 
-function App() {
-  const [currentView, setCurrentView] = useState('list'); // list, detail, create
-  const [selectedCampaignId, setSelectedCampaignId] = useState(null);
+// 头部导航，路由名称对应 config/routes.js 中的 ROUTES，label 为语言包中的键
+const NAV_ITEMS = [
+  { label: 'nav.campaigns', to: ROUTES.CAMPAIGNS, routes: ['CAMPAIGNS', 'CAMPAIGN'] },
+  { label: 'nav.create', to: ROUTES.CREATE, routes: ['CREATE'] },
+  { label: 'nav.portfolio', to: ROUTES.PORTFOLIO, routes: ['PORTFOLIO'] },
+  { label: 'nav.creator', to: ROUTES.CREATOR, routes: ['CREATOR'] },
+  // 仅平台管理员（CrowdFundCore 所有者）显示
+  { label: 'nav.admin', to: ROUTES.ADMIN, routes: ['ADMIN'], adminOnly: true }
+];
 
-  // 处理选择众筹活动
-  const handleSelectCampaign = (campaignId) => {
-    setSelectedCampaignId(campaignId);
-    setCurrentView('detail');
-  };
+function AppLayout() {
+  const { pathname, route, params, navigate, goBack } = useRouter();
+  const { can } = usePermissions();
+  const { t } = useI18n();
+  const isAdmin = can(ACTIONS.ADMIN).allowed;
 
-  // 处理返回列表
-  const handleBackToList = () => {
-    setCurrentView('list');
-    setSelectedCampaignId(null);
-  };
+  // 根路径重定向到众筹列表
+  useEffect(() => {
+    if (pathname === '/') {
+      navigate(DEFAULT_PATH, { replace: true });
+    }
+  }, [pathname, navigate]);
 
-  // 处理创建成功
+  // 处理创建成功，跳转到新众筹的详情页
   const handleCreateSuccess = (campaignId) => {
-    handleSelectCampaign(campaignId);
+    navigate(campaignPath(campaignId));
   };
 
   // 渲染主内容
   const renderMainContent = () => {
-    switch (currentView) {
-      case 'detail':
+    switch (route) {
+      case 'CAMPAIGN':
         return (
           <CampaignDetail 
-            campaignId={selectedCampaignId} 
-            onBack={handleBackToList} 
+            key={params.id}
+            campaignId={params.id} 
+            onBack={() => goBack(ROUTES.CAMPAIGNS)} 
           />
         );
-      case 'create':
+      case 'CREATE':
         return (
           <CreateCampaign 
             onSuccess={handleCreateSuccess}
           />
         );
-      case 'list':
-      default:
+      case 'PORTFOLIO':
+        return (
+          <div className="dashboard">
+            <div className="dashboard-header">
+              <h1>{t('nav.portfolio')}</h1>
+            </div>
+            <Portfolio />
+          </div>
+        );
+      case 'CREATOR':
+        return (
+          <div className="dashboard">
+            <div className="dashboard-header">
+              <h1>{t('pages.creator')}</h1>
+              <Link className="create-btn" to={ROUTES.CREATE}>
+                {t('nav.create')}
+              </Link>
+            </div>
+            <CreatorDashboard />
+          </div>
+        );
+      case 'ADMIN':
+        return (
+          <div className="dashboard">
+            <div className="dashboard-header">
+              <h1>{t('nav.admin')}</h1>
+            </div>
+            <AdminConsole />
+          </div>
+        );
+      case 'CAMPAIGNS':
         return (
           <div className="dashboard">
             <div className="dashboard-header">
-              <h1>众筹活动</h1>
-              <button 
-                className="create-btn"
-                onClick={() => setCurrentView('create')}
-              >
-                创建众筹
-              </button>
+              <h1>{t('nav.campaigns')}</h1>
+              <Link className="create-btn" to={ROUTES.CREATE}>
+                {t('nav.create')}
+              </Link>
             </div>
             <div className="dashboard-content">
               <div className="main-content">
-                <CampaignList onSelectCampaign={handleSelectCampaign} />
+                <CampaignList />
               </div>
               <div className="sidebar">
                 <TokenInfo />
@@ -67,27 +120,64 @@ function App() {
             </div>
           </div>
         );
+      default:
+        // 根路径等待重定向
+        return pathname === '/' ? null : <NotFound />;
     }
   };
 
   return (
-    <Web3Provider>
-      <div className="app">
-        <header className="header">
-          <div className="logo">
+    <div className="app">
+      <header className="header">
+        <div className="logo">
+          <Link to={ROUTES.CAMPAIGNS}>
             <h1>CrowdFund</h1>
-          </div>
+          </Link>
+        </div>
+        <nav className="nav">
+          {NAV_ITEMS.filter(item => !item.adminOnly || isAdmin).map((item) => (
+            <Link
+              key={item.to}
+              to={item.to}
+              className={`nav-link ${item.routes.includes(route) ? 'active' : ''}`}
+            >
+              {t(item.label)}
+            </Link>
+          ))}
+        </nav>
+        <div className="header-actions">
+          <LanguageSwitcher />
+          <SimulationPanel />
+          <NotificationCenter />
+          <TransactionQueue />
           <WalletConnect />
-        </header>
-        
-        <main className="main">
-          {renderMainContent()}
-        </main>
-        
-        <footer className="footer">
-          <p>&copy; 2024 CrowdFund - 基于以太坊的去中心化众筹平台</p>
-        </footer>
-      </div>
+        </div>
+      </header>
+    
+      <main className="main">
+        <NetworkStatus />
+        {renderMainContent()}
+      </main>
+    
+      <footer className="footer">
+        <p>&copy; 2024 CrowdFund - {t('app.footer')}</p>
+      </footer>
+    </div>
+  );
+}
+
+function App() {
+  return (
+    <Web3Provider>
+      <I18nProvider>
+        <TransactionProvider>
+          <RouterProvider>
+            <NotificationProvider>
+              <AppLayout />
+            </NotificationProvider>
+          </RouterProvider>
+        </TransactionProvider>
+      </I18nProvider>
     </Web3Provider>
   );
 }
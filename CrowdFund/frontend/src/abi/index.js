@@ -0,0 +1,15 @@
+// 此文件由 scripts/export-abi.js 根据Hardhat编译产物自动生成，请勿手动修改
+import CrowdFundCore from './CrowdFundCore.json';
+import MYBToken from './MYBToken.json';
+import InvestorRegistry from './InvestorRegistry.json';
+
+export const CROWDFUND_CORE_ABI = CrowdFundCore;
+export const MYB_TOKEN_ABI = MYBToken;
+export const INVESTOR_REGISTRY_ABI = InvestorRegistry;
+
+// 各合约ABI的哈希，用于与部署清单中的abiHash比对
+export const ABI_HASHES = {
+  CrowdFundCore: '0xb17ff580b1990ba5798a991cb1175547171f6bbd2902390337ab880ffc2377e3',
+  MYBToken: '0xd0a89d8bb8619b6d99054e0750675681e412da1fc195702483bb50b5099710b3',
+  InvestorRegistry: '0xe10e1875e6c2dc9f5ce52a3cd95f378d1d24b6cbb28a40ac94059c0a851fb664'
+};
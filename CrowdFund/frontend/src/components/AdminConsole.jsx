@@ -0,0 +1,328 @@
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { useWeb3 } from '../utils/Web3Context';
+import { useAdmin } from '../hooks/useAdmin';
+import { useAdminHistory } from '../hooks/useAdminHistory';
+import { useI18n } from '../hooks/useI18n';
+import { describeError } from '../utils/contractErrors';
+import { sameAddress } from '../utils/addresses';
+import { ADMIN_OPERATIONS, describeAdminCall, getAdminOperation, parseOperationArgs } from '../utils/adminOperations';
+import { campaignPath } from '../config/routes';
+import { CHAINS } from '../config/chains';
+import { createMessage } from '../utils/i18n';
+import { ETH_DECIMALS, MYB_DECIMALS, formatUnits } from '../utils/amounts';
+import Link from './Link';
+import Pagination from './Pagination';
+import '../styles/AdminConsole.css';
+
+// 管理记录每页显示的数量
+const PAGE_SIZE = 10;
+
+const CONTRACT_NAMES = ['CrowdFundCore', 'InvestorRegistry', 'MYBToken'];
+
+const formatAddress = (addr) => `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+
+/**
+ * 管理记录中事件的说明（消息描述）
+ * @param formatEth/formatMyb 按当前语言格式化金额
+ */
+const describeAdminEvent = (event, formatEth, formatMyb) => {
+  switch (event.eventName) {
+    case 'Paused':
+      return createMessage('admin.events.paused', { contract: event.source, account: formatAddress(event.account) });
+    case 'Unpaused':
+      return createMessage('admin.events.unpaused', { contract: event.source, account: formatAddress(event.account) });
+    case 'OwnershipTransferred':
+      return event.previousOwner === ethers.ZeroAddress
+        ? createMessage('admin.events.deployed', { contract: event.source, owner: formatAddress(event.newOwner) })
+        : createMessage('admin.events.ownershipTransferred', {
+          contract: event.source,
+          from: formatAddress(event.previousOwner),
+          to: formatAddress(event.newOwner)
+        });
+    case 'FundsReleased':
+      return createMessage('admin.events.fundsReleased', {
+        id: event.crowdfundId,
+        recipient: formatAddress(event.recipient),
+        amount: formatEth(event.amount)
+      });
+    case 'Transfer':
+      return event.from === ethers.ZeroAddress
+        ? createMessage('admin.events.minted', { amount: formatMyb(event.value), to: formatAddress(event.to) })
+        : createMessage('admin.events.burned', { amount: formatMyb(event.value), from: formatAddress(event.from) });
+    default:
+      return `${event.source}.${event.eventName}`;
+  }
+};
+
+// 平台管理：合约状态、onlyOwner 操作和管理记录，仅合约所有者可见
+const AdminConsole = () => {
+  const { account, chainId, isConnected } = useWeb3();
+  const { t, formatDate, formatAmount, formatNumber } = useI18n();
+  const {
+    overview,
+    pendingReleases,
+    loading,
+    executing,
+    error,
+    successMessage,
+    checkOperation,
+    execute,
+    refresh
+  } = useAdmin();
+  const [historyPage, setHistoryPage] = useState(1);
+  const history = useAdminHistory(historyPage, PAGE_SIZE);
+  // 操作ID -> { 字段名: 输入 }
+  const [formValues, setFormValues] = useState({});
+  // 操作ID -> { 字段名: 错误说明 }
+  const [formErrors, setFormErrors] = useState({});
+  const explorer = CHAINS[chainId]?.explorer;
+
+  const formatEth = (value) => (value === null ? '-' : formatAmount(formatUnits(value, ETH_DECIMALS), 'ETH'));
+  const formatMyb = (value) => (value === null ? '-' : formatAmount(formatUnits(value, MYB_DECIMALS), 'MYB'));
+
+  if (!isConnected) {
+    return <div className="admin-empty">{t('permissions.NO_ACCOUNT')}</div>;
+  }
+
+  if (!overview) {
+    return loading
+      ? <div className="admin-empty">{t('common.loading')}</div>
+      : <div className="admin-error">{t(error ? describeError(error) : 'admin.overviewUnavailable')}</div>;
+  }
+
+  // 至少是一个合约的所有者才能使用管理功能
+  const ownedContracts = CONTRACT_NAMES.filter(name => sameAddress(overview.owners[name], account));
+  if (ownedContracts.length === 0) {
+    return <div className="admin-empty">{t('admin.ownerOnly')}</div>;
+  }
+
+  const handleChange = (operationId, name, value) => {
+    setFormValues(prev => ({ ...prev, [operationId]: { ...prev[operationId], [name]: value } }));
+  };
+
+  // 校验输入，确认调用摘要后发送交易
+  const submitOperation = async (operation, values) => {
+    const { args, errors } = parseOperationArgs(operation, values);
+    setFormErrors(prev => ({ ...prev, [operation.id]: errors }));
+    if (!args) return;
+
+    const summary = describeAdminCall(operation, args, overview.addresses[operation.contract])
+      .map(line => t(line))
+      .join('\n');
+    if (!window.confirm(t('admin.confirm', { summary }))) return;
+
+    const label = operation.fields.length > 0
+      ? createMessage('admin.txWithArgs', { operation: createMessage(operation.label), args: args.map(String).join(', ') })
+      : createMessage(operation.label);
+    const success = await execute(operation, args, label);
+    if (success) {
+      setFormValues(prev => ({ ...prev, [operation.id]: {} }));
+    }
+  };
+
+  const handleSubmit = (e, operation) => {
+    e.preventDefault();
+    submitOperation(operation, formValues[operation.id] || {});
+  };
+
+  // 释放列表中的众筹资金，与表单使用同一确认流程
+  const handleRelease = (campaignId) => {
+    submitOperation(getAdminOperation('core.releaseFunds'), { crowdfundId: campaignId });
+  };
+
+  // 所有者的显示：当前账户、CrowdFundCore 合约或其他地址
+  const renderOwner = (name) => {
+    const owner = overview.owners[name];
+    if (!owner) return '-';
+    if (sameAddress(owner, account)) return <span className="admin-you">{t('admin.currentAccount')}</span>;
+    if (sameAddress(owner, overview.addresses.CrowdFundCore)) return t('admin.coreContract');
+    return <span title={owner}>{formatAddress(owner)}</span>;
+  };
+
+  const renderPaused = (name) => {
+    const paused = overview.paused[name];
+    if (paused === undefined) return t('admin.notPausable');
+    if (paused === null) return '-';
+    return paused
+      ? <span className="admin-state paused">{t('admin.paused')}</span>
+      : <span className="admin-state running">{t('admin.running')}</span>;
+  };
+
+  const renderOperation = (operation) => {
+    const permission = checkOperation(operation);
+    const values = formValues[operation.id] || {};
+    const errors = formErrors[operation.id] || {};
+    return (
+      <form key={operation.id} className="admin-operation" onSubmit={(e) => handleSubmit(e, operation)}>
+        <h4>{t(operation.label)}</h4>
+        <p className="admin-operation-effect">{t(operation.effect)}</p>
+        {operation.fields.map(field => (
+          <div key={field.name} className="admin-field">
+            <label htmlFor={`${operation.id}-${field.name}`}>{t(field.label)}</label>
+            <input
+              id={`${operation.id}-${field.name}`}
+              value={values[field.name] || ''}
+              onChange={(e) => handleChange(operation.id, field.name, e.target.value)}
+              disabled={!permission.allowed}
+            />
+            {errors[field.name] && <span className="admin-field-error">{t(errors[field.name])}</span>}
+          </div>
+        ))}
+        <button type="submit" className="admin-btn" disabled={executing || !permission.allowed}>
+          {executing ? t('common.processing') : t('admin.execute')}
+        </button>
+        {!permission.allowed && <p className="admin-note">{t(permission.message)}</p>}
+      </form>
+    );
+  };
+
+  const renderHistory = () => {
+    if (!history.available) {
+      return <div className="admin-empty">{t('admin.noDeployBlock')}</div>;
+    }
+    if (history.error) {
+      return <div className="admin-error">{t(describeError(history.error))}</div>;
+    }
+    if (history.total === 0) {
+      return <div className="admin-empty">{history.loading ? t('common.loading') : t('admin.noHistory')}</div>;
+    }
+    return (
+      <>
+        <ul className="admin-history">
+          {history.events.map(event => (
+            <li key={`${event.transactionHash}:${event.logIndex}`}>
+              <span className="admin-history-time">
+                {explorer ? (
+                  <a href={`${explorer}/tx/${event.transactionHash}`} target="_blank" rel="noopener noreferrer">
+                    {formatDate(event.timestamp)}
+                  </a>
+                ) : formatDate(event.timestamp)}
+              </span>
+              <span>{t(describeAdminEvent(event, formatEth, formatMyb))}</span>
+            </li>
+          ))}
+        </ul>
+        <Pagination
+          page={historyPage}
+          pageCount={Math.ceil(history.total / PAGE_SIZE)}
+          onChange={setHistoryPage}
+        />
+      </>
+    );
+  };
+
+  return (
+    <div className="admin-console">
+      <div className="admin-summary">
+        <div className="summary-item">
+          <span className="summary-label">{t('admin.summary.balance')}</span>
+          <span className="summary-value">{formatEth(overview.contractBalance)}</span>
+        </div>
+        <div className="summary-item">
+          <span className="summary-label">{t('admin.summary.reserves')}</span>
+          <span className="summary-value">{formatMyb(overview.reserves)}</span>
+        </div>
+        <div className="summary-item">
+          <span className="summary-label">{t('admin.summary.totalSupply')}</span>
+          <span className="summary-value">{formatMyb(overview.totalSupply)}</span>
+        </div>
+        <div className="summary-item">
+          <span className="summary-label">{t('admin.summary.exchangeRate')}</span>
+          <span className="summary-value">
+            {overview.exchangeRate === null ? '-' : `1 ETH = ${formatNumber(overview.exchangeRate)} MYB`}
+          </span>
+        </div>
+        <div className="summary-item">
+          <span className="summary-label">{t('admin.summary.accountTokens')}</span>
+          <span className="summary-value">{formatMyb(overview.accountTokens)}</span>
+        </div>
+      </div>
+
+      <div className="admin-toolbar">
+        <h2>{t('admin.contractStatus')}</h2>
+        <button className="admin-refresh-btn" onClick={refresh} disabled={loading}>
+          {loading ? t('common.refreshing') : t('common.refresh')}
+        </button>
+      </div>
+
+      <div className="admin-card">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>{t('admin.table.contract')}</th>
+              <th>{t('admin.table.address')}</th>
+              <th>{t('admin.table.owner')}</th>
+              <th>{t('admin.table.status')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {CONTRACT_NAMES.map(name => (
+              <tr key={name}>
+                <td>{name}</td>
+                <td className="admin-address">{overview.addresses[name]}</td>
+                <td>{renderOwner(name)}</td>
+                <td>{renderPaused(name)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="admin-funds">
+          <span>
+            {t('admin.devFund')}<span className="admin-address">{overview.devFundAddress || '-'}</span>
+          </span>
+          <span>
+            {t('admin.communityFund')}<span className="admin-address">{overview.communityFundAddress || '-'}</span>
+          </span>
+        </div>
+        {sameAddress(overview.owners.InvestorRegistry, overview.addresses.CrowdFundCore) && (
+          <p className="admin-note">{t('admin.registryNote')}</p>
+        )}
+      </div>
+
+      <h2 className="admin-heading">{t('admin.pendingReleases')}</h2>
+      <div className="admin-card">
+        {pendingReleases.length === 0 ? (
+          <div className="admin-empty">{t('admin.noPendingReleases')}</div>
+        ) : (
+          <ul className="admin-releases">
+            {pendingReleases.map(campaign => (
+              <li key={campaign.id}>
+                <Link to={campaignPath(campaign.id)}>#{campaign.id} {campaign.title}</Link>
+                <span>{formatAmount(campaign.currentAmount, 'ETH')}</span>
+                <button
+                  className="admin-btn"
+                  onClick={() => handleRelease(campaign.id)}
+                  disabled={executing || !checkOperation(getAdminOperation('core.releaseFunds')).allowed}
+                >
+                  {t('admin.release')}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <h2 className="admin-heading">{t('admin.operationsTitle')}</h2>
+      <div className="admin-operations">
+        {ADMIN_OPERATIONS.map(renderOperation)}
+      </div>
+
+      <h2 className="admin-heading">{t('admin.historyTitle')}</h2>
+      <div className="admin-card">
+        {renderHistory()}
+        <p className="admin-hint">{t('admin.historyHint')}</p>
+      </div>
+
+      {/* 消息提示 */}
+      {error && (
+        <div className="message error-message">{t(describeError(error))}</div>
+      )}
+      {successMessage && (
+        <div className="message success-message">{t(successMessage)}</div>
+      )}
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../utils/Web3Context';
+import { useCampaignBackers } from '../hooks/useCampaignBackers';
+import { useI18n } from '../hooks/useI18n';
+import { useInvestmentHistory } from '../hooks/useInvestmentHistory';
+import { describeError } from '../utils/contractErrors';
+import { sameAddress } from '../utils/addresses';
+import { CHAINS } from '../config/chains';
+import { formatEth, formatMyb } from '../utils/amounts';
+import FundingChart from './FundingChart';
+import Pagination from './Pagination';
+import '../styles/CampaignActivity.css';
+
+// 投资者列表和投资记录每页显示的数量
+const PAGE_SIZE = 10;
+
+const formatAddress = (addr) => `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+
+/**
+ * 众筹的资金曲线、投资者列表和投资记录
+ * @param campaign 众筹数据（formatCampaign 的返回值）
+ * @param chainNow 当前链上时间（秒）
+ */
+const CampaignActivity = ({ campaign, chainNow }) => {
+  const { account, chainId } = useWeb3();
+  const { t, formatAmount, formatDate } = useI18n();
+  const [tab, setTab] = useState('backers');
+  const [backerPage, setBackerPage] = useState(1);
+  const [feedPage, setFeedPage] = useState(1);
+
+  const backers = useCampaignBackers(campaign.id, backerPage, PAGE_SIZE);
+  const history = useInvestmentHistory(campaign.id, feedPage, PAGE_SIZE);
+  const explorer = CHAINS[chainId]?.explorer;
+
+  const isCurrentAccount = (address) => sameAddress(address, account);
+
+  const renderAddress = (address) => (
+    <span className="activity-address" title={address}>
+      {formatAddress(address)}
+      {isCurrentAccount(address) && <span className="activity-you">{t('activity.you')}</span>}
+    </span>
+  );
+
+  // 有区块浏览器时交易可跳转查看
+  const renderTime = (event) => {
+    if (!explorer) {
+      return formatDate(event.timestamp);
+    }
+    return (
+      <a href={`${explorer}/tx/${event.transactionHash}`} target="_blank" rel="noopener noreferrer">
+        {formatDate(event.timestamp)}
+      </a>
+    );
+  };
+
+  const renderBackers = () => {
+    if (backers.error) {
+      return <div className="activity-error">{t(describeError(backers.error))}</div>;
+    }
+    if (backers.total === 0) {
+      return <div className="activity-empty">{backers.loading ? t('common.loading') : t('activity.noBackers')}</div>;
+    }
+    return (
+      <>
+        <table className="activity-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>{t('activity.investor')}</th>
+              <th>{t('activity.amount')}</th>
+              <th>{t('activity.tokens')}</th>
+              <th>{t('activity.lastInvestment')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {backers.backers.map((backer) => (
+              <tr key={backer.address}>
+                <td>{backer.index}</td>
+                <td>{renderAddress(backer.address)}</td>
+                <td>{formatAmount(formatEth(backer.totalInvestment), 'ETH')}</td>
+                <td>
+                  {backer.tokensClaimed
+                    ? t('activity.claimed')
+                    : formatAmount(formatMyb(backer.mybTokens), 'MYB')}
+                </td>
+                <td>{formatDate(backer.lastUpdateTime)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <Pagination
+          page={backerPage}
+          pageCount={Math.ceil(backers.total / PAGE_SIZE)}
+          onChange={setBackerPage}
+        />
+      </>
+    );
+  };
+
+  const renderFeed = () => {
+    if (!history.available) {
+      return <div className="activity-empty">{t('activity.noDeployBlock')}</div>;
+    }
+    if (history.error) {
+      return <div className="activity-error">{t(describeError(history.error))}</div>;
+    }
+    if (history.total === 0) {
+      return <div className="activity-empty">{history.loading ? t('common.loading') : t('activity.noInvestments')}</div>;
+    }
+    return (
+      <>
+        <ul className="activity-feed">
+          {history.feed.map((event) => (
+            <li key={`${event.transactionHash}:${event.logIndex}`}>
+              <div className="feed-main">
+                {renderAddress(event.investor)}
+                <span className="feed-amount">
+                  {t('activity.invested', { amount: formatAmount(formatEth(event.amount), 'ETH') })}
+                </span>
+                <span className="feed-tokens">
+                  {t('activity.received', { amount: formatAmount(formatMyb(event.mybTokens), 'MYB') })}
+                </span>
+              </div>
+              <div className="feed-time">{renderTime(event)}</div>
+            </li>
+          ))}
+        </ul>
+        <Pagination
+          page={feedPage}
+          pageCount={Math.ceil(history.total / PAGE_SIZE)}
+          onChange={setFeedPage}
+        />
+      </>
+    );
+  };
+
+  return (
+    <div className="campaign-activity">
+      {history.available && (
+        <div className="activity-card">
+          <h3>{t('activity.chart')}</h3>
+          <FundingChart
+            series={history.series}
+            createdAt={campaign.createdAt}
+            deadline={Number(campaign.deadline)}
+            goalAmount={campaign.targetAmountWei}
+            currentAmount={campaign.currentAmountWei}
+            now={chainNow}
+          />
+        </div>
+      )}
+
+      <div className="activity-card">
+        <div className="activity-tabs">
+          <button
+            className={`activity-tab ${tab === 'backers' ? 'active' : ''}`}
+            onClick={() => setTab('backers')}
+          >
+            {t('activity.backersTab', { count: backers.total })}
+          </button>
+          <button
+            className={`activity-tab ${tab === 'feed' ? 'active' : ''}`}
+            onClick={() => setTab('feed')}
+          >
+            {history.available
+              ? t('activity.feedTabCount', { count: history.total })
+              : t('activity.feedTab')}
+          </button>
+        </div>
+        {tab === 'backers' ? renderBackers() : renderFeed()}
+      </div>
+    </div>
+  );
+};
+
+export default CampaignActivity;
@@ -1,91 +1,132 @@
 import React, { useState, useEffect } from 'react';
 import { useCrowdfund } from '../hooks/useCrowdfund';
 import { useWeb3 } from '../utils/Web3Context';
-import { useToken } from '../hooks/useToken';
+import { useI18n } from '../hooks/useI18n';
+import { usePermissions } from '../hooks/usePermissions';
+import { useTransactions, useTransactionListener } from '../hooks/useTransactions';
+import { useTransactionPreview } from '../hooks/useTransactionPreview';
+import { TX_STATUS } from '../utils/transactionStore';
+import { describeError } from '../utils/contractErrors';
+import { CROWDFUND_STATUS, CROWDFUND_STATUS_LABELS, EMPTY_INVESTOR } from '../utils/campaigns';
+import { ACTIONS, DENIAL_REASONS, canAttempt, isActionVisible } from '../utils/permissions';
+import { sameAddress } from '../utils/addresses';
+import { METADATA_STATUS, getBudgetTotal } from '../utils/campaignMetadata';
+import { MIN_INVESTMENT, ethToMyb, formatEth, formatMyb, validateAmount } from '../utils/amounts';
+import NotFound from './NotFound';
+import CampaignActivity from './CampaignActivity';
+import WatchButton from './WatchButton';
 import '../styles/CampaignDetail.css';
 
+// 元数据校验结果的提示（没有元数据或尚未加载时不显示），值为语言包中的键
+const METADATA_STATUS_MESSAGES = {
+  [METADATA_STATUS.VERIFIED]: 'campaignDetail.metadata.verified',
+  [METADATA_STATUS.INVALID]: 'campaignDetail.metadata.invalid',
+  [METADATA_STATUS.MISSING]: 'campaignDetail.metadata.missing',
+  [METADATA_STATUS.ERROR]: 'campaignDetail.metadata.error'
+};
+
 const CampaignDetail = ({ campaignId, onBack }) => {
   const { 
     getCrowdfund, 
+    getCachedCrowdfund,
     invest, 
+    finalizeCrowdfund,
     releaseFunds, 
     claimRefund,
-    getUserInvestment,
-    loading,
+    claimTokens,
     error,
     successMessage
   } = useCrowdfund();
-  const { account } = useWeb3();
-  const { ethToMyb } = useToken();
+  const { account, crowdfundCoreContract, captureSession } = useWeb3();
+  const { t, formatAmount, formatDate } = useI18n();
+  // 所有者、暂停状态、当前账户的投资者记录和链上时间
+  const { can, isOwner, investors, chainNow } = usePermissions([campaignId]);
+  const { transactions } = useTransactions();
+  // 发送交易前显示gas、费用和操作内容的预览
+  const { confirmTransaction } = useTransactionPreview();
   
-  const [campaign, setCampaign] = useState(null);
   const [investmentAmount, setInvestmentAmount] = useState('');
-  const [userInvestment, setUserInvestment] = useState('0');
-  const [isLoading, setIsLoading] = useState(false);
+  // 直接打开链接时先显示加载中，避免读取完成前闪现“未找到”
+  const [isLoading, setIsLoading] = useState(true);
+  // 链上确认该众筹不存在（ID超出范围）
+  const [notFound, setNotFound] = useState(false);
   const [actionLoading, setActionLoading] = useState(false);
 
+  // 本页面发起的交易来源标识
+  const transactionOrigin = `campaign:${campaignId}`;
+
+  // 读取众筹活动详情，结果写入Web3Context缓存，之后由合约事件更新
+  const refreshCampaign = () => getCrowdfund(campaignId);
+
   // 加载众筹活动详情
   const loadCampaignDetail = async () => {
     if (!campaignId) return;
     
     setIsLoading(true);
-    const data = await getCrowdfund(campaignId);
-    setCampaign(data);
-    
-    // 获取用户投资金额
-    if (account) {
-      const investment = await getUserInvestment(campaignId);
-      setUserInvestment(investment);
-    }
-    
+    const isCurrent = captureSession();
+    const result = await refreshCampaign();
+    // 切换网络后由新网络的读取更新
+    if (!isCurrent()) return;
+    // 合约可用且读取结果为空时众筹不存在；读取出错时由error显示原因
+    setNotFound(result === null && !!crowdfundCoreContract);
     setIsLoading(false);
   };
 
+  // 本页面发起的交易确认后刷新详情（包括刷新页面前提交、之后才确认的交易）
+  useTransactionListener(transactionOrigin, (record) => {
+    if (record.status === TX_STATUS.CONFIRMED) {
+      refreshCampaign();
+    }
+  });
+
+  // 本众筹中仍在等待确认的交易
+  const pendingTransactions = transactions.filter(tx => (
+    tx.origin === transactionOrigin && tx.status === TX_STATUS.PENDING
+  ));
+
   // 处理投资
   const handleInvest = async () => {
-    if (!investmentAmount || isNaN(parseFloat(investmentAmount)) || parseFloat(investmentAmount) <= 0) {
-      alert('请输入有效的投资金额');
+    // 按输入的原始文本解析为wei，不经过浮点数
+    const amount = validateAmount(investmentAmount, { min: MIN_INVESTMENT });
+    if (amount.error) {
+      alert(t('campaignDetail.invalidAmount', { reason: amount.error }));
       return;
     }
 
     setActionLoading(true);
-    const success = await invest(campaignId, parseFloat(investmentAmount));
+    const success = await invest(campaignId, amount.value, confirmTransaction);
     if (success) {
       setInvestmentAmount('');
-      loadCampaignDetail(); // 重新加载详情
     }
     setActionLoading(false);
   };
 
   // 处理释放资金
   const handleReleaseFunds = async () => {
-    if (!window.confirm('确定要释放资金吗？')) return;
-    
     setActionLoading(true);
-    const success = await releaseFunds(campaignId);
-    if (success) {
-      loadCampaignDetail(); // 重新加载详情
-    }
+    await releaseFunds(campaignId, confirmTransaction);
     setActionLoading(false);
   };
 
   // 处理申请退款
   const handleClaimRefund = async () => {
-    if (!window.confirm('确定要申请退款吗？')) return;
-    
     setActionLoading(true);
-    const success = await claimRefund(campaignId);
-    if (success) {
-      loadCampaignDetail(); // 重新加载详情
-    }
+    await claimRefund(campaignId, confirmTransaction);
     setActionLoading(false);
   };
 
-  // 格式化截止时间
-  const formatDeadline = (timestamp) => {
-    if (!timestamp) return '';
-    const date = new Date(parseInt(timestamp) * 1000);
-    return date.toLocaleString('zh-CN');
+  // 处理结算众筹
+  const handleFinalize = async () => {
+    setActionLoading(true);
+    await finalizeCrowdfund(campaignId, confirmTransaction);
+    setActionLoading(false);
+  };
+
+  // 处理领取代币
+  const handleClaimTokens = async () => {
+    setActionLoading(true);
+    await claimTokens(campaignId, confirmTransaction);
+    setActionLoading(false);
   };
 
   // 格式化地址
@@ -94,69 +135,153 @@ const CampaignDetail = ({ campaignId, onBack }) => {
     return `${addr.slice(0, 6)}...${addr.slice(-4)}`;
   };
 
+  // 加载一次详情，之后由合约事件更新缓存
   useEffect(() => {
     loadCampaignDetail();
-    // 定时刷新（每分钟）
-    const interval = setInterval(loadCampaignDetail, 60000);
-    return () => clearInterval(interval);
-  }, [campaignId, account]);
+  }, [campaignId, crowdfundCoreContract]);
+
+  const campaign = getCachedCrowdfund(campaignId);
 
-  if (isLoading || loading) {
-    return <div className="loading">加载中...</div>;
+  if (isLoading) {
+    return <div className="loading">{t('common.loading')}</div>;
   }
 
   if (!campaign) {
-    return <div className="error">未找到众筹活动</div>;
+    if (notFound && !error) {
+      return (
+        <NotFound
+          title="campaignDetail.notFoundTitle"
+          message={{ key: 'campaignDetail.notFoundMessage', params: { id: campaignId } }}
+        />
+      );
+    }
+    if (!crowdfundCoreContract) {
+      return <div className="loading">{t('campaignDetail.networkUnavailable')}</div>;
+    }
+    return <div className="error">{error ? t(describeError(error)) : t('campaignDetail.notFound')}</div>;
   }
 
   // 判断当前用户是否是创建者
-  const isCreator = account === campaign.creator;
-  
-  // 判断是否已过期
-  const isExpired = parseInt(campaign.deadline) < Math.floor(Date.now() / 1000);
-  
-  // 判断是否可以申请退款（未达成目标且已过期）
-  const canClaimRefund = isExpired && 
-                        parseFloat(campaign.currentAmount) < parseFloat(campaign.goalAmount) && 
-                        parseFloat(userInvestment) > 0;
-  
-  // 判断是否可以释放资金（已达成目标且未完成）
-  const canReleaseFunds = !campaign.isCompleted && 
-                         parseFloat(campaign.currentAmount) >= parseFloat(campaign.goalAmount);
+  const isCreator = sameAddress(account, campaign.creator);
+  const investor = investors[campaign.id] || EMPTY_INVESTOR;
+
+  // 根据角色、暂停状态、链上状态和投资者记录判断可执行的操作
+  const investPermission = can(ACTIONS.INVEST, campaign.id);
+  const finalizePermission = can(ACTIONS.FINALIZE, campaign.id);
+  const releasePermission = can(ACTIONS.RELEASE_FUNDS, campaign.id);
+  const refundPermission = can(ACTIONS.CLAIM_REFUND, campaign.id);
+  const claimPermission = can(ACTIONS.CLAIM_TOKENS, campaign.id);
+  // 投资和结算在未连接钱包时也可以点击，发送交易时再请求连接
+  const canInvest = canAttempt(ACTIONS.INVEST, investPermission);
+  const canFinalize = canAttempt(ACTIONS.FINALIZE, finalizePermission);
+  // 释放资金只对管理员和创建者显示，其他账户不需要看到
+  const showRelease = isActionVisible(releasePermission) && (isOwner || isCreator);
 
   return (
     <div className="campaign-detail">
-      <button className="back-btn" onClick={onBack}>← 返回列表</button>
+      <button className="back-btn" onClick={onBack}>← {t('campaignDetail.back')}</button>
       
       <div className="detail-card">
-        <h1>{campaign.title}</h1>
+        <div className="detail-title">
+          <h1>{campaign.title}</h1>
+          <WatchButton campaignId={campaign.id} />
+        </div>
         <p className="description">{campaign.description}</p>
+
+        {METADATA_STATUS_MESSAGES[campaign.metadataStatus] && (
+          <div className={`metadata-status metadata-${campaign.metadataStatus}`}>
+            {t(METADATA_STATUS_MESSAGES[campaign.metadataStatus])}
+          </div>
+        )}
+
+        {/* 链下元数据：图片、链接、团队和预算 */}
+        {campaign.metadata && campaign.metadata.images.length > 0 && (
+          <div className="metadata-images">
+            {campaign.metadata.images.map((image) => (
+              <figure key={image.url}>
+                <img src={image.url} alt={image.caption || campaign.title} />
+                {image.caption && <figcaption>{image.caption}</figcaption>}
+              </figure>
+            ))}
+          </div>
+        )}
+
+        {campaign.metadata && campaign.metadata.links.length > 0 && (
+          <div className="metadata-section">
+            <h3>{t('campaignDetail.links')}</h3>
+            <ul className="metadata-links">
+              {campaign.metadata.links.map((link) => (
+                <li key={link.url}>
+                  <a href={link.url} target="_blank" rel="noopener noreferrer">
+                    {link.label || link.url}
+                  </a>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {campaign.metadata && campaign.metadata.team.length > 0 && (
+          <div className="metadata-section">
+            <h3>{t('campaignDetail.team')}</h3>
+            <ul className="metadata-team">
+              {campaign.metadata.team.map((member, index) => (
+                <li key={`${member.name}-${index}`}>
+                  <span className="member-name">{member.name}</span>
+                  {member.role && <span className="member-role">{member.role}</span>}
+                  {member.address && <span className="member-address">{formatAddress(member.address)}</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {campaign.metadata && campaign.metadata.budget.length > 0 && (
+          <div className="metadata-section">
+            <h3>{t('campaignDetail.budget')}</h3>
+            <table className="metadata-budget">
+              <tbody>
+                {campaign.metadata.budget.map((entry, index) => (
+                  <tr key={`${entry.item}-${index}`}>
+                    <td>{entry.item}</td>
+                    <td>{formatAmount(entry.amount, 'ETH')}</td>
+                  </tr>
+                ))}
+                <tr className="budget-total">
+                  <td>{t('campaignDetail.budgetTotal')}</td>
+                  <td>{formatAmount(formatEth(getBudgetTotal(campaign.metadata)), 'ETH')}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
         
         <div className="campaign-meta">
           <div className="meta-item">
-            <span className="meta-label">创建者:</span>
+            <span className="meta-label">{t('campaign.creator')}:</span>
             <span className="meta-value">{formatAddress(campaign.creator)}</span>
           </div>
           <div className="meta-item">
-            <span className="meta-label">截止时间:</span>
-            <span className="meta-value">{formatDeadline(campaign.deadline)}</span>
+            <span className="meta-label">{t('campaign.deadline')}:</span>
+            <span className="meta-value">{formatDate(campaign.deadline)}</span>
+          </div>
+          <div className={`status-badge status-${campaign.status}`}>
+            {t(CROWDFUND_STATUS_LABELS[campaign.status])}
+            {campaign.fundsReleased && ` · ${t('campaign.fundsReleased')}`}
           </div>
-          {campaign.isCompleted && (
-            <div className="status-badge completed">众筹已完成</div>
-          )}
         </div>
 
         <div className="funding-info">
           <div className="amount-display">
             <div className="current-amount">
-              <span className="amount-label">已筹资金</span>
-              <span className="amount-value">{campaign.currentAmount} ETH</span>
-              <span className="myb-value">({ethToMyb(campaign.currentAmount)} MYB)</span>
+              <span className="amount-label">{t('campaign.raised')}</span>
+              <span className="amount-value">{formatAmount(campaign.currentAmount, 'ETH')}</span>
+              <span className="myb-value">({formatAmount(formatMyb(ethToMyb(campaign.currentAmountWei, campaign.mybPerEth)), 'MYB')})</span>
             </div>
             <div className="goal-amount">
-              <span className="amount-label">目标资金</span>
-              <span className="amount-value">{campaign.goalAmount} ETH</span>
-              <span className="myb-value">({ethToMyb(campaign.goalAmount)} MYB)</span>
+              <span className="amount-label">{t('campaign.goal')}</span>
+              <span className="amount-value">{formatAmount(campaign.goalAmount, 'ETH')}</span>
+              <span className="myb-value">({formatAmount(formatMyb(ethToMyb(campaign.targetAmountWei, campaign.mybPerEth)), 'MYB')})</span>
             </div>
           </div>
           
@@ -172,9 +297,9 @@ const CampaignDetail = ({ campaignId, onBack }) => {
         </div>
 
         {/* 投资表单 */}
-        {!campaign.isCompleted && !isExpired && (
+        {isActionVisible(investPermission) && (
           <div className="investment-form">
-            <h3>参与投资</h3>
+            <h3>{t('campaignDetail.investTitle')}</h3>
             <div className="form-group">
               <input
                 type="number"
@@ -182,63 +307,143 @@ const CampaignDetail = ({ campaignId, onBack }) => {
                 min="0.01"
                 value={investmentAmount}
                 onChange={(e) => setInvestmentAmount(e.target.value)}
-                placeholder="输入投资金额 (ETH)"
+                placeholder={t('campaignDetail.investPlaceholder')}
+                disabled={!canInvest}
               />
               <button 
                 onClick={handleInvest}
-                disabled={actionLoading || !investmentAmount}
+                disabled={actionLoading || !investmentAmount || !canInvest}
+                title={t(investPermission.message) || undefined}
               >
-                {actionLoading ? '处理中...' : '立即投资'}
+                {actionLoading ? t('common.processing') : t('campaignDetail.investNow')}
               </button>
             </div>
-            <p className="min-investment">最低投资金额: 0.01 ETH</p>
+            {canInvest ? (
+              <p className="min-investment">{t('campaignDetail.minInvestment')}</p>
+            ) : (
+              <p className="permission-reason">{t(investPermission.message)}</p>
+            )}
           </div>
         )}
 
         {/* 用户投资信息 */}
-        {account && parseFloat(userInvestment) > 0 && (
+        {account && investor.totalInvestment > 0n && (
           <div className="user-investment">
-            <p>您已投资: <strong>{userInvestment} ETH</strong></p>
+            <p>{t('campaignDetail.yourInvestment')}: <strong>{formatAmount(formatEth(investor.totalInvestment), 'ETH')}</strong></p>
+            {investor.mybTokens > 0n && (
+              <p>{t('campaignDetail.pendingTokens')}: <strong>{formatAmount(formatMyb(investor.mybTokens), 'MYB')}</strong></p>
+            )}
+            {investor.tokensClaimed && (
+              <p>{t('campaignDetail.tokensClaimed')}</p>
+            )}
           </div>
         )}
 
-        {/* 操作按钮区 */}
+        {/* 等待确认的交易 */}
+        {pendingTransactions.length > 0 && (
+          <div className="pending-transactions">
+            {pendingTransactions.map(tx => (
+              <p key={tx.hash}>{t('campaignDetail.pendingTransaction', { label: tx.label })}</p>
+            ))}
+          </div>
+        )}
+
+        {/* 操作按钮区，暂时无法执行的操作显示为禁用并说明原因 */}
         <div className="action-buttons">
-          {/* 释放资金按钮（仅创建者可见） */}
-          {isCreator && canReleaseFunds && (
+          {/* 结算按钮（到期后任何人都可以结算） */}
+          {isActionVisible(finalizePermission) && (
+            <button 
+              className="primary-btn"
+              onClick={handleFinalize}
+              disabled={actionLoading || !canFinalize}
+              title={t(finalizePermission.message) || undefined}
+            >
+              {actionLoading ? t('common.processing') : t('campaignDetail.finalize')}
+            </button>
+          )}
+
+          {/* 释放资金按钮（releaseFunds 为 onlyOwner） */}
+          {showRelease && (
             <button 
               className="primary-btn"
               onClick={handleReleaseFunds}
-              disabled={actionLoading}
+              disabled={actionLoading || !releasePermission.allowed}
+              title={t(releasePermission.message) || undefined}
             >
-              {actionLoading ? '处理中...' : '释放资金'}
+              {actionLoading ? t('common.processing') : t('campaignDetail.releaseFunds')}
             </button>
           )}
           
+          {/* 领取代币按钮 */}
+          {isActionVisible(claimPermission) && (
+            <button 
+              className="primary-btn"
+              onClick={handleClaimTokens}
+              disabled={actionLoading || !claimPermission.allowed}
+              title={t(claimPermission.message) || undefined}
+            >
+              {actionLoading ? t('common.processing') : t('campaignDetail.claimTokens')}
+            </button>
+          )}
+
           {/* 申请退款按钮 */}
-          {canClaimRefund && (
+          {isActionVisible(refundPermission) && (
             <button 
               className="secondary-btn"
               onClick={handleClaimRefund}
-              disabled={actionLoading}
+              disabled={actionLoading || !refundPermission.allowed}
+              title={t(refundPermission.message) || undefined}
             >
-              {actionLoading ? '处理中...' : '申请退款'}
+              {actionLoading ? t('common.processing') : t('campaignDetail.claimRefund')}
             </button>
           )}
+
+          {/* 禁用操作的原因 */}
+          {!canFinalize && isActionVisible(finalizePermission) && (
+            <p className="permission-reason">
+              {t('campaignDetail.actionReason', { action: t('campaignDetail.finalize'), reason: t(finalizePermission.message) })}
+            </p>
+          )}
+          {showRelease && !releasePermission.allowed && (
+            <p className="permission-reason">
+              {releasePermission.reason === DENIAL_REASONS.NOT_OWNER
+                ? t('campaignDetail.awaitingRelease')
+                : t('campaignDetail.actionReason', { action: t('campaignDetail.releaseFunds'), reason: t(releasePermission.message) })}
+            </p>
+          )}
+          {!claimPermission.allowed && isActionVisible(claimPermission) && (
+            <p className="permission-reason">
+              {t('campaignDetail.actionReason', { action: t('campaignDetail.claimTokens'), reason: t(claimPermission.message) })}
+            </p>
+          )}
+          {!refundPermission.allowed && isActionVisible(refundPermission) && (
+            <p className="permission-reason">
+              {t('campaignDetail.actionReason', { action: t('campaignDetail.claimRefund'), reason: t(refundPermission.message) })}
+            </p>
+          )}
           
-          {/* 已过期提示 */}
-          {isExpired && !campaign.isCompleted && parseFloat(campaign.currentAmount) < parseFloat(campaign.goalAmount) && (
-            <p className="expired-message">众筹已过期且未达成目标，投资者可申请退款</p>
+          {/* 已到期但尚未结算 */}
+          {finalizePermission.reason !== DENIAL_REASONS.NOT_ACTIVE &&
+            finalizePermission.reason !== DENIAL_REASONS.DEADLINE_NOT_REACHED && (
+            <p className="expired-message">{t('campaignDetail.expiredHint')}</p>
+          )}
+
+          {/* 众筹失败提示 */}
+          {campaign.status === CROWDFUND_STATUS.FAILED && (
+            <p className="expired-message">{t('campaignDetail.failedHint')}</p>
           )}
         </div>
       </div>
 
+      {/* 资金曲线、投资者列表和投资记录 */}
+      <CampaignActivity campaign={campaign} chainNow={chainNow} />
+
       {/* 消息提示 */}
       {error && (
-        <div className="message error-message">{error}</div>
+        <div className="message error-message">{t(describeError(error))}</div>
       )}
       {successMessage && (
-        <div className="message success-message">{successMessage}</div>
+        <div className="message success-message">{t(successMessage)}</div>
       )}
     </div>
   );
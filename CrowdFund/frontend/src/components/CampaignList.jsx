@@ -1,78 +1,173 @@
 import React, { useState, useEffect } from 'react';
 import { useCrowdfund } from '../hooks/useCrowdfund';
+import { useWeb3 } from '../utils/Web3Context';
+import { useRouter } from '../hooks/useRouter';
+import { useI18n } from '../hooks/useI18n';
+import { useNotifications } from '../hooks/useNotifications';
+import { useChainTime } from '../hooks/useChainTime';
+import { describeError } from '../utils/contractErrors';
+import {
+  PROGRESS_FILTERS,
+  SORT_OPTIONS,
+  STATUS_FILTERS,
+  TIME_FILTERS,
+  filterCampaigns,
+  findOption
+} from '../utils/campaignFilters';
+import { campaignPath } from '../config/routes';
+import Link from './Link';
+import Pagination from './Pagination';
+import WatchButton from './WatchButton';
 import '../styles/CampaignList.css';
 
-const CampaignList = ({ onSelectCampaign }) => {
-  const { getAllCrowdfunds, loading, error } = useCrowdfund();
-  const [campaigns, setCampaigns] = useState([]);
+// 每页显示的众筹数量
+const PAGE_SIZE = 12;
+
+// 剩余时间按分钟显示，每分钟重新筛选和更新倒计时
+const CLOCK_INTERVAL = 60 * 1000;
+
+// 筛选条件保存在地址栏中：q 搜索、status 状态、progress 完成度、time 剩余时间、sort 排序、watched 只看关注、page 页码
+const CampaignList = () => {
+  const { getAllCrowdfunds, cachedCampaigns, error } = useCrowdfund();
+  const { campaignIndexer } = useWeb3();
+  const { query, setQuery, navigate } = useRouter();
+  const { t, formatAmount, formatDuration } = useI18n();
+  const { canWatch, watchedIds } = useNotifications();
+  const { chainNow } = useChainTime(CLOCK_INTERVAL);
   const [isLoading, setIsLoading] = useState(false);
 
-  // 加载众筹活动列表
+  const statusFilter = findOption(STATUS_FILTERS, query.status);
+
+  // 加载众筹活动列表（结果写入Web3Context缓存）
   const loadCampaigns = async () => {
     setIsLoading(true);
-    const data = await getAllCrowdfunds();
-    setCampaigns(data);
+    await getAllCrowdfunds();
     setIsLoading(false);
   };
 
-  // 格式化时间
-  const formatDeadline = (timestamp) => {
-    const date = new Date(parseInt(timestamp) * 1000);
-    return date.toLocaleString('zh-CN');
+  // 修改筛选条件后回到第一页
+  const updateFilters = (patch) => {
+    setQuery({ ...patch, page: '' });
   };
 
-  // 格式化剩余时间
-  const formatRemainingTime = (seconds) => {
-    if (seconds <= 0) return '已结束';
-    
-    const days = Math.floor(seconds / (24 * 60 * 60));
-    const hours = Math.floor((seconds % (24 * 60 * 60)) / (60 * 60));
-    const minutes = Math.floor((seconds % (60 * 60)) / 60);
-    
-    if (days > 0) {
-      return `${days}天 ${hours}小时`;
-    } else if (hours > 0) {
-      return `${hours}小时 ${minutes}分钟`;
-    } else {
-      return `${minutes}分钟`;
-    }
-  };
+  // 合约数据来自缓存，投资、状态变化等事件会实时更新列表；
+  // 新创建的众筹加入缓存后按当前条件排序，页码超出范围时显示最后一页
+  const campaigns = filterCampaigns(cachedCampaigns, query, watchedIds, chainNow);
+  const pageCount = Math.max(1, Math.ceil(campaigns.length / PAGE_SIZE));
+  const page = Math.min(Math.max(1, parseInt(query.page, 10) || 1), pageCount);
+  const pageCampaigns = campaigns.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+  const hasFilters = Boolean(query.q || query.status || query.progress || query.time || query.watched);
+  const hasStaleCampaigns = cachedCampaigns.some(campaign => campaign.stale);
 
+  // 索引器就绪（连接钱包、切换网络）后加载一次，之后由合约事件更新
   useEffect(() => {
     loadCampaigns();
-    // 定时刷新列表（每分钟）
-    const interval = setInterval(loadCampaigns, 60000);
-    return () => clearInterval(interval);
-  }, []); // 移除getAllCrowdfunds依赖以避免无限循环
+  }, [campaignIndexer]); // 移除getAllCrowdfunds依赖以避免无限循环
 
-  if (isLoading || loading) {
-    return <div className="loading">加载中...</div>;
+  // 已有缓存时刷新不清空列表，保留当前的筛选和页码
+  if (isLoading && cachedCampaigns.length === 0) {
+    return <div className="loading">{t('common.loading')}</div>;
   }
 
   if (error) {
-    return <div className="error">加载失败: {error}</div>;
+    return <div className="error">{t(describeError(error))}</div>;
   }
 
   return (
     <div className="campaign-list">
-      <h2>众筹活动列表</h2>
-      <button className="refresh-btn" onClick={loadCampaigns}>
-        刷新列表
-      </button>
+      <h2>{t('campaignList.title')}</h2>
+      <div className="list-toolbar">
+        <input
+          className="search-input"
+          type="search"
+          placeholder={t('campaignList.searchPlaceholder')}
+          value={query.q || ''}
+          onChange={(e) => updateFilters({ q: e.target.value })}
+        />
+        <button className="refresh-btn" onClick={loadCampaigns} disabled={isLoading}>
+          {isLoading ? t('common.refreshing') : t('campaignList.refresh')}
+        </button>
+      </div>
+      <div className="status-filters">
+        {STATUS_FILTERS.map((filter) => (
+          <button
+            key={filter.value || 'all'}
+            className={`filter-btn ${filter === statusFilter ? 'active' : ''}`}
+            onClick={() => updateFilters({ status: filter.value })}
+          >
+            {t(filter.label)}
+          </button>
+        ))}
+      </div>
+      <div className="list-options">
+        <select
+          value={findOption(PROGRESS_FILTERS, query.progress).value}
+          onChange={(e) => updateFilters({ progress: e.target.value })}
+        >
+          {PROGRESS_FILTERS.map(option => (
+            <option key={option.value || 'all'} value={option.value}>{t(option.label)}</option>
+          ))}
+        </select>
+        <select
+          value={findOption(TIME_FILTERS, query.time).value}
+          onChange={(e) => updateFilters({ time: e.target.value })}
+        >
+          {TIME_FILTERS.map(option => (
+            <option key={option.value || 'all'} value={option.value}>{t(option.label)}</option>
+          ))}
+        </select>
+        <select
+          value={findOption(SORT_OPTIONS, query.sort).value}
+          onChange={(e) => updateFilters({ sort: e.target.value })}
+        >
+          {SORT_OPTIONS.map(option => (
+            <option key={option.value || 'newest'} value={option.value}>{t(option.label)}</option>
+          ))}
+        </select>
+        {canWatch && (
+          <label className="watched-filter">
+            <input
+              type="checkbox"
+              checked={query.watched === '1'}
+              onChange={(e) => updateFilters({ watched: e.target.checked ? '1' : '' })}
+            />
+            {t('campaignList.filters.watched', { count: watchedIds.length })}
+          </label>
+        )}
+        <span className="result-count">{t('campaignList.resultCount', { count: campaigns.length })}</span>
+        {hasFilters && (
+          <button
+            className="clear-filters-btn"
+            onClick={() => updateFilters({ q: '', status: '', progress: '', time: '', watched: '' })}
+          >
+            {t('campaignList.clearFilters')}
+          </button>
+        )}
+      </div>
+
+      {/* 本地缓存中的数据先显示出来，重新读取完成后替换 */}
+      {hasStaleCampaigns && (
+        <div className="cache-note">
+          {isLoading ? t('campaignList.cachedRefreshing') : t('campaignList.cachedOutdated')}
+        </div>
+      )}
       
       {campaigns.length === 0 ? (
-        <div className="empty-message">暂无众筹活动</div>
+        <div className="empty-message">
+          {cachedCampaigns.length === 0 ? t('campaignList.empty') : t('campaignList.noMatches')}
+        </div>
       ) : (
         <div className="campaigns-container">
-          {campaigns.map((campaign) => (
+          {pageCampaigns.map((campaign) => (
             <div 
               key={campaign.id} 
               className={`campaign-card ${campaign.isCompleted ? 'completed' : ''}`}
-              onClick={() => onSelectCampaign(campaign.id)}
+              onClick={() => navigate(campaignPath(campaign.id))}
             >
               <div className="campaign-header">
                 <h3>{campaign.title}</h3>
-                {campaign.isCompleted && <span className="completed-badge">已完成</span>}
+                {campaign.isCompleted && <span className="completed-badge">{t('campaignList.filters.completed')}</span>}
+                <WatchButton campaignId={campaign.id} className="card-watch-btn" />
               </div>
               
               <p className="campaign-description">{campaign.description.substring(0, 100)}...</p>
@@ -89,25 +184,37 @@ const CampaignList = ({ onSelectCampaign }) => {
               
               <div className="campaign-stats">
                 <div className="stat-item">
-                  <span className="stat-label">已筹资金:</span>
-                  <span className="stat-value">{campaign.currentAmount} ETH</span>
+                  <span className="stat-label">{t('campaign.raised')}:</span>
+                  <span className="stat-value">{formatAmount(campaign.currentAmount, 'ETH')}</span>
                 </div>
                 <div className="stat-item">
-                  <span className="stat-label">目标资金:</span>
-                  <span className="stat-value">{campaign.goalAmount} ETH</span>
+                  <span className="stat-label">{t('campaign.goal')}:</span>
+                  <span className="stat-value">{formatAmount(campaign.goalAmount, 'ETH')}</span>
                 </div>
               </div>
               
               <div className="campaign-footer">
                 <span className="deadline">
-                  剩余时间: {formatRemainingTime(campaign.remainingTime)}
+                  {t('campaign.remaining')}: {formatDuration(Number(campaign.deadline) - chainNow)}
                 </span>
-                <button className="view-detail-btn">查看详情</button>
+                <Link
+                  className="view-detail-btn"
+                  to={campaignPath(campaign.id)}
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  {t('campaignList.viewDetails')}
+                </Link>
               </div>
             </div>
           ))}
         </div>
       )}
+
+      <Pagination
+        page={page}
+        pageCount={pageCount}
+        onChange={(next) => setQuery({ page: next > 1 ? next : '' })}
+      />
     </div>
   );
 };
@@ -1,18 +1,48 @@
 import React, { useState } from 'react';
 import { useCrowdfund } from '../hooks/useCrowdfund';
 import { useWeb3 } from '../utils/Web3Context';
+import { usePermissions } from '../hooks/usePermissions';
+import { useI18n } from '../hooks/useI18n';
+import { useTransactionPreview } from '../hooks/useTransactionPreview';
+import { ACTIONS, canAttempt } from '../utils/permissions';
+import { describeError } from '../utils/contractErrors';
+import { getBudgetTotal } from '../utils/campaignMetadata';
+import { validateAmount } from '../utils/amounts';
 import '../styles/CreateCampaign.css';
 
+const EMPTY_FORM = {
+  title: '',
+  description: '',
+  goalAmount: '',
+  deadlineDays: '',
+  images: '',
+  links: '',
+  team: '',
+  budget: ''
+};
+
+// 将多行文本解析为对象数组，每行用“|”分隔各字段，空行忽略
+const parseLines = (value, fields) => value
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map((line) => {
+    const parts = line.split('|').map(part => part.trim());
+    return fields.reduce((entry, field, index) => ({ ...entry, [field]: parts[index] || '' }), {});
+  });
+
 const CreateCampaign = ({ onSuccess }) => {
   const { createCrowdfund, loading, error, successMessage } = useCrowdfund();
   const { isConnected } = useWeb3();
+  const { can } = usePermissions();
+  const { t } = useI18n();
+  const { confirmTransaction } = useTransactionPreview();
+  // createCrowdfund 为 whenNotPaused，平台暂停时不能创建
+  const createPermission = can(ACTIONS.CREATE);
+  // 未连接钱包时也可以填写和提交，提交时再请求连接
+  const canSubmit = canAttempt(ACTIONS.CREATE, createPermission);
   
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    goalAmount: '',
-    deadlineDays: ''
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
 
   // 处理表单输入变化
   const handleChange = (e) => {
@@ -29,24 +59,45 @@ const CreateCampaign = ({ onSuccess }) => {
     
     // 表单验证
     if (!formData.title.trim()) {
-      alert('请输入众筹标题');
+      alert(t('createCampaign.validation.title'));
       return;
     }
     
     if (!formData.description.trim()) {
-      alert('请输入众筹描述');
+      alert(t('createCampaign.validation.description'));
       return;
     }
     
-    const goalAmount = parseFloat(formData.goalAmount);
-    if (isNaN(goalAmount) || goalAmount <= 0) {
-      alert('请输入有效的目标金额');
+    // 目标金额按输入的原始文本解析为wei
+    const goalAmount = validateAmount(formData.goalAmount);
+    if (goalAmount.error) {
+      alert(t('createCampaign.validation.goal', { reason: goalAmount.error }));
       return;
     }
     
     const deadlineDays = parseInt(formData.deadlineDays);
     if (isNaN(deadlineDays) || deadlineDays <= 0 || deadlineDays > 365) {
-      alert('请输入有效的截止天数（1-365天）');
+      alert(t('createCampaign.validation.deadline'));
+      return;
+    }
+    
+    // 链下元数据中的图片、链接、团队和预算明细
+    const details = {
+      images: parseLines(formData.images, ['url', 'caption']),
+      links: parseLines(formData.links, ['label', 'url']),
+      team: parseLines(formData.team, ['name', 'role', 'address']),
+      budget: parseLines(formData.budget, ['item', 'amount'])
+    };
+    
+    let budgetTotal;
+    try {
+      budgetTotal = getBudgetTotal(details);
+    } catch {
+      alert(t('createCampaign.validation.budget'));
+      return;
+    }
+    if (budgetTotal > goalAmount.value) {
+      alert(t('createCampaign.validation.budgetExceedsGoal'));
       return;
     }
     
@@ -54,18 +105,15 @@ const CreateCampaign = ({ onSuccess }) => {
     const campaignId = await createCrowdfund(
       formData.title,
       formData.description,
-      goalAmount,
-      deadlineDays
+      goalAmount.value,
+      deadlineDays,
+      details,
+      confirmTransaction
     );
     
-    // 如果创建成功，重置表单并返回列表页
+    // 如果创建成功，重置表单并跳转到新众筹的详情页
     if (campaignId !== null) {
-      setFormData({
-        title: '',
-        description: '',
-        goalAmount: '',
-        deadlineDays: ''
-      });
+      setFormData(EMPTY_FORM);
       
       if (onSuccess) {
         setTimeout(() => {
@@ -77,101 +125,150 @@ const CreateCampaign = ({ onSuccess }) => {
 
   return (
     <div className="create-campaign">
-      <h2>创建众筹活动</h2>
+      <h2>{t('createCampaign.title')}</h2>
       
-      {!isConnected ? (
-        <div className="connect-prompt">
-          <p>请先连接您的钱包</p>
+      <form onSubmit={handleSubmit} className="create-form">
+        <div className="form-group">
+          <label htmlFor="title">{t('createCampaign.fields.title')} *</label>
+          <input
+            type="text"
+            id="title"
+            name="title"
+            value={formData.title}
+            onChange={handleChange}
+            placeholder={t('createCampaign.placeholders.title')}
+            maxLength={100}
+            required
+          />
+        </div>
+        
+        <div className="form-group">
+          <label htmlFor="description">{t('createCampaign.fields.description')} *</label>
+          <textarea
+            id="description"
+            name="description"
+            value={formData.description}
+            onChange={handleChange}
+            placeholder={t('createCampaign.placeholders.description')}
+            rows={6}
+            maxLength={10000}
+            required
+          />
+          <div className="char-count">{formData.description.length}/10000</div>
         </div>
-      ) : (
-        <form onSubmit={handleSubmit} className="create-form">
+        
+        <div className="form-row">
           <div className="form-group">
-            <label htmlFor="title">众筹标题 *</label>
+            <label htmlFor="goalAmount">{t('createCampaign.fields.goal')} *</label>
             <input
-              type="text"
-              id="title"
-              name="title"
-              value={formData.title}
+              type="number"
+              id="goalAmount"
+              name="goalAmount"
+              value={formData.goalAmount}
               onChange={handleChange}
-              placeholder="请输入吸引人的标题"
-              maxLength={100}
+              placeholder="0.0"
+              step="0.01"
+              min="0.01"
               required
             />
           </div>
           
           <div className="form-group">
-            <label htmlFor="description">众筹描述 *</label>
-            <textarea
-              id="description"
-              name="description"
-              value={formData.description}
+            <label htmlFor="deadlineDays">{t('createCampaign.fields.deadline')} *</label>
+            <input
+              type="number"
+              id="deadlineDays"
+              name="deadlineDays"
+              value={formData.deadlineDays}
               onChange={handleChange}
-              placeholder="详细描述您的项目..."
-              rows={6}
-              maxLength={1000}
+              placeholder={t('createCampaign.placeholders.deadline')}
+              min="1"
+              max="365"
               required
             />
-            <div className="char-count">{formData.description.length}/1000</div>
           </div>
-          
-          <div className="form-row">
-            <div className="form-group">
-              <label htmlFor="goalAmount">目标金额 (ETH) *</label>
-              <input
-                type="number"
-                id="goalAmount"
-                name="goalAmount"
-                value={formData.goalAmount}
-                onChange={handleChange}
-                placeholder="0.0"
-                step="0.01"
-                min="0.01"
-                required
-              />
-            </div>
-            
-            <div className="form-group">
-              <label htmlFor="deadlineDays">众筹期限 (天) *</label>
-              <input
-                type="number"
-                id="deadlineDays"
-                name="deadlineDays"
-                value={formData.deadlineDays}
-                onChange={handleChange}
-                placeholder="天数"
-                min="1"
-                max="365"
-                required
-              />
-            </div>
-          </div>
-          
-          <div className="form-tips">
-            <h4>创建提示</h4>
-            <ul>
-              <li>确保您的项目描述清晰准确</li>
-              <li>设置合理的目标金额和时间期限</li>
-              <li>一旦创建，部分信息将无法修改</li>
-              <li>您将成为该众筹活动的管理员</li>
-            </ul>
-          </div>
-          
-          <button 
-            type="submit" 
-            className="submit-btn"
-            disabled={loading}
-          >
-            {loading ? '创建中...' : '创建众筹活动'}
-          </button>
-        </form>
-      )}
+        </div>
+        
+        <div className="form-group">
+          <label htmlFor="images">{t('createCampaign.fields.images')}</label>
+          <textarea
+            id="images"
+            name="images"
+            value={formData.images}
+            onChange={handleChange}
+            placeholder={t('createCampaign.placeholders.images')}
+            rows={3}
+          />
+        </div>
+        
+        <div className="form-group">
+          <label htmlFor="links">{t('createCampaign.fields.links')}</label>
+          <textarea
+            id="links"
+            name="links"
+            value={formData.links}
+            onChange={handleChange}
+            placeholder={t('createCampaign.placeholders.links')}
+            rows={3}
+          />
+        </div>
+        
+        <div className="form-group">
+          <label htmlFor="team">{t('createCampaign.fields.team')}</label>
+          <textarea
+            id="team"
+            name="team"
+            value={formData.team}
+            onChange={handleChange}
+            placeholder={t('createCampaign.placeholders.team')}
+            rows={3}
+          />
+        </div>
+        
+        <div className="form-group">
+          <label htmlFor="budget">{t('createCampaign.fields.budget')}</label>
+          <textarea
+            id="budget"
+            name="budget"
+            value={formData.budget}
+            onChange={handleChange}
+            placeholder={t('createCampaign.placeholders.budget')}
+            rows={3}
+          />
+        </div>
+        
+        <div className="form-tips">
+          <h4>{t('createCampaign.tips.title')}</h4>
+          <ul>
+            <li>{t('createCampaign.tips.description')}</li>
+            <li>{t('createCampaign.tips.metadata')}</li>
+            <li>{t('createCampaign.tips.goal')}</li>
+            <li>{t('createCampaign.tips.immutable')}</li>
+            <li>{t('createCampaign.tips.release')}</li>
+          </ul>
+        </div>
+        
+        <button 
+          type="submit" 
+          className="submit-btn"
+          disabled={loading || !canSubmit}
+        >
+          {loading ? t('createCampaign.submitting') : t('createCampaign.submit')}
+        </button>
+        {!canSubmit && (
+          <p className="permission-reason">{t(createPermission.message)}</p>
+        )}
+        {canSubmit && !isConnected && (
+          <p className="connect-note">{t('createCampaign.connectOnSubmit')}</p>
+        )}
+      </form>
       
       {/* 消息提示 */}
       {error && (
-        <div className="message error-message">{error}</div>
+        <div className="message error-message">{t(describeError(error))}</div>
       )}
       {successMessage && (
-        <div className="message success-message">{successMessage}</div>
+        <div className="message success-message">{t(successMessage)}</div>
       )}
     </div>
   );
@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../utils/Web3Context';
+import { useCrowdfund } from '../hooks/useCrowdfund';
+import { useCreatorDashboard } from '../hooks/useCreatorDashboard';
+import { usePermissions } from '../hooks/usePermissions';
+import { useI18n } from '../hooks/useI18n';
+import { useTransactionPreview } from '../hooks/useTransactionPreview';
+import { describeError } from '../utils/contractErrors';
+import { CROWDFUND_STATUS_LABELS } from '../utils/campaigns';
+import { sameAddress } from '../utils/addresses';
+import { ACTIONS, DENIAL_REASONS, isActionVisible } from '../utils/permissions';
+import { ROUTES, campaignPath } from '../config/routes';
+import { createMessage } from '../utils/i18n';
+import { ETH_DECIMALS, formatUnits } from '../utils/amounts';
+import Link from './Link';
+import '../styles/CreatorDashboard.css';
+
+const formatAddress = (addr) => `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+
+/**
+ * 生命周期事件的说明（消息描述）
+ * @param formatEth 按当前语言格式化ETH金额
+ */
+const describeTimelineEvent = (event, creator, formatEth) => {
+  switch (event.eventName) {
+    case 'CrowdfundCreated':
+      return createMessage('creator.timeline.created');
+    case 'CrowdfundSuccessful':
+      return createMessage('creator.timeline.successful', { amount: formatEth(event.totalAmount) });
+    case 'CrowdfundFailed':
+      return createMessage('creator.timeline.failed');
+    case 'FundsReleased':
+      return sameAddress(event.recipient, creator)
+        ? createMessage('creator.timeline.releasedToYou', { amount: formatEth(event.amount) })
+        : createMessage('creator.timeline.released', {
+          recipient: formatAddress(event.recipient),
+          amount: formatEth(event.amount)
+        });
+    default:
+      return event.eventName;
+  }
+};
+
+// 创建者面板：当前账户创建的众筹、筹款进度、状态变化和收到的款项
+const CreatorDashboard = () => {
+  const { isConnected } = useWeb3();
+  const { t, formatDate, formatAmount } = useI18n();
+  const { entries, totals, loading, error: loadError, refresh } = useCreatorDashboard();
+  const { can } = usePermissions(entries.map(entry => entry.campaign.id));
+  const { finalizeCrowdfund, releaseFunds, error, successMessage } = useCrowdfund();
+  const { confirmTransaction } = useTransactionPreview();
+  // 正在处理操作的众筹ID
+  const [pendingId, setPendingId] = useState(null);
+
+  const formatEth = (value) => formatAmount(formatUnits(value, ETH_DECIMALS), 'ETH');
+
+  // 结算或释放资金，确认交易预览后发送
+  const runAction = async (campaignId, action) => {
+    setPendingId(campaignId);
+    await action(campaignId, confirmTransaction);
+    setPendingId(null);
+  };
+
+  if (!isConnected) {
+    return <div className="creator-empty">{t('creator.connectPrompt')}</div>;
+  }
+
+  if (loading && entries.length === 0) {
+    return <div className="creator-empty">{t('common.loading')}</div>;
+  }
+
+  if (loadError) {
+    return <div className="creator-error">{t(describeError(loadError))}</div>;
+  }
+
+  return (
+    <div className="creator-dashboard">
+      <div className="creator-summary">
+        <div className="summary-item">
+          <span className="summary-label">{t('creator.summary.campaigns')}</span>
+          <span className="summary-value">{entries.length}</span>
+        </div>
+        <div className="summary-item">
+          <span className="summary-label">{t('creator.summary.raised')}</span>
+          <span className="summary-value">{formatEth(totals.raised)}</span>
+        </div>
+        <div className="summary-item">
+          <span className="summary-label">{t('creator.summary.backers')}</span>
+          <span className="summary-value">{totals.backers}</span>
+        </div>
+        <div className="summary-item">
+          <span className="summary-label">{t('creator.summary.payouts')}</span>
+          <span className="summary-value">{formatEth(totals.payouts)}</span>
+        </div>
+      </div>
+
+      <div className="creator-toolbar">
+        <h2>{t('creator.title')}</h2>
+        <button className="creator-refresh-btn" onClick={refresh} disabled={loading}>
+          {loading ? t('common.refreshing') : t('common.refresh')}
+        </button>
+      </div>
+
+      {entries.length === 0 ? (
+        <div className="creator-empty">
+          {t('creator.empty')}<Link to={ROUTES.CREATE}>{t('creator.createNow')}</Link>
+        </div>
+      ) : (
+        <div className="creator-campaigns">
+          {entries.map(({ campaign, backerCount, timeline, payout }) => {
+            // 创建者面板不涉及投资者操作，只检查结算和释放资金
+            const finalize = can(ACTIONS.FINALIZE, campaign.id);
+            const release = can(ACTIONS.RELEASE_FUNDS, campaign.id);
+            const busy = pendingId !== null;
+            return (
+              <div key={campaign.id} className="creator-card">
+                <div className="creator-card-header">
+                  <Link to={campaignPath(campaign.id)} className="creator-title">
+                    #{campaign.id} {campaign.title}
+                  </Link>
+                  <span className={`creator-status status-${campaign.status}`}>
+                    {t(CROWDFUND_STATUS_LABELS[campaign.status])}
+                    {campaign.fundsReleased && ` · ${t('campaign.fundsReleased')}`}
+                  </span>
+                </div>
+
+                <div className="creator-progress">
+                  <div className="progress-bar">
+                    <div className="progress-fill" style={{ width: `${campaign.completionPercentage}%` }}></div>
+                  </div>
+                  <span>
+                    {t('creator.progress', {
+                      raised: formatAmount(campaign.currentAmount),
+                      goal: formatAmount(campaign.goalAmount, 'ETH'),
+                      percentage: campaign.completionPercentage
+                    })}
+                  </span>
+                </div>
+
+                <div className="creator-stats">
+                  <span>{t('creator.stats.backers', { count: backerCount ?? '-' })}</span>
+                  <span>{t('creator.stats.deadline', { deadline: formatDate(Number(campaign.deadline)) })}</span>
+                  <span>{t('creator.stats.payout', { amount: formatEth(payout) })}</span>
+                </div>
+
+                {timeline && (
+                  <ol className="creator-timeline">
+                    {timeline.map(event => (
+                      <li key={`${event.transactionHash}:${event.logIndex}`}>
+                        <span className="timeline-time">{formatDate(event.timestamp)}</span>
+                        <span>{t(describeTimelineEvent(event, campaign.creator, formatEth))}</span>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+
+                <div className="creator-actions">
+                  {/* 未到截止时间或平台暂停时显示禁用的按钮和原因 */}
+                  {isActionVisible(finalize) && (
+                    <button
+                      className="creator-btn"
+                      onClick={() => runAction(campaign.id, finalizeCrowdfund)}
+                      disabled={busy || !finalize.allowed}
+                      title={finalize.message ? t(finalize.message) : undefined}
+                    >
+                      {pendingId === campaign.id ? t('common.processing') : t('campaignDetail.finalize')}
+                    </button>
+                  )}
+                  {!finalize.allowed && isActionVisible(finalize) && (
+                    <span className="creator-note">{t(finalize.message)}</span>
+                  )}
+                  {/* releaseFunds 为 onlyOwner，创建者不是平台管理员时只能等待 */}
+                  {release.allowed && (
+                    <button
+                      className="creator-btn"
+                      onClick={() => runAction(campaign.id, releaseFunds)}
+                      disabled={busy}
+                    >
+                      {pendingId === campaign.id ? t('common.processing') : t('campaignDetail.releaseFunds')}
+                    </button>
+                  )}
+                  {release.reason === DENIAL_REASONS.NOT_OWNER && (
+                    <span className="creator-note">{t('campaignDetail.awaitingRelease')}</span>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* 消息提示 */}
+      {error && (
+        <div className="message error-message">{t(describeError(error))}</div>
+      )}
+      {successMessage && (
+        <div className="message success-message">{t(successMessage)}</div>
+      )}
+    </div>
+  );
+};
+
+export default CreatorDashboard;
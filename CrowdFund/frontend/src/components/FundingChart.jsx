@@ -0,0 +1,84 @@
+import React from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { toApproximateNumber } from '../utils/amounts';
+import '../styles/FundingChart.css';
+
+// 图表尺寸（SVG坐标）
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 20, right: 20, bottom: 30, left: 24 };
+
+/**
+ * 资金曲线：已筹金额随时间的变化与目标金额对比
+ * @param series [{ time, amount }]，见 utils/investmentHistory.js 中的 buildFundingSeries
+ * @param createdAt 众筹创建时间（秒）
+ * @param deadline 截止时间（秒）
+ * @param goalAmount 目标金额（wei）
+ * @param currentAmount 当前已筹金额（wei）
+ * @param now 当前链上时间（秒）
+ */
+const FundingChart = ({ series, createdAt, deadline, goalAmount, currentAmount, now }) => {
+  const { locale, t, formatDate, formatNumber } = useI18n();
+  const formatDay = (timestamp) => new Date(timestamp * 1000).toLocaleDateString(locale);
+  // 坐标轴上的金额，去掉多余的小数位
+  const formatAxisAmount = (amount) => `${formatNumber(amount, { maximumFractionDigits: 4 })} ETH`;
+  // 图表坐标只需要近似值
+  const goal = toApproximateNumber(goalAmount);
+  const current = toApproximateNumber(currentAmount);
+  const lastTime = series.length > 0 ? series[series.length - 1].time : createdAt;
+  const startTime = Math.min(createdAt, series.length > 0 ? series[0].time : createdAt);
+  const endTime = Math.max(deadline, lastTime);
+  // 曲线画到当前时间（不超过截止时间），之后不会再有投资
+  const lineEnd = Math.max(lastTime, Math.min(now, endTime));
+  const maxAmount = Math.max(goal, current) * 1.1 || 1;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (time) => PADDING.left + ((time - startTime) / Math.max(endTime - startTime, 1)) * plotWidth;
+  const y = (amount) => PADDING.top + plotHeight - (amount / maxAmount) * plotHeight;
+
+  // 阶梯折线：每次投资后金额保持不变，直到下一次投资
+  let path = `M ${x(startTime)} ${y(0)}`;
+  let previous = 0;
+  series.forEach((point) => {
+    path += ` L ${x(point.time)} ${y(previous)} L ${x(point.time)} ${y(point.amount)}`;
+    previous = point.amount;
+  });
+  path += ` L ${x(lineEnd)} ${y(previous)}`;
+
+  return (
+    <div className="funding-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={t('activity.chart')}>
+        {/* 坐标轴 */}
+        <line className="chart-axis" x1={PADDING.left} y1={y(0)} x2={WIDTH - PADDING.right} y2={y(0)} />
+        <line className="chart-axis" x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={y(0)} />
+        <text className="chart-label" x={PADDING.left - 6} y={y(0)} textAnchor="end" dominantBaseline="middle">0</text>
+        <text className="chart-label" x={PADDING.left} y={HEIGHT - 8} textAnchor="start">{formatDay(startTime)}</text>
+        <text className="chart-label" x={WIDTH - PADDING.right} y={HEIGHT - 8} textAnchor="end">{formatDay(endTime)}</text>
+
+        {/* 目标金额 */}
+        <line className="chart-goal" x1={PADDING.left} y1={y(goal)} x2={WIDTH - PADDING.right} y2={y(goal)} />
+        <text className="chart-goal-label" x={WIDTH - PADDING.right} y={y(goal) - 6} textAnchor="end">
+          {t('activity.goalLine', { amount: formatAxisAmount(goal) })}
+        </text>
+
+        {/* 截止时间 */}
+        <line className="chart-deadline" x1={x(deadline)} y1={PADDING.top} x2={x(deadline)} y2={y(0)} />
+
+        <path className="chart-line" d={path} />
+        {series.map((point, index) => (
+          <circle key={index} className="chart-point" cx={x(point.time)} cy={y(point.amount)} r="3">
+            <title>{`${formatDate(point.time)}: ${formatAxisAmount(point.amount)}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="chart-legend">
+        <span className="legend-item legend-line">{t('activity.raisedAmount')}</span>
+        <span className="legend-item legend-goal">{t('activity.goalAmount')}</span>
+        <span className="legend-item legend-deadline">{t('campaign.deadline')}</span>
+      </div>
+    </div>
+  );
+};
+
+export default FundingChart;
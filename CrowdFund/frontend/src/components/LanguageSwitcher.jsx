@@ -0,0 +1,23 @@
+import React from 'react';
+import { useI18n } from '../hooks/useI18n';
+import '../styles/LanguageSwitcher.css';
+
+// 语言切换，选择结果按用户保存（见 utils/i18n.js）
+const LanguageSwitcher = () => {
+  const { locale, locales, setLocale, t } = useI18n();
+
+  return (
+    <select
+      className="language-switcher"
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      aria-label={t('common.language')}
+    >
+      {locales.map(({ code, label }) => (
+        <option key={code} value={code}>{label}</option>
+      ))}
+    </select>
+  );
+};
+
+export default LanguageSwitcher;
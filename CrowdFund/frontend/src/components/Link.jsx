@@ -0,0 +1,31 @@
+import React from 'react';
+import { useRouter } from '../hooks/useRouter';
+
+// 应用内链接：普通左键点击时在当前页面内跳转，Ctrl/⌘点击、中键等仍交给浏览器在新标签页打开
+const Link = ({ to, replace = false, onClick, children, ...props }) => {
+  const { navigate } = useRouter();
+
+  const handleClick = (event) => {
+    if (onClick) {
+      onClick(event);
+    }
+    if (
+      event.defaultPrevented ||
+      event.button !== 0 ||
+      event.metaKey || event.ctrlKey || event.shiftKey || event.altKey ||
+      props.target === '_blank'
+    ) {
+      return;
+    }
+    event.preventDefault();
+    navigate(to, { replace });
+  };
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  );
+};
+
+export default Link;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { useWeb3 } from '../utils/Web3Context';
+import { getChainName } from '../config/chains';
+import { useI18n } from '../hooks/useI18n';
+import '../styles/NetworkStatus.css';
+
+const NetworkStatus = () => {
+  const { isConnected, chainId, isSupportedNetwork, supportedChains, switchNetwork } = useWeb3();
+  const { t } = useI18n();
+
+  // 未连接钱包或当前网络已有部署时不显示
+  if (!isConnected || isSupportedNetwork) {
+    return null;
+  }
+
+  return (
+    <div className="network-status">
+      <h3>{t('network.unsupported')}</h3>
+      <p>
+        {t('network.noDeployment', { network: getChainName(chainId) })}
+      </p>
+      {supportedChains.length === 0 ? (
+        <p className="network-empty">{t('network.noSupportedChains')}</p>
+      ) : (
+        <ul className="network-list">
+          {supportedChains.map((chain) => (
+            <li key={chain.chainId}>
+              <span className="network-name">{t(chain.name)}</span>
+              <span className="network-id">Chain ID: {chain.chainId}</span>
+              <button
+                className="switch-network-btn"
+                onClick={() => switchNetwork(chain.chainId)}
+              >
+                {t('network.switch')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default NetworkStatus;
@@ -0,0 +1,23 @@
+import React from 'react';
+import Link from './Link';
+import { ROUTES } from '../config/routes';
+import { useI18n } from '../hooks/useI18n';
+import '../styles/NotFound.css';
+
+// 页面不存在：未知路径、不存在或超出范围的众筹ID；title、message 为消息键或消息描述
+const NotFound = ({ title = 'notFound.title', message = 'notFound.message' }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="not-found">
+      <div className="not-found-code">404</div>
+      <h2>{t(title)}</h2>
+      <p>{t(message)}</p>
+      <Link className="not-found-link" to={ROUTES.CAMPAIGNS}>
+        {t('notFound.back')}
+      </Link>
+    </div>
+  );
+};
+
+export default NotFound;
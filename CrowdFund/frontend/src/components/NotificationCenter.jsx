@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from 'react';
+import { useNotifications } from '../hooks/useNotifications';
+import { useWeb3 } from '../utils/Web3Context';
+import { useI18n } from '../hooks/useI18n';
+import { campaignPath } from '../config/routes';
+import Link from './Link';
+import '../styles/NotificationCenter.css';
+
+// 浮动提示显示的时长（毫秒）
+const TOAST_DURATION = 8000;
+
+// 浏览器通知授权状态的说明，值为语言包中的键
+const PERMISSION_LABELS = {
+  granted: 'notifications.browser.granted',
+  denied: 'notifications.browser.denied',
+  unsupported: 'notifications.browser.unsupported'
+};
+
+// 头部的提醒按钮：提醒列表、关注的众筹和浏览器通知开关，新提醒同时显示为浮动提示
+const NotificationCenter = () => {
+  const { isConnected } = useWeb3();
+  const {
+    notifications,
+    unreadCount,
+    latest,
+    describeNotification,
+    markAllRead,
+    clearNotifications,
+    dismissLatest,
+    watchedIds,
+    browserPermission,
+    enableBrowserNotifications
+  } = useNotifications();
+  const { t, formatDate } = useI18n();
+  const [expanded, setExpanded] = useState(false);
+
+  useEffect(() => {
+    if (!latest) return;
+    const timer = setTimeout(dismissLatest, TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [latest, dismissLatest]);
+
+  if (!isConnected) {
+    return null;
+  }
+
+  // 打开列表即视为已读
+  const toggle = () => {
+    if (!expanded && unreadCount > 0) {
+      markAllRead();
+    }
+    setExpanded(!expanded);
+  };
+
+  return (
+    <div className="notification-center">
+      <button
+        className={`notification-toggle-btn ${unreadCount > 0 ? 'has-unread' : ''}`}
+        onClick={toggle}
+      >
+        {unreadCount > 0
+          ? t('notifications.toggleUnread', { count: unreadCount })
+          : t('notifications.toggle')}
+      </button>
+
+      {expanded && (
+        <div className="notification-panel">
+          <div className="notification-panel-header">
+            <h3>{t('notifications.title')}</h3>
+            {notifications.length > 0 && (
+              <button className="notification-clear-btn" onClick={clearNotifications}>
+                {t('notifications.clear')}
+              </button>
+            )}
+          </div>
+
+          <div className="notification-browser">
+            {browserPermission === 'default' ? (
+              <button className="notification-enable-btn" onClick={enableBrowserNotifications}>
+                {t('notifications.browser.enable')}
+              </button>
+            ) : (
+              <span>{t(PERMISSION_LABELS[browserPermission])}</span>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="notification-empty">
+              {watchedIds.length === 0 ? t('notifications.emptyWatchlist') : t('notifications.empty')}
+            </p>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map(record => (
+                <li key={record.id} className={`notification-item notification-${record.type}`}>
+                  <Link to={campaignPath(record.campaignId)} onClick={() => setExpanded(false)}>
+                    {describeNotification(record)}
+                  </Link>
+                  <span className="notification-time">{formatDate(record.createdAt / 1000)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="notification-watching">
+            {t('notifications.watching', { count: watchedIds.length })}
+          </div>
+        </div>
+      )}
+
+      {latest && !expanded && (
+        <div className={`notification-toast notification-${latest.type}`} role="status">
+          <Link to={campaignPath(latest.campaignId)} onClick={dismissLatest}>
+            {describeNotification(latest)}
+          </Link>
+          <button className="notification-toast-close" onClick={dismissLatest} aria-label={t('notifications.dismiss')}>
+            ×
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCenter;
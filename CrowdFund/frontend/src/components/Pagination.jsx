@@ -0,0 +1,34 @@
+import React from 'react';
+import { useI18n } from '../hooks/useI18n';
+import '../styles/Pagination.css';
+
+// 分页控件，只有一页时不显示
+const Pagination = ({ page, pageCount, onChange }) => {
+  const { t } = useI18n();
+
+  if (pageCount <= 1) {
+    return null;
+  }
+
+  return (
+    <div className="pagination">
+      <button
+        className="pagination-btn"
+        onClick={() => onChange(page - 1)}
+        disabled={page <= 1}
+      >
+        {t('pagination.previous')}
+      </button>
+      <span className="pagination-info">{t('pagination.info', { page, pageCount })}</span>
+      <button
+        className="pagination-btn"
+        onClick={() => onChange(page + 1)}
+        disabled={page >= pageCount}
+      >
+        {t('pagination.next')}
+      </button>
+    </div>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../utils/Web3Context';
+import { useCrowdfund } from '../hooks/useCrowdfund';
+import { usePortfolio } from '../hooks/usePortfolio';
+import { useI18n } from '../hooks/useI18n';
+import { useTransactionPreview } from '../hooks/useTransactionPreview';
+import { describeError } from '../utils/contractErrors';
+import { CROWDFUND_STATUS_LABELS } from '../utils/campaigns';
+import { campaignPath } from '../config/routes';
+import { ETH_DECIMALS, MYB_DECIMALS, formatUnits } from '../utils/amounts';
+import Link from './Link';
+import '../styles/Portfolio.css';
+
+// 投资组合：当前账户投资过的全部众筹、代币领取和退款情况
+const Portfolio = () => {
+  const { isConnected } = useWeb3();
+  const { t, formatAmount } = useI18n();
+  const { positions, totals, loading, error: loadError, refresh } = usePortfolio();
+  const { claimTokens, claimRefund, error, successMessage } = useCrowdfund();
+  const { confirmTransaction } = useTransactionPreview();
+  // 正在处理操作的众筹ID
+  const [pendingId, setPendingId] = useState(null);
+
+  const formatEth = (value) => formatAmount(formatUnits(value, ETH_DECIMALS), 'ETH');
+  const formatMyb = (value) => formatAmount(formatUnits(value, MYB_DECIMALS), 'MYB');
+
+  // 领取代币或申请退款，确认交易预览后发送，交易确认后由合约事件刷新持仓
+  const runAction = async (campaignId, action) => {
+    setPendingId(campaignId);
+    await action(campaignId, confirmTransaction);
+    setPendingId(null);
+  };
+
+  if (!isConnected) {
+    return <div className="portfolio-empty">{t('portfolio.connectPrompt')}</div>;
+  }
+
+  if (loading && positions.length === 0) {
+    return <div className="portfolio-empty">{t('common.loading')}</div>;
+  }
+
+  if (loadError) {
+    return <div className="portfolio-error">{t(describeError(loadError))}</div>;
+  }
+
+  return (
+    <div className="portfolio">
+      <div className="portfolio-summary">
+        <div className="summary-item">
+          <span className="summary-label">{t('portfolio.invested')}</span>
+          <span className="summary-value">{formatEth(totals.invested)}</span>
+        </div>
+        <div className="summary-item">
+          <span className="summary-label">{t('portfolio.allocated')}</span>
+          <span className="summary-value">{formatMyb(totals.allocated)}</span>
+        </div>
+        <div className="summary-item">
+          <span className="summary-label">{t('portfolio.claimed')}</span>
+          <span className="summary-value">{formatMyb(totals.claimed)}</span>
+        </div>
+        <div className="summary-item">
+          <span className="summary-label">{t('portfolio.unclaimed')}</span>
+          <span className="summary-value">{formatMyb(totals.unclaimed)}</span>
+        </div>
+        <div className="summary-item">
+          <span className="summary-label">{t('portfolio.refundable')}</span>
+          <span className="summary-value">{formatEth(totals.refundable)}</span>
+        </div>
+      </div>
+
+      <div className="portfolio-toolbar">
+        <h2>{t('portfolio.title')}</h2>
+        <button className="portfolio-refresh-btn" onClick={refresh} disabled={loading}>
+          {loading ? t('common.refreshing') : t('common.refresh')}
+        </button>
+      </div>
+
+      {positions.length === 0 ? (
+        <div className="portfolio-empty">{t('portfolio.empty')}</div>
+      ) : (
+        <div className="portfolio-table-wrapper">
+          <table className="portfolio-table">
+            <thead>
+              <tr>
+                <th>{t('portfolio.columns.campaign')}</th>
+                <th>{t('portfolio.columns.status')}</th>
+                <th>{t('portfolio.columns.invested')}</th>
+                <th>{t('portfolio.allocated')}</th>
+                <th>{t('portfolio.claimed')}</th>
+                <th>{t('portfolio.unclaimed')}</th>
+                <th>{t('portfolio.columns.actions')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {positions.map(({ campaign, actions, invested, allocated, claimed, unclaimed, refunded, refundable }) => (
+                <tr key={campaign.id}>
+                  <td>
+                    <Link to={campaignPath(campaign.id)} className="portfolio-campaign">
+                      #{campaign.id} {campaign.title}
+                    </Link>
+                  </td>
+                  <td>
+                    <span className={`portfolio-status status-${campaign.status}`}>
+                      {t(CROWDFUND_STATUS_LABELS[campaign.status])}
+                    </span>
+                  </td>
+                  <td>
+                    {formatEth(invested)}
+                    {refunded > 0n && <div className="portfolio-note">{t('portfolio.refunded', { amount: formatEth(refunded) })}</div>}
+                  </td>
+                  <td>{formatMyb(allocated)}</td>
+                  <td>{formatMyb(claimed)}</td>
+                  <td>{formatMyb(unclaimed)}</td>
+                  <td>
+                    <div className="portfolio-actions">
+                      {actions.canClaimTokens && (
+                        <button
+                          className="portfolio-btn claim"
+                          onClick={() => runAction(campaign.id, claimTokens)}
+                          disabled={pendingId !== null}
+                        >
+                          {pendingId === campaign.id ? t('common.processing') : t('portfolio.claimTokens')}
+                        </button>
+                      )}
+                      {actions.canClaimRefund && (
+                        <button
+                          className="portfolio-btn refund"
+                          onClick={() => runAction(campaign.id, claimRefund)}
+                          disabled={pendingId !== null}
+                        >
+                          {pendingId === campaign.id
+                            ? t('common.processing')
+                            : t('portfolio.refund', { amount: formatEth(refundable) })}
+                        </button>
+                      )}
+                      {actions.awaitingRelease && (
+                        <span className="portfolio-note">{t('portfolio.awaitingRelease')}</span>
+                      )}
+                      {actions.tokensClaimed && (
+                        <span className="portfolio-note">{t('portfolio.tokensClaimed')}</span>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* 消息提示 */}
+      {error && (
+        <div className="message error-message">{t(describeError(error))}</div>
+      )}
+      {successMessage && (
+        <div className="message success-message">{t(successMessage)}</div>
+      )}
+    </div>
+  );
+};
+
+export default Portfolio;
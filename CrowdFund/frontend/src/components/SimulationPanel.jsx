@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../utils/Web3Context';
+import { useI18n } from '../hooks/useI18n';
+import { formatEth } from '../utils/amounts';
+import '../styles/SimulationPanel.css';
+
+// 快进时间的预设选项（秒），label 为语言包中的键
+const TIME_PRESETS = [
+  { label: 'simulation.presets.hour', seconds: 60 * 60 },
+  { label: 'simulation.presets.day', seconds: 24 * 60 * 60 },
+  { label: 'simulation.presets.week', seconds: 7 * 24 * 60 * 60 },
+  { label: 'simulation.presets.month', seconds: 30 * 24 * 60 * 60 }
+];
+
+// 格式化地址显示（只显示前6位和后4位）
+const formatAddress = (addr) => `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+
+const SimulationPanel = () => {
+  const {
+    simulationEnabled,
+    simulatedChain,
+    setSimulationEnabled,
+    selectSimulatedAccount,
+    resetSimulatedChain
+  } = useWeb3();
+  const { t, formatDate, formatDuration, formatAmount } = useI18n();
+  const [expanded, setExpanded] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [customDays, setCustomDays] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  // 模拟链出块或切换账户时刷新显示
+  useEffect(() => {
+    if (!simulatedChain) {
+      setStatus(null);
+      return;
+    }
+    const refresh = () => setStatus(simulatedChain.getStatus());
+    refresh();
+    simulatedChain.on('block', refresh);
+    simulatedChain.on('accountsChanged', refresh);
+    return () => {
+      simulatedChain.removeListener('block', refresh);
+      simulatedChain.removeListener('accountsChanged', refresh);
+    };
+  }, [simulatedChain]);
+
+  const runAction = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      console.error('模拟链操作失败:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleToggle = () => {
+    runAction(() => setSimulationEnabled(!simulationEnabled));
+  };
+
+  const handleIncreaseTime = (seconds) => {
+    runAction(() => simulatedChain.increaseTime(seconds));
+  };
+
+  const handleCustomIncrease = () => {
+    const days = parseFloat(customDays);
+    if (isNaN(days) || days <= 0) {
+      alert(t('simulation.invalidDays'));
+      return;
+    }
+    handleIncreaseTime(Math.round(days * 24 * 60 * 60));
+    setCustomDays('');
+  };
+
+  const handleReset = () => {
+    if (!window.confirm(t('simulation.confirmReset'))) return;
+    runAction(resetSimulatedChain);
+  };
+
+  return (
+    <div className="simulation-panel">
+      <button
+        className={`sim-toggle-btn ${simulationEnabled ? 'active' : ''}`}
+        onClick={() => setExpanded(!expanded)}
+      >
+        {simulationEnabled ? t('simulation.toggleOn') : t('simulation.toggle')}
+      </button>
+
+      {expanded && (
+        <div className="sim-panel">
+          <div className="sim-panel-header">
+            <h3>{t('simulation.title')}</h3>
+            <label className="sim-switch">
+              <input
+                type="checkbox"
+                checked={simulationEnabled}
+                onChange={handleToggle}
+                disabled={busy}
+              />
+              <span>{simulationEnabled ? t('simulation.enabled') : t('simulation.disabled')}</span>
+            </label>
+          </div>
+
+          <p className="sim-hint">
+            {t('simulation.hint')}
+          </p>
+
+          {status && (
+            <>
+              <div className="sim-section">
+                <div className="sim-detail">
+                  <span>{t('simulation.latestBlock')}</span>
+                  <span>#{status.blockNumber}</span>
+                </div>
+                <div className="sim-detail">
+                  <span>{t('simulation.blockTime')}</span>
+                  <span>{formatDate(status.timestamp)}</span>
+                </div>
+                {status.timeOffset > 0 && (
+                  <div className="sim-detail">
+                    <span>{t('simulation.timeOffset')}</span>
+                    <span>{formatDuration(status.timeOffset)}</span>
+                  </div>
+                )}
+              </div>
+
+              <div className="sim-section">
+                <h4>{t('simulation.increaseTime')}</h4>
+                <div className="sim-time-presets">
+                  {TIME_PRESETS.map((preset) => (
+                    <button
+                      key={preset.seconds}
+                      className="sim-btn"
+                      onClick={() => handleIncreaseTime(preset.seconds)}
+                      disabled={busy}
+                    >
+                      {t(preset.label)}
+                    </button>
+                  ))}
+                </div>
+                <div className="sim-custom-time">
+                  <input
+                    type="number"
+                    value={customDays}
+                    onChange={(e) => setCustomDays(e.target.value)}
+                    placeholder={t('simulation.days')}
+                    min="0"
+                    step="0.5"
+                  />
+                  <button className="sim-btn" onClick={handleCustomIncrease} disabled={busy}>
+                    {t('simulation.increase')}
+                  </button>
+                </div>
+              </div>
+
+              <div className="sim-section">
+                <h4>{t('simulation.accounts')}</h4>
+                <ul className="sim-accounts">
+                  {status.accounts.map((item, index) => (
+                    <li
+                      key={item.address}
+                      className={item.address === status.account ? 'current' : ''}
+                    >
+                      <button
+                        className="sim-account-btn"
+                        onClick={() => runAction(() => selectSimulatedAccount(item.address))}
+                        disabled={busy || item.address === status.account}
+                        title={item.address}
+                      >
+                        <span className="sim-account-name">
+                          {index === 0 ? t('simulation.owner') : t('simulation.account', { index })}
+                        </span>
+                        <span className="sim-account-address">{formatAddress(item.address)}</span>
+                        <span className="sim-account-balance">
+                          {formatAmount(formatEth(item.balance, { maxFractionDigits: 4 }), 'ETH')}
+                        </span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              <button className="sim-reset-btn" onClick={handleReset} disabled={busy}>
+                {t('simulation.reset')}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SimulationPanel;
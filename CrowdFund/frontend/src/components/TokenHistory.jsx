@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../utils/Web3Context';
+import { useI18n } from '../hooks/useI18n';
+import { useTokenHistory } from '../hooks/useTokenHistory';
+import { describeError } from '../utils/contractErrors';
+import { TRANSFER_KINDS } from '../utils/tokenHistory';
+import { formatMyb } from '../utils/amounts';
+import { CHAINS } from '../config/chains';
+import { campaignPath } from '../config/routes';
+import Link from './Link';
+import Pagination from './Pagination';
+
+// 每页显示的转账记录数量
+const PAGE_SIZE = 8;
+
+const formatAddress = (addr) => `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+
+// 当前账户的MYB转账记录，只在钱包面板切换到“记录”时挂载，避免在后台扫描事件
+const TokenHistory = () => {
+  const { chainId } = useWeb3();
+  const { t, formatAmount, formatDate } = useI18n();
+  const [page, setPage] = useState(1);
+  const history = useTokenHistory(page, PAGE_SIZE);
+  const explorer = CHAINS[chainId]?.explorer;
+
+  // 有区块浏览器时交易可跳转查看
+  const renderTime = (record) => {
+    if (!explorer) {
+      return formatDate(record.timestamp);
+    }
+    return (
+      <a href={`${explorer}/tx/${record.transactionHash}`} target="_blank" rel="noopener noreferrer">
+        {formatDate(record.timestamp)}
+      </a>
+    );
+  };
+
+  // 领取代币链接到对应众筹，普通转账显示对方地址，铸造和销毁没有对方
+  const renderCounterparty = (record) => {
+    switch (record.kind) {
+      case TRANSFER_KINDS.CLAIM:
+        return (
+          <Link to={campaignPath(record.crowdfundId)}>
+            {t('tokenInfo.history.campaign', { id: record.crowdfundId })}
+          </Link>
+        );
+      case TRANSFER_KINDS.MINT:
+      case TRANSFER_KINDS.BURN:
+      case TRANSFER_KINDS.SELF:
+        return null;
+      default:
+        return (
+          <span className="token-history-address" title={record.counterparty}>
+            {t(record.kind === TRANSFER_KINDS.SENT ? 'tokenInfo.history.to' : 'tokenInfo.history.from', {
+              address: formatAddress(record.counterparty)
+            })}
+          </span>
+        );
+    }
+  };
+
+  // 余额变化带正负号，转给自己显示转账数量
+  const renderAmount = (record) => {
+    if (record.amount === 0n) {
+      return formatAmount(formatMyb(record.value), 'MYB');
+    }
+    const sign = record.amount > 0n ? '+' : '-';
+    const value = record.amount > 0n ? record.amount : -record.amount;
+    return `${sign}${formatAmount(formatMyb(value), 'MYB')}`;
+  };
+
+  if (!history.available) {
+    return <div className="token-history-empty">{t('tokenInfo.history.noDeployBlock')}</div>;
+  }
+  if (history.error) {
+    return <div className="token-message error">{t(describeError(history.error))}</div>;
+  }
+  if (history.total === 0) {
+    return (
+      <div className="token-history-empty">
+        {history.loading ? t('common.loading') : t('tokenInfo.history.empty')}
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <ul className="token-history">
+        {history.transfers.map(record => (
+          <li key={`${record.transactionHash}:${record.logIndex}`}>
+            <div className="token-history-main">
+              <span className={`token-history-kind ${record.kind}`}>
+                {t(`tokenInfo.history.kinds.${record.kind}`)}
+              </span>
+              <span className={`token-history-amount ${record.amount < 0n ? 'out' : 'in'}`}>
+                {renderAmount(record)}
+              </span>
+            </div>
+            <div className="token-history-meta">
+              {renderCounterparty(record)}
+              <span className="token-history-time">{renderTime(record)}</span>
+            </div>
+          </li>
+        ))}
+      </ul>
+      <Pagination
+        page={page}
+        pageCount={Math.ceil(history.total / PAGE_SIZE)}
+        onChange={setPage}
+      />
+    </>
+  );
+};
+
+export default TokenHistory;
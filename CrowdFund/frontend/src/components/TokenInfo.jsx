@@ -1,37 +1,298 @@
-import React, { useEffect } from 'react';
+import React, { useState } from 'react';
 import { useToken } from '../hooks/useToken';
 import { useWeb3 } from '../utils/Web3Context';
+import { useI18n } from '../hooks/useI18n';
+import { describeError } from '../utils/contractErrors';
+import { sameAddress, validateAddress } from '../utils/addresses';
+import { MYB_DECIMALS, formatMyb, validateAmount } from '../utils/amounts';
+import TokenHistory from './TokenHistory';
 import '../styles/TokenInfo.css';
 
-const TokenInfo = () => {
-  const { tokenBalance, exchangeRate, fetchTokenBalance } = useToken();
-  const { isConnected } = useWeb3();
+const EMPTY_TRANSFER = { recipient: '', amount: '' };
 
-  // 定时刷新余额
-  useEffect(() => {
-    if (isConnected) {
-      fetchTokenBalance();
-      const interval = setInterval(fetchTokenBalance, 60000); // 每分钟刷新
-      return () => clearInterval(interval);
-    }
-  }, [isConnected, fetchTokenBalance]);
+/**
+ * 侧边栏的MYB钱包面板：余额和兑换率、转账、授权管理和转账记录
+ */
+const TokenInfo = () => {
+  // useToken在账户变化时读取一次余额，之后由MYB转账事件更新
+  const {
+    tokenBalance,
+    exchangeRate,
+    transferTokens,
+    fetchAllowance,
+    approve,
+    addTokenToWallet,
+    loading,
+    error,
+    successMessage,
+    clearMessages
+  } = useToken();
+  const { isConnected, account } = useWeb3();
+  const { t, formatNumber, formatAmount } = useI18n();
+  const [tab, setTab] = useState('overview');
+  const [transfer, setTransfer] = useState(EMPTY_TRANSFER);
+  const [spenderInput, setSpenderInput] = useState('');
+  const [approveAmount, setApproveAmount] = useState('');
+  // 最近一次查询的授权 { spender, value }
+  const [allowance, setAllowance] = useState(null);
 
   if (!isConnected) {
     return null;
   }
 
-  return (
-    <div className="token-info">
+  // 输入过程中显示校验和格式的地址或错误原因
+  const recipient = transfer.recipient.trim() ? validateAddress(transfer.recipient) : null;
+  const spender = spenderInput.trim() ? validateAddress(spenderInput) : null;
+
+  const switchTab = (next) => {
+    clearMessages();
+    setTab(next);
+  };
+
+  const handleTransferChange = (e) => {
+    const { name, value } = e.target;
+    setTransfer(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+
+    const address = validateAddress(transfer.recipient);
+    if (address.error) {
+      alert(t('tokenInfo.send.invalidRecipient', { reason: address.error }));
+      return;
+    }
+    const amount = validateAmount(transfer.amount, { decimals: MYB_DECIMALS });
+    if (amount.error) {
+      alert(t('tokenInfo.send.invalidAmount', { reason: amount.error }));
+      return;
+    }
+    if (amount.value > tokenBalance) {
+      alert(t('tokenInfo.send.insufficient', { balance: formatAmount(formatMyb(tokenBalance)) }));
+      return;
+    }
+
+    const formatted = formatAmount(formatMyb(amount.value));
+    // 转给自己不会改变余额，只消耗手续费，多半是填错了地址
+    const confirmed = sameAddress(address.value, account)
+      ? window.confirm(t('tokenInfo.send.confirmSelf', { amount: formatted }))
+      : window.confirm(t('tokenInfo.send.confirm', { amount: formatted, recipient: address.value }));
+    if (!confirmed) return;
+
+    if (await transferTokens(address.value, amount.value)) {
+      setTransfer(EMPTY_TRANSFER);
+    }
+  };
+
+  const handleCheckAllowance = async (e) => {
+    e.preventDefault();
+    const address = validateAddress(spenderInput);
+    if (address.error) {
+      alert(t('tokenInfo.allowance.invalidSpender', { reason: address.error }));
+      return;
+    }
+    const value = await fetchAllowance(address.value);
+    setAllowance(value === null ? null : { spender: address.value, value });
+  };
+
+  // 授权或撤销后重新读取额度
+  const submitApproval = async (address, amount) => {
+    if (await approve(address, amount)) {
+      const value = await fetchAllowance(address);
+      setAllowance(value === null ? null : { spender: address, value });
+      setApproveAmount('');
+    }
+  };
+
+  const handleApprove = async (e) => {
+    e.preventDefault();
+    const address = validateAddress(spenderInput);
+    if (address.error) {
+      alert(t('tokenInfo.allowance.invalidSpender', { reason: address.error }));
+      return;
+    }
+    const amount = validateAmount(approveAmount, { decimals: MYB_DECIMALS });
+    if (amount.error) {
+      alert(t('tokenInfo.allowance.invalidAmount', { reason: amount.error }));
+      return;
+    }
+    if (!window.confirm(t('tokenInfo.allowance.confirm', {
+      spender: address.value,
+      amount: formatAmount(formatMyb(amount.value))
+    }))) return;
+
+    await submitApproval(address.value, amount.value);
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm(t('tokenInfo.allowance.confirmRevoke', { spender: allowance.spender }))) return;
+    await submitApproval(allowance.spender, 0n);
+  };
+
+  const renderAddressHint = (result) => {
+    if (!result) return null;
+    if (result.error) {
+      return <div className="token-hint error">{t(result.error)}</div>;
+    }
+    return (
+      <div className="token-hint">
+        {t('tokenInfo.checksummed', { address: result.value })}
+        {sameAddress(result.value, account) && (
+          <span className="token-self-warning">{t('tokenInfo.selfAddress')}</span>
+        )}
+      </div>
+    );
+  };
+
+  const renderOverview = () => (
+    <>
       <div className="token-balance">
-        <span className="balance-label">MYB余额</span>
-        <span className="balance-value">{parseFloat(tokenBalance).toFixed(2)}</span>
+        <span className="balance-label">{t('tokenInfo.balance')}</span>
+        <span className="balance-value">
+          {formatAmount(formatMyb(tokenBalance, { minFractionDigits: 2, maxFractionDigits: 2 }))}
+        </span>
       </div>
       <div className="exchange-rate">
-        <span className="rate-label">兑换率</span>
-        <span className="rate-value">1 ETH = {exchangeRate.toLocaleString()} MYB</span>
+        <span className="rate-label">{t('tokenInfo.exchangeRate')}</span>
+        <span className="rate-value">1 ETH = {formatNumber(exchangeRate)} MYB</span>
+      </div>
+      <button className="token-secondary-btn" onClick={addTokenToWallet}>
+        {t('tokenInfo.addToWallet')}
+      </button>
+    </>
+  );
+
+  const renderSend = () => (
+    <form className="token-form" onSubmit={handleSend}>
+      <label htmlFor="token-recipient">{t('tokenInfo.send.recipient')}</label>
+      <input
+        type="text"
+        id="token-recipient"
+        name="recipient"
+        value={transfer.recipient}
+        onChange={handleTransferChange}
+        placeholder="0x..."
+        spellCheck={false}
+      />
+      {renderAddressHint(recipient)}
+
+      <label htmlFor="token-amount">{t('tokenInfo.send.amount')}</label>
+      <div className="token-amount-row">
+        <input
+          type="text"
+          inputMode="decimal"
+          id="token-amount"
+          name="amount"
+          value={transfer.amount}
+          onChange={handleTransferChange}
+          placeholder="0.0"
+        />
+        <button
+          type="button"
+          className="token-inline-btn"
+          onClick={() => setTransfer(prev => ({ ...prev, amount: formatMyb(tokenBalance) }))}
+        >
+          {t('tokenInfo.send.max')}
+        </button>
+      </div>
+      <div className="token-hint">
+        {t('tokenInfo.send.available', { balance: formatAmount(formatMyb(tokenBalance)) })}
+      </div>
+
+      <button type="submit" className="token-primary-btn" disabled={loading}>
+        {loading ? t('tokenInfo.send.sending') : t('tokenInfo.send.submit')}
+      </button>
+    </form>
+  );
+
+  const renderAllowance = () => (
+    <form className="token-form" onSubmit={handleApprove}>
+      <label htmlFor="token-spender">{t('tokenInfo.allowance.spender')}</label>
+      <div className="token-amount-row">
+        <input
+          type="text"
+          id="token-spender"
+          value={spenderInput}
+          onChange={(e) => {
+            setSpenderInput(e.target.value);
+            setAllowance(null);
+          }}
+          placeholder="0x..."
+          spellCheck={false}
+        />
+        <button type="button" className="token-inline-btn" onClick={handleCheckAllowance}>
+          {t('tokenInfo.allowance.check')}
+        </button>
       </div>
+      {renderAddressHint(spender)}
+
+      {allowance && (
+        <div className="token-allowance">
+          <span>
+            {t('tokenInfo.allowance.current', { amount: formatAmount(formatMyb(allowance.value)) })}
+          </span>
+          {allowance.value > 0n && (
+            <button type="button" className="token-revoke-btn" onClick={handleRevoke} disabled={loading}>
+              {t('tokenInfo.allowance.revoke')}
+            </button>
+          )}
+        </div>
+      )}
+
+      <label htmlFor="token-approve-amount">{t('tokenInfo.allowance.amount')}</label>
+      <input
+        type="text"
+        inputMode="decimal"
+        id="token-approve-amount"
+        value={approveAmount}
+        onChange={(e) => setApproveAmount(e.target.value)}
+        placeholder="0.0"
+      />
+      <div className="token-hint">{t('tokenInfo.allowance.note')}</div>
+
+      <button type="submit" className="token-primary-btn" disabled={loading}>
+        {t('tokenInfo.allowance.submit')}
+      </button>
+    </form>
+  );
+
+  const renderTab = () => {
+    switch (tab) {
+      case 'send':
+        return renderSend();
+      case 'allowance':
+        return renderAllowance();
+      case 'history':
+        return <TokenHistory />;
+      default:
+        return renderOverview();
+    }
+  };
+
+  return (
+    <div className="token-info">
+      <div className="token-tabs">
+        {['overview', 'send', 'allowance', 'history'].map(name => (
+          <button
+            key={name}
+            className={`token-tab ${tab === name ? 'active' : ''}`}
+            onClick={() => switchTab(name)}
+          >
+            {t(`tokenInfo.tabs.${name}`)}
+          </button>
+        ))}
+      </div>
+
+      {renderTab()}
+
+      {error && (
+        <div className="token-message error">{t(describeError(error))}</div>
+      )}
+      {successMessage && (
+        <div className="token-message success">{t(successMessage)}</div>
+      )}
     </div>
   );
 };
 
-export default TokenInfo;
\ No newline at end of file
+export default TokenInfo;
@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../utils/Web3Context';
+import { useTransactions } from '../hooks/useTransactions';
+import { useI18n } from '../hooks/useI18n';
+import { TX_STATUS } from '../utils/transactionStore';
+import { CHAINS } from '../config/chains';
+import { formatEth } from '../utils/amounts';
+import '../styles/TransactionQueue.css';
+
+// 值为语言包中的键
+const STATUS_LABELS = {
+  [TX_STATUS.PENDING]: 'transactions.status.pending',
+  [TX_STATUS.CONFIRMED]: 'transactions.status.confirmed',
+  [TX_STATUS.FAILED]: 'transactions.status.failed',
+  [TX_STATUS.REPLACED]: 'transactions.status.replaced'
+};
+
+const REPLACEMENT_LABELS = {
+  repriced: 'transactions.replacement.repriced',
+  cancelled: 'transactions.replacement.cancelled',
+  replaced: 'transactions.replacement.replaced'
+};
+
+// 格式化交易哈希显示（只显示前10位和后8位）
+const formatHash = (hash) => `${hash.slice(0, 10)}...${hash.slice(-8)}`;
+
+const TransactionQueue = () => {
+  const { isConnected, chainId } = useWeb3();
+  const { transactions, pendingCount, removeTransaction, clearCompleted } = useTransactions();
+  const { t, formatDate, formatAmount } = useI18n();
+  const [expanded, setExpanded] = useState(false);
+
+  if (!isConnected) {
+    return null;
+  }
+
+  const explorer = CHAINS[chainId]?.explorer;
+
+  // 有区块浏览器时显示链接，否则只显示哈希
+  const renderHash = (hash) => {
+    if (!explorer) {
+      return <span className="tx-hash" title={hash}>{formatHash(hash)}</span>;
+    }
+    return (
+      <a
+        className="tx-hash"
+        href={`${explorer}/tx/${hash}`}
+        target="_blank"
+        rel="noopener noreferrer"
+        title={hash}
+      >
+        {formatHash(hash)}
+      </a>
+    );
+  };
+
+  return (
+    <div className="transaction-queue">
+      <button
+        className={`tx-toggle-btn ${pendingCount > 0 ? 'has-pending' : ''}`}
+        onClick={() => setExpanded(!expanded)}
+      >
+        {pendingCount > 0 ? t('transactions.togglePending', { count: pendingCount }) : t('transactions.toggle')}
+      </button>
+
+      {expanded && (
+        <div className="tx-panel">
+          <div className="tx-panel-header">
+            <h3>{t('transactions.title')}</h3>
+            {transactions.length > pendingCount && (
+              <button className="tx-clear-btn" onClick={clearCompleted}>
+                {t('transactions.clearCompleted')}
+              </button>
+            )}
+          </div>
+
+          {transactions.length === 0 ? (
+            <p className="tx-empty">{t('transactions.empty')}</p>
+          ) : (
+            <ul className="tx-list">
+              {transactions.map((tx) => (
+                <li key={tx.hash} className={`tx-item tx-${tx.status}`}>
+                  <div className="tx-item-header">
+                    <span className="tx-label">{t(tx.label)}</span>
+                    <span className={`tx-status tx-status-${tx.status}`}>
+                      {t(STATUS_LABELS[tx.status])}
+                    </span>
+                  </div>
+                  <div className="tx-details">
+                    <div className="tx-detail">
+                      <span>{t('transactions.hash')}</span>
+                      {renderHash(tx.hash)}
+                    </div>
+                    <div className="tx-detail">
+                      <span>{t('transactions.submittedAt')}</span>
+                      <span>{formatDate(tx.submittedAt / 1000)}</span>
+                    </div>
+                    <div className="tx-detail">
+                      <span>Nonce</span>
+                      <span>{tx.nonce}</span>
+                    </div>
+                    {tx.value !== '0' && (
+                      <div className="tx-detail">
+                        <span>{t('transactions.value')}</span>
+                        <span>{formatAmount(formatEth(tx.value), 'ETH')}</span>
+                      </div>
+                    )}
+                    {tx.blockNumber != null && (
+                      <div className="tx-detail">
+                        <span>{t('transactions.block')}</span>
+                        <span>{tx.blockNumber}</span>
+                      </div>
+                    )}
+                    {tx.gasUsed && (
+                      <div className="tx-detail">
+                        <span>{t('transactions.fee')}</span>
+                        <span>{formatAmount(formatEth(BigInt(tx.gasUsed) * BigInt(tx.effectiveGasPrice)), 'ETH')}</span>
+                      </div>
+                    )}
+                    {tx.replacedBy && (
+                      <div className="tx-detail">
+                        <span>{t(REPLACEMENT_LABELS[tx.replacementReason] || 'transactions.replacement.default')}</span>
+                        {renderHash(tx.replacedBy)}
+                      </div>
+                    )}
+                    {tx.error && (
+                      <div className="tx-error">{t(tx.error)}</div>
+                    )}
+                  </div>
+                  {tx.status !== TX_STATUS.PENDING && (
+                    <button
+                      className="tx-remove-btn"
+                      onClick={() => removeTransaction(tx.hash)}
+                    >
+                      {t('transactions.remove')}
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TransactionQueue;
@@ -1,9 +1,27 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useWeb3 } from '../utils/Web3Context';
+import { useI18n } from '../hooks/useI18n';
+import { WALLET_DOWNLOAD_URL } from '../config/wallets';
 import '../styles/WalletConnect.css';
 
 const WalletConnect = () => {
-  const { account, isConnected, connectWallet, disconnectWallet } = useWeb3();
+  const {
+    account,
+    isConnected,
+    wallets,
+    connector,
+    error,
+    simulationEnabled,
+    connectWallet,
+    disconnectWallet,
+    connectionRequested,
+    cancelConnectionRequest
+  } = useWeb3();
+  const { t } = useI18n();
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const [connecting, setConnecting] = useState(false);
+  // 用户点击连接，或未连接时发起交易（等待选择钱包后继续发送）
+  const showPicker = (pickerOpen || connectionRequested) && !isConnected && !connecting;
 
   // 格式化地址显示（只显示前6位和后4位）
   const formatAddress = (addr) => {
@@ -11,30 +29,92 @@ const WalletConnect = () => {
     return `${addr.slice(0, 6)}...${addr.slice(-4)}`;
   };
 
+  // 钱包图标（EIP-6963 钱包提供的data URI），内置连接器没有图标
+  const renderIcon = (item) => (
+    item && item.icon ? <img className="wallet-icon" src={item.icon} alt="" /> : null
+  );
+
+  const handleConnect = async (connectorId) => {
+    setPickerOpen(false);
+    setConnecting(true);
+    await connectWallet(connectorId);
+    setConnecting(false);
+  };
+
+  // 关闭钱包列表，等待连接的交易随之取消
+  const closePicker = () => {
+    setPickerOpen(false);
+    cancelConnectionRequest();
+  };
+
+  // 开启模拟链或只有一个钱包时直接连接，否则显示钱包列表
+  const handleConnectClick = () => {
+    if (showPicker) {
+      closePicker();
+    } else if (simulationEnabled) {
+      handleConnect(null);
+    } else if (wallets.length === 1) {
+      handleConnect(wallets[0].id);
+    } else {
+      setPickerOpen(true);
+    }
+  };
+
   return (
     <div className="wallet-connect">
       {isConnected ? (
         <div className="wallet-info">
-          <span className="wallet-address">
+          <span className="wallet-address" title={connector ? t(connector.name) : undefined}>
+            {renderIcon(connector)}
             {formatAddress(account)}
           </span>
-          <button 
+          <button
             className="disconnect-btn"
             onClick={disconnectWallet}
           >
-            断开连接
+            {t('wallet.disconnect')}
           </button>
         </div>
       ) : (
-        <button 
+        <button
           className="connect-btn"
-          onClick={connectWallet}
+          onClick={handleConnectClick}
+          disabled={connecting}
         >
-          连接钱包
+          {connecting ? t('wallet.connecting') : t('wallet.connect')}
         </button>
       )}
+
+      {/* 钱包选择列表 */}
+      {showPicker && (
+        <div className="wallet-picker">
+          <h4>{connectionRequested ? t('wallet.connectToContinue') : t('wallet.choose')}</h4>
+          {wallets.length === 0 ? (
+            <p className="wallet-picker-empty">
+              {t('wallet.noWallets')}
+              <a href={WALLET_DOWNLOAD_URL} target="_blank" rel="noopener noreferrer">{t('wallet.install')}</a>
+            </p>
+          ) : (
+            <ul className="wallet-options">
+              {wallets.map(item => (
+                <li key={item.id}>
+                  <button className="wallet-option" onClick={() => handleConnect(item.id)}>
+                    {renderIcon(item)}
+                    <span>{t(item.name)}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <button className="wallet-picker-cancel" onClick={closePicker}>{t('wallet.cancel')}</button>
+        </div>
+      )}
+
+      {!isConnected && !showPicker && error && (
+        <div className="wallet-error">{t(error)}</div>
+      )}
     </div>
   );
 };
 
-export default WalletConnect;
\ No newline at end of file
+export default WalletConnect;
@@ -0,0 +1,36 @@
+import React from 'react';
+import { useNotifications } from '../hooks/useNotifications';
+import { useI18n } from '../hooks/useI18n';
+import '../styles/WatchButton.css';
+
+// 关注/取消关注众筹的星标按钮，关注列表按账户保存，未连接钱包时不显示
+const WatchButton = ({ campaignId, className = '' }) => {
+  const { canWatch, isWatched, toggleWatch } = useNotifications();
+  const { t } = useI18n();
+
+  if (!canWatch) {
+    return null;
+  }
+
+  const watched = isWatched(campaignId);
+  const label = watched ? t('watchlist.unwatch') : t('watchlist.watch');
+
+  return (
+    <button
+      type="button"
+      className={`watch-btn ${watched ? 'watched' : ''} ${className}`}
+      title={label}
+      aria-label={label}
+      aria-pressed={watched}
+      onClick={(e) => {
+        // 列表中的卡片整体可点击，星标不触发跳转
+        e.stopPropagation();
+        toggleWatch(campaignId);
+      }}
+    >
+      {watched ? '★' : '☆'}
+    </button>
+  );
+};
+
+export default WatchButton;
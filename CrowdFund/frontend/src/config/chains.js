@@ -0,0 +1,91 @@
+import { SIMULATED_CHAIN_ID } from './simulation';
+import { createMessage } from '../utils/i18n';
+
+// Multicall3在各主流网络上的统一部署地址 (https://www.multicall3.com)
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// 已知网络的元信息（添加到钱包时使用的名称、区块浏览器、原生代币、Multicall3地址），
+// reorgDepth 为可能被重组的最近区块数，本地缓存只保存更早的区块中的事件；
+// 界面中的网络名称见语言包中的 chains
+export const CHAINS = {
+  31337: {
+    name: 'Hardhat Local',
+    explorer: null,
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: ['http://127.0.0.1:8545'],
+    // 本地节点默认没有部署Multicall3，批量读取时退回并发请求
+    multicall3: null,
+    reorgDepth: 0
+  },
+  11155111: {
+    name: 'Sepolia',
+    explorer: 'https://sepolia.etherscan.io',
+    nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: ['https://rpc.sepolia.org'],
+    multicall3: MULTICALL3_ADDRESS,
+    reorgDepth: 12
+  },
+  80001: {
+    name: 'Mumbai',
+    explorer: 'https://mumbai.polygonscan.com',
+    nativeCurrency: { name: 'MATIC', symbol: 'MATIC', decimals: 18 },
+    rpcUrls: ['https://rpc-mumbai.maticvigil.com'],
+    multicall3: MULTICALL3_ADDRESS,
+    // Polygon的重组深度比以太坊大得多
+    reorgDepth: 128
+  },
+  [SIMULATED_CHAIN_ID]: {
+    name: 'Browser Simulation',
+    explorer: null,
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: [],
+    multicall3: null,
+    reorgDepth: 0
+  }
+};
+
+// 将链ID转换为钱包RPC使用的十六进制字符串
+export const toHexChainId = (chainId) => `0x${Number(chainId).toString(16)}`;
+
+// 将钱包返回的链ID（十六进制字符串或数字）统一转换为数字
+export const parseChainId = (chainId) => {
+  if (typeof chainId === 'string') {
+    return chainId.startsWith('0x') ? parseInt(chainId, 16) : parseInt(chainId, 10);
+  }
+  return Number(chainId);
+};
+
+// 获取网络的Multicall3地址，未知网络或未部署时返回null
+export const getMulticallAddress = (chainId) => {
+  const chain = CHAINS[parseChainId(chainId)];
+  return chain ? chain.multicall3 : null;
+};
+
+// 获取网络名称的消息描述，未知网络显示链ID
+export const getChainName = (chainId) => {
+  const id = parseChainId(chainId);
+  return CHAINS[id] ? createMessage(`chains.${id}`) : createMessage('chains.unknown', { chainId: String(chainId) });
+};
+
+// 未连接钱包时浏览的网络，可通过 .env 中的 VITE_READ_CHAIN_ID 配置，默认为本地节点
+export const DEFAULT_READ_CHAIN_ID = Number(import.meta.env.VITE_READ_CHAIN_ID) || 31337;
+
+// 读取链上数据使用的节点，可通过 .env 中的 VITE_RPC_URL_<链ID> 为每个网络单独配置，
+// 未配置时使用网络的默认RPC地址，没有时返回null
+export const getReadRpcUrl = (chainId) => {
+  const id = parseChainId(chainId);
+  const configured = import.meta.env[`VITE_RPC_URL_${id}`];
+  if (configured) return configured;
+  return CHAINS[id] && CHAINS[id].rpcUrls.length > 0 ? CHAINS[id].rpcUrls[0] : null;
+};
+
+// 未知网络的重组深度
+const DEFAULT_REORG_DEPTH = 64;
+
+// 网络可能被重组的区块数，可通过 .env 中的 VITE_REORG_DEPTH_<链ID> 为每个网络单独配置
+export const getReorgDepth = (chainId) => {
+  const id = parseChainId(chainId);
+  const configured = Number.parseInt(import.meta.env[`VITE_REORG_DEPTH_${id}`], 10);
+  if (Number.isInteger(configured) && configured >= 0) return configured;
+  return CHAINS[id] ? CHAINS[id].reorgDepth : DEFAULT_REORG_DEPTH;
+};
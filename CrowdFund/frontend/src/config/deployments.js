@@ -0,0 +1,69 @@
+import { CHAINS, getChainName, parseChainId, toHexChainId } from './chains';
+import { SIMULATED_CHAIN_ID, SIMULATED_DEPLOYMENT } from './simulation';
+import { ABI_HASHES } from '../abi';
+
+// 部署脚本为每条链写入 CrowdFund/deployments/<chainId>.json，构建时全部打包进来
+const manifestModules = import.meta.glob('@deployments/*.json', { eager: true, import: 'default' });
+
+// 当前前端支持的部署清单格式版本
+const SUPPORTED_MANIFEST_VERSION = 1;
+
+// 前端需要的合约，清单中缺少任一合约视为该链不可用
+export const REQUIRED_CONTRACTS = ['CrowdFundCore', 'MYBToken', 'InvestorRegistry'];
+
+// 校验清单格式，格式不兼容或缺少合约地址的清单会被忽略
+const isUsableManifest = (manifest) => {
+  if (!manifest || manifest.version !== SUPPORTED_MANIFEST_VERSION || !manifest.contracts) {
+    return false;
+  }
+  return REQUIRED_CONTRACTS.every(name => manifest.contracts[name] && manifest.contracts[name].address);
+};
+
+// 清单中ABI哈希与前端导出的ABI不一致的合约；没有记录abiHash的合约无法确认版本，同样视为不一致
+const findAbiMismatches = (manifest) => {
+  return REQUIRED_CONTRACTS.filter(name => manifest.contracts[name].abiHash !== ABI_HASHES[name]);
+};
+
+// 链ID到部署清单的映射，链上合约与前端ABI版本不同的清单会被忽略，避免用新ABI调用旧合约
+const deployments = Object.values(manifestModules).reduce((result, manifest) => {
+  if (!isUsableManifest(manifest)) {
+    console.warn('忽略无效的部署清单:', manifest);
+    return result;
+  }
+  const mismatches = findAbiMismatches(manifest);
+  if (mismatches.length > 0) {
+    console.warn(`链 ${manifest.chainId} 上部署的 ${mismatches.join('、')} 与前端ABI不一致，请重新部署或重新导出ABI`);
+    return result;
+  }
+  result[parseChainId(manifest.chainId)] = manifest;
+  return result;
+}, {});
+
+// 获取指定链的部署清单，没有部署时返回null
+export const getDeployment = (chainId) => {
+  if (chainId === null || chainId === undefined) return null;
+  // 浏览器模拟链的合约在创世区块中部署，不需要部署清单文件
+  if (parseChainId(chainId) === SIMULATED_CHAIN_ID) return SIMULATED_DEPLOYMENT;
+  return deployments[parseChainId(chainId)] || null;
+};
+
+// 获取清单中某个合约的地址
+export const getContractAddress = (deployment, contractName) => {
+  const entry = deployment && deployment.contracts[contractName];
+  return entry ? entry.address : null;
+};
+
+// 部署起始区块，用于事件查询的起点（旧清单没有记录时返回null）
+export const getDeployBlock = (deployment) => {
+  return deployment && Number.isInteger(deployment.deployBlock) ? deployment.deployBlock : null;
+};
+
+// 列出所有有部署的网络（不含模拟链，模拟链通过界面上的开关启用）
+export const getSupportedChains = () => {
+  return Object.keys(deployments).map((chainId) => ({
+    chainId: Number(chainId),
+    hexChainId: toHexChainId(chainId),
+    name: getChainName(chainId),
+    known: Boolean(CHAINS[chainId])
+  }));
+};
@@ -0,0 +1,7 @@
+// 众筹元数据的存储后端，可通过 .env 中的 VITE_METADATA_BACKEND 配置
+// local: 保存在浏览器本地存储中，仅用于单机开发
+// http:  通过HTTP读写内容寻址存储（scripts/metadata-server.js 或兼容的服务，作为IPFS的替代）
+export const METADATA_BACKEND = import.meta.env.VITE_METADATA_BACKEND || 'local';
+
+// http 后端的服务地址，文档按 `${METADATA_HTTP_URL}/<内容哈希>` 读写
+export const METADATA_HTTP_URL = import.meta.env.VITE_METADATA_URL || 'http://127.0.0.1:8787/metadata';
@@ -0,0 +1,64 @@
+// 前端路由表：路由名称 -> 路径模式，:name 为路径参数
+export const ROUTES = {
+  CAMPAIGNS: '/campaigns',
+  CAMPAIGN: '/campaigns/:id',
+  CREATE: '/create',
+  PORTFOLIO: '/portfolio',
+  CREATOR: '/my-campaigns',
+  ADMIN: '/admin'
+};
+
+// 根路径重定向到的页面
+export const DEFAULT_PATH = ROUTES.CAMPAIGNS;
+
+// 路径参数的格式，众筹ID为正整数（合约中的ID从1开始）
+const PARAM_PATTERNS = {
+  id: '[1-9]\\d*'
+};
+
+// 把路径模式编译为正则表达式
+const compile = (pattern) => {
+  const names = [];
+  const source = pattern.replace(/:(\w+)/g, (match, name) => {
+    names.push(name);
+    return `(${PARAM_PATTERNS[name] || '[^/]+'})`;
+  });
+  return { names, regex: new RegExp(`^${source}/?$`) };
+};
+
+const compiledRoutes = Object.entries(ROUTES).map(([name, pattern]) => ({ name, ...compile(pattern) }));
+
+/**
+ * 匹配路径对应的路由
+ * @param pathname 浏览器地址中的路径
+ * @returns { name, params }，没有匹配的路由时返回null
+ */
+export const matchRoute = (pathname) => {
+  for (const route of compiledRoutes) {
+    const match = pathname.match(route.regex);
+    if (match) {
+      const params = Object.fromEntries(route.names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+      return { name: route.name, params };
+    }
+  }
+  return null;
+};
+
+// 众筹详情页的路径
+export const campaignPath = (campaignId) => `/campaigns/${encodeURIComponent(campaignId)}`;
+
+/**
+ * 拼接路径和查询参数，值为空的参数会被省略
+ * @param pathname 路径
+ * @param query 查询参数对象
+ */
+export const buildUrl = (pathname, query = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.set(key, value);
+    }
+  });
+  const search = params.toString();
+  return search ? `${pathname}?${search}` : pathname;
+};
@@ -0,0 +1,39 @@
+import { ethers } from 'ethers';
+
+// 浏览器内模拟链的链ID，避免与本地节点（Hardhat 31337、Ganache 1337）冲突
+export const SIMULATED_CHAIN_ID = 13371337;
+
+// 模拟链上的账户（与 Hardhat 默认账户地址相同），第一个账户为合约部署者和所有者
+export const SIMULATED_ACCOUNTS = [
+  '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+  '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+  '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC',
+  '0x90F79bf6EB2c4f870365E785982E1f101E93b906',
+  '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65'
+];
+
+// 每个账户的初始ETH余额
+export const SIMULATED_INITIAL_BALANCE = ethers.parseEther('10000');
+
+const deployer = SIMULATED_ACCOUNTS[0];
+
+// 模拟链的部署清单，合约地址与部署脚本在全新节点上按顺序部署的结果一致
+export const SIMULATED_DEPLOYMENT = {
+  version: 1,
+  revision: 1,
+  chainId: SIMULATED_CHAIN_ID,
+  network: 'simulated',
+  deployer,
+  deployBlock: 0,
+  contracts: {
+    MYBToken: { address: ethers.getCreateAddress({ from: deployer, nonce: 0 }) },
+    InvestorRegistry: { address: ethers.getCreateAddress({ from: deployer, nonce: 1 }) },
+    CrowdFundCore: { address: ethers.getCreateAddress({ from: deployer, nonce: 2 }) }
+  }
+};
+
+// 模拟链的交易立即打包：关闭ethers的请求缓存（默认250ms）并缩短轮询间隔，界面能立即看到新区块
+export const SIMULATED_PROVIDER_OPTIONS = {
+  cacheTimeout: -1,
+  pollingInterval: 1000
+};
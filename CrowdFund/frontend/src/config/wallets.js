@@ -0,0 +1,15 @@
+import { CHAINS } from './chains';
+
+// 本地开发用的临时钱包（burner wallet）：用私钥直接签名，不需要浏览器钱包插件
+// 通过 .env 中的 VITE_BURNER_WALLET=true 开启，只在开发服务器（npm run dev）中可用，只应连接本地 Hardhat 节点
+export const BURNER_WALLET_ENABLED = import.meta.env.DEV && import.meta.env.VITE_BURNER_WALLET === 'true';
+
+// 临时钱包的私钥（如 Hardhat 的默认账户），未配置时随机生成并保存在本地存储中，需要先向该地址转入测试ETH
+// VITE_ 开头的变量会被Vite写入前端代码，私钥只在开发时读取，生产构建中这一分支被移除，私钥不会进入打包结果
+export const BURNER_PRIVATE_KEY = import.meta.env.DEV ? (import.meta.env.VITE_BURNER_PRIVATE_KEY || null) : null;
+
+// 临时钱包连接的节点
+export const BURNER_RPC_URL = import.meta.env.VITE_BURNER_RPC_URL || CHAINS[31337].rpcUrls[0];
+
+// 下载浏览器钱包的页面，没有发现任何钱包时显示
+export const WALLET_DOWNLOAD_URL = 'https://ethereum.org/wallets/find-wallet/';
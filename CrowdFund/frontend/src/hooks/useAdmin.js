@@ -0,0 +1,267 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { ethers } from 'ethers';
+import { useWeb3 } from '../utils/Web3Context';
+import { useTransactions } from './useTransactions';
+import { useContractEvents } from './useContractEvents';
+import { useCachedCampaigns } from './useCachedCampaigns';
+import { getMulticallAddress } from '../config/chains';
+import { batchCall } from '../utils/multicall';
+import { CROWDFUND_STATUS, normalizeCampaign } from '../utils/campaigns';
+import { createAppError, decodeContractError } from '../utils/contractErrors';
+import { checkOwnerOperation } from '../utils/permissions';
+import { sameAddress } from '../utils/addresses';
+import { getMetadataStore } from '../utils/metadataStore';
+import { createMessage } from '../utils/i18n';
+
+// 合约事件触发刷新前的等待时间（毫秒），同一批区块中的多个事件只刷新一次
+const REFRESH_DELAY = 1000;
+
+// 会改变概览的 CrowdFundCore 事件：成功和释放资金改变待释放列表，投资、退款和释放资金改变合约ETH余额
+const CORE_BALANCE_EVENTS = ['CrowdfundSuccessful', 'FundsReleased', 'InvestmentReceived', 'RefundIssued'];
+
+// 所有者和暂停状态的变化，三个合约都可能产生
+const OWNER_EVENTS = ['Paused', 'Unpaused', 'OwnershipTransferred'];
+
+/**
+ * 平台管理：合约状态概览和 onlyOwner 操作
+ * 概览包括三个合约的所有者、暂停状态、CrowdFundCore 的ETH余额和基金地址、
+ * MYB的兑换比例、总供应量和 CrowdFundCore 持有的待分配储备，以及等待释放资金的众筹
+ * @returns { overview, pendingReleases, loading, executing, error, successMessage, checkOperation, execute, refresh }
+ *          overview 未读取时为null，accountTokens 为当前账户的MYB余额（burn 从该余额中销毁）；
+ *          checkOperation(operation) 返回 { allowed, reason, message }
+ */
+export const useAdmin = () => {
+  const {
+    account,
+    provider,
+    deployment,
+    crowdfundCoreContract,
+    investorRegistryContract,
+    mybTokenContract,
+    campaignIndexer,
+    cacheCampaigns
+  } = useWeb3();
+  const { trackTransaction } = useTransactions();
+  const { getCachedCrowdfund } = useCachedCampaigns();
+  const metadataStore = getMetadataStore();
+
+  const [overview, setOverview] = useState(null);
+  // 成功但资金尚未释放的众筹ID
+  const [pendingReleaseIds, setPendingReleaseIds] = useState([]);
+  const [loading, setLoading] = useState(false);
+  // 进行中的交易操作数
+  const [pendingActions, setPendingActions] = useState(0);
+  // 结构化错误对象，见 utils/contractErrors.js
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const requestRef = useRef(0);
+  const refreshTimerRef = useRef(null);
+
+  const contracts = {
+    CrowdFundCore: crowdfundCoreContract,
+    InvestorRegistry: investorRegistryContract,
+    MYBToken: mybTokenContract
+  };
+
+  const refresh = useCallback(async () => {
+    const request = ++requestRef.current;
+    if (!crowdfundCoreContract || !investorRegistryContract || !mybTokenContract || !campaignIndexer) {
+      setOverview(null);
+      setPendingReleaseIds([]);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const [coreAddress, registryAddress, tokenAddress] = await Promise.all([
+        crowdfundCoreContract.getAddress(),
+        investorRegistryContract.getAddress(),
+        mybTokenContract.getAddress()
+      ]);
+      const calls = [
+        ['coreOwner', crowdfundCoreContract, 'owner'],
+        ['registryOwner', investorRegistryContract, 'owner'],
+        ['tokenOwner', mybTokenContract, 'owner'],
+        ['corePaused', crowdfundCoreContract, 'paused'],
+        ['registryPaused', investorRegistryContract, 'paused'],
+        ['contractBalance', crowdfundCoreContract, 'getContractBalance'],
+        ['devFundAddress', crowdfundCoreContract, 'devFundAddress'],
+        ['communityFundAddress', crowdfundCoreContract, 'communityFundAddress'],
+        ['exchangeRate', mybTokenContract, 'exchangeRate'],
+        ['totalSupply', mybTokenContract, 'totalSupply'],
+        ['reserves', mybTokenContract, 'balanceOf', [coreAddress]]
+      ];
+      if (account) {
+        calls.push(['accountTokens', mybTokenContract, 'balanceOf', [account]]);
+      }
+      const blockNumber = await provider.getBlockNumber();
+      const results = await batchCall(
+        provider,
+        calls.map(([, contract, name, args = []]) => ({ method: contract.getFunction(name), args })),
+        getMulticallAddress(deployment.chainId),
+        { blockTag: blockNumber }
+      );
+      const values = {};
+      calls.forEach(([key], index) => {
+        values[key] = results[index].success ? results[index].result : null;
+      });
+
+      // 成功但尚未释放资金的众筹，写入缓存后由合约事件更新
+      const ids = await campaignIndexer.sync();
+      const { blockNumber: campaignBlock, campaigns } = await campaignIndexer.loadCampaigns(ids);
+      const pending = campaigns
+        .filter(campaign => (
+          campaign && Number(campaign.status) === CROWDFUND_STATUS.SUCCESSFUL && !campaign.fundsReleased
+        ))
+        .map(campaign => normalizeCampaign(campaign, campaignBlock));
+      await Promise.all(pending.map(campaign => metadataStore.load(campaign.metadataHash)));
+      cacheCampaigns(pending);
+
+      if (request === requestRef.current) {
+        setOverview({
+          owners: {
+            CrowdFundCore: values.coreOwner,
+            InvestorRegistry: values.registryOwner,
+            MYBToken: values.tokenOwner
+          },
+          paused: {
+            CrowdFundCore: values.corePaused,
+            InvestorRegistry: values.registryPaused
+          },
+          addresses: {
+            CrowdFundCore: coreAddress,
+            InvestorRegistry: registryAddress,
+            MYBToken: tokenAddress
+          },
+          contractBalance: values.contractBalance,
+          devFundAddress: values.devFundAddress,
+          communityFundAddress: values.communityFundAddress,
+          exchangeRate: values.exchangeRate,
+          totalSupply: values.totalSupply,
+          reserves: values.reserves,
+          accountTokens: values.accountTokens ?? null,
+          account
+        });
+        setPendingReleaseIds(pending.map(campaign => campaign.id));
+      }
+    } catch (err) {
+      console.error('获取平台状态错误:', err);
+      if (request === requestRef.current) {
+        setError(decodeContractError(err, 'actions.loadPlatform'));
+      }
+    } finally {
+      if (request === requestRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [
+    account,
+    provider,
+    deployment,
+    crowdfundCoreContract,
+    investorRegistryContract,
+    mybTokenContract,
+    campaignIndexer,
+    cacheCampaigns,
+    metadataStore
+  ]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // 合并短时间内的多次刷新请求
+  const scheduleRefresh = useCallback(() => {
+    clearTimeout(refreshTimerRef.current);
+    refreshTimerRef.current = setTimeout(() => {
+      refreshTimerRef.current = null;
+      refresh();
+    }, REFRESH_DELAY);
+  }, [refresh]);
+
+  useEffect(() => {
+    return () => clearTimeout(refreshTimerRef.current);
+  }, []);
+
+  // 事件是否改变概览中的数据；MYB转账只在涉及储备（CrowdFundCore）、总供应量（铸造和销毁）或当前账户余额时相关
+  const affectsOverview = (event) => {
+    if (OWNER_EVENTS.includes(event.eventName)) return true;
+    if (event.source === 'CrowdFundCore') return CORE_BALANCE_EVENTS.includes(event.eventName);
+    if (event.source === 'MYBToken' && event.eventName === 'Transfer') {
+      const coreAddress = crowdfundCoreContract?.target;
+      return [event.args.from, event.args.to].some(address => (
+        address === ethers.ZeroAddress || sameAddress(address, coreAddress) || sameAddress(address, account)
+      ));
+    }
+    return false;
+  };
+
+  useContractEvents((event) => {
+    if (affectsOverview(event)) {
+      scheduleRefresh();
+    }
+  });
+
+  // 切换账户后，旧账户的概览不再使用
+  const current = overview && overview.account === account ? overview : null;
+
+  /**
+   * 检查当前账户能否执行管理操作
+   * @param operation ADMIN_OPERATIONS 中的操作（见 utils/adminOperations.js）
+   */
+  const checkOperation = (operation) => checkOwnerOperation({
+    account,
+    owner: current?.owners[operation.contract] ?? null,
+    paused: current?.paused[operation.contract] ?? null,
+    requirePaused: operation.requirePaused
+  });
+
+  /**
+   * 执行管理操作
+   * @param operation ADMIN_OPERATIONS 中的操作
+   * @param args parseOperationArgs 返回的参数
+   * @param label 交易队列中显示的说明（消息描述）
+   * @return 是否成功
+   */
+  const execute = async (operation, args, label = createMessage(operation.label)) => {
+    const contract = contracts[operation.contract];
+    if (!account || !contract) {
+      setError(createAppError('WALLET_NOT_CONNECTED'));
+      return false;
+    }
+
+    try {
+      setPendingActions(count => count + 1);
+      setError(null);
+      setSuccessMessage(null);
+
+      const tx = await contract[operation.method](...args);
+      await trackTransaction(tx, { label, origin: 'admin' });
+      // 兑换比例和基金地址的修改不产生事件，交易确认后主动刷新
+      scheduleRefresh();
+
+      setSuccessMessage(createMessage('admin.success', { operation: createMessage(operation.label) }));
+      return true;
+    } catch (err) {
+      setError(decodeContractError(err, operation.label));
+      console.error(`管理操作 ${operation.id} 错误:`, err);
+      return false;
+    } finally {
+      setPendingActions(count => count - 1);
+    }
+  };
+
+  return {
+    overview: current,
+    pendingReleases: pendingReleaseIds
+      .map(id => getCachedCrowdfund(id))
+      .filter(campaign => campaign && !campaign.fundsReleased),
+    loading,
+    executing: pendingActions > 0,
+    error,
+    successMessage,
+    checkOperation,
+    execute,
+    refresh
+  };
+};
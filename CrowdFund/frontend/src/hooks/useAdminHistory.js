@@ -0,0 +1,105 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { ethers } from 'ethers';
+import { useWeb3 } from '../utils/Web3Context';
+import { useContractEvents } from './useContractEvents';
+import { decodeContractError } from '../utils/contractErrors';
+
+// 会出现在管理记录中的事件
+const ADMIN_EVENTS = ['Paused', 'Unpaused', 'OwnershipTransferred', 'FundsReleased'];
+
+// MYB的铸造（from为零地址）和销毁（to为零地址）
+const isMintOrBurn = (event) => (
+  event.source === 'MYBToken' &&
+  event.eventName === 'Transfer' &&
+  (event.args.from === ethers.ZeroAddress || event.args.to === ethers.ZeroAddress)
+);
+
+/**
+ * 管理操作的历史记录，数据来自 campaignIndexer.syncAdminHistory
+ * @param page 页码（从1开始），按时间倒序分页
+ * @param pageSize 每页数量
+ * @returns { events, total, available, loading, error }
+ *          available 为false表示部署区块未知，无法按事件读取
+ */
+export const useAdminHistory = (page, pageSize) => {
+  const { campaignIndexer } = useWeb3();
+  // 按区块顺序排列的事件，为null表示无法读取
+  const [history, setHistory] = useState([]);
+  // 区块号 -> 时间戳
+  const [timestamps, setTimestamps] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const requestRef = useRef(0);
+
+  const refresh = useCallback(async () => {
+    const request = ++requestRef.current;
+    if (!campaignIndexer) {
+      setHistory([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const events = await campaignIndexer.syncAdminHistory();
+      if (request === requestRef.current) {
+        setHistory(events);
+      }
+    } catch (err) {
+      console.error('获取管理记录错误:', err);
+      if (request === requestRef.current) {
+        setError(decodeContractError(err, 'actions.loadAdminHistory'));
+      }
+    } finally {
+      if (request === requestRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [campaignIndexer]);
+
+  // 重新连接或重置模拟链后，同一区块号可能对应不同的区块
+  useEffect(() => {
+    setTimestamps({});
+  }, [campaignIndexer]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useContractEvents((event) => {
+    if (ADMIN_EVENTS.includes(event.eventName) || isMintOrBurn(event)) {
+      refresh();
+    }
+  });
+
+  const list = history || [];
+  const pageEvents = [...list].reverse().slice((page - 1) * pageSize, page * pageSize);
+
+  // 只查询当前页所在区块的时间
+  const neededKey = [...new Set(pageEvents.map(event => event.blockNumber))]
+    .filter(blockNumber => timestamps[blockNumber] === undefined)
+    .join(',');
+
+  useEffect(() => {
+    if (!campaignIndexer || !neededKey) return;
+    let cancelled = false;
+    campaignIndexer.getBlockTimestamps(neededKey.split(',').map(Number))
+      .then((loaded) => {
+        if (!cancelled) {
+          setTimestamps(prev => ({ ...prev, ...loaded }));
+        }
+      })
+      .catch(err => console.error('获取区块时间错误:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [campaignIndexer, neededKey]);
+
+  return {
+    events: pageEvents.map(event => ({ ...event, timestamp: timestamps[event.blockNumber] ?? null })),
+    total: list.length,
+    available: history !== null,
+    loading,
+    error
+  };
+};
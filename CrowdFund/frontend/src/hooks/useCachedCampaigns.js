@@ -0,0 +1,29 @@
+import { useCallback, useMemo } from 'react';
+import { useWeb3 } from '../utils/Web3Context';
+import { formatCampaign } from '../utils/campaigns';
+import { getMetadataStore } from '../utils/metadataStore';
+
+/**
+ * 读取 Web3Context 缓存中的众筹活动（界面格式），合约事件到达时自动更新
+ * 只需要读取众筹数据时使用，不会像 useCrowdfund 那样为每个使用者创建加载、错误和交易状态
+ * @returns { cachedCampaigns, getCachedCrowdfund }，getCachedCrowdfund 只在缓存变化时更新
+ */
+export const useCachedCampaigns = () => {
+  const { campaignCache } = useWeb3();
+  const metadataStore = getMetadataStore();
+
+  // 按众筹ID排列的全部缓存
+  const cachedCampaigns = useMemo(() => {
+    return Object.values(campaignCache)
+      .sort((a, b) => Number(a.id) - Number(b.id))
+      .map(campaign => formatCampaign(campaign, metadataStore.peek(campaign.metadataHash)));
+  }, [campaignCache, metadataStore]);
+
+  // 从缓存中获取单个众筹活动，未缓存时返回null
+  const getCachedCrowdfund = useCallback((campaignId) => {
+    const campaign = campaignCache[campaignId?.toString()];
+    return campaign ? formatCampaign(campaign, metadataStore.peek(campaign.metadataHash)) : null;
+  }, [campaignCache, metadataStore]);
+
+  return { cachedCampaigns, getCachedCrowdfund };
+};
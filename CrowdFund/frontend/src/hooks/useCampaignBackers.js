@@ -0,0 +1,102 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useWeb3 } from '../utils/Web3Context';
+import { useContractEvents } from './useContractEvents';
+import { getMulticallAddress } from '../config/chains';
+import { batchCall } from '../utils/multicall';
+import { normalizeInvestor } from '../utils/campaigns';
+import { decodeContractError } from '../utils/contractErrors';
+
+/**
+ * 分页读取众筹的投资者列表
+ * 从 InvestorRegistry 的 investorCount 和 crowdfundInvestors 按下标读取当前页的地址，
+ * 再批量读取每个投资者的记录，投资者很多时也只读取当前页
+ * @param campaignId 众筹ID
+ * @param page 页码（从1开始）
+ * @param pageSize 每页数量
+ * @returns { backers, total, loading, error, refresh }，backers 按投资者登记顺序排列
+ */
+export const useCampaignBackers = (campaignId, page, pageSize) => {
+  const { provider, deployment, investorRegistryContract } = useWeb3();
+  const [backers, setBackers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // 最近一次加载的序号，翻页后丢弃过期的结果
+  const requestRef = useRef(0);
+
+  const refresh = useCallback(async () => {
+    const request = ++requestRef.current;
+    if (!investorRegistryContract || !campaignId) {
+      setBackers([]);
+      setTotal(0);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      // 同一页的数据读取自同一个区块
+      const blockTag = await provider.getBlockNumber();
+      const multicallAddress = getMulticallAddress(deployment.chainId);
+      const count = Number(await investorRegistryContract.investorCount(campaignId, { blockTag }));
+
+      const start = (page - 1) * pageSize;
+      const end = Math.min(start + pageSize, count);
+      const indices = Array.from({ length: Math.max(0, end - start) }, (_, offset) => start + offset);
+
+      const crowdfundInvestors = investorRegistryContract.getFunction('crowdfundInvestors');
+      const addressResults = await batchCall(
+        provider,
+        indices.map(index => ({ method: crowdfundInvestors, args: [campaignId, index] })),
+        multicallAddress,
+        { blockTag }
+      );
+      const addresses = addressResults.filter(item => item.success).map(item => item.result);
+
+      const getInvestorInfo = investorRegistryContract.getFunction('getInvestorInfo');
+      const infoResults = await batchCall(
+        provider,
+        addresses.map(address => ({ method: getInvestorInfo, args: [campaignId, address] })),
+        multicallAddress,
+        { blockTag }
+      );
+
+      const pageBackers = addresses
+        .map((address, index) => (infoResults[index].success
+          ? { address, index: start + index + 1, ...normalizeInvestor(infoResults[index].result) }
+          : null))
+        .filter(Boolean);
+
+      if (request === requestRef.current) {
+        setTotal(count);
+        setBackers(pageBackers);
+      }
+    } catch (err) {
+      console.error('获取投资者列表错误:', err);
+      if (request === requestRef.current) {
+        setError(decodeContractError(err, 'actions.loadBackers'));
+      }
+    } finally {
+      if (request === requestRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [provider, deployment, investorRegistryContract, campaignId, page, pageSize]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // 有新的投资时刷新（新投资者或已有投资者的金额变化）
+  useContractEvents((event) => {
+    if (
+      event.source === 'CrowdFundCore' &&
+      event.eventName === 'InvestmentReceived' &&
+      event.args.crowdfundId.toString() === campaignId?.toString()
+    ) {
+      refresh();
+    }
+  });
+
+  return { backers, total, loading, error, refresh };
+};
@@ -0,0 +1,46 @@
+import { useEffect, useState } from 'react';
+import { useWeb3 } from '../utils/Web3Context';
+
+/**
+ * 当前链上时间（秒）
+ * 按最新区块的 block.timestamp 校正本地时钟，新区块到达时重新校正（如模拟链快进时间）
+ * @param tickInterval 定时重新渲染的间隔（毫秒），用于倒计时和按剩余时间筛选；为null时只在区块到达时更新
+ * @returns { chainNow, chainTimeOffset }，chainTimeOffset 为链上时间与本地时间的差值（秒），只在新区块到达时变化
+ */
+export const useChainTime = (tickInterval = null) => {
+  const { provider } = useWeb3();
+  const [chainTimeOffset, setChainTimeOffset] = useState(0);
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    if (!provider) return;
+    let cancelled = false;
+    const handleBlock = async (blockNumber) => {
+      try {
+        const block = await provider.getBlock(blockNumber);
+        if (block && !cancelled) {
+          setChainTimeOffset(block.timestamp - Math.floor(Date.now() / 1000));
+        }
+      } catch (err) {
+        console.error('获取区块时间错误:', err);
+      }
+    };
+    handleBlock('latest');
+    provider.on('block', handleBlock);
+    return () => {
+      cancelled = true;
+      provider.off('block', handleBlock);
+    };
+  }, [provider]);
+
+  useEffect(() => {
+    if (!tickInterval) return;
+    const timer = setInterval(() => setTick(tick => tick + 1), tickInterval);
+    return () => clearInterval(timer);
+  }, [tickInterval]);
+
+  return {
+    chainNow: Math.floor(Date.now() / 1000) + chainTimeOffset,
+    chainTimeOffset
+  };
+};
@@ -0,0 +1,20 @@
+import { useEffect, useRef } from 'react';
+import { useWeb3 } from '../utils/Web3Context';
+
+/**
+ * 在组件生命周期内监听合约事件
+ * @param listener 事件回调，参数为 { source, eventName, args, blockNumber, transactionHash, logIndex }
+ */
+export const useContractEvents = (listener) => {
+  const { onContractEvent } = useWeb3();
+  const listenerRef = useRef(listener);
+
+  // 始终调用最新的回调，避免因回调变化而反复注册
+  useEffect(() => {
+    listenerRef.current = listener;
+  });
+
+  useEffect(() => {
+    return onContractEvent(event => listenerRef.current(event));
+  }, [onContractEvent]);
+};
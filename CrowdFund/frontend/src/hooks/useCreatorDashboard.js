@@ -0,0 +1,146 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useWeb3 } from '../utils/Web3Context';
+import { useContractEvents } from './useContractEvents';
+import { useCachedCampaigns } from './useCachedCampaigns';
+import { getMulticallAddress } from '../config/chains';
+import { batchCall } from '../utils/multicall';
+import { normalizeCampaign } from '../utils/campaigns';
+import { decodeContractError } from '../utils/contractErrors';
+import { getMetadataStore } from '../utils/metadataStore';
+import { sameAddress } from '../utils/addresses';
+
+/**
+ * 当前账户创建的众筹
+ * 通过 CrowdfundCreated 事件找到创建者为当前账户的众筹，读取投资者数量，
+ * 并从生命周期事件中整理状态变化和 FundsReleased 转给创建者的款项
+ * @returns { entries, totals, loading, error, refresh }
+ *          entries 为 [{ campaign, backerCount, timeline, payout }]，timeline 为null表示无法按事件读取
+ */
+export const useCreatorDashboard = () => {
+  const {
+    account,
+    provider,
+    deployment,
+    campaignIndexer,
+    investorRegistryContract,
+    cacheCampaigns
+  } = useWeb3();
+  const { getCachedCrowdfund } = useCachedCampaigns();
+  const metadataStore = getMetadataStore();
+
+  // { account, ids, backerCounts, timelines }
+  const [snapshot, setSnapshot] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const requestRef = useRef(0);
+
+  const refresh = useCallback(async () => {
+    const request = ++requestRef.current;
+    if (!account || !campaignIndexer || !investorRegistryContract) {
+      setSnapshot(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      // 部署区块未知时没有事件记录，读取全部众筹后按链上记录的创建者筛选
+      const creatorIds = await campaignIndexer.getCreatorCampaigns(account);
+      const candidateIds = creatorIds ?? await campaignIndexer.sync();
+
+      const { blockNumber, campaigns } = await campaignIndexer.loadCampaigns(candidateIds);
+      const normalized = campaigns
+        .filter(campaign => campaign && sameAddress(campaign.creator, account))
+        .map(campaign => normalizeCampaign(campaign, blockNumber));
+      const ids = normalized.map(campaign => campaign.id);
+
+      const investorCount = investorRegistryContract.getFunction('investorCount');
+      const counts = await batchCall(
+        provider,
+        ids.map(id => ({ method: investorCount, args: [id] })),
+        getMulticallAddress(deployment.chainId),
+        { blockTag: blockNumber }
+      );
+      const backerCounts = Object.fromEntries(ids.map((id, index) => [
+        id,
+        counts[index].success ? Number(counts[index].result) : null
+      ]));
+
+      // 生命周期事件及其区块时间
+      let timelines = null;
+      if (creatorIds) {
+        const histories = await Promise.all(ids.map(id => campaignIndexer.syncCampaignLifecycle(id)));
+        const timestamps = await campaignIndexer.getBlockTimestamps(
+          histories.flat().map(event => event.blockNumber)
+        );
+        timelines = Object.fromEntries(ids.map((id, index) => [
+          id,
+          histories[index].map(event => ({ ...event, timestamp: timestamps[event.blockNumber] ?? null }))
+        ]));
+      }
+
+      await Promise.all(normalized.map(campaign => metadataStore.load(campaign.metadataHash)));
+      cacheCampaigns(normalized);
+
+      if (request === requestRef.current) {
+        setSnapshot({ account, ids, backerCounts, timelines });
+      }
+    } catch (err) {
+      console.error('获取创建的众筹错误:', err);
+      if (request === requestRef.current) {
+        setError(decodeContractError(err, 'actions.loadCreatedCampaigns'));
+      }
+    } finally {
+      if (request === requestRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [account, provider, deployment, campaignIndexer, investorRegistryContract, cacheCampaigns, metadataStore]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // 当前账户创建了新众筹，或已有众筹收到投资、状态变化、资金释放时刷新
+  useContractEvents((event) => {
+    if (event.source !== 'CrowdFundCore' || event.args.crowdfundId === undefined || !account || !snapshot) return;
+    if (
+      (event.eventName === 'CrowdfundCreated' && sameAddress(event.args.creator, account)) ||
+      snapshot.ids.includes(event.args.crowdfundId.toString())
+    ) {
+      refresh();
+    }
+  });
+
+  const current = snapshot && snapshot.account === account ? snapshot : null;
+  const entries = current
+    ? current.ids
+      .map((id) => {
+        const campaign = getCachedCrowdfund(id);
+        if (!campaign) return null;
+        const timeline = current.timelines ? current.timelines[id] : null;
+        // FundsReleased 中转给创建者的款项（另两笔转给开发基金和社区基金）
+        const payout = (timeline || [])
+          .filter(event => event.eventName === 'FundsReleased' && sameAddress(event.recipient, campaign.creator))
+          .reduce((sum, event) => sum + event.amount, 0n);
+        return { campaign, backerCount: current.backerCounts[id], timeline, payout };
+      })
+      .filter(Boolean)
+      .reverse()
+    : [];
+
+  const totals = entries.reduce((sum, entry) => ({
+    raised: sum.raised + entry.campaign.currentAmountWei,
+    backers: sum.backers + (entry.backerCount || 0),
+    payouts: sum.payouts + entry.payout
+  }), { raised: 0n, backers: 0, payouts: 0n });
+
+  return {
+    entries,
+    totals,
+    loading,
+    error,
+    refresh
+  };
+};
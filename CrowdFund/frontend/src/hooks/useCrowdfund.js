@@ -1,238 +1,242 @@
 import { useState } from 'react';
 import { useWeb3 } from '../utils/Web3Context';
-import { ethers } from 'ethers';
+import { useTransactions } from './useTransactions';
+import { useCachedCampaigns } from './useCachedCampaigns';
+import { ethToMyb, formatEth } from '../utils/amounts';
+import { EMPTY_INVESTOR, formatCampaign, normalizeCampaign, normalizeInvestor } from '../utils/campaigns';
+import { createAppError, decodeContractError } from '../utils/contractErrors';
+import { createMetadataDocument, hashMetadata, serializeMetadata } from '../utils/campaignMetadata';
+import { getMetadataStore } from '../utils/metadataStore';
+import { createMessage } from '../utils/i18n';
 
 export const useCrowdfund = () => {
-  const { crowdfundCoreContract, investorRegistryContract, account, useMockData, checkNetwork } = useWeb3();
-  const [loading, setLoading] = useState(false);
+  const {
+    provider,
+    deployment,
+    crowdfundCoreContract,
+    investorRegistryContract,
+    mybTokenContract,
+    campaignIndexer,
+    cacheCampaigns,
+    account,
+    checkNetwork,
+    requestSigner,
+    captureSession
+  } = useWeb3();
+  const { trackTransaction } = useTransactions();
+  // 缓存中的众筹活动，合约事件到达时自动更新
+  const { cachedCampaigns, getCachedCrowdfund } = useCachedCampaigns();
+  // 进行中的交易操作数，多个操作并发时不会互相清除加载状态
+  const [pendingActions, setPendingActions] = useState(0);
+  const loading = pendingActions > 0;
+  // 结构化错误对象 { code, message, action, reason, ... }，见 utils/contractErrors.js
   const [error, setError] = useState(null);
+  // 成功消息的描述 { key, params }，由组件按当前语言显示
   const [successMessage, setSuccessMessage] = useState(null);
-  
-  // 模拟数据
-  const mockCampaigns = [
-    {
-      id: '0',
-      title: '区块链游戏开发项目',
-      description: '我们正在开发一款革命性的区块链游戏，融合DeFi和NFT元素',
-      creator: '0x742d35Cc6634C0532925a3b844Bc454e4438f44e',
-      goalAmount: '50.0',
-      currentAmount: '23.5',
-      deadline: (Math.floor(Date.now() / 1000) + 7 * 24 * 60 * 60).toString(), // 7天后
-      isCompleted: false,
-      remainingTime: 7 * 24 * 60 * 60,
-      completionPercentage: 47
-    },
-    {
-      id: '1', 
-      title: '去中心化存储解决方案',
-      description: '构建一个安全、高效、低成本的去中心化云存储系统',
-      creator: '0x88a5c2d9919e46f883eb62f7b8dd9d0cc45bc290',
-      goalAmount: '100.0',
-      currentAmount: '100.0',
-      deadline: (Math.floor(Date.now() / 1000) - 24 * 60 * 60).toString(), // 1天前
-      isCompleted: true,
-      remainingTime: 0,
-      completionPercentage: 100
-    },
-    {
-      id: '2',
-      title: '环保数据上链项目',
-      description: '将全球环保数据上链，建立透明可信的环境监测系统',
-      creator: '0x932a71e8230108f421623f9746c712936f6d6e7b',
-      goalAmount: '30.0',
-      currentAmount: '12.75',
-      deadline: (Math.floor(Date.now() / 1000) + 3 * 24 * 60 * 60).toString(), // 3天后
-      isCompleted: false,
-      remainingTime: 3 * 24 * 60 * 60,
-      completionPercentage: 42
-    }
-  ];
+  // 链下元数据的内容寻址存储
+  const metadataStore = getMetadataStore();
 
-  // 创建众筹活动
-  const createCrowdfund = async (title, description, goalAmount, deadlineDays) => {
-    if (!account) {
-      setError('钱包未连接');
-      return null;
-    }
+  /**
+   * 发送交易前的预览：先静态调用，合约会revert时在请求签名前抛出错误，再估算gas和网络费用
+   * 未连接钱包时先请求连接，预览按发送交易的账户计算
+   * @param method CrowdFundCore 的函数名
+   * @param args 调用参数
+   * @param overrides 交易选项（如投资金额 value）
+   * @param loadDetails (from) => Promise<object>，读取预览中显示的操作内容
+   * @return { method, from, gasLimit, gasPrice, fee, ...details }，格式见 utils/transactionPreview.js
+   */
+  const previewTransaction = async (method, args, overrides = {}, loadDetails = async () => ({})) => {
+    const signer = await requestSigner(deployment.chainId);
+    const from = await signer.getAddress();
+    const call = crowdfundCoreContract[method];
+    await call.staticCall(...args, { ...overrides, from });
+    const [gasLimit, feeData, details] = await Promise.all([
+      call.estimateGas(...args, { ...overrides, from }),
+      provider.getFeeData(),
+      loadDetails(from)
+    ]);
+    const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+    return { method, from, gasLimit, gasPrice, fee: gasLimit * gasPrice, ...details };
+  };
+
+  // 元数据文档无效或上传失败
+  const metadataError = (err) => createAppError('METADATA_UPLOAD_FAILED', {
+    action: 'actions.createCampaign',
+    message: createMessage('crowdfund.metadataSaveFailed', { reason: err.localized || err.message }),
+    reason: err.message,
+    cause: err
+  });
 
+  /**
+   * 创建众筹活动
+   * 未连接钱包时，发送交易前会请求用户连接（见 Web3Context 的 requestSigner）
+   * @param title 标题，同时作为链上的 projectName
+   * @param description 详细描述
+   * @param goalAmount 目标金额（wei，用 utils/amounts.js 的 validateAmount 解析输入）
+   * @param deadlineDays 众筹天数
+   * @param details 其他元数据 { images, links, team, budget }，格式见 utils/campaignMetadata.js
+   * @param confirm (preview) => boolean，显示交易预览并返回用户是否确认（见 hooks/useTransactionPreview.js）
+   */
+  const createCrowdfund = async (title, description, goalAmount, deadlineDays, details = {}, confirm = () => true) => {
     try {
-      setLoading(true);
+      setPendingActions(count => count + 1);
       setError(null);
       setSuccessMessage(null);
 
-      // 如果不是模拟模式，先检查网络
-      if (!useMockData) {
-        const isCorrectNetwork = await checkNetwork();
-        if (!isCorrectNetwork) {
-          throw new Error('请确保连接到Sepolia测试网');
-        }
+      // 先检查网络
+      const isCorrectNetwork = await checkNetwork();
+      if (!isCorrectNetwork) {
+        setError(createAppError('UNSUPPORTED_NETWORK', { action: 'actions.createCampaign' }));
+        return null;
       }
 
-      if (useMockData) {
-        // 模拟创建众筹活动
-        await new Promise(resolve => setTimeout(resolve, 1000)); // 模拟网络延迟
-        const newId = mockCampaigns.length.toString();
-        const deadline = Math.floor(Date.now() / 1000) + (deadlineDays * 24 * 60 * 60);
-        
-        // 添加新的众筹活动到模拟数据中，保存用户输入的目标金额
-        const newCampaign = {
-          id: newId,
-          title: title,
-          description: description,
-          creator: account,
-          goalAmount: goalAmount.toString(),
-          currentAmount: '0.0',
-          deadline: deadline.toString(),
-          isCompleted: false,
-          remainingTime: deadline - Math.floor(Date.now() / 1000),
-          completionPercentage: 0
-        };
+      if (crowdfundCoreContract) {
+        // 计算截止时间戳（链上时间 + 天数），合约要求截止时间晚于 block.timestamp
+        const deadline = (await getChainTime()) + (deadlineDays * 24 * 60 * 60);
         
-        mockCampaigns.push(newCampaign);
-        setSuccessMessage(`众筹活动创建成功！ID: ${newId}`);
-        return newId;
-      } else if (crowdfundCoreContract) {
-        // 计算截止时间戳（当前时间 + 天数）
-        const deadline = Math.floor(Date.now() / 1000) + (deadlineDays * 24 * 60 * 60);
-        
-        // 将目标金额转换为wei
-        const goalAmountWei = ethers.parseEther(goalAmount.toString());
-        
-        // 调用合约创建众筹活动 - 注意：合约只接受3个参数，将description合并到title中
-        const projectName = `${title} - ${description.substring(0, 50)}${description.length > 50 ? '...' : ''}`;
+        // 详细描述等资料保存为链下元数据文档，链上只记录标题和文档的内容哈希
+        let document;
+        try {
+          document = createMetadataDocument({ title, description, ...details });
+        } catch (err) {
+          console.error('元数据格式错误:', err);
+          setError(metadataError(err));
+          return null;
+        }
+
+        // 预览使用文档的内容哈希，用户确认后才上传文档
+        const preview = await previewTransaction(
+          'createCrowdfund',
+          [title.trim(), goalAmount, deadline, hashMetadata(serializeMetadata(document))],
+          {},
+          async () => ({ title: title.trim(), goalAmount, mybPerEth: await mybTokenContract.exchangeRate() })
+        );
+        if (!(await confirm(preview))) {
+          return null;
+        }
+
+        let metadataHash;
+        try {
+          metadataHash = await metadataStore.put(document);
+        } catch (err) {
+          console.error('上传元数据错误:', err);
+          setError(metadataError(err));
+          return null;
+        }
+
         const tx = await crowdfundCoreContract.createCrowdfund(
-          projectName, // 合并标题和简短描述
-          goalAmountWei,
-          deadline
+          title.trim(),
+          goalAmount,
+          deadline,
+          metadataHash
         );
         
-        // 等待交易确认
-        await tx.wait();
+        // 记录交易并等待确认，刷新页面后交易队列会继续跟踪
+        const receipt = await trackTransaction(tx, {
+          label: createMessage('crowdfund.tx.create', { title }),
+          origin: 'create'
+        });
         
-        // 获取创建的众筹ID - 使用正确的合约方法名并正确处理BigInt
-        const receipt = await crowdfundCoreContract.crowdfundCounter();
-        const campaignId = (receipt - BigInt(1)).toString();
+        // 从交易回执的CrowdfundCreated事件中读取新众筹ID（ID从1开始递增）
+        const createdEvent = receipt.logs
+          .map((log) => {
+            try {
+              return crowdfundCoreContract.interface.parseLog(log);
+            } catch {
+              return null;
+            }
+          })
+          .find(parsed => parsed && parsed.name === 'CrowdfundCreated');
+        const campaignId = createdEvent
+          ? createdEvent.args.crowdfundId.toString()
+          : (await crowdfundCoreContract.crowdfundCounter()).toString();
         
-        setSuccessMessage(`众筹活动创建成功！ID: ${campaignId}`);
+        setSuccessMessage(createMessage('crowdfund.success.create', { id: campaignId }));
         return campaignId;
       }
     } catch (err) {
-      // 处理不同类型的错误
-      let errorMessage = '创建众筹失败';
-      if (err.code === 'CALL_EXCEPTION' && err.message.includes('missing revert data')) {
-        errorMessage = '创建众筹失败: 合约调用错误，请检查网络连接和合约地址';
-      } else if (err.code === 'BAD_DATA') {
-        errorMessage = '创建众筹失败: 数据解析错误';
-      } else if (err.message) {
-        errorMessage = `创建众筹失败: ${err.message}`;
-      }
-      
-      setError(errorMessage);
+      // 解码revert原因、钱包拒绝和余额不足等错误
+      setError(decodeContractError(err, 'actions.createCampaign'));
       console.error('创建众筹错误:', err);
       return null;
     } finally {
-      setLoading(false);
+      setPendingActions(count => count - 1);
     }
   };
 
-  // 投资众筹活动
-  const invest = async (campaignId, amount) => {
-    if (!account) {
-      setError('钱包未连接');
-      return false;
-    }
-
+  /**
+   * 投资众筹活动
+   * @param campaignId 众筹ID
+   * @param amount 投资金额（wei）
+   * @param confirm (preview) => boolean，显示交易预览并返回用户是否确认
+   */
+  const invest = async (campaignId, amount, confirm = () => true) => {
     try {
-      setLoading(true);
+      setPendingActions(count => count + 1);
       setError(null);
       setSuccessMessage(null);
 
-      if (useMockData) {
-        // 模拟投资
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        setSuccessMessage(`投资成功！金额: ${amount} ETH`);
-        return true;
-      } else if (crowdfundCoreContract) {
-        // 将投资金额转换为wei
-        const amountWei = ethers.parseEther(amount.toString());
-        
+      if (crowdfundCoreContract) {
+        // 获得的MYB按众筹创建时锁定的 mybPerEth 计算，不是当前的 exchangeRate
+        const preview = await previewTransaction('invest', [campaignId], { value: amount }, async () => {
+          const campaign = await crowdfundCoreContract.getCrowdfundStatus(campaignId);
+          return { campaignId, amount, mybPerEth: campaign.mybPerEth, mybTokens: ethToMyb(amount, campaign.mybPerEth) };
+        });
+        if (!(await confirm(preview))) {
+          return false;
+        }
+
         // 调用合约进行投资
         const tx = await crowdfundCoreContract.invest(campaignId, {
-          value: amountWei
+          value: amount
         });
         
-        // 等待交易确认
-        await tx.wait();
+        // 记录交易并等待确认
+        await trackTransaction(tx, {
+          label: createMessage('crowdfund.tx.invest', { id: String(campaignId), amount: formatEth(amount) }),
+          origin: `campaign:${campaignId}`
+        });
         
-        setSuccessMessage(`投资成功！金额: ${amount} ETH`);
+        setSuccessMessage(createMessage('crowdfund.success.invest', { amount: formatEth(amount) }));
         return true;
       }
     } catch (err) {
-      // 处理不同类型的错误
-      let errorMessage = '投资失败';
-      if (err.code === 'CALL_EXCEPTION' && err.message.includes('Ownable: caller is not the owner')) {
-        errorMessage = '很抱歉，您不能投资自己发起的众筹项目';
-      } else if (err.code === 'CALL_EXCEPTION' && err.message.includes('missing revert data')) {
-        errorMessage = '投资失败: 合约调用错误，请检查网络连接和合约地址';
-      } else if (err.message) {
-        errorMessage = `投资失败: ${err.message}`;
-      }
-      
-      setError(errorMessage);
+      // 解码revert原因、钱包拒绝和余额不足等错误
+      setError(decodeContractError(err, 'actions.invest'));
       console.error('投资错误:', err);
       return false;
     } finally {
-      setLoading(false);
+      setPendingActions(count => count - 1);
     }
   };
 
   // 获取众筹活动详情
   const getCrowdfund = async (campaignId) => {
+    const isCurrent = captureSession();
     try {
       setError(null);
       
-      if (useMockData) {
-        // 返回模拟数据
-        const campaign = mockCampaigns.find(c => c.id === campaignId.toString());
-        if (campaign) {
-          // 更新剩余时间
-          const updatedCampaign = {
-            ...campaign,
-            remainingTime: Math.max(0, parseInt(campaign.deadline) - Math.floor(Date.now() / 1000))
-          };
-          return updatedCampaign;
-        }
-        return null;
-      } else if (crowdfundCoreContract) {
-        // 调用合约获取众筹详情 - 使用正确的函数名
-        const campaign = await crowdfundCoreContract.getCrowdfundStatus(campaignId);
+      if (crowdfundCoreContract) {
+        // 固定读取的区块，之后的合约事件才会更新缓存
+        const blockNumber = await provider.getBlockNumber();
+        const campaign = await crowdfundCoreContract.getCrowdfundStatus(campaignId, { blockTag: blockNumber });
         
-        // 转换数据格式
-        const formattedCampaign = {
-          id: campaign.id.toString(),
-          title: campaign.projectName, // 使用projectName作为title
-          description: '', // 合约中没有description字段，保持为空
-          creator: campaign.creator,
-          goalAmount: ethers.formatEther(campaign.targetAmount), // 使用targetAmount作为goalAmount
-          currentAmount: ethers.formatEther(campaign.currentAmount),
-          deadline: campaign.deadline.toString(),
-          isCompleted: campaign.status >= 2, // 状态>=2表示已完成（SUCCESSFUL、FAILED、REFUNDED）
-          // 计算剩余时间
-          remainingTime: Math.max(0, parseInt(campaign.deadline) - Math.floor(Date.now() / 1000)),
-          // 计算完成百分比
-          completionPercentage: Math.min(
-            100, 
-            Math.round((parseFloat(ethers.formatEther(campaign.currentAmount)) / parseFloat(ethers.formatEther(campaign.targetAmount))) * 100)
-          )
-        };
+        // 不存在的众筹返回全零结构
+        if (campaign.id === 0n) {
+          return null;
+        }
         
-        return formattedCampaign;
+        const normalized = normalizeCampaign(campaign, blockNumber);
+        // 读取链下元数据并按链上记录的内容哈希校验，写入缓存前完成，界面更新时即可显示
+        const metadata = await metadataStore.load(normalized.metadataHash);
+        cacheCampaigns([normalized]);
+        return formatCampaign(normalized, metadata);
       }
     } catch (err) {
       console.error('获取众筹详情错误:', err);
-      // 在模拟模式下不显示错误
-      if (!useMockData) {
-        setError(`获取众筹详情失败: ${err.message}`);
+      // 切换账户或网络前发起的读取出错时不显示
+      if (isCurrent()) {
+        setError(decodeContractError(err, 'actions.loadCampaign'));
       }
       return null;
     }
@@ -240,139 +244,243 @@ export const useCrowdfund = () => {
 
   // 获取所有众筹活动
   const getAllCrowdfunds = async () => {
+    const isCurrent = captureSession();
     try {
       setError(null);
       
-      if (useMockData) {
-        // 返回模拟数据，更新剩余时间
-        return mockCampaigns.map(campaign => ({
-          ...campaign,
-          remainingTime: Math.max(0, parseInt(campaign.deadline) - Math.floor(Date.now() / 1000))
-        }));
-      } else if (crowdfundCoreContract) {
-        // 获取众筹活动总数 - 使用正确的合约方法名
-        const count = await crowdfundCoreContract.crowdfundCounter();
-        const campaigns = [];
+      if (campaignIndexer) {
+        // 通过CrowdfundCreated事件发现众筹ID，只扫描上次同步之后的新区块
+        const ids = await campaignIndexer.sync();
         
-        // 遍历获取每个众筹活动的详情
-        for (let i = 0; i < count; i++) {
-          try {
-            const campaign = await getCrowdfund(i);
-            if (campaign) {
-              campaigns.push(campaign);
-            }
-          } catch (err) {
-            console.error(`获取众筹ID ${i} 失败:`, err);
-          }
-        }
+        // 批量读取众筹详情（支持Multicall3时合并为一次请求）
+        const { blockNumber, campaigns } = await campaignIndexer.loadCampaigns(ids);
         
-        return campaigns;
+        const normalized = campaigns
+          .filter(campaign => campaign && campaign.id !== 0n)
+          .map(campaign => normalizeCampaign(campaign, blockNumber));
+        const metadata = await Promise.all(normalized.map(campaign => metadataStore.load(campaign.metadataHash)));
+        cacheCampaigns(normalized);
+        return normalized.map((campaign, index) => formatCampaign(campaign, metadata[index]));
       }
       return [];
     } catch (err) {
       console.error('获取众筹列表错误:', err);
-      // 在模拟模式下不显示错误
-      if (!useMockData) {
-        setError(`获取众筹列表失败: ${err.message}`);
+      if (isCurrent()) {
+        setError(decodeContractError(err, 'actions.loadCampaigns'));
       }
       return [];
     }
   };
 
-  // 获取用户在特定众筹活动中的投资金额
-  const getUserInvestment = async (campaignId) => {
+  // 获取当前用户在特定众筹活动中的投资者记录（投资金额、待领取代币、是否已领取）
+  const getInvestorInfo = async (campaignId) => {
     if (!account) {
-      return '0';
+      return EMPTY_INVESTOR;
     }
 
     try {
       setError(null);
       
-      if (useMockData) {
-        // 返回模拟投资金额
-        const mockInvestments = {
-          '0': '5.2',
-          '1': '10.0',
-          '2': '3.75'
-        };
-        return mockInvestments[campaignId.toString()] || '0';
-      } else if (investorRegistryContract) {
+      if (investorRegistryContract) {
         const investorInfo = await investorRegistryContract.getInvestorInfo(campaignId, account);
-        return ethers.formatEther(investorInfo.totalInvestment);
+        return normalizeInvestor(investorInfo);
       }
-      return '0';
+      return EMPTY_INVESTOR;
     } catch (err) {
       console.error('获取投资金额错误:', err);
-      if (!useMockData) {
-        setError(`获取投资金额失败: ${err.message}`);
+      setError(decodeContractError(err, 'actions.loadInvestment'));
+      return EMPTY_INVESTOR;
+    }
+  };
+
+  // 获取最新区块的时间戳，合约按 block.timestamp 判断众筹是否到期
+  const getChainTime = async () => {
+    if (!provider) {
+      return Math.floor(Date.now() / 1000);
+    }
+
+    try {
+      const block = await provider.getBlock('latest');
+      return block.timestamp;
+    } catch (err) {
+      console.error('获取区块时间错误:', err);
+      return Math.floor(Date.now() / 1000);
+    }
+  };
+
+  /**
+   * 结算到期的众筹（任何人都可以调用），达到目标为成功，否则为失败
+   * @param confirm (preview) => boolean，显示交易预览并返回用户是否确认
+   */
+  const finalizeCrowdfund = async (campaignId, confirm = () => true) => {
+    try {
+      setPendingActions(count => count + 1);
+      setError(null);
+      setSuccessMessage(null);
+      
+      if (crowdfundCoreContract) {
+        const preview = await previewTransaction('finalizeCrowdfund', [campaignId], {}, async () => {
+          const campaign = await crowdfundCoreContract.getCrowdfundStatus(campaignId);
+          return { campaignId, currentAmount: campaign.currentAmount, targetAmount: campaign.targetAmount };
+        });
+        if (!(await confirm(preview))) {
+          return false;
+        }
+
+        const tx = await crowdfundCoreContract.finalizeCrowdfund(campaignId);
+        await trackTransaction(tx, {
+          label: createMessage('crowdfund.tx.finalize', { id: String(campaignId) }),
+          origin: `campaign:${campaignId}`
+        });
+        
+        setSuccessMessage(createMessage('crowdfund.success.finalize'));
+        return true;
       }
-      return '0';
+    } catch (err) {
+      setError(decodeContractError(err, 'actions.finalize'));
+      console.error('众筹结算错误:', err);
+      return false;
+    } finally {
+      setPendingActions(count => count - 1);
     }
   };
 
-  // 释放资金（仅众筹创建者可调用）
-  const releaseFunds = async (campaignId) => {
+  /**
+   * 释放资金（releaseFunds 为 onlyOwner，仅平台所有者可调用）
+   * @param confirm (preview) => boolean，显示交易预览并返回用户是否确认
+   */
+  const releaseFunds = async (campaignId, confirm = () => true) => {
     if (!account) {
-      setError('钱包未连接');
+      setError(createAppError('WALLET_NOT_CONNECTED'));
       return false;
     }
 
     try {
-      setLoading(true);
+      setPendingActions(count => count + 1);
       setError(null);
       setSuccessMessage(null);
       
-      if (useMockData) {
-        // 模拟释放资金
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        setSuccessMessage('资金释放成功！');
-        return true;
-      } else if (crowdfundCoreContract) {
+      if (crowdfundCoreContract) {
+        // 资金按合约中的分配比例转给项目方、开发基金和社区基金
+        const preview = await previewTransaction('releaseFunds', [campaignId], {}, async () => {
+          const [campaign, investor, development, community, devFundAddress, communityFundAddress] = await Promise.all([
+            crowdfundCoreContract.getCrowdfundStatus(campaignId),
+            crowdfundCoreContract.INVESTOR_ALLOCATION(),
+            crowdfundCoreContract.DEVELOPMENT_ALLOCATION(),
+            crowdfundCoreContract.COMMUNITY_ALLOCATION(),
+            crowdfundCoreContract.devFundAddress(),
+            crowdfundCoreContract.communityFundAddress()
+          ]);
+          return {
+            campaignId,
+            totalFunds: campaign.currentAmount,
+            allocations: { investor, development, community },
+            recipients: { creator: campaign.creator, devFund: devFundAddress, communityFund: communityFundAddress }
+          };
+        });
+        if (!(await confirm(preview))) {
+          return false;
+        }
+
         const tx = await crowdfundCoreContract.releaseFunds(campaignId);
-        await tx.wait();
+        await trackTransaction(tx, {
+          label: createMessage('crowdfund.tx.releaseFunds', { id: String(campaignId) }),
+          origin: `campaign:${campaignId}`
+        });
         
-        setSuccessMessage('资金释放成功！');
+        setSuccessMessage(createMessage('crowdfund.success.releaseFunds'));
         return true;
       }
     } catch (err) {
-      setError(`资金释放失败: ${err.message}`);
+      setError(decodeContractError(err, 'actions.releaseFunds'));
       console.error('资金释放错误:', err);
       return false;
     } finally {
-      setLoading(false);
+      setPendingActions(count => count - 1);
     }
   };
 
-  // 申请退款
-  const claimRefund = async (campaignId) => {
+  /**
+   * 申请退款
+   * @param confirm (preview) => boolean，显示交易预览并返回用户是否确认
+   */
+  const claimRefund = async (campaignId, confirm = () => true) => {
     if (!account) {
-      setError('钱包未连接');
+      setError(createAppError('WALLET_NOT_CONNECTED'));
       return false;
     }
 
     try {
-      setLoading(true);
+      setPendingActions(count => count + 1);
       setError(null);
       setSuccessMessage(null);
       
-      if (useMockData) {
-        // 模拟申请退款
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        setSuccessMessage('退款申请成功！');
-        return true;
-      } else if (crowdfundCoreContract) {
+      if (crowdfundCoreContract) {
+        const preview = await previewTransaction('claimRefund', [campaignId], {}, async (from) => {
+          const investor = await investorRegistryContract.getInvestorInfo(campaignId, from);
+          return { campaignId, refundAmount: investor.totalInvestment };
+        });
+        if (!(await confirm(preview))) {
+          return false;
+        }
+
         const tx = await crowdfundCoreContract.claimRefund(campaignId);
-        await tx.wait();
+        await trackTransaction(tx, {
+          label: createMessage('crowdfund.tx.claimRefund', { id: String(campaignId) }),
+          origin: `campaign:${campaignId}`
+        });
         
-        setSuccessMessage('退款申请成功！');
+        setSuccessMessage(createMessage('crowdfund.success.claimRefund'));
         return true;
       }
     } catch (err) {
-      setError(`退款申请失败: ${err.message}`);
+      setError(decodeContractError(err, 'actions.claimRefund'));
       console.error('退款申请错误:', err);
       return false;
     } finally {
-      setLoading(false);
+      setPendingActions(count => count - 1);
+    }
+  };
+
+  /**
+   * 众筹成功且资金释放后领取MYB代币
+   * @param confirm (preview) => boolean，显示交易预览并返回用户是否确认
+   */
+  const claimTokens = async (campaignId, confirm = () => true) => {
+    if (!account) {
+      setError(createAppError('WALLET_NOT_CONNECTED'));
+      return false;
+    }
+
+    try {
+      setPendingActions(count => count + 1);
+      setError(null);
+      setSuccessMessage(null);
+      
+      if (crowdfundCoreContract) {
+        const preview = await previewTransaction('claimTokens', [campaignId], {}, async (from) => {
+          const investor = await investorRegistryContract.getInvestorInfo(campaignId, from);
+          return { campaignId, mybTokens: investor.mybTokens };
+        });
+        if (!(await confirm(preview))) {
+          return false;
+        }
+
+        const tx = await crowdfundCoreContract.claimTokens(campaignId);
+        await trackTransaction(tx, {
+          label: createMessage('crowdfund.tx.claimTokens', { id: String(campaignId) }),
+          origin: `campaign:${campaignId}`
+        });
+        
+        setSuccessMessage(createMessage('crowdfund.success.claimTokens'));
+        return true;
+      }
+    } catch (err) {
+      setError(decodeContractError(err, 'actions.claimTokens'));
+      console.error('领取代币错误:', err);
+      return false;
+    } finally {
+      setPendingActions(count => count - 1);
     }
   };
 
@@ -390,9 +498,14 @@ export const useCrowdfund = () => {
     invest,
     getCrowdfund,
     getAllCrowdfunds,
-    getUserInvestment,
+    cachedCampaigns,
+    getCachedCrowdfund,
+    getInvestorInfo,
+    getChainTime,
+    finalizeCrowdfund,
     releaseFunds,
     claimRefund,
+    claimTokens,
     clearMessages
   };
 };
\ No newline at end of file
@@ -0,0 +1,17 @@
+import { createContext, useContext } from 'react';
+
+// 语言Context，由 utils/I18nContext.jsx 中的 I18nProvider 提供
+export const I18nContext = createContext();
+
+/**
+ * 获取当前语言和格式化方法
+ * @returns { locale, locales, setLocale, t, formatDate, formatDuration, formatNumber, formatAmount }
+ *          t(message, params) 的 message 为消息键或 hooks 返回的消息描述 { key, params }
+ */
+export const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useI18n must be used within an I18nProvider');
+  }
+  return context;
+};
@@ -0,0 +1,110 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useWeb3 } from '../utils/Web3Context';
+import { useContractEvents } from './useContractEvents';
+import { decodeContractError } from '../utils/contractErrors';
+import { buildFundingSeries, sampleIndices } from '../utils/investmentHistory';
+
+// 资金曲线最多使用的数据点数量
+const CHART_MAX_POINTS = 60;
+
+/**
+ * 众筹的投资记录和资金曲线，数据来自 InvestmentReceived 事件
+ * 只查询当前页和曲线抽样点所在区块的时间
+ * @param campaignId 众筹ID
+ * @param page 投资记录的页码（从1开始），按时间倒序分页
+ * @param pageSize 每页数量
+ * @returns { feed, total, series, available, loading, error }
+ *          available 为false表示部署区块未知，无法按事件读取投资记录
+ */
+export const useInvestmentHistory = (campaignId, page, pageSize) => {
+  const { campaignIndexer } = useWeb3();
+  // 按区块顺序排列的投资事件，为null表示无法读取
+  const [events, setEvents] = useState([]);
+  // 区块号 -> 时间戳
+  const [timestamps, setTimestamps] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const requestRef = useRef(0);
+
+  const refresh = useCallback(async () => {
+    const request = ++requestRef.current;
+    if (!campaignIndexer || !campaignId) {
+      setEvents([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const history = await campaignIndexer.syncCampaignInvestments(campaignId);
+      if (request === requestRef.current) {
+        setEvents(history);
+      }
+    } catch (err) {
+      console.error('获取投资记录错误:', err);
+      if (request === requestRef.current) {
+        setError(decodeContractError(err, 'actions.loadInvestmentHistory'));
+      }
+    } finally {
+      if (request === requestRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [campaignIndexer, campaignId]);
+
+  // 重新连接或重置模拟链后，同一区块号可能对应不同的区块
+  useEffect(() => {
+    setTimestamps({});
+  }, [campaignIndexer]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // 本众筹有新的投资时增量同步
+  useContractEvents((event) => {
+    if (
+      event.source === 'CrowdFundCore' &&
+      event.eventName === 'InvestmentReceived' &&
+      event.args.crowdfundId.toString() === campaignId?.toString()
+    ) {
+      refresh();
+    }
+  });
+
+  const list = events || [];
+  const newestFirst = [...list].reverse();
+  const pageEvents = newestFirst.slice((page - 1) * pageSize, page * pageSize);
+  const chartIndices = sampleIndices(list.length, CHART_MAX_POINTS);
+
+  // 查询当前页和曲线抽样点所在区块的时间
+  const neededBlocks = [
+    ...pageEvents.map(event => event.blockNumber),
+    ...chartIndices.map(index => list[index].blockNumber)
+  ].filter(blockNumber => timestamps[blockNumber] === undefined);
+  const neededKey = [...new Set(neededBlocks)].join(',');
+
+  useEffect(() => {
+    if (!campaignIndexer || !neededKey) return;
+    let cancelled = false;
+    campaignIndexer.getBlockTimestamps(neededKey.split(',').map(Number))
+      .then((loaded) => {
+        if (!cancelled) {
+          setTimestamps(prev => ({ ...prev, ...loaded }));
+        }
+      })
+      .catch(err => console.error('获取区块时间错误:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [campaignIndexer, neededKey]);
+
+  return {
+    feed: pageEvents.map(event => ({ ...event, timestamp: timestamps[event.blockNumber] ?? null })),
+    total: list.length,
+    series: buildFundingSeries(list, timestamps, chartIndices),
+    available: events !== null,
+    loading,
+    error
+  };
+};
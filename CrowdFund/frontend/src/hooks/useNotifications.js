@@ -0,0 +1,17 @@
+import { createContext, useContext } from 'react';
+
+// 关注列表和提醒Context，由 utils/NotificationContext.jsx 中的 NotificationProvider 提供
+export const NotificationContext = createContext();
+
+/**
+ * 获取关注列表和提醒
+ * @returns { watchedIds, isWatched, toggleWatch, notifications, unreadCount, latest, describeNotification,
+ *            markAllRead, clearNotifications, dismissLatest, browserPermission, enableBrowserNotifications }
+ */
+export const useNotifications = () => {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationProvider');
+  }
+  return context;
+};
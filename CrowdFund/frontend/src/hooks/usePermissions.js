@@ -0,0 +1,166 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useWeb3 } from '../utils/Web3Context';
+import { useContractEvents } from './useContractEvents';
+import { useCachedCampaigns } from './useCachedCampaigns';
+import { useChainTime } from './useChainTime';
+import { getMulticallAddress } from '../config/chains';
+import { batchCall } from '../utils/multicall';
+import { EMPTY_INVESTOR, normalizeInvestor } from '../utils/campaigns';
+import { sameAddress } from '../utils/addresses';
+import { checkPermission } from '../utils/permissions';
+
+// 改变所有者或暂停状态的事件
+const PLATFORM_EVENTS = ['Paused', 'Unpaused', 'OwnershipTransferred'];
+
+// 与当前账户投资者记录相关的事件
+const INVESTOR_EVENTS = ['InvestmentReceived', 'TokensClaimed', 'RefundIssued'];
+
+// 没有投资者记录时返回同一个对象，依赖 investors 的effect不会在每次渲染时重新执行
+const NO_INVESTORS = {};
+
+/**
+ * 当前账户的操作权限
+ * 读取 CrowdFundCore 的 owner()、两个合约的 paused() 和当前账户在各众筹中的投资者记录，
+ * 结合缓存中的众筹状态和链上时间判断操作能否执行（条件见 utils/permissions.js）
+ * @param campaignIds 需要检查的众筹ID列表
+ * @returns { can, owner, isOwner, paused, investors, chainNow, chainTimeOffset }
+ *          can(action, campaignId) 返回 { allowed, reason, message }；
+ *          paused 为 { core, registry }，未读取时为null；investors 为 众筹ID -> 投资者记录；
+ *          chainTimeOffset 为链上时间与本地时间的差值（秒），只在新区块到达时变化
+ */
+export const usePermissions = (campaignIds = []) => {
+  const { account, provider, deployment, crowdfundCoreContract, investorRegistryContract } = useWeb3();
+  const { getCachedCrowdfund } = useCachedCampaigns();
+
+  // { owner, corePaused, registryPaused }
+  const [platform, setPlatform] = useState(null);
+  // { account, records }，records 为 众筹ID -> 投资者记录
+  const [investorSnapshot, setInvestorSnapshot] = useState(null);
+  // 按 block.timestamp 判断是否到期
+  const { chainNow, chainTimeOffset } = useChainTime();
+  // 到达截止时间时触发重新渲染
+  const [clock, setClock] = useState(0);
+  const platformRequestRef = useRef(0);
+  const investorRequestRef = useRef(0);
+
+  const idsKey = campaignIds.map(String).join(',');
+
+  // 读取所有者和暂停状态
+  const loadPlatform = useCallback(async () => {
+    const request = ++platformRequestRef.current;
+    if (!crowdfundCoreContract || !investorRegistryContract) {
+      setPlatform(null);
+      return;
+    }
+    try {
+      const [owner, corePaused, registryPaused] = await Promise.all([
+        crowdfundCoreContract.owner(),
+        crowdfundCoreContract.paused(),
+        investorRegistryContract.paused()
+      ]);
+      // 切换网络后丢弃之前合约的读取结果
+      if (request === platformRequestRef.current) {
+        setPlatform({ owner, corePaused, registryPaused });
+      }
+    } catch (err) {
+      console.error('获取合约所有者和暂停状态错误:', err);
+    }
+  }, [crowdfundCoreContract, investorRegistryContract]);
+
+  // 读取当前账户的投资者记录
+  const loadInvestors = useCallback(async () => {
+    const request = ++investorRequestRef.current;
+    const ids = idsKey ? idsKey.split(',') : [];
+    if (!account || !investorRegistryContract || ids.length === 0) {
+      setInvestorSnapshot(null);
+      return;
+    }
+    try {
+      const getInvestorInfo = investorRegistryContract.getFunction('getInvestorInfo');
+      const results = await batchCall(
+        provider,
+        ids.map(id => ({ method: getInvestorInfo, args: [id, account] })),
+        getMulticallAddress(deployment.chainId)
+      );
+      const records = {};
+      ids.forEach((id, index) => {
+        if (results[index].success) {
+          records[id] = normalizeInvestor(results[index].result);
+        } else {
+          console.error(`获取众筹ID ${id} 的投资记录失败:`, results[index].error);
+        }
+      });
+      if (request === investorRequestRef.current) {
+        setInvestorSnapshot({ account, records });
+      }
+    } catch (err) {
+      console.error('获取投资记录错误:', err);
+    }
+  }, [account, provider, deployment, investorRegistryContract, idsKey]);
+
+  useEffect(() => {
+    loadPlatform();
+  }, [loadPlatform]);
+
+  useEffect(() => {
+    loadInvestors();
+  }, [loadInvestors]);
+
+  // 暂停、恢复或转移所有权后重新读取；当前账户投资、退款或领取代币后刷新投资者记录
+  useContractEvents((event) => {
+    if (PLATFORM_EVENTS.includes(event.eventName)) {
+      loadPlatform();
+    } else if (
+      event.source === 'CrowdFundCore' &&
+      INVESTOR_EVENTS.includes(event.eventName) &&
+      sameAddress(event.args.investor, account) &&
+      idsKey.split(',').includes(event.args.crowdfundId.toString())
+    ) {
+      loadInvestors();
+    }
+  });
+
+  // 最近一个尚未到达的截止时间，到达时重新渲染以更新可执行的操作
+  const nextDeadline = (idsKey ? idsKey.split(',') : [])
+    .map(id => getCachedCrowdfund(id))
+    .filter(Boolean)
+    .map(campaign => Number(campaign.deadline))
+    .filter(deadline => deadline > chainNow)
+    .reduce((min, deadline) => Math.min(min, deadline), Infinity);
+
+  useEffect(() => {
+    if (nextDeadline === Infinity) return;
+    const remaining = nextDeadline - (Math.floor(Date.now() / 1000) + chainTimeOffset);
+    // setTimeout 的最大延迟约为24.8天，超过时到点后再次计算
+    const delay = Math.min((Math.max(remaining, 0) + 1) * 1000, 2 ** 31 - 1);
+    const timer = setTimeout(() => setClock(tick => tick + 1), delay);
+    return () => clearTimeout(timer);
+  }, [nextDeadline, chainTimeOffset, clock]);
+
+  const investors = investorSnapshot && investorSnapshot.account === account
+    ? investorSnapshot.records
+    : NO_INVESTORS;
+
+  const can = (action, campaignId) => checkPermission(action, {
+    account,
+    owner: platform?.owner ?? null,
+    corePaused: platform?.corePaused ?? null,
+    registryPaused: platform?.registryPaused ?? null,
+    campaign: campaignId === undefined ? null : getCachedCrowdfund(campaignId),
+    investor: campaignId === undefined ? null : investors[campaignId.toString()] || EMPTY_INVESTOR,
+    chainTime: chainNow
+  });
+
+  return {
+    can,
+    owner: platform?.owner ?? null,
+    isOwner: sameAddress(platform?.owner, account),
+    paused: {
+      core: platform?.corePaused ?? null,
+      registry: platform?.registryPaused ?? null
+    },
+    investors,
+    chainNow,
+    chainTimeOffset
+  };
+};
@@ -0,0 +1,133 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useWeb3 } from '../utils/Web3Context';
+import { useContractEvents } from './useContractEvents';
+import { useCachedCampaigns } from './useCachedCampaigns';
+import { getMulticallAddress } from '../config/chains';
+import { batchCall } from '../utils/multicall';
+import { normalizeCampaign, normalizeInvestor } from '../utils/campaigns';
+import { decodeContractError } from '../utils/contractErrors';
+import { getMetadataStore } from '../utils/metadataStore';
+import { buildPortfolio } from '../utils/portfolio';
+
+// 与当前账户持仓相关的事件
+const INVESTOR_EVENTS = ['InvestmentReceived', 'TokensClaimed', 'RefundIssued'];
+
+/**
+ * 当前账户的投资组合
+ * 通过按投资者地址过滤的 InvestmentReceived 等事件发现投资过的众筹，
+ * 再从 InvestorRegistry 读取每个众筹的投资者记录
+ * @returns { positions, totals, loading, error, refresh }
+ */
+export const usePortfolio = () => {
+  const {
+    account,
+    provider,
+    deployment,
+    campaignIndexer,
+    investorRegistryContract,
+    cacheCampaigns
+  } = useWeb3();
+  const { getCachedCrowdfund } = useCachedCampaigns();
+  const metadataStore = getMetadataStore();
+
+  // { account, ids, investors, events, chainTime }，ids为投资过的众筹ID
+  const [snapshot, setSnapshot] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // 最近一次加载的序号，账户切换后丢弃过期的结果
+  const requestRef = useRef(0);
+
+  const refresh = useCallback(async () => {
+    const request = ++requestRef.current;
+    if (!account || !campaignIndexer || !investorRegistryContract) {
+      setSnapshot(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      // 部署区块未知时没有事件记录，改为检查全部众筹的投资者登记
+      const events = await campaignIndexer.syncInvestor(account);
+      const candidateIds = events
+        ? [...new Set(events.map(event => event.crowdfundId))]
+        : await campaignIndexer.sync();
+
+      const { blockNumber, campaigns } = await campaignIndexer.loadCampaigns(candidateIds);
+      const getInvestorInfo = investorRegistryContract.getFunction('getInvestorInfo');
+      const results = await batchCall(
+        provider,
+        candidateIds.map(id => ({ method: getInvestorInfo, args: [id, account] })),
+        getMulticallAddress(deployment.chainId),
+        { blockTag: blockNumber }
+      );
+      const block = await provider.getBlock(blockNumber);
+
+      const investors = {};
+      const ids = [];
+      const normalized = [];
+      candidateIds.forEach((id, index) => {
+        const result = results[index];
+        if (!campaigns[index] || !result.success) {
+          console.error(`获取众筹ID ${id} 的投资记录失败:`, result.error);
+          return;
+        }
+        const investor = normalizeInvestor(result.result);
+        if (!events && !investor.isRegistered) return;
+        investors[id] = investor;
+        ids.push(id);
+        normalized.push(normalizeCampaign(campaigns[index], blockNumber));
+      });
+
+      // 众筹数据写入缓存，之后由合约事件更新状态
+      await Promise.all(normalized.map(campaign => metadataStore.load(campaign.metadataHash)));
+      cacheCampaigns(normalized);
+
+      if (request === requestRef.current) {
+        setSnapshot({ account, ids, investors, events, chainTime: block.timestamp });
+      }
+    } catch (err) {
+      console.error('获取投资组合错误:', err);
+      if (request === requestRef.current) {
+        setError(decodeContractError(err, 'actions.loadPortfolio'));
+      }
+    } finally {
+      if (request === requestRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [account, provider, deployment, campaignIndexer, investorRegistryContract, cacheCampaigns, metadataStore]);
+
+  // 账户或网络变化时重新加载
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // 当前账户投资、领取代币或退款后增量同步
+  useContractEvents((event) => {
+    if (
+      event.source === 'CrowdFundCore' &&
+      INVESTOR_EVENTS.includes(event.eventName) &&
+      account &&
+      event.args.investor.toLowerCase() === account.toLowerCase()
+    ) {
+      refresh();
+    }
+  });
+
+  // 众筹状态取自缓存，结算、释放资金等事件到达后自动更新
+  const current = snapshot && snapshot.account === account ? snapshot : null;
+  const campaigns = current
+    ? current.ids.map(id => getCachedCrowdfund(id)).filter(Boolean)
+    : [];
+
+  const { positions, totals } = buildPortfolio({
+    campaigns,
+    investors: current?.investors || {},
+    events: current?.events ?? null,
+    chainTime: current?.chainTime || Math.floor(Date.now() / 1000)
+  });
+
+  return { positions, totals, loading, error, refresh };
+};
@@ -0,0 +1,16 @@
+import { createContext, useContext } from 'react';
+
+// 路由Context，由 utils/RouterContext.jsx 中的 RouterProvider 提供
+export const RouterContext = createContext();
+
+/**
+ * 获取当前路由和导航方法
+ * @returns { route, params, query, pathname, navigate, goBack, setQuery }
+ */
+export const useRouter = () => {
+  const context = useContext(RouterContext);
+  if (!context) {
+    throw new Error('useRouter must be used within a RouterProvider');
+  }
+  return context;
+};
@@ -1,31 +1,46 @@
 import { useState, useEffect } from 'react';
 import { useWeb3 } from '../utils/Web3Context';
-import { ethers } from 'ethers';
+import { useTransactions } from './useTransactions';
+import { createAppError, decodeContractError } from '../utils/contractErrors';
+import { createMessage } from '../utils/i18n';
+import { ethToMyb as convertEthToMyb, mybToEth as convertMybToEth, formatMyb } from '../utils/amounts';
+
+const formatAddress = (addr) => `${addr.slice(0, 6)}...${addr.slice(-4)}`;
 
 export const useToken = () => {
-  const { mybTokenContract, account } = useWeb3();
-  const [loading, setLoading] = useState(false);
+  const { provider, mybTokenContract, account, connector, mybBalance, cacheMybBalance, captureSession } = useWeb3();
+  const { trackTransaction } = useTransactions();
+  // 进行中的交易操作数，多个操作并发时不会互相清除加载状态
+  const [pendingActions, setPendingActions] = useState(0);
+  const loading = pendingActions > 0;
+  // 结构化错误对象 { code, message, action, reason, ... }，见 utils/contractErrors.js
   const [error, setError] = useState(null);
   const [successMessage, setSuccessMessage] = useState(null);
-  const [tokenBalance, setTokenBalance] = useState('0');
-  const [exchangeRate, setExchangeRate] = useState(10000); // 默认1 ETH = 10000 MYB
+  const [exchangeRate, setExchangeRate] = useState(10000n); // 默认1 ETH = 10000 MYB
+
+  // 余额缓存在Web3Context中，MYB转账事件到达时自动更新
+  // 最小单位的bigint，显示时用 utils/amounts.js 的 formatMyb 转换
+  const tokenBalance = mybBalance ? mybBalance.value : 0n;
 
   // 获取代币余额
   const fetchTokenBalance = async () => {
     if (!mybTokenContract || !account) {
-      setTokenBalance('0');
       return;
     }
 
+    const isCurrent = captureSession();
     try {
       setError(null);
-      const balance = await mybTokenContract.balanceOf(account);
-      // MYB代币精度为18位，需要转换
-      setTokenBalance(ethers.formatUnits(balance, 18));
+      // 固定读取的区块，之后的转账事件才会更新缓存的余额
+      const blockNumber = await provider.getBlockNumber();
+      const balance = await mybTokenContract.balanceOf(account, { blockTag: blockNumber });
+      cacheMybBalance(balance, blockNumber);
     } catch (err) {
-      setError(`获取余额失败: ${err.message}`);
+      // 切换账户或网络前发起的读取出错时不显示
+      if (isCurrent()) {
+        setError(decodeContractError(err, 'actions.loadBalance'));
+      }
       console.error('获取余额错误:', err);
-      setTokenBalance('0');
     }
   };
 
@@ -35,61 +50,152 @@ export const useToken = () => {
       return;
     }
 
+    const isCurrent = captureSession();
     try {
       setError(null);
       const rate = await mybTokenContract.exchangeRate();
-      // 在ethers.js v6中，使用toString()转换BigNumber为字符串，再转换为数字
-      setExchangeRate(Number(rate.toString()));
+      if (isCurrent()) {
+        setExchangeRate(rate);
+      }
     } catch (err) {
       console.error('获取兑换率失败，使用默认值:', err);
       // 保持默认值10000
     }
   };
 
-  // 转账代币
+  /**
+   * 转账代币
+   * @param amount 转账数量（MYB最小单位的bigint，用 utils/amounts.js 的 validateAmount 解析输入）
+   */
   const transferTokens = async (recipient, amount) => {
     if (!mybTokenContract || !account) {
-      setError('钱包未连接');
+      setError(createAppError('WALLET_NOT_CONNECTED'));
       return false;
     }
 
     try {
-      setLoading(true);
+      setPendingActions(count => count + 1);
       setError(null);
       setSuccessMessage(null);
 
-      // 将金额转换为wei单位（18位精度）
-      const amountWei = ethers.parseUnits(amount.toString(), 18);
-      
       // 调用合约转账
-      const tx = await mybTokenContract.transfer(recipient, amountWei);
+      const tx = await mybTokenContract.transfer(recipient, amount);
       
-      // 等待交易确认
-      await tx.wait();
+      // 记录交易并等待确认
+      await trackTransaction(tx, {
+        label: createMessage('token.tx.transfer', { amount: formatMyb(amount) }),
+        origin: 'token'
+      });
       
-      setSuccessMessage(`转账成功！金额: ${amount} MYB`);
-      // 更新余额
-      fetchTokenBalance();
+      setSuccessMessage(createMessage('token.success.transfer', { amount: formatMyb(amount) }));
       return true;
     } catch (err) {
-      setError(`转账失败: ${err.message}`);
+      setError(decodeContractError(err, 'actions.transfer'));
       console.error('转账错误:', err);
       return false;
     } finally {
-      setLoading(false);
+      setPendingActions(count => count - 1);
     }
   };
 
-  // ETH转换为MYB
-  const ethToMyb = (ethAmount) => {
-    return (parseFloat(ethAmount) * exchangeRate).toFixed(2);
+  /**
+   * 查询当前账户授权给 spender 的额度
+   * @return MYB最小单位的bigint，读取失败时返回null
+   */
+  const fetchAllowance = async (spender) => {
+    if (!mybTokenContract || !account) {
+      return null;
+    }
+
+    const isCurrent = captureSession();
+    try {
+      setError(null);
+      const value = await mybTokenContract.allowance(account, spender);
+      // 读取期间切换了账户或网络，额度属于之前的账户
+      return isCurrent() ? value : null;
+    } catch (err) {
+      if (isCurrent()) {
+        setError(decodeContractError(err, 'actions.loadAllowance'));
+      }
+      console.error('获取授权额度错误:', err);
+      return null;
+    }
+  };
+
+  /**
+   * 授权 spender 代为转出MYB，额度为0时即撤销授权
+   * approve 直接覆盖原额度，不是在原额度上增减
+   * @param amount 授权额度（MYB最小单位的bigint）
+   */
+  const approve = async (spender, amount) => {
+    if (!mybTokenContract || !account) {
+      setError(createAppError('WALLET_NOT_CONNECTED'));
+      return false;
+    }
+
+    try {
+      setPendingActions(count => count + 1);
+      setError(null);
+      setSuccessMessage(null);
+
+      const tx = await mybTokenContract.approve(spender, amount);
+
+      const label = amount === 0n
+        ? createMessage('token.tx.revoke', { spender: formatAddress(spender) })
+        : createMessage('token.tx.approve', { amount: formatMyb(amount), spender: formatAddress(spender) });
+      await trackTransaction(tx, { label, origin: 'token' });
+
+      setSuccessMessage(amount === 0n
+        ? createMessage('token.success.revoke')
+        : createMessage('token.success.approve', { amount: formatMyb(amount) }));
+      return true;
+    } catch (err) {
+      setError(decodeContractError(err, 'actions.approve'));
+      console.error('授权错误:', err);
+      return false;
+    } finally {
+      setPendingActions(count => count - 1);
+    }
   };
 
-  // MYB转换为ETH
-  const mybToEth = (mybAmount) => {
-    return (parseFloat(mybAmount) / exchangeRate).toFixed(6);
+  // 请求钱包把MYB加入代币列表（EIP-747 wallet_watchAsset），符号和精度从合约读取
+  const addTokenToWallet = async () => {
+    const wallet = connector ? connector.getProvider() : null;
+    if (!mybTokenContract || !account || !wallet) {
+      setError(createAppError('WALLET_NOT_CONNECTED'));
+      return false;
+    }
+
+    try {
+      setError(null);
+      setSuccessMessage(null);
+      const [address, symbol, decimals] = await Promise.all([
+        mybTokenContract.getAddress(),
+        mybTokenContract.symbol(),
+        mybTokenContract.decimals()
+      ]);
+      const added = await wallet.request({
+        method: 'wallet_watchAsset',
+        params: { type: 'ERC20', options: { address, symbol, decimals: Number(decimals) } }
+      });
+      // 用户在钱包中取消时返回false
+      if (added) {
+        setSuccessMessage(createMessage('token.success.watchAsset', { symbol }));
+      }
+      return Boolean(added);
+    } catch (err) {
+      setError(decodeContractError(err, 'actions.watchAsset'));
+      console.error('添加代币到钱包错误:', err);
+      return false;
+    }
   };
 
+  // 按当前兑换率把wei换算为MYB最小单位（已创建的众筹按其记录的 mybPerEth 换算，见 utils/amounts.js）
+  const ethToMyb = (wei) => convertEthToMyb(wei, exchangeRate);
+
+  // 按当前兑换率计算获得指定MYB数量需要的wei
+  const mybToEth = (units) => convertMybToEth(units, exchangeRate);
+
   // 清除消息
   const clearMessages = () => {
     setError(null);
@@ -110,6 +216,9 @@ export const useToken = () => {
     exchangeRate,
     fetchTokenBalance,
     transferTokens,
+    fetchAllowance,
+    approve,
+    addTokenToWallet,
     ethToMyb,
     mybToEth,
     clearMessages
@@ -0,0 +1,106 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useWeb3 } from '../utils/Web3Context';
+import { useContractEvents } from './useContractEvents';
+import { decodeContractError } from '../utils/contractErrors';
+import { sameAddress } from '../utils/addresses';
+import { buildTokenHistory } from '../utils/tokenHistory';
+
+/**
+ * 当前账户的MYB转账记录，数据来自 Transfer 事件，领取代币的转账标注对应的众筹
+ * @param page 页码（从1开始），按时间倒序分页
+ * @param pageSize 每页数量
+ * @returns { transfers, total, available, loading, error }
+ *          available 为false表示部署区块未知，无法按事件读取
+ */
+export const useTokenHistory = (page, pageSize) => {
+  const { campaignIndexer, account } = useWeb3();
+  // 按区块顺序排列的转账记录（见 utils/tokenHistory.js），为null表示无法读取
+  const [history, setHistory] = useState([]);
+  // 区块号 -> 时间戳
+  const [timestamps, setTimestamps] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const requestRef = useRef(0);
+
+  const refresh = useCallback(async () => {
+    const request = ++requestRef.current;
+    if (!campaignIndexer || !account) {
+      setHistory([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const [transfers, investorEvents] = await Promise.all([
+        campaignIndexer.syncTokenTransfers(account),
+        campaignIndexer.syncInvestor(account)
+      ]);
+      if (request === requestRef.current) {
+        setHistory(transfers === null || investorEvents === null
+          ? null
+          : buildTokenHistory(transfers, investorEvents, account));
+      }
+    } catch (err) {
+      console.error('获取转账记录错误:', err);
+      if (request === requestRef.current) {
+        setError(decodeContractError(err, 'actions.loadTokenHistory'));
+      }
+    } finally {
+      if (request === requestRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [campaignIndexer, account]);
+
+  // 重新连接或重置模拟链后，同一区块号可能对应不同的区块
+  useEffect(() => {
+    setTimestamps({});
+  }, [campaignIndexer]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // 当前账户转入或转出MYB时增量同步
+  useContractEvents((event) => {
+    if (
+      event.source === 'MYBToken' &&
+      event.eventName === 'Transfer' &&
+      (sameAddress(event.args.from, account) || sameAddress(event.args.to, account))
+    ) {
+      refresh();
+    }
+  });
+
+  const list = history || [];
+  const pageTransfers = [...list].reverse().slice((page - 1) * pageSize, page * pageSize);
+
+  // 只查询当前页所在区块的时间
+  const neededKey = [...new Set(pageTransfers.map(transfer => transfer.blockNumber))]
+    .filter(blockNumber => timestamps[blockNumber] === undefined)
+    .join(',');
+
+  useEffect(() => {
+    if (!campaignIndexer || !neededKey) return;
+    let cancelled = false;
+    campaignIndexer.getBlockTimestamps(neededKey.split(',').map(Number))
+      .then((loaded) => {
+        if (!cancelled) {
+          setTimestamps(prev => ({ ...prev, ...loaded }));
+        }
+      })
+      .catch(err => console.error('获取区块时间错误:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [campaignIndexer, neededKey]);
+
+  return {
+    transfers: pageTransfers.map(transfer => ({ ...transfer, timestamp: timestamps[transfer.blockNumber] ?? null })),
+    total: list.length,
+    available: history !== null,
+    loading,
+    error
+  };
+};
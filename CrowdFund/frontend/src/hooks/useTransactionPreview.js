@@ -0,0 +1,19 @@
+import { useI18n } from './useI18n';
+import { describeTransactionPreview } from '../utils/transactionPreview';
+
+/**
+ * 交易确认对话框
+ * confirmTransaction 作为 useCrowdfund 写操作的 confirm 参数，显示预览（见 utils/transactionPreview.js）并返回用户是否确认
+ */
+export const useTransactionPreview = () => {
+  const { t } = useI18n();
+
+  const confirmTransaction = (preview) => {
+    const summary = describeTransactionPreview(preview)
+      .map(line => t(line))
+      .join('\n');
+    return window.confirm(t('preview.confirm', { summary }));
+  };
+
+  return { confirmTransaction };
+};
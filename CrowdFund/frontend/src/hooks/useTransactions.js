@@ -0,0 +1,35 @@
+import { createContext, useContext, useEffect, useRef } from 'react';
+
+// 交易管理Context，由 utils/TransactionContext.jsx 中的 TransactionProvider 提供
+export const TransactionContext = createContext();
+
+// 获取交易管理器
+export const useTransactions = () => {
+  const context = useContext(TransactionContext);
+  if (!context) {
+    throw new Error('useTransactions must be used within a TransactionProvider');
+  }
+  return context;
+};
+
+/**
+ * 监听指定来源的交易结果（包括页面刷新后恢复监听的交易）
+ * @param origin 提交交易时记录的来源，如 'campaign:1'
+ * @param listener 交易确认、失败或被替换时调用，参数为交易记录
+ */
+export const useTransactionListener = (origin, listener) => {
+  const { onTransactionSettled } = useTransactions();
+  const listenerRef = useRef(listener);
+
+  useEffect(() => {
+    listenerRef.current = listener;
+  });
+
+  useEffect(() => {
+    return onTransactionSettled((record) => {
+      if (record.origin === origin) {
+        listenerRef.current(record);
+      }
+    });
+  }, [onTransactionSettled, origin]);
+};
@@ -0,0 +1,734 @@
+// English messages, same key structure as zh-CN.js
+const messages = {
+  app: {
+    title: 'CrowdFund - Decentralized Crowdfunding',
+    footer: 'Decentralized crowdfunding on Ethereum'
+  },
+  common: {
+    duration: {
+      ended: 'Ended',
+      daysHours: '{days}d {hours}h',
+      hoursMinutes: '{hours}h {minutes}m',
+      minutes: '{minutes}m'
+    },
+    language: 'Language',
+    loading: 'Loading...',
+    refreshing: 'Refreshing...',
+    refresh: 'Refresh',
+    processing: 'Processing...'
+  },
+  errors: {
+    generic: {
+      WALLET_NOT_CONNECTED: 'Wallet not connected',
+      UNSUPPORTED_NETWORK: 'The contracts are not deployed on this network. Please switch to a supported network',
+      NETWORK_MISMATCH: 'Your wallet is on a different network from the one you are browsing. Check the network and try again',
+      METADATA_UPLOAD_FAILED: 'Failed to save the project details. Please check your input and the metadata storage service',
+      USER_REJECTED: 'You rejected the request in your wallet',
+      INSUFFICIENT_FUNDS: 'Insufficient ETH balance for the transaction amount and gas fee',
+      NONCE_EXPIRED: 'The transaction nonce has already been used. Reset the account in your wallet and try again',
+      NETWORK_ERROR: 'Network request failed. Check your connection and try again',
+      TRANSACTION_NOT_FOUND: 'Transaction not found. It may have been cancelled in the wallet or dropped by the node',
+      TRANSACTION_REPLACED: 'The transaction was replaced by another transaction in your wallet',
+      TRANSACTION_CANCELLED: 'The transaction was cancelled in your wallet',
+      CALL_EXCEPTION: 'Contract call failed. Check the network connection and contract addresses',
+      TRANSACTION_REVERTED: 'The transaction was mined but reverted on chain',
+      UNKNOWN_REVERT: 'The contract rejected the transaction',
+      UNKNOWN_REVERT_REASON: 'The contract rejected the transaction: {reason}',
+      PANIC: 'Contract execution error',
+      PANIC_REASON: 'Contract execution error: {reason}',
+      BAD_DATA: 'Failed to decode data',
+      UNKNOWN: 'Unknown error',
+      UNKNOWN_DETAIL: '{message}',
+      UNSUPPORTED_METHOD: 'The connected wallet does not support this request'
+    },
+    actionFailed: '{action} failed: {message}',
+    revert: {
+      projectNameCannotBeEmpty: 'Project name cannot be empty',
+      targetAmountMustBeGreaterThan0: 'Target amount must be greater than 0',
+      deadlineMustBeInTheFuture: 'Deadline must be in the future',
+      investmentAmountMustBeAtLeast001ETH: 'The investment must be at least 0.01 ETH',
+      crowdfundIsNotActive: 'The campaign is not active',
+      crowdfundHasEnded: 'The campaign has ended and no longer accepts investments',
+      crowdfundDeadlineNotReached: 'The campaign deadline has not been reached yet',
+      crowdfundNotSuccessful: 'The campaign was not successful',
+      fundsAlreadyReleased: 'Funds have already been released',
+      transferToCreatorFailed: 'Transfer to the creator failed',
+      transferToDevFundFailed: 'Transfer to the development fund failed',
+      transferToCommunityFundFailed: 'Transfer to the community fund failed',
+      crowdfundNotFailed: 'The campaign has not failed, so refunds are not available',
+      notAnInvestor: 'You have not invested in this campaign',
+      noInvestmentToRefund: 'There is no investment to refund',
+      refundTransferFailed: 'Refund transfer failed',
+      fundsNotYetReleased: 'Funds have not been released yet, so tokens cannot be claimed',
+      noTokensToClaim: 'There are no tokens to claim',
+      tokenTransferFailed: 'Token transfer failed',
+      invalidAddress: 'Invalid address',
+      invalidInvestorAddress: 'Invalid investor address',
+      investmentMustBeGreaterThan0: 'The investment must be greater than 0',
+      investorNotRegistered: 'You have not invested in this campaign',
+      insufficientTokens: 'Not enough tokens to claim',
+      exchangeRateMustBeGreaterThan0: 'The exchange rate must be greater than 0',
+      callerIsNotTheOwner: 'Only the contract owner can perform this action',
+      newOwnerZero: 'Invalid new owner address',
+      paused: 'The contract is paused. Please try again later',
+      notPaused: 'The contract is not paused',
+      reentrantCall: 'The contract rejected a reentrant call',
+      erc20TransferAmountExceedsBalance: 'Insufficient MYB balance',
+      erc20BurnAmountExceedsBalance: 'Insufficient MYB balance to burn',
+      erc20InsufficientAllowance: 'Insufficient MYB allowance',
+      erc20DecreasedAllowanceBelowZero: 'The decrease exceeds the current allowance',
+      erc20TransferToTheZeroAddress: 'Cannot transfer to the zero address',
+      erc20TransferFromTheZeroAddress: 'Invalid sender address',
+      erc20ApproveToTheZeroAddress: 'Cannot approve the zero address',
+      erc20MintToTheZeroAddress: 'Cannot mint to the zero address'
+    },
+    panic: {
+      assert: 'assertion failed',
+      overflow: 'arithmetic overflow',
+      divisionByZero: 'division by zero',
+      invalidEnum: 'invalid enum value',
+      outOfBounds: 'array index out of bounds',
+      outOfMemory: 'out of memory',
+      code: 'code {code}'
+    }
+  },
+  permissions: {
+    NO_ACCOUNT: 'Please connect your wallet first',
+    NOT_FOUND: 'The campaign does not exist or has not loaded yet',
+    CORE_PAUSED: 'The platform contract is paused, so this action is temporarily unavailable',
+    REGISTRY_PAUSED: 'The investor registry is paused, so investing is temporarily unavailable',
+    NOT_OWNER: 'Only the platform administrator (contract owner) can perform this action',
+    NOT_ACTIVE: 'The campaign has ended',
+    DEADLINE_PASSED: 'The campaign deadline has passed',
+    DEADLINE_NOT_REACHED: 'The campaign can be finalized once its deadline has passed',
+    NOT_SUCCESSFUL: 'The campaign was not successful',
+    ALREADY_RELEASED: 'Funds have already been released',
+    NOT_RELEASED: 'Tokens can be claimed once the funds have been released',
+    NOT_FAILED: 'Only failed campaigns can be refunded',
+    NOT_INVESTOR: 'You have not invested in this campaign',
+    NOTHING_TO_CLAIM: 'There are no tokens to claim',
+    ALREADY_PAUSED: 'The contract is already paused',
+    NOT_PAUSED: 'The contract is not paused'
+  },
+  campaignStatus: {
+    pending: 'Pending',
+    active: 'Active',
+    successful: 'Successful',
+    failed: 'Failed',
+    refunded: 'Refunded'
+  },
+  campaignList: {
+    filters: {
+      all: 'All',
+      completed: 'Completed',
+      anyProgress: 'Any progress',
+      progressLow: 'Under 50%',
+      progressHigh: '50% - 99%',
+      progressReached: 'Goal reached',
+      anyTime: 'Any time left',
+      endingDay: 'Ends within 24 hours',
+      endingWeek: 'Ends within 7 days',
+      ended: 'Deadline passed',
+      watched: 'Watched only ({count})'
+    },
+    sort: {
+      newest: 'Newest',
+      ending: 'Ending soon',
+      funded: 'Most funded',
+      goal: 'Closest to goal'
+    },
+    title: 'Campaigns',
+    searchPlaceholder: 'Search by project name or creator address',
+    refresh: 'Refresh',
+    resultCount: '{count} results',
+    clearFilters: 'Clear filters',
+    empty: 'No campaigns yet',
+    noMatches: 'No campaigns match the filters',
+    viewDetails: 'View details',
+    cachedRefreshing: 'Showing cached data while refreshing from the chain…',
+    cachedOutdated: 'Showing cached data, which may be out of date'
+  },
+  admin: {
+    operations: {
+      corePause: {
+        label: 'Pause CrowdFundCore',
+        effect: 'While paused, campaigns cannot be created, invested in or finalized; refunds, token claims and fund releases are unaffected'
+      },
+      coreUnpause: {
+        label: 'Unpause CrowdFundCore',
+        effect: 'Resumes campaign creation, investing and finalization'
+      },
+      registryPause: {
+        label: 'Pause InvestorRegistry',
+        effect: 'While paused, investors cannot be registered, so every investment fails'
+      },
+      registryUnpause: {
+        label: 'Unpause InvestorRegistry',
+        effect: 'Resumes investor registration'
+      },
+      updateDevFundAddress: {
+        label: 'Update development fund address',
+        effect: 'Future fund releases send 20% to the new development fund address'
+      },
+      updateCommunityFundAddress: {
+        label: 'Update community fund address',
+        effect: 'Future fund releases send 10% to the new community fund address'
+      },
+      releaseFunds: {
+        label: 'Release campaign funds',
+        effect: '70% of the raised funds go to the creator, 20% to the development fund and 10% to the community fund'
+      },
+      setExchangeRate: {
+        label: 'Set exchange rate',
+        effect: 'Campaigns created afterwards allocate MYB at the new rate; existing campaigns keep the rate recorded at creation'
+      },
+      mint: {
+        label: 'Mint MYB',
+        effect: 'Mints new tokens to the recipient, increasing the total supply'
+      },
+      burn: {
+        label: 'Burn MYB',
+        effect: 'Burns tokens from the current account (the contract owner), decreasing the total supply'
+      }
+    },
+    fields: {
+      newDevFund: 'New development fund address',
+      newCommunityFund: 'New community fund address',
+      crowdfundId: 'Campaign ID',
+      newRate: 'New exchange rate (MYB per 1 ETH)',
+      recipient: 'Recipient address',
+      amount: 'Amount (MYB)'
+    },
+    validation: {
+      required: '{field} is required',
+      invalidAddress: '{field} is not a valid address',
+      zeroAddress: '{field} cannot be the zero address',
+      positiveInteger: '{field} must be a positive integer',
+      positiveAmount: '{field} must be greater than 0',
+      invalidAmount: '{field} is invalid; use at most 18 decimal places'
+    },
+    call: {
+      tokenAmount: '{raw} ({amount} MYB)',
+      contract: 'Contract: {contract} ({address})',
+      function: 'Function: {signature}',
+      params: 'Parameters:',
+      param: '  {name} = {value}',
+      calldata: 'Calldata: {data}',
+      blank: ''
+    },
+    success: '{operation} succeeded!',
+    events: {
+      paused: '{contract} paused (by {account})',
+      unpaused: '{contract} unpaused (by {account})',
+      deployed: '{contract} deployed, owned by {owner}',
+      ownershipTransferred: '{contract} ownership transferred from {from} to {to}',
+      fundsReleased: 'Campaign #{id} funds released: {recipient} received {amount}',
+      minted: 'Minted {amount} to {to}',
+      burned: '{from} burned {amount}'
+    },
+    overviewUnavailable: 'Unable to read the contract state',
+    ownerOnly: 'Only the platform administrator (contract owner) can access this page',
+    confirm: 'Execute the following call?\n\n{summary}',
+    txWithArgs: '{operation} ({args})',
+    currentAccount: 'Current account',
+    coreContract: 'CrowdFundCore contract',
+    notPausable: 'Not pausable',
+    paused: 'Paused',
+    running: 'Running',
+    execute: 'Execute',
+    noDeployBlock: 'The deployment manifest for this network has no deploy block, so the admin history cannot be read',
+    noHistory: 'No admin activity yet',
+    summary: {
+      balance: 'CrowdFundCore balance',
+      reserves: 'MYB reserves',
+      totalSupply: 'MYB total supply',
+      exchangeRate: 'Exchange rate',
+      accountTokens: 'Your MYB'
+    },
+    contractStatus: 'Contract status',
+    table: {
+      contract: 'Contract',
+      address: 'Address',
+      owner: 'Owner',
+      status: 'Status'
+    },
+    devFund: 'Development fund (20%): ',
+    communityFund: 'Community fund (10%): ',
+    pendingReleases: 'Campaigns awaiting fund release',
+    noPendingReleases: 'No campaigns are awaiting fund release',
+    release: 'Release funds',
+    operationsTitle: 'Admin operations',
+    historyTitle: 'Admin history',
+    historyHint: 'Fund address and exchange rate updates emit no contract events; calls submitted from this account are listed in the transaction history',
+    registryNote: 'InvestorRegistry is owned by the CrowdFundCore contract, which writes investor records on investments and refunds. CrowdFundCore has no function that forwards pause or unpause, so pausing or unpausing InvestorRegistry stays unavailable until an account owns it.'
+  },
+  metadata: {
+    errors: {
+      unsupportedVersion: 'Unsupported metadata format version',
+      invalidTitle: 'The title is required and must be at most {max} characters',
+      descriptionTooLong: 'The description must be at most {max} characters',
+      notArray: 'Metadata field {field} must be an array',
+      invalidImageUrl: 'Invalid image URL: {url}',
+      invalidLinkUrl: 'Invalid link URL: {url}',
+      memberNameRequired: 'Team member name is required',
+      invalidMemberAddress: 'Invalid team member address: {address}',
+      budgetItemRequired: 'Budget item is required',
+      invalidBudgetAmount: 'Invalid budget amount: {amount}',
+      readFailed: 'Failed to read metadata: HTTP {status}',
+      uploadFailed: 'Failed to upload metadata: HTTP {status}'
+    }
+  },
+  wallet: {
+    errors: {
+      notInstalled: 'No browser wallet detected. Please install a wallet extension first',
+      noDeployment: 'The contracts are not deployed on {network}',
+      networkCheckFailed: 'Network check failed',
+      switchFailed: 'Failed to switch to {network}'
+    },
+    connect: 'Connect Wallet',
+    disconnect: 'Disconnect',
+    connectors: {
+      injected: 'Browser wallet',
+      burner: 'Burner wallet (local development)',
+      simulated: 'Simulated chain'
+    },
+    choose: 'Choose a wallet',
+    noWallets: 'No browser wallet detected.',
+    install: 'Get a wallet',
+    connecting: 'Connecting...',
+    connectToContinue: 'Connect a wallet to continue',
+    cancel: 'Cancel',
+    burner: {
+      nodeUnreachable: 'The burner wallet cannot reach the node at {url}: {reason}',
+      foreignAccount: 'The burner wallet cannot sign for {address}',
+      switchChainUnsupported: 'The burner wallet cannot switch networks',
+      addChainUnsupported: 'The burner wallet cannot add networks',
+      watchAssetUnsupported: 'The burner wallet cannot add tokens'
+    }
+  },
+  actions: {
+    connectWallet: 'Wallet connection',
+    loadBackers: 'Loading backers',
+    loadPortfolio: 'Loading the portfolio',
+    loadPlatform: 'Loading the platform status',
+    createCampaign: 'Campaign creation',
+    invest: 'Investment',
+    loadCampaign: 'Loading the campaign',
+    loadCampaigns: 'Loading campaigns',
+    loadInvestment: 'Loading your investment',
+    finalize: 'Finalization',
+    releaseFunds: 'Fund release',
+    claimRefund: 'Refund request',
+    claimTokens: 'Token claim',
+    loadBalance: 'Loading the balance',
+    transfer: 'Transfer',
+    loadAdminHistory: 'Loading the admin history',
+    loadCreatedCampaigns: 'Loading your campaigns',
+    loadInvestmentHistory: 'Loading the investment history',
+    loadTokenHistory: 'Load token history',
+    loadAllowance: 'Load allowance',
+    approve: 'Approve',
+    watchAsset: 'Add token to wallet'
+  },
+  chains: {
+    '31337': 'Hardhat Local',
+    '11155111': 'Sepolia Testnet',
+    '80001': 'Mumbai Testnet',
+    '13371337': 'Browser Simulation',
+    unknown: 'Unknown network ({chainId})'
+  },
+  transactions: {
+    defaultLabel: 'Contract transaction',
+    status: {
+      pending: 'Pending',
+      confirmed: 'Confirmed',
+      failed: 'Failed',
+      replaced: 'Replaced'
+    },
+    replacement: {
+      repriced: 'Sped up',
+      cancelled: 'Cancelled',
+      replaced: 'Replaced by another transaction',
+      default: 'Replacement'
+    },
+    toggle: 'Transactions',
+    togglePending: 'Transactions ({count} pending)',
+    title: 'Transaction history',
+    clearCompleted: 'Clear completed',
+    empty: 'No transactions',
+    hash: 'Hash',
+    submittedAt: 'Submitted',
+    value: 'Value',
+    block: 'Block',
+    fee: 'Fee',
+    remove: 'Remove'
+  },
+  crowdfund: {
+    metadataSaveFailed: 'Failed to save the project details: {reason}',
+    tx: {
+      create: 'Create campaign: {title}',
+      invest: 'Invest in campaign #{id}: {amount} ETH',
+      finalize: 'Finalize campaign #{id}',
+      releaseFunds: 'Release funds of campaign #{id}',
+      claimRefund: 'Claim refund for campaign #{id}',
+      claimTokens: 'Claim MYB tokens from campaign #{id}'
+    },
+    success: {
+      create: 'Campaign created! ID: {id}',
+      invest: 'Investment successful! Amount: {amount} ETH',
+      finalize: 'Campaign finalized!',
+      releaseFunds: 'Funds released!',
+      claimRefund: 'Refund claimed!',
+      claimTokens: 'Tokens claimed!'
+    }
+  },
+  token: {
+    tx: {
+      transfer: 'Transfer {amount} MYB',
+      approve: 'Approve {amount} MYB for {spender}',
+      revoke: 'Revoke allowance for {spender}'
+    },
+    success: {
+      transfer: 'Transfer successful! Amount: {amount} MYB',
+      approve: 'Approval set to {amount} MYB',
+      revoke: 'Allowance revoked',
+      watchAsset: '{symbol} added to your wallet'
+    }
+  },
+  network: {
+    unsupported: 'Unsupported network',
+    noDeployment: 'CrowdFund is not deployed on {network}. Please switch to one of the following networks:',
+    noSupportedChains: 'No deployments are available. Run the deploy script first',
+    switch: 'Switch'
+  },
+  notFound: {
+    title: 'Page not found',
+    message: 'The page you are looking for does not exist or has been removed.',
+    back: 'Back to campaigns'
+  },
+  tokenInfo: {
+    balance: 'MYB balance',
+    exchangeRate: 'Exchange rate',
+    tabs: {
+      overview: 'Overview',
+      send: 'Send',
+      allowance: 'Allowances',
+      history: 'History'
+    },
+    addToWallet: 'Add MYB to wallet',
+    checksummed: 'Checksummed: {address}',
+    selfAddress: 'This is your connected account',
+    send: {
+      recipient: 'Recipient',
+      amount: 'Amount (MYB)',
+      max: 'Max',
+      available: 'Available: {balance} MYB',
+      submit: 'Send',
+      sending: 'Processing...',
+      invalidRecipient: 'Invalid recipient: {reason}',
+      invalidAmount: 'Invalid amount: {reason}',
+      insufficient: 'Insufficient balance. You have {balance} MYB',
+      confirm: 'Send {amount} MYB to {recipient}?',
+      confirmSelf: 'The recipient is your connected account. The transfer will not change your balance and only costs a network fee. Send {amount} MYB anyway?'
+    },
+    allowance: {
+      spender: 'Spender',
+      check: 'Check',
+      current: 'Current allowance: {amount} MYB',
+      revoke: 'Revoke',
+      amount: 'New allowance (MYB)',
+      note: 'The new allowance replaces the current one. It is not added to it',
+      submit: 'Approve',
+      invalidSpender: 'Invalid spender: {reason}',
+      invalidAmount: 'Invalid allowance: {reason}',
+      confirm: 'Allow {spender} to spend up to {amount} of your MYB?',
+      confirmRevoke: 'Revoke the allowance for {spender}?'
+    },
+    history: {
+      empty: 'No transfers yet',
+      noDeployBlock: 'The deploy block is unknown on this network, so transfers cannot be read',
+      campaign: 'Campaign #{id}',
+      to: 'To {address}',
+      from: 'From {address}',
+      kinds: {
+        claim: 'Token claim',
+        mint: 'Minted',
+        burn: 'Burned',
+        self: 'Self transfer',
+        sent: 'Sent',
+        received: 'Received'
+      }
+    }
+  },
+  pagination: {
+    previous: 'Previous',
+    info: 'Page {page} of {pageCount}',
+    next: 'Next'
+  },
+  nav: {
+    campaigns: 'Campaigns',
+    create: 'Create Campaign',
+    portfolio: 'My Investments',
+    creator: 'My Campaigns',
+    admin: 'Administration'
+  },
+  pages: {
+    creator: 'Campaigns I Created'
+  },
+  campaign: {
+    raised: 'Raised',
+    goal: 'Goal',
+    remaining: 'Time left',
+    creator: 'Creator',
+    deadline: 'Deadline',
+    fundsReleased: 'Funds released'
+  },
+  campaignDetail: {
+    metadata: {
+      verified: 'Project details verified against the on-chain content hash',
+      invalid: 'Project details do not match the on-chain content hash and may have been tampered with, so they are hidden',
+      missing: 'Project details were not found in the metadata storage',
+      error: 'Failed to load the project details. Please refresh later'
+    },
+    invalidAmount: 'Invalid investment amount: {reason}',
+    notFoundTitle: 'Campaign not found',
+    notFoundMessage: 'No campaign with ID {id} was found.',
+    notFound: 'Campaign not found',
+    back: 'Back to list',
+    links: 'Links',
+    team: 'Team',
+    budget: 'Budget',
+    budgetTotal: 'Total',
+    investTitle: 'Invest',
+    investPlaceholder: 'Investment amount (ETH)',
+    investNow: 'Invest now',
+    minInvestment: 'Minimum investment: 0.01 ETH',
+    yourInvestment: 'Your investment',
+    pendingTokens: 'Tokens to claim',
+    tokensClaimed: 'MYB tokens claimed',
+    pendingTransaction: '{label} awaiting confirmation...',
+    finalize: 'Finalize campaign',
+    releaseFunds: 'Release funds',
+    claimTokens: 'Claim MYB tokens',
+    claimRefund: 'Claim refund',
+    actionReason: '{action}: {reason}',
+    awaitingRelease: 'The campaign succeeded and is waiting for the platform administrator to release the funds',
+    expiredHint: 'The campaign deadline has passed. Finalize it before refunds or fund releases',
+    failedHint: 'The campaign did not reach its goal. Investors can claim refunds',
+    networkUnavailable: 'No crowdfunding contracts are available on this network, or its node cannot be reached'
+  },
+  activity: {
+    chart: 'Funding progress',
+    goalLine: 'Goal {amount}',
+    raisedAmount: 'Raised',
+    goalAmount: 'Goal',
+    you: 'You',
+    noBackers: 'No backers yet',
+    investor: 'Backer',
+    amount: 'Amount',
+    tokens: 'Tokens',
+    lastInvestment: 'Last investment',
+    claimed: 'Claimed',
+    noDeployBlock: 'The deployment manifest for this network has no deploy block, so the investment history cannot be read',
+    noInvestments: 'No investments yet',
+    invested: 'Invested {amount}',
+    received: 'Received {amount}',
+    backersTab: 'Backers ({count})',
+    feedTab: 'Investments',
+    feedTabCount: 'Investments ({count})'
+  },
+  createCampaign: {
+    validation: {
+      title: 'Please enter a campaign title',
+      description: 'Please enter a campaign description',
+      goal: 'Invalid goal amount: {reason}',
+      deadline: 'Please enter a valid duration (1-365 days)',
+      budget: 'Please enter valid budget amounts',
+      budgetExceedsGoal: 'The budget total cannot exceed the goal amount'
+    },
+    title: 'Create a Campaign',
+    fields: {
+      title: 'Title',
+      description: 'Description',
+      goal: 'Goal (ETH)',
+      deadline: 'Duration (days)',
+      images: 'Images',
+      links: 'Links',
+      team: 'Team',
+      budget: 'Budget'
+    },
+    placeholders: {
+      title: 'Enter a catchy title',
+      description: 'Describe your project in detail...',
+      deadline: 'Days',
+      images: 'One image per line: URL | caption\nExample: https://example.com/cover.png | Cover',
+      links: 'One link per line: label | URL\nExample: Website | https://example.com',
+      team: 'One member per line: name | role | wallet address (optional)',
+      budget: 'One item per line: purpose | amount (ETH)\nExample: Servers | 2.5'
+    },
+    tips: {
+      title: 'Tips',
+      description: 'Make sure your project description is clear and accurate',
+      metadata: 'Project details are recorded on-chain by content hash and cannot be changed after creation',
+      goal: 'Set a realistic goal and duration',
+      immutable: 'Some details cannot be changed once the campaign is created',
+      release: 'After a successful campaign the platform administrator releases the funds and you receive 70% of the amount raised'
+    },
+    submitting: 'Creating...',
+    submit: 'Create Campaign',
+    connectOnSubmit: 'You will be asked to connect a wallet to sign the transaction when you submit'
+  },
+  creator: {
+    timeline: {
+      created: 'Campaign created',
+      successful: 'Goal reached, {amount} raised',
+      failed: 'Goal not reached, campaign failed',
+      releasedToYou: 'Funds released: you received {amount}',
+      released: 'Funds released: {recipient} received {amount}'
+    },
+    connectPrompt: 'Connect your wallet to see the campaigns you created',
+    summary: {
+      campaigns: 'Campaigns created',
+      raised: 'Total raised',
+      backers: 'Backers',
+      payouts: 'Payouts received'
+    },
+    title: 'My Campaigns',
+    empty: 'You have not created any campaigns yet. ',
+    createNow: 'Create one now',
+    progress: '{raised} / {goal} ({percentage}%)',
+    stats: {
+      backers: 'Backers: {count}',
+      deadline: 'Deadline: {deadline}',
+      payout: 'Payout received: {amount}'
+    }
+  },
+  portfolio: {
+    connectPrompt: 'Connect your wallet to see your investments',
+    invested: 'Total invested',
+    allocated: 'Tokens allocated',
+    claimed: 'Claimed',
+    unclaimed: 'To claim',
+    refundable: 'Refundable',
+    title: 'My Positions',
+    empty: 'You have not invested in any campaigns yet',
+    columns: {
+      campaign: 'Campaign',
+      status: 'Status',
+      invested: 'Invested',
+      actions: 'Actions'
+    },
+    refunded: 'Refunded {amount}',
+    claimTokens: 'Claim tokens',
+    refund: 'Refund {amount}',
+    awaitingRelease: 'Awaiting fund release',
+    tokensClaimed: 'Tokens claimed'
+  },
+  simulation: {
+    presets: {
+      hour: '+1 hour',
+      day: '+1 day',
+      week: '+7 days',
+      month: '+30 days'
+    },
+    invalidDays: 'Please enter a valid number of days',
+    confirmReset: 'Reset the simulated chain? All campaigns, investments and balances will return to their initial state.',
+    toggleOn: 'Simulation · On',
+    toggle: 'Simulation',
+    title: 'In-browser simulated chain',
+    enabled: 'On',
+    disabled: 'Off',
+    hint: 'When enabled, every action runs on a simulated chain inside the browser. The contract logic matches the deployed contracts, data is stored locally, and no wallet or test ETH is needed.',
+    latestBlock: 'Latest block',
+    blockTime: 'Block time',
+    timeOffset: 'Time advanced',
+    increaseTime: 'Advance time',
+    days: 'Days',
+    increase: 'Advance',
+    accounts: 'Accounts',
+    owner: 'Owner',
+    account: 'Account {index}',
+    reset: 'Reset simulated chain'
+  },
+  amounts: {
+    errors: {
+      required: 'Enter an amount',
+      invalid: '"{input}" is not a valid number',
+      tooManyDecimals: 'Use at most {decimals} decimal places',
+      notPositive: 'Must be greater than 0',
+      belowMin: 'Must be at least {min}'
+    }
+  },
+  preview: {
+    confirm: 'Confirm the following transaction:\n\n{summary}',
+    create: {
+      action: 'Create campaign "{title}"',
+      goal: 'Goal: {amount} ETH',
+      rate: 'Exchange rate: {rate} (locked at creation; every investment earns MYB at this rate)'
+    },
+    invest: {
+      action: 'Invest {amount} ETH in campaign #{id}',
+      tokens: 'You will receive: {amount} MYB (at the campaign\'s locked rate of {rate})'
+    },
+    finalize: {
+      action: 'Finalize campaign #{id}',
+      successful: '{raised} ETH raised of the {goal} ETH goal: the campaign will succeed',
+      failed: '{raised} ETH raised of the {goal} ETH goal: the campaign will fail and backers can claim refunds'
+    },
+    release: {
+      action: 'Release {amount} ETH from campaign #{id}',
+      share: '  {recipient} {percent}%: {amount} ETH → {address}',
+      creator: 'Creator',
+      devFund: 'Development fund',
+      communityFund: 'Community fund'
+    },
+    refund: {
+      action: 'Claim a refund of {amount} ETH from campaign #{id}'
+    },
+    claimTokens: {
+      action: 'Claim {amount} MYB from campaign #{id}'
+    },
+    blank: '',
+    from: 'From: {address}',
+    gas: 'Estimated gas: {gasLimit}',
+    fee: 'Estimated network fee: {fee} ETH (gas price {gasPrice} gwei)'
+  },
+  addresses: {
+    errors: {
+      required: 'Enter an address',
+      invalid: 'Not a valid address. Expected 0x followed by 40 hex characters',
+      checksum: 'The address checksum does not match. A character may be mistyped',
+      zero: 'The zero address cannot be used'
+    }
+  },
+  watchlist: {
+    watch: 'Watch',
+    unwatch: 'Unwatch'
+  },
+  notifications: {
+    toggle: 'Alerts',
+    toggleUnread: 'Alerts ({count})',
+    title: 'Watchlist alerts',
+    clear: 'Clear',
+    dismiss: 'Dismiss',
+    empty: 'No alerts yet',
+    emptyWatchlist: 'Star a campaign with ☆ to be alerted about new investments, reaching its goal, its deadline, refunds and claimable tokens',
+    watching: 'Watching {count} campaigns',
+    browserTitle: 'CrowdFund alert',
+    browser: {
+      enable: 'Enable browser notifications',
+      granted: 'Browser notifications are on',
+      denied: 'Browser notifications are blocked. Allow them in the browser site settings',
+      unsupported: 'This browser does not support notifications'
+    },
+    messages: {
+      investment: '"{title}" received {amount}',
+      successful: '"{title}" reached its goal with {amount}',
+      deadline: '"{title}" ends at {deadline}',
+      refundable: '"{title}" failed. Investors can claim a refund',
+      claimable: 'Funds for "{title}" were released. Your MYB tokens can be claimed'
+    }
+  }
+};
+
+export default messages;
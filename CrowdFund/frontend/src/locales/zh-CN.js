@@ -0,0 +1,734 @@
+// 简体中文语言包，键的结构与 en-US.js 一致
+const messages = {
+  app: {
+    title: 'CrowdFund - 去中心化众筹平台',
+    footer: '基于以太坊的去中心化众筹平台'
+  },
+  common: {
+    duration: {
+      ended: '已结束',
+      daysHours: '{days}天 {hours}小时',
+      hoursMinutes: '{hours}小时 {minutes}分钟',
+      minutes: '{minutes}分钟'
+    },
+    language: '语言',
+    loading: '加载中...',
+    refreshing: '刷新中...',
+    refresh: '刷新',
+    processing: '处理中...'
+  },
+  errors: {
+    generic: {
+      WALLET_NOT_CONNECTED: '钱包未连接',
+      UNSUPPORTED_NETWORK: '当前网络没有部署合约，请切换到已支持的网络',
+      NETWORK_MISMATCH: '钱包连接的网络与正在浏览的网络不同，请确认网络后重新操作',
+      METADATA_UPLOAD_FAILED: '项目资料保存失败，请检查填写的内容和元数据存储服务',
+      USER_REJECTED: '您已在钱包中拒绝了该请求',
+      INSUFFICIENT_FUNDS: '账户 ETH 余额不足以支付交易金额和手续费',
+      NONCE_EXPIRED: '交易 nonce 已被使用，请在钱包中重置账户后重试',
+      NETWORK_ERROR: '网络请求失败，请检查网络连接后重试',
+      TRANSACTION_NOT_FOUND: '交易未找到，可能已被钱包取消或被节点丢弃',
+      TRANSACTION_REPLACED: '交易已被钱包中的另一笔交易替换',
+      TRANSACTION_CANCELLED: '交易已在钱包中取消',
+      CALL_EXCEPTION: '合约调用错误，请检查网络连接和合约地址',
+      TRANSACTION_REVERTED: '交易已打包但在链上执行失败',
+      UNKNOWN_REVERT: '合约拒绝了该交易',
+      UNKNOWN_REVERT_REASON: '合约拒绝了该交易: {reason}',
+      PANIC: '合约执行出错',
+      PANIC_REASON: '合约执行出错: {reason}',
+      BAD_DATA: '数据解析错误',
+      UNKNOWN: '未知错误',
+      UNKNOWN_DETAIL: '{message}',
+      UNSUPPORTED_METHOD: '当前钱包不支持该操作'
+    },
+    actionFailed: '{action}失败: {message}',
+    revert: {
+      projectNameCannotBeEmpty: '项目名称不能为空',
+      targetAmountMustBeGreaterThan0: '目标金额必须大于 0',
+      deadlineMustBeInTheFuture: '截止时间必须晚于当前时间',
+      investmentAmountMustBeAtLeast001ETH: '投资金额不能低于 0.01 ETH',
+      crowdfundIsNotActive: '众筹不在进行中',
+      crowdfundHasEnded: '众筹已结束，无法继续投资',
+      crowdfundDeadlineNotReached: '众筹尚未到截止时间，暂时无法结算',
+      crowdfundNotSuccessful: '众筹未成功',
+      fundsAlreadyReleased: '资金已经释放',
+      transferToCreatorFailed: '向创建者转账失败',
+      transferToDevFundFailed: '向开发基金转账失败',
+      transferToCommunityFundFailed: '向社区基金转账失败',
+      crowdfundNotFailed: '众筹未失败，无法退款',
+      notAnInvestor: '您没有投资该众筹',
+      noInvestmentToRefund: '没有可退款的投资',
+      refundTransferFailed: '退款转账失败',
+      fundsNotYetReleased: '资金尚未释放，暂时无法领取代币',
+      noTokensToClaim: '没有可领取的代币',
+      tokenTransferFailed: '代币转账失败',
+      invalidAddress: '地址无效',
+      invalidInvestorAddress: '投资者地址无效',
+      investmentMustBeGreaterThan0: '投资金额必须大于 0',
+      investorNotRegistered: '您没有投资该众筹',
+      insufficientTokens: '可领取的代币不足',
+      exchangeRateMustBeGreaterThan0: '兑换比例必须大于 0',
+      callerIsNotTheOwner: '只有合约所有者可以执行此操作',
+      newOwnerZero: '新所有者地址无效',
+      paused: '合约已暂停，请稍后再试',
+      notPaused: '合约未暂停',
+      reentrantCall: '合约拒绝了重入调用',
+      erc20TransferAmountExceedsBalance: 'MYB 余额不足',
+      erc20BurnAmountExceedsBalance: 'MYB 余额不足，无法销毁',
+      erc20InsufficientAllowance: 'MYB 授权额度不足',
+      erc20DecreasedAllowanceBelowZero: '减少的授权额度超过当前额度',
+      erc20TransferToTheZeroAddress: '不能转账到零地址',
+      erc20TransferFromTheZeroAddress: '转出地址无效',
+      erc20ApproveToTheZeroAddress: '不能授权给零地址',
+      erc20MintToTheZeroAddress: '不能铸造到零地址'
+    },
+    panic: {
+      assert: '断言失败',
+      overflow: '数值溢出',
+      divisionByZero: '除数为零',
+      invalidEnum: '枚举值无效',
+      outOfBounds: '数组越界',
+      outOfMemory: '内存不足',
+      code: '代码 {code}'
+    }
+  },
+  permissions: {
+    NO_ACCOUNT: '请先连接钱包',
+    NOT_FOUND: '众筹活动不存在或尚未加载',
+    CORE_PAUSED: '平台合约已暂停，暂时无法执行该操作',
+    REGISTRY_PAUSED: '投资者登记合约已暂停，暂时无法投资',
+    NOT_OWNER: '仅平台管理员（合约所有者）可以执行该操作',
+    NOT_ACTIVE: '众筹已结束',
+    DEADLINE_PASSED: '众筹已到截止时间',
+    DEADLINE_NOT_REACHED: '众筹尚未到截止时间，到期后才能结算',
+    NOT_SUCCESSFUL: '众筹未成功',
+    ALREADY_RELEASED: '资金已释放',
+    NOT_RELEASED: '资金尚未释放，释放后才能领取代币',
+    NOT_FAILED: '只有失败的众筹可以退款',
+    NOT_INVESTOR: '您没有参与该众筹的投资',
+    NOTHING_TO_CLAIM: '没有可领取的代币',
+    ALREADY_PAUSED: '合约已处于暂停状态',
+    NOT_PAUSED: '合约未暂停'
+  },
+  campaignStatus: {
+    pending: '待开始',
+    active: '进行中',
+    successful: '众筹成功',
+    failed: '众筹失败',
+    refunded: '已退款'
+  },
+  campaignList: {
+    filters: {
+      all: '全部',
+      completed: '已完成',
+      anyProgress: '任意进度',
+      progressLow: '不足 50%',
+      progressHigh: '50% - 99%',
+      progressReached: '已达目标',
+      anyTime: '任意时间',
+      endingDay: '24小时内截止',
+      endingWeek: '7天内截止',
+      ended: '已到截止时间',
+      watched: '只看关注 ({count})'
+    },
+    sort: {
+      newest: '最新创建',
+      ending: '即将截止',
+      funded: '筹资最多',
+      goal: '最接近目标'
+    },
+    title: '众筹活动列表',
+    searchPlaceholder: '搜索项目名称或创建者地址',
+    refresh: '刷新列表',
+    resultCount: '共 {count} 个',
+    clearFilters: '清除筛选',
+    empty: '暂无众筹活动',
+    noMatches: '没有符合条件的众筹活动',
+    viewDetails: '查看详情',
+    cachedRefreshing: '正在显示本地缓存的数据，正在从链上刷新…',
+    cachedOutdated: '正在显示本地缓存的数据，可能不是最新状态'
+  },
+  admin: {
+    operations: {
+      corePause: {
+        label: '暂停 CrowdFundCore',
+        effect: '暂停后无法创建众筹、投资和结算，退款、领取代币和释放资金不受影响'
+      },
+      coreUnpause: {
+        label: '恢复 CrowdFundCore',
+        effect: '恢复创建众筹、投资和结算'
+      },
+      registryPause: {
+        label: '暂停 InvestorRegistry',
+        effect: '暂停后投资时无法登记投资者，所有投资都会失败'
+      },
+      registryUnpause: {
+        label: '恢复 InvestorRegistry',
+        effect: '恢复投资者登记'
+      },
+      updateDevFundAddress: {
+        label: '更新开发基金地址',
+        effect: '之后释放资金时，20% 转入新的开发基金地址'
+      },
+      updateCommunityFundAddress: {
+        label: '更新社区基金地址',
+        effect: '之后释放资金时，10% 转入新的社区基金地址'
+      },
+      releaseFunds: {
+        label: '释放众筹资金',
+        effect: '筹集的资金 70% 转给创建者，20% 转入开发基金，10% 转入社区基金'
+      },
+      setExchangeRate: {
+        label: '设置兑换比例',
+        effect: '之后创建的众筹按新比例分配 MYB，已创建的众筹保持创建时记录的比例'
+      },
+      mint: {
+        label: '铸造 MYB',
+        effect: '增发代币并转入接收地址，总供应量随之增加'
+      },
+      burn: {
+        label: '销毁 MYB',
+        effect: '从当前账户（合约所有者）的余额中销毁代币，总供应量随之减少'
+      }
+    },
+    fields: {
+      newDevFund: '新的开发基金地址',
+      newCommunityFund: '新的社区基金地址',
+      crowdfundId: '众筹ID',
+      newRate: '新的兑换比例（1 ETH 兑换的 MYB）',
+      recipient: '接收地址',
+      amount: '数量 (MYB)'
+    },
+    validation: {
+      required: '请填写{field}',
+      invalidAddress: '{field}不是有效的地址',
+      zeroAddress: '{field}不能是零地址',
+      positiveInteger: '{field}必须是正整数',
+      positiveAmount: '{field}必须大于 0',
+      invalidAmount: '{field}格式无效，最多 18 位小数'
+    },
+    call: {
+      tokenAmount: '{raw}（{amount} MYB）',
+      contract: '合约: {contract} ({address})',
+      function: '函数: {signature}',
+      params: '参数:',
+      param: '  {name} = {value}',
+      calldata: '调用数据: {data}',
+      blank: ''
+    },
+    success: '{operation}成功！',
+    events: {
+      paused: '{contract} 已暂停（操作者 {account}）',
+      unpaused: '{contract} 已恢复（操作者 {account}）',
+      deployed: '{contract} 部署，所有者为 {owner}',
+      ownershipTransferred: '{contract} 所有权由 {from} 转移给 {to}',
+      fundsReleased: '众筹 #{id} 释放资金：{recipient} 收到 {amount}',
+      minted: '铸造 {amount} 给 {to}',
+      burned: '{from} 销毁 {amount}'
+    },
+    overviewUnavailable: '无法读取合约状态',
+    ownerOnly: '仅平台管理员（合约所有者）可以访问此页面',
+    confirm: '确定要执行以下调用吗？\n\n{summary}',
+    txWithArgs: '{operation}（{args}）',
+    currentAccount: '当前账户',
+    coreContract: 'CrowdFundCore 合约',
+    notPausable: '不可暂停',
+    paused: '已暂停',
+    running: '运行中',
+    execute: '执行',
+    noDeployBlock: '当前网络的部署清单缺少部署区块，无法读取管理记录',
+    noHistory: '还没有管理记录',
+    summary: {
+      balance: 'CrowdFundCore 余额',
+      reserves: 'MYB 待分配储备',
+      totalSupply: 'MYB 总供应量',
+      exchangeRate: '兑换比例',
+      accountTokens: '当前账户 MYB'
+    },
+    contractStatus: '合约状态',
+    table: {
+      contract: '合约',
+      address: '地址',
+      owner: '所有者',
+      status: '状态'
+    },
+    devFund: '开发基金（20%）：',
+    communityFund: '社区基金（10%）：',
+    pendingReleases: '等待释放资金的众筹',
+    noPendingReleases: '没有等待释放资金的众筹',
+    release: '释放资金',
+    operationsTitle: '管理操作',
+    historyTitle: '管理记录',
+    historyHint: '更新基金地址和兑换比例不产生合约事件，可在交易记录中查看本账户提交的调用',
+    registryNote: 'InvestorRegistry 的所有者是 CrowdFundCore 合约（投资和退款时由它写入投资者记录），而 CrowdFundCore 没有转发暂停和恢复的函数，因此在所有权转回账户之前，暂停和恢复 InvestorRegistry 的操作无法执行。'
+  },
+  metadata: {
+    errors: {
+      unsupportedVersion: '不支持的元数据格式版本',
+      invalidTitle: '标题不能为空且不能超过 {max} 个字符',
+      descriptionTooLong: '描述不能超过 {max} 个字符',
+      notArray: '元数据字段 {field} 必须是数组',
+      invalidImageUrl: '图片地址无效: {url}',
+      invalidLinkUrl: '链接地址无效: {url}',
+      memberNameRequired: '团队成员姓名不能为空',
+      invalidMemberAddress: '团队成员地址无效: {address}',
+      budgetItemRequired: '预算用途不能为空',
+      invalidBudgetAmount: '预算金额无效: {amount}',
+      readFailed: '读取元数据失败: HTTP {status}',
+      uploadFailed: '上传元数据失败: HTTP {status}'
+    }
+  },
+  wallet: {
+    errors: {
+      notInstalled: '未检测到浏览器钱包，请先安装钱包插件',
+      noDeployment: '当前网络 {network} 没有部署合约',
+      networkCheckFailed: '网络检查失败',
+      switchFailed: '切换到{network}失败'
+    },
+    connect: '连接钱包',
+    disconnect: '断开连接',
+    connectors: {
+      injected: '浏览器钱包',
+      burner: '临时钱包（本地开发）',
+      simulated: '浏览器模拟链'
+    },
+    choose: '选择钱包',
+    noWallets: '未检测到浏览器钱包。',
+    install: '安装钱包',
+    connecting: '连接中...',
+    connectToContinue: '请连接钱包以继续操作',
+    cancel: '取消',
+    burner: {
+      nodeUnreachable: '临时钱包无法连接节点 {url}: {reason}',
+      foreignAccount: '临时钱包不能代表 {address} 签名',
+      switchChainUnsupported: '临时钱包不支持切换网络',
+      addChainUnsupported: '临时钱包不支持添加网络',
+      watchAssetUnsupported: '临时钱包不支持添加代币'
+    }
+  },
+  actions: {
+    connectWallet: '连接钱包',
+    loadBackers: '获取投资者列表',
+    loadPortfolio: '获取投资组合',
+    loadPlatform: '获取平台状态',
+    createCampaign: '创建众筹',
+    invest: '投资',
+    loadCampaign: '获取众筹详情',
+    loadCampaigns: '获取众筹列表',
+    loadInvestment: '获取投资金额',
+    finalize: '众筹结算',
+    releaseFunds: '资金释放',
+    claimRefund: '退款申请',
+    claimTokens: '领取代币',
+    loadBalance: '获取余额',
+    transfer: '转账',
+    loadAdminHistory: '获取管理记录',
+    loadCreatedCampaigns: '获取创建的众筹',
+    loadInvestmentHistory: '获取投资记录',
+    loadTokenHistory: '获取转账记录',
+    loadAllowance: '获取授权额度',
+    approve: '授权',
+    watchAsset: '添加代币到钱包'
+  },
+  chains: {
+    '31337': 'Hardhat 本地网络',
+    '11155111': 'Sepolia 测试网',
+    '80001': 'Mumbai 测试网',
+    '13371337': '浏览器模拟链',
+    unknown: '未知网络 ({chainId})'
+  },
+  transactions: {
+    defaultLabel: '合约交易',
+    status: {
+      pending: '等待确认',
+      confirmed: '已确认',
+      failed: '失败',
+      replaced: '已被替换'
+    },
+    replacement: {
+      repriced: '已加速',
+      cancelled: '已取消',
+      replaced: '被其他交易替换',
+      default: '替换交易'
+    },
+    toggle: '交易',
+    togglePending: '交易 ({count} 笔待确认)',
+    title: '交易记录',
+    clearCompleted: '清除已完成',
+    empty: '暂无交易',
+    hash: '交易哈希',
+    submittedAt: '提交时间',
+    value: '金额',
+    block: '区块',
+    fee: '手续费',
+    remove: '移除'
+  },
+  crowdfund: {
+    metadataSaveFailed: '项目资料保存失败: {reason}',
+    tx: {
+      create: '创建众筹: {title}',
+      invest: '投资众筹 #{id}: {amount} ETH',
+      finalize: '结算众筹 #{id}',
+      releaseFunds: '释放众筹 #{id} 资金',
+      claimRefund: '申请众筹 #{id} 退款',
+      claimTokens: '领取众筹 #{id} 的MYB代币'
+    },
+    success: {
+      create: '众筹活动创建成功！ID: {id}',
+      invest: '投资成功！金额: {amount} ETH',
+      finalize: '众筹结算成功！',
+      releaseFunds: '资金释放成功！',
+      claimRefund: '退款申请成功！',
+      claimTokens: '代币领取成功！'
+    }
+  },
+  token: {
+    tx: {
+      transfer: '转账 {amount} MYB',
+      approve: '授权 {spender} {amount} MYB',
+      revoke: '撤销 {spender} 的授权'
+    },
+    success: {
+      transfer: '转账成功！金额: {amount} MYB',
+      approve: '授权成功！额度: {amount} MYB',
+      revoke: '已撤销授权',
+      watchAsset: '已将 {symbol} 添加到钱包'
+    }
+  },
+  network: {
+    unsupported: '不支持的网络',
+    noDeployment: '当前网络 {network} 上没有部署 CrowdFund 合约，请切换到以下网络之一：',
+    noSupportedChains: '暂无可用的部署，请先运行部署脚本',
+    switch: '切换'
+  },
+  notFound: {
+    title: '页面不存在',
+    message: '您访问的页面不存在或已被移除。',
+    back: '返回众筹列表'
+  },
+  tokenInfo: {
+    balance: 'MYB余额',
+    exchangeRate: '兑换率',
+    tabs: {
+      overview: '概览',
+      send: '转账',
+      allowance: '授权',
+      history: '记录'
+    },
+    addToWallet: '添加 MYB 到钱包',
+    checksummed: '校验和地址: {address}',
+    selfAddress: '这是您当前连接的账户',
+    send: {
+      recipient: '收款地址',
+      amount: '数量 (MYB)',
+      max: '全部',
+      available: '可用余额: {balance} MYB',
+      submit: '发送',
+      sending: '处理中...',
+      invalidRecipient: '收款地址无效: {reason}',
+      invalidAmount: '转账数量无效: {reason}',
+      insufficient: '余额不足，当前余额 {balance} MYB',
+      confirm: '确认向 {recipient} 转账 {amount} MYB？',
+      confirmSelf: '收款地址是您当前连接的账户，转账不会改变余额，只会消耗手续费。仍要转账 {amount} MYB 吗？'
+    },
+    allowance: {
+      spender: '被授权地址',
+      check: '查询',
+      current: '当前额度: {amount} MYB',
+      revoke: '撤销',
+      amount: '新的授权额度 (MYB)',
+      note: '新额度会覆盖原有额度，不会累加',
+      submit: '授权',
+      invalidSpender: '被授权地址无效: {reason}',
+      invalidAmount: '授权额度无效: {reason}',
+      confirm: '确认授权 {spender} 最多转出您的 {amount} MYB？',
+      confirmRevoke: '确认撤销 {spender} 的授权？'
+    },
+    history: {
+      empty: '暂无转账记录',
+      noDeployBlock: '当前网络未记录部署区块，无法读取转账记录',
+      campaign: '众筹 #{id}',
+      to: '至 {address}',
+      from: '来自 {address}',
+      kinds: {
+        claim: '领取代币',
+        mint: '铸造',
+        burn: '销毁',
+        self: '转给自己',
+        sent: '转出',
+        received: '转入'
+      }
+    }
+  },
+  pagination: {
+    previous: '上一页',
+    info: '第 {page} / {pageCount} 页',
+    next: '下一页'
+  },
+  nav: {
+    campaigns: '众筹活动',
+    create: '创建众筹',
+    portfolio: '我的投资',
+    creator: '我发起的',
+    admin: '平台管理'
+  },
+  pages: {
+    creator: '我发起的众筹'
+  },
+  campaign: {
+    raised: '已筹资金',
+    goal: '目标资金',
+    remaining: '剩余时间',
+    creator: '创建者',
+    deadline: '截止时间',
+    fundsReleased: '资金已释放'
+  },
+  campaignDetail: {
+    metadata: {
+      verified: '项目资料已通过链上内容哈希校验',
+      invalid: '项目资料与链上记录的内容哈希不一致，可能已被篡改，已隐藏',
+      missing: '未在元数据存储中找到项目资料',
+      error: '项目资料加载失败，请稍后刷新重试'
+    },
+    invalidAmount: '投资金额无效：{reason}',
+    notFoundTitle: '众筹活动不存在',
+    notFoundMessage: '没有找到编号为 {id} 的众筹活动。',
+    notFound: '未找到众筹活动',
+    back: '返回列表',
+    links: '相关链接',
+    team: '团队成员',
+    budget: '预算明细',
+    budgetTotal: '合计',
+    investTitle: '参与投资',
+    investPlaceholder: '输入投资金额 (ETH)',
+    investNow: '立即投资',
+    minInvestment: '最低投资金额: 0.01 ETH',
+    yourInvestment: '您已投资',
+    pendingTokens: '待领取代币',
+    tokensClaimed: 'MYB 代币已领取',
+    pendingTransaction: '{label} 等待确认中...',
+    finalize: '结算众筹',
+    releaseFunds: '释放资金',
+    claimTokens: '领取 MYB 代币',
+    claimRefund: '申请退款',
+    actionReason: '{action}：{reason}',
+    awaitingRelease: '众筹已成功，等待平台管理员释放资金',
+    expiredHint: '众筹已到截止时间，结算后才能申请退款或释放资金',
+    failedHint: '众筹未达成目标，投资者可申请退款',
+    networkUnavailable: '当前网络没有部署众筹合约或无法连接节点'
+  },
+  activity: {
+    chart: '资金曲线',
+    goalLine: '目标 {amount}',
+    raisedAmount: '已筹金额',
+    goalAmount: '目标金额',
+    you: '我',
+    noBackers: '还没有投资者',
+    investor: '投资者',
+    amount: '投资金额',
+    tokens: '分配代币',
+    lastInvestment: '最近投资',
+    claimed: '已领取',
+    noDeployBlock: '当前网络的部署清单缺少部署区块，无法读取投资记录',
+    noInvestments: '还没有投资记录',
+    invested: '投资 {amount}',
+    received: '获得 {amount}',
+    backersTab: '投资者 ({count})',
+    feedTab: '投资记录',
+    feedTabCount: '投资记录 ({count})'
+  },
+  createCampaign: {
+    validation: {
+      title: '请输入众筹标题',
+      description: '请输入众筹描述',
+      goal: '目标金额无效：{reason}',
+      deadline: '请输入有效的截止天数（1-365天）',
+      budget: '请输入有效的预算金额',
+      budgetExceedsGoal: '预算合计不能超过目标金额'
+    },
+    title: '创建众筹活动',
+    fields: {
+      title: '众筹标题',
+      description: '众筹描述',
+      goal: '目标金额 (ETH)',
+      deadline: '众筹期限 (天)',
+      images: '项目图片',
+      links: '相关链接',
+      team: '团队成员',
+      budget: '预算明细'
+    },
+    placeholders: {
+      title: '请输入吸引人的标题',
+      description: '详细描述您的项目...',
+      deadline: '天数',
+      images: '每行一张图片：图片地址 | 说明\n例如：https://example.com/cover.png | 封面',
+      links: '每行一个链接：名称 | 地址\n例如：项目官网 | https://example.com',
+      team: '每行一位成员：姓名 | 角色 | 钱包地址（可选）',
+      budget: '每行一项：用途 | 金额 (ETH)\n例如：服务器费用 | 2.5'
+    },
+    tips: {
+      title: '创建提示',
+      description: '确保您的项目描述清晰准确',
+      metadata: '项目资料以内容哈希记录在链上，创建后无法修改',
+      goal: '设置合理的目标金额和时间期限',
+      immutable: '一旦创建，部分信息将无法修改',
+      release: '众筹成功后由平台管理员释放资金，您将收到筹集资金的 70%'
+    },
+    submitting: '创建中...',
+    submit: '创建众筹活动',
+    connectOnSubmit: '提交时将请求连接钱包以签名交易'
+  },
+  creator: {
+    timeline: {
+      created: '创建众筹',
+      successful: '达成目标，共筹集 {amount}',
+      failed: '未达成目标，众筹失败',
+      releasedToYou: '资金释放：您收到 {amount}',
+      released: '资金释放：{recipient} 收到 {amount}'
+    },
+    connectPrompt: '请先连接钱包以查看您创建的众筹',
+    summary: {
+      campaigns: '创建的众筹',
+      raised: '累计筹集',
+      backers: '投资者',
+      payouts: '已收到款项'
+    },
+    title: '我创建的众筹',
+    empty: '您还没有创建众筹活动，',
+    createNow: '立即创建',
+    progress: '{raised} / {goal}（{percentage}%）',
+    stats: {
+      backers: '投资者：{count}',
+      deadline: '截止时间：{deadline}',
+      payout: '收到款项：{amount}'
+    }
+  },
+  portfolio: {
+    connectPrompt: '请先连接钱包以查看您的投资',
+    invested: '累计投资',
+    allocated: '分配代币',
+    claimed: '已领取',
+    unclaimed: '待领取',
+    refundable: '可退款',
+    title: '我的持仓',
+    empty: '您还没有投资任何众筹活动',
+    columns: {
+      campaign: '众筹',
+      status: '状态',
+      invested: '投资金额',
+      actions: '操作'
+    },
+    refunded: '已退款 {amount}',
+    claimTokens: '领取代币',
+    refund: '退款 {amount}',
+    awaitingRelease: '等待释放资金',
+    tokensClaimed: '代币已领取'
+  },
+  simulation: {
+    presets: {
+      hour: '+1 小时',
+      day: '+1 天',
+      week: '+7 天',
+      month: '+30 天'
+    },
+    invalidDays: '请输入有效的天数',
+    confirmReset: '确定要重置模拟链吗？所有众筹、投资和余额都会恢复到初始状态。',
+    toggleOn: '模拟链 · 已开启',
+    toggle: '模拟链',
+    title: '浏览器模拟链',
+    enabled: '已开启',
+    disabled: '已关闭',
+    hint: '开启后所有操作都在浏览器内的模拟链上执行，合约逻辑与链上合约一致，数据保存在本地，不需要钱包和测试币。',
+    latestBlock: '最新区块',
+    blockTime: '区块时间',
+    timeOffset: '已快进',
+    increaseTime: '快进时间',
+    days: '天数',
+    increase: '快进',
+    accounts: '账户',
+    owner: '所有者',
+    account: '账户 {index}',
+    reset: '重置模拟链'
+  },
+  amounts: {
+    errors: {
+      required: '请输入金额',
+      invalid: '“{input}”不是有效的数字',
+      tooManyDecimals: '最多 {decimals} 位小数',
+      notPositive: '必须大于0',
+      belowMin: '不能低于 {min}'
+    }
+  },
+  preview: {
+    confirm: '请确认以下交易：\n\n{summary}',
+    create: {
+      action: '创建众筹「{title}」',
+      goal: '目标金额: {amount} ETH',
+      rate: '兑换比例: {rate}（创建时锁定，之后的投资都按此比例获得MYB）'
+    },
+    invest: {
+      action: '投资众筹 #{id}: {amount} ETH',
+      tokens: '将获得: {amount} MYB（按众筹锁定的兑换比例 {rate} 计算）'
+    },
+    finalize: {
+      action: '结算众筹 #{id}',
+      successful: '已筹 {raised} ETH，达到目标 {goal} ETH，众筹将成功',
+      failed: '已筹 {raised} ETH，未达到目标 {goal} ETH，众筹将失败，投资者可申请退款'
+    },
+    release: {
+      action: '释放众筹 #{id} 的资金: {amount} ETH',
+      share: '  {recipient} {percent}%: {amount} ETH → {address}',
+      creator: '项目方',
+      devFund: '开发基金',
+      communityFund: '社区基金'
+    },
+    refund: {
+      action: '申请众筹 #{id} 的退款: {amount} ETH'
+    },
+    claimTokens: {
+      action: '领取众筹 #{id} 的代币: {amount} MYB'
+    },
+    blank: '',
+    from: '发送账户: {address}',
+    gas: '预计 Gas: {gasLimit}',
+    fee: '预计网络费用: {fee} ETH（Gas 价格 {gasPrice} Gwei）'
+  },
+  addresses: {
+    errors: {
+      required: '请输入地址',
+      invalid: '地址格式不正确，应为 0x 开头的 40 位十六进制字符',
+      checksum: '地址大小写不符合校验和，可能输错了字符',
+      zero: '不能使用零地址'
+    }
+  },
+  watchlist: {
+    watch: '关注',
+    unwatch: '取消关注'
+  },
+  notifications: {
+    toggle: '提醒',
+    toggleUnread: '提醒 ({count})',
+    title: '关注提醒',
+    clear: '清空',
+    dismiss: '关闭',
+    empty: '暂无提醒',
+    emptyWatchlist: '点击众筹上的 ☆ 关注，新投资、达到目标、即将截止、可退款和可领取代币时会在这里提醒',
+    watching: '正在关注 {count} 个众筹',
+    browserTitle: 'CrowdFund 关注提醒',
+    browser: {
+      enable: '启用浏览器通知',
+      granted: '浏览器通知已启用',
+      denied: '浏览器通知已被拒绝，可在浏览器的网站设置中开启',
+      unsupported: '当前浏览器不支持通知'
+    },
+    messages: {
+      investment: '“{title}” 收到新投资 {amount}',
+      successful: '“{title}” 已达到目标，共筹得 {amount}',
+      deadline: '“{title}” 将于 {deadline} 截止',
+      refundable: '“{title}” 众筹失败，投资者可以申请退款',
+      claimable: '“{title}” 的资金已释放，您可以领取 MYB 代币'
+    }
+  }
+};
+
+export default messages;
@@ -0,0 +1,52 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useWeb3 } from './Web3Context';
+import { I18nContext } from '../hooks/useI18n';
+import {
+  LOCALES,
+  formatAmount,
+  formatDate,
+  formatDuration,
+  formatNumber,
+  loadLocale,
+  saveLocale,
+  translate
+} from './i18n';
+
+// 语言Provider：读取并保存当前用户的语言偏好，提供翻译和格式化方法
+export const I18nProvider = ({ children }) => {
+  const { account } = useWeb3();
+  const [locale, setLocaleState] = useState(() => loadLocale(account));
+
+  // 切换账户后使用该账户保存的语言
+  useEffect(() => {
+    setLocaleState(loadLocale(account));
+  }, [account]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.title = translate(locale, 'app.title');
+  }, [locale]);
+
+  const setLocale = useCallback((next) => {
+    if (!LOCALES[next]) return;
+    saveLocale(next, account);
+    setLocaleState(next);
+  }, [account]);
+
+  const value = useMemo(() => ({
+    locale,
+    locales: Object.entries(LOCALES).map(([code, { label }]) => ({ code, label })),
+    setLocale,
+    t: (message, params) => translate(locale, message, params),
+    formatDate: (timestamp) => formatDate(locale, timestamp),
+    formatDuration: (seconds) => formatDuration(locale, seconds),
+    formatNumber: (value, options) => formatNumber(locale, value, options),
+    formatAmount: (amount, symbol) => formatAmount(locale, amount, symbol)
+  }), [locale, setLocale]);
+
+  return (
+    <I18nContext.Provider value={value}>
+      {children}
+    </I18nContext.Provider>
+  );
+};
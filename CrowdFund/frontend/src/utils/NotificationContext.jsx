@@ -0,0 +1,266 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useWeb3 } from './Web3Context';
+import { NotificationContext } from '../hooks/useNotifications';
+import { useContractEvents } from '../hooks/useContractEvents';
+import { useCachedCampaigns } from '../hooks/useCachedCampaigns';
+import { usePermissions } from '../hooks/usePermissions';
+import { useI18n } from '../hooks/useI18n';
+import { useRouter } from '../hooks/useRouter';
+import { loadNotifications, loadWatchlist, saveNotifications, saveWatchlist } from './watchlistStore';
+import { detectCampaignAlerts, nextDeadlineWarning, sameSnapshot } from './notifications';
+import { normalizeCampaign } from './campaigns';
+import { getMetadataStore } from './metadataStore';
+import { sameAddress } from './addresses';
+import { campaignPath } from '../config/routes';
+
+const EMPTY_WATCHLIST = { ids: [], snapshots: {} };
+
+// 浏览器通知的授权状态：'default'、'granted'、'denied'，不支持时为 'unsupported'
+const getBrowserPermission = () => (
+  typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+);
+
+/**
+ * 关注列表和提醒Provider
+ * 关注列表按链和账户保存在本地存储中；关注的众筹收到新投资、达到目标、即将截止、
+ * 失败可退款或有可领取的代币时，生成页面内提醒，已授权时同时发出浏览器通知
+ */
+export const NotificationProvider = ({ children }) => {
+  const { account, deployment, campaignIndexer, campaignCache, cacheCampaigns } = useWeb3();
+  const { getCachedCrowdfund } = useCachedCampaigns();
+  const { t, formatAmount, formatDate } = useI18n();
+  const { navigate } = useRouter();
+  const chainId = deployment?.chainId ?? null;
+
+  const [watchlist, setWatchlist] = useState(EMPTY_WATCHLIST);
+  const [notifications, setNotifications] = useState([]);
+  // 本次打开页面后最新的一条提醒，显示为浮动提示
+  const [latest, setLatest] = useState(null);
+  const [browserPermission, setBrowserPermission] = useState(getBrowserPermission);
+  // 到达截止提醒时间时触发重新检查
+  const [clock, setClock] = useState(0);
+  const scopeRef = useRef(null);
+  // 众筹ID -> 快照之后当前账户自己投入的金额，不提醒自己的投资
+  const ownInvestmentsRef = useRef({});
+
+  const { investors, chainNow, chainTimeOffset } = usePermissions(watchlist.ids);
+
+  // 按链和账户读取关注列表和提醒，未连接钱包时为空
+  useEffect(() => {
+    ownInvestmentsRef.current = {};
+    setLatest(null);
+    if (!account || !chainId) {
+      scopeRef.current = null;
+      setWatchlist(EMPTY_WATCHLIST);
+      setNotifications([]);
+      return;
+    }
+    scopeRef.current = { chainId, account };
+    setWatchlist(loadWatchlist(chainId, account));
+    setNotifications(loadNotifications(chainId, account));
+  }, [account, chainId]);
+
+  const updateWatchlist = useCallback((update) => {
+    const scope = scopeRef.current;
+    if (!scope) return;
+    setWatchlist((prev) => {
+      const next = update(prev);
+      saveWatchlist(scope.chainId, scope.account, next);
+      return next;
+    });
+  }, []);
+
+  const updateNotifications = useCallback((update) => {
+    const scope = scopeRef.current;
+    if (!scope) return;
+    setNotifications((prev) => {
+      const next = update(prev);
+      saveNotifications(scope.chainId, scope.account, next);
+      return next;
+    });
+  }, []);
+
+  // 提醒的显示文本，跟随当前语言
+  const describeNotification = useCallback((record) => t(`notifications.messages.${record.type}`, {
+    title: record.title,
+    amount: record.params.amount ? formatAmount(record.params.amount, 'ETH') : '',
+    deadline: record.params.deadline ? formatDate(record.params.deadline) : ''
+  }), [t, formatAmount, formatDate]);
+
+  const showBrowserNotification = useCallback((record) => {
+    if (getBrowserPermission() !== 'granted') return;
+    try {
+      const notification = new Notification(t('notifications.browserTitle'), {
+        body: describeNotification(record),
+        tag: record.id
+      });
+      notification.onclick = () => {
+        window.focus();
+        navigate(campaignPath(record.campaignId));
+        notification.close();
+      };
+    } catch (err) {
+      // 部分浏览器（如安卓Chrome）只允许通过Service Worker发出通知
+      console.error('发送浏览器通知失败:', err);
+    }
+  }, [t, describeNotification, navigate]);
+
+  // 当前账户自己的投资不算新投资
+  useContractEvents((event) => {
+    if (
+      event.source === 'CrowdFundCore' &&
+      event.eventName === 'InvestmentReceived' &&
+      sameAddress(event.args.investor, account)
+    ) {
+      const id = event.args.crowdfundId.toString();
+      ownInvestmentsRef.current[id] = (ownInvestmentsRef.current[id] || 0n) + event.args.amount;
+    }
+  });
+
+  // 关注的众筹不在缓存中时读取，之后由合约事件更新
+  const missingKey = watchlist.ids.filter(id => !campaignCache[id]).join(',');
+
+  useEffect(() => {
+    if (!campaignIndexer || !missingKey) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const { blockNumber, campaigns } = await campaignIndexer.loadCampaigns(missingKey.split(','));
+        const normalized = campaigns
+          .filter(campaign => campaign && campaign.id !== 0n)
+          .map(campaign => normalizeCampaign(campaign, blockNumber));
+        await Promise.all(normalized.map(campaign => getMetadataStore().load(campaign.metadataHash)));
+        if (!cancelled) {
+          cacheCampaigns(normalized);
+        }
+      } catch (err) {
+        console.error('获取关注的众筹错误:', err);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [campaignIndexer, missingKey, cacheCampaigns]);
+
+  // 比较关注的众筹与上次的快照，生成提醒；
+  // 只在众筹数据、投资者记录或关注列表变化，以及到达截止提醒时间（clock）时检查，不随渲染重复扫描
+  useEffect(() => {
+    const scope = scopeRef.current;
+    if (!scope || watchlist.ids.length === 0) return;
+    const chainTime = Math.floor(Date.now() / 1000) + chainTimeOffset;
+
+    const created = [];
+    // 有变化的快照
+    const snapshots = {};
+
+    watchlist.ids.forEach((id) => {
+      const campaign = campaignCache[id];
+      // 从本地缓存恢复的旧数据不与快照比较，重新读取后再检查，自己的投资金额也保留到那时
+      if (!campaign || campaign.stale) return;
+      const previous = watchlist.snapshots[id] || null;
+      const { alerts, snapshot } = detectCampaignAlerts(campaign, previous, {
+        investor: investors[id] || null,
+        chainTime,
+        ownInvestment: ownInvestmentsRef.current[id] || 0n
+      });
+      // 自己的投资在同一次渲染中反映到缓存，检查后即可清除
+      delete ownInvestmentsRef.current[id];
+      if (sameSnapshot(previous, snapshot)) return;
+
+      snapshots[id] = snapshot;
+      const title = getCachedCrowdfund(id)?.title || campaign.projectName;
+      alerts.forEach((alert, index) => {
+        created.push({
+          id: `${Date.now()}:${id}:${alert.type}:${index}`,
+          type: alert.type,
+          campaignId: id,
+          title,
+          params: alert.params,
+          createdAt: Date.now(),
+          read: false
+        });
+      });
+    });
+
+    if (Object.keys(snapshots).length === 0) return;
+    updateWatchlist(prev => ({ ...prev, snapshots: { ...prev.snapshots, ...snapshots } }));
+    if (created.length > 0) {
+      updateNotifications(prev => [...created.reverse(), ...prev]);
+      setLatest(created[0]);
+      created.forEach(showBrowserNotification);
+    }
+  }, [watchlist, campaignCache, investors, chainTimeOffset, clock, getCachedCrowdfund, updateWatchlist, updateNotifications, showBrowserNotification]);
+
+  // 在最近一个众筹进入截止提醒时间时重新检查
+  const nextWarning = nextDeadlineWarning(
+    watchlist.ids.map(id => campaignCache[id]).filter(Boolean),
+    chainNow
+  );
+
+  // 定时器只在提醒时间或链上时间差值变化时重设
+  useEffect(() => {
+    if (nextWarning === Infinity) return;
+    const remaining = nextWarning - (Math.floor(Date.now() / 1000) + chainTimeOffset);
+    // setTimeout 的最大延迟约为24.8天，超过时到点后再次计算
+    const delay = Math.min((Math.max(remaining, 0) + 1) * 1000, 2 ** 31 - 1);
+    const timer = setTimeout(() => setClock(tick => tick + 1), delay);
+    return () => clearTimeout(timer);
+  }, [nextWarning, chainTimeOffset, clock]);
+
+  const isWatched = (campaignId) => watchlist.ids.includes(String(campaignId));
+
+  // 关注或取消关注，取消时删除快照，再次关注时重新开始比较
+  const toggleWatch = (campaignId) => {
+    const id = String(campaignId);
+    updateWatchlist((prev) => {
+      if (prev.ids.includes(id)) {
+        const { [id]: _removed, ...snapshots } = prev.snapshots;
+        return { ids: prev.ids.filter(item => item !== id), snapshots };
+      }
+      return { ...prev, ids: [...prev.ids, id] };
+    });
+  };
+
+  const markAllRead = () => {
+    updateNotifications(prev => prev.map(record => (record.read ? record : { ...record, read: true })));
+  };
+
+  const dismissLatest = useCallback(() => setLatest(null), []);
+
+  const clearNotifications = () => {
+    updateNotifications(() => []);
+    setLatest(null);
+  };
+
+  // 请求浏览器通知权限，只能在用户点击时调用
+  const enableBrowserNotifications = async () => {
+    if (getBrowserPermission() === 'unsupported') return;
+    try {
+      setBrowserPermission(await Notification.requestPermission());
+    } catch (err) {
+      console.error('请求通知权限失败:', err);
+    }
+  };
+
+  const value = {
+    watchedIds: watchlist.ids,
+    isWatched,
+    toggleWatch,
+    canWatch: Boolean(account && chainId),
+    notifications,
+    unreadCount: notifications.filter(record => !record.read).length,
+    latest,
+    describeNotification,
+    markAllRead,
+    clearNotifications,
+    dismissLatest,
+    browserPermission,
+    enableBrowserNotifications
+  };
+
+  return (
+    <NotificationContext.Provider value={value}>
+      {children}
+    </NotificationContext.Provider>
+  );
+};
@@ -0,0 +1,93 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { RouterContext } from '../hooks/useRouter';
+import { matchRoute, buildUrl } from '../config/routes';
+
+// 读取浏览器当前地址
+const readLocation = () => ({
+  pathname: window.location.pathname,
+  search: window.location.search
+});
+
+// 当前页面在本应用历史记录中的位置，用于判断“返回”时是否还停留在应用内
+const readHistoryIndex = () => window.history.state?.index ?? 0;
+
+// 路由Provider：基于 History API 同步地址栏和页面，支持前进、后退和直接打开链接
+export const RouterProvider = ({ children }) => {
+  const [location, setLocation] = useState(readLocation);
+
+  // 首次进入时给历史记录打上序号
+  useEffect(() => {
+    if (window.history.state?.index === undefined) {
+      window.history.replaceState({ ...window.history.state, index: 0 }, '');
+    }
+  }, []);
+
+  // 浏览器前进、后退时更新页面
+  useEffect(() => {
+    const handlePopState = () => setLocation(readLocation());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  /**
+   * 跳转到指定地址
+   * @param to 目标地址（可带查询参数）
+   * @param options.replace 替换当前历史记录而不是新增一条
+   * @param options.scroll 跳转后是否滚动到页面顶部，默认滚动
+   */
+  const navigate = useCallback((to, { replace = false, scroll = true } = {}) => {
+    const current = `${window.location.pathname}${window.location.search}`;
+    if (to === current) return;
+
+    const index = readHistoryIndex();
+    if (replace) {
+      window.history.replaceState({ index }, '', to);
+    } else {
+      window.history.pushState({ index: index + 1 }, '', to);
+    }
+    setLocation(readLocation());
+    if (scroll) {
+      window.scrollTo(0, 0);
+    }
+  }, []);
+
+  // 返回上一页；直接打开链接进入时没有上一页，跳转到备用地址
+  const goBack = useCallback((fallback) => {
+    if (readHistoryIndex() > 0) {
+      window.history.back();
+    } else {
+      navigate(fallback, { replace: true });
+    }
+  }, [navigate]);
+
+  const query = useMemo(
+    () => Object.fromEntries(new URLSearchParams(location.search)),
+    [location.search]
+  );
+
+  /**
+   * 更新当前页面的查询参数，值为空的参数会被移除
+   * 默认替换历史记录，避免筛选条件的每次改动都产生一条记录
+   */
+  const setQuery = useCallback((patch, { replace = true } = {}) => {
+    navigate(buildUrl(location.pathname, { ...query, ...patch }), { replace, scroll: false });
+  }, [navigate, location.pathname, query]);
+
+  const match = useMemo(() => matchRoute(location.pathname), [location.pathname]);
+
+  const value = {
+    pathname: location.pathname,
+    query,
+    route: match?.name ?? null,
+    params: match?.params ?? {},
+    navigate,
+    goBack,
+    setQuery
+  };
+
+  return (
+    <RouterContext.Provider value={value}>
+      {children}
+    </RouterContext.Provider>
+  );
+};
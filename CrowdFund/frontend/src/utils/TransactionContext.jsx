@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useWeb3 } from './Web3Context';
+import { TransactionContext } from '../hooks/useTransactions';
+import { TX_STATUS, loadTransactions, saveTransactions } from './transactionStore';
+import { decodeContractError } from './contractErrors';
+import { createMessage } from './i18n';
+
+// 节点暂时查不到交易时的重试次数和间隔（刚提交的交易可能还没广播到节点）
+const LOOKUP_RETRIES = 20;
+const LOOKUP_INTERVAL = 3000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 等待节点返回交易，找不到时返回null（交易可能已被丢弃）
+const waitForResponse = async (provider, hash) => {
+  for (let attempt = 0; attempt < LOOKUP_RETRIES; attempt++) {
+    const response = await provider.getTransaction(hash);
+    if (response) {
+      return response;
+    }
+    await sleep(LOOKUP_INTERVAL);
+  }
+  return null;
+};
+
+// 从交易回执中提取需要保存的信息
+const receiptDetails = (receipt) => ({
+  blockNumber: receipt.blockNumber,
+  gasUsed: receipt.gasUsed.toString(),
+  effectiveGasPrice: (receipt.gasPrice ?? 0n).toString()
+});
+
+// 交易管理Provider：记录已提交的交易并持续跟踪到确认、失败或被替换
+export const TransactionProvider = ({ children }) => {
+  const { provider, account, chainId } = useWeb3();
+  const [transactions, setTransactions] = useState([]);
+  const scopeRef = useRef(null);
+  const watchersRef = useRef(new Map());
+  const listenersRef = useRef(new Set());
+
+  // 交易记录按链和账户分组保存，切换账户或网络时读取对应记录
+  useEffect(() => {
+    if (!account || !chainId) {
+      scopeRef.current = null;
+      setTransactions([]);
+      return;
+    }
+    scopeRef.current = { chainId, account };
+    setTransactions(loadTransactions(chainId, account));
+  }, [account, chainId]);
+
+  const isCurrentScope = (scope) => {
+    const current = scopeRef.current;
+    return !!current
+      && current.chainId === scope.chainId
+      && current.account.toLowerCase() === scope.account.toLowerCase();
+  };
+
+  // 以本地存储为准更新记录，避免切换账户后仍在跟踪的交易写错分组
+  const updateStored = useCallback((scope, update) => {
+    const updated = update(loadTransactions(scope.chainId, scope.account));
+    saveTransactions(scope.chainId, scope.account, updated);
+    if (isCurrentScope(scope)) {
+      setTransactions(updated);
+    }
+  }, []);
+
+  const patchTransaction = useCallback((scope, hash, patch) => {
+    updateStored(scope, (stored) => stored.map(tx => (
+      tx.hash === hash ? { ...tx, ...patch } : tx
+    )));
+  }, [updateStored]);
+
+  // 通知发起交易的页面
+  const notifySettled = (record) => {
+    listenersRef.current.forEach((listener) => {
+      try {
+        listener(record);
+      } catch (listenerError) {
+        console.error('交易回调错误:', listenerError);
+      }
+    });
+  };
+
+  // 跟踪一笔交易直到有结果，确认（含加速替换）时返回回执，否则抛出错误
+  const watchTransaction = useCallback((scope, record) => {
+    if (watchersRef.current.has(record.hash)) {
+      return watchersRef.current.get(record.hash);
+    }
+
+    const settle = (hash, patch) => {
+      patchTransaction(scope, hash, { ...patch, settledAt: Date.now() });
+      notifySettled({ ...record, ...patch, hash });
+    };
+
+    const watcher = (async () => {
+      try {
+        const response = await waitForResponse(provider, record.hash);
+        if (!response) {
+          // 节点上查不到交易，但可能在别处已经打包
+          const receipt = await provider.getTransactionReceipt(record.hash);
+          if (!receipt) {
+            throw Object.assign(new Error('transaction not found'), { code: 'TRANSACTION_NOT_FOUND' });
+          }
+          if (receipt.status !== 1) {
+            throw Object.assign(new Error('transaction reverted'), { code: 'CALL_EXCEPTION', receipt });
+          }
+          settle(record.hash, { status: TX_STATUS.CONFIRMED, ...receiptDetails(receipt) });
+          return receipt;
+        }
+
+        // 从提交时的区块开始检查同一nonce的替换交易
+        const watched = record.startBlock != null
+          ? response.replaceableTransaction(record.startBlock)
+          : response;
+        const receipt = await watched.wait();
+        settle(record.hash, { status: TX_STATUS.CONFIRMED, ...receiptDetails(receipt) });
+        return receipt;
+      } catch (err) {
+        if (err.code === 'TRANSACTION_REPLACED') {
+          const replacedBy = err.replacement.hash;
+          // 钱包加速（仅提高Gas价格）的交易视为原操作成功
+          const succeeded = !err.cancelled && err.receipt && err.receipt.status === 1;
+          settle(record.hash, {
+            status: succeeded ? TX_STATUS.CONFIRMED : TX_STATUS.REPLACED,
+            replacedBy,
+            replacementReason: err.reason,
+            ...(err.receipt ? receiptDetails(err.receipt) : {})
+          });
+          if (succeeded) {
+            return err.receipt;
+          }
+        } else {
+          settle(record.hash, {
+            status: TX_STATUS.FAILED,
+            error: decodeContractError(err).message,
+            ...(err.receipt ? receiptDetails(err.receipt) : {})
+          });
+        }
+        throw err;
+      } finally {
+        watchersRef.current.delete(record.hash);
+      }
+    })();
+
+    watchersRef.current.set(record.hash, watcher);
+    return watcher;
+  }, [provider, patchTransaction]);
+
+  /**
+   * 记录刚提交的交易并等待结果
+   * @param tx 合约调用返回的交易
+   * @param options.label 交易队列中显示的说明，为消息描述 { key, params }（见 utils/i18n.js）
+   * @param options.origin 发起交易的页面，用于交易完成后通知该页面
+   * @returns 交易回执；交易失败、被取消或被替换时抛出错误
+   */
+  const trackTransaction = useCallback(async (tx, { label, origin } = {}) => {
+    if (!scopeRef.current) {
+      return tx.wait();
+    }
+
+    const scope = scopeRef.current;
+    // 交易提交前后的区块，替换检查从这里开始
+    let startBlock = null;
+    try {
+      startBlock = Math.max(0, (await provider.getBlockNumber()) - 1);
+    } catch (blockError) {
+      console.log('无法获取当前区块:', blockError);
+    }
+
+    const record = {
+      hash: tx.hash,
+      chainId: scope.chainId,
+      account: scope.account,
+      label: label || createMessage('transactions.defaultLabel'),
+      origin: origin || null,
+      status: TX_STATUS.PENDING,
+      nonce: tx.nonce,
+      to: tx.to,
+      value: (tx.value ?? 0n).toString(),
+      startBlock,
+      submittedAt: Date.now()
+    };
+    updateStored(scope, (stored) => [record, ...stored.filter(item => item.hash !== record.hash)]);
+    return watchTransaction(scope, record);
+  }, [provider, updateStored, watchTransaction]);
+
+  // 页面刷新后继续跟踪未完成的交易
+  useEffect(() => {
+    if (!provider || !scopeRef.current) {
+      return;
+    }
+    const scope = scopeRef.current;
+    transactions
+      .filter(tx => tx.status === TX_STATUS.PENDING && !watchersRef.current.has(tx.hash))
+      .forEach((tx) => {
+        watchTransaction(scope, tx).catch(() => {
+          // 结果已写入交易记录
+        });
+      });
+  }, [provider, transactions, watchTransaction]);
+
+  // 订阅交易结果，返回取消订阅函数
+  const onTransactionSettled = useCallback((listener) => {
+    listenersRef.current.add(listener);
+    return () => {
+      listenersRef.current.delete(listener);
+    };
+  }, []);
+
+  // 删除一条交易记录（仅影响显示，不会取消链上交易）
+  const removeTransaction = (hash) => {
+    if (scopeRef.current) {
+      updateStored(scopeRef.current, (stored) => stored.filter(tx => tx.hash !== hash));
+    }
+  };
+
+  // 清除已结束的交易记录
+  const clearCompleted = () => {
+    if (scopeRef.current) {
+      updateStored(scopeRef.current, (stored) => stored.filter(tx => tx.status === TX_STATUS.PENDING));
+    }
+  };
+
+  const value = {
+    transactions,
+    pendingCount: transactions.filter(tx => tx.status === TX_STATUS.PENDING).length,
+    trackTransaction,
+    onTransactionSettled,
+    removeTransaction,
+    clearCompleted
+  };
+
+  return (
+    <TransactionContext.Provider value={value}>
+      {children}
+    </TransactionContext.Provider>
+  );
+};
@@ -1,219 +1,392 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useLayoutEffect, useMemo, useRef, useCallback } from 'react';
 import { ethers } from 'ethers';
+import { CHAINS, DEFAULT_READ_CHAIN_ID, getChainName, getMulticallAddress, getReorgDepth, parseChainId, toHexChainId } from '../config/chains';
+import { getContractAddress, getDeployBlock, getDeployment, getSupportedChains } from '../config/deployments';
+import { SIMULATED_CHAIN_ID, SIMULATED_PROVIDER_OPTIONS } from '../config/simulation';
+import { CROWDFUND_CORE_ABI, INVESTOR_REGISTRY_ABI, MYB_TOKEN_ABI } from '../abi';
+import { createCampaignIndexer } from './campaignIndexer';
+import { useContractEventCache } from './contractEventCache';
+import { createPersistentCache } from './persistentCache';
+import { getSimulatedChain } from './simulatedChain';
+import { decodeContractError, describeError } from './contractErrors';
+import { createLocalizedError, createMessage } from './i18n';
+import { CONNECTOR_TYPES, SIMULATED_CONNECTOR, discoverWallets, findConnector, listConnectors } from './wallets';
+import { createContractRunner, createReadProvider } from './readProvider';
 
-// 合约ABI (简化版，实际使用时应该从编译后的文件中导入)
-const CROWDFUND_CORE_ABI = [
-  // 创建众筹活动
-  'function createCrowdfund(string memory projectName, uint256 targetAmount, uint256 deadline) external',
-  // 投资
-  'function invest(uint256 _campaignId) external payable',
-  // 获取众筹活动详情 - 修改为与合约实际实现匹配
-  'function getCrowdfundStatus(uint256 crowdfundId) external view returns (tuple(uint256 id, string projectName, address creator, uint256 targetAmount, uint256 currentAmount, uint256 deadline, uint256 mybPerEth, uint8 status, uint256 createdAt, bool fundsReleased))',
-  // 获取众筹活动总数 - 修改为与合约实际实现匹配
-  'function crowdfundCounter() external view returns (uint256)',
-  // 释放资金
-  'function releaseFunds(uint256 _campaignId) external',
-  // 申请退款
-  'function claimRefund(uint256 _campaignId) external',
-  // 事件
-  'event CrowdfundCreated(uint256 indexed crowdfundId, string projectName, address creator, uint256 targetAmount, uint256 deadline)',
-  'event InvestmentReceived(uint256 indexed crowdfundId, address indexed investor, uint256 amount, uint256 mybTokens)',
-  'event CrowdfundSuccessful(uint256 indexed crowdfundId, uint256 totalAmount)',
-  'event CrowdfundFailed(uint256 indexed crowdfundId)',
-  'event FundsReleased(uint256 indexed crowdfundId, address indexed recipient, uint256 amount)'
-];
-
-const MYB_TOKEN_ABI = [
-  // 获取余额
-  'function balanceOf(address account) external view returns (uint256)',
-  // 转账
-  'function transfer(address to, uint256 amount) external returns (bool)',
-  // 获取兑换率
-  'function exchangeRate() external view returns (uint256)'
-];
-
-// InvestorRegistry合约ABI
-const INVESTOR_REGISTRY_ABI = [
-  // 获取投资者信息
-  'function getInvestorInfo(uint256 crowdfundId, address investor) external view returns (tuple(bool isRegistered, uint256 totalInvestment, uint256 mybTokens, uint256 lastUpdateTime))'
-];
-
-// Sepolia测试网合约地址（已部署）
-const CROWDFUND_CORE_ADDRESS = '0xEd981954E1Ff757b1da132F7475B8E8891a1dbE2'; // Sepolia测试网地址
-const MYB_TOKEN_ADDRESS = '0x4a042653398eF0e1D4A44E991ddCf639F4c3b024'; // Sepolia测试网地址
-const INVESTOR_REGISTRY_ADDRESS = '0x8387e0c6072D50D6D57D8EFAE10A4afC5d4665D4'; // InvestorRegistry合约地址（需要替换为实际部署地址）
-
-// Sepolia测试网Chain ID
-const SEPOLIA_CHAIN_ID = '0xaa36a7'; // 十六进制表示的11155111
-
-// 模拟数据模式标志
-const USE_MOCK_DATA = false; // 使用模拟数据以避免合约权限问题
+// 是否使用浏览器模拟链，保存在本地存储中，刷新页面后保持
+const SIMULATION_STORAGE_KEY = 'crowdfund:simulation';
+
+const readSimulationFlag = () => {
+  try {
+    return localStorage.getItem(SIMULATION_STORAGE_KEY) === 'true';
+  } catch {
+    return false;
+  }
+};
+
+// 上次连接的钱包（连接器ID），用于刷新页面后自动重连
+const WALLET_STORAGE_KEY = 'crowdfund:wallet';
+// 旧版本只记录是否连接过 window.ethereum
+const LEGACY_CONNECTED_KEY = 'walletConnected';
+
+const readWalletId = () => {
+  try {
+    return localStorage.getItem(WALLET_STORAGE_KEY) ||
+      (localStorage.getItem(LEGACY_CONNECTED_KEY) === 'true' ? 'injected' : null);
+  } catch {
+    return null;
+  }
+};
+
+// 合约runner在发送交易时抛出的错误，由 decodeContractError 转换为对应的错误代码
+const walletError = (code) => Object.assign(new Error(code), { code });
+
+// 部署清单在构建时打包，支持的网络不会变化
+const SUPPORTED_CHAINS = getSupportedChains();
 
 // 创建Context
 const Web3Context = createContext();
 
 // Context Provider组件
 export const Web3Provider = ({ children }) => {
-  const [provider, setProvider] = useState(null);
+  // 钱包的provider，只用于签名；读取链上数据使用下面的只读provider
+  const [walletProvider, setWalletProvider] = useState(null);
   const [signer, setSigner] = useState(null);
   const [account, setAccount] = useState(null);
-  const [crowdfundCoreContract, setCrowdfundCoreContract] = useState(null);
-  const [mybTokenContract, setMybTokenContract] = useState(null);
-  const [investorRegistryContract, setInvestorRegistryContract] = useState(null);
+  // 钱包所在的网络，未连接时为null
+  const [chainId, setChainId] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
-  const [useMockData, setUseMockData] = useState(USE_MOCK_DATA);
+  const [simulationEnabled, setSimulation] = useState(readSimulationFlag);
+  // 正在浏览的网络：连接钱包后为钱包所在的网络，断开后保持不变；
+  // 每次设置都是新对象，模拟链重置时据此重建只读provider和合约实例
+  const [readTarget, setReadTarget] = useState(() => ({
+    chainId: readSimulationFlag() ? SIMULATED_CHAIN_ID : DEFAULT_READ_CHAIN_ID
+  }));
+  // 发送交易时是否正在等待用户选择钱包（WalletConnect 据此打开钱包列表）
+  const [connectionRequested, setConnectionRequested] = useState(false);
+  // 通过 EIP-6963 发现的钱包
+  const [announcedWallets, setAnnouncedWallets] = useState([]);
+  // 当前连接使用的连接器（见 utils/wallets.js）
+  const [connector, setConnector] = useState(null);
+  // 错误的消息描述（见 utils/i18n.js）
   const [error, setError] = useState(null);
+  // 当前连接的EIP-1193 provider及注册在其上的事件监听器
+  const walletRef = useRef(null);
+  const walletListenersRef = useRef(null);
+  // 当前连接的 { signer, chainId }，合约runner发送交易时读取
+  const sessionRef = useRef(null);
+  // 等待用户连接钱包的交易 { promise, resolve, reject }
+  const connectionRequestRef = useRef(null);
+  // 最新的操作函数，合约runner、挂载时的自动连接和context中的操作通过它调用
+  const actionsRef = useRef(null);
+  // 最近一次创建会话的序号，账户或网络连续变化时丢弃较早的结果
+  const sessionVersionRef = useRef(0);
 
-  // 连接钱包
-  const connectWallet = async () => {
-    try {
-      if (!window.ethereum) {
-        throw new Error('MetaMask 未安装');
-      }
+  // 移除注册在钱包上的事件监听器
+  const detachWalletListeners = useCallback(() => {
+    const registered = walletListenersRef.current;
+    if (registered) {
+      registered.wallet.removeListener('accountsChanged', registered.accountsChanged);
+      registered.wallet.removeListener('chainChanged', registered.chainChanged);
+      walletListenersRef.current = null;
+    }
+  }, []);
 
-      // 检查网络是否为Sepolia测试网
-      const chainId = await window.ethereum.request({ method: 'eth_chainId' });
-      if (chainId !== SEPOLIA_CHAIN_ID) {
-        // 尝试切换到Sepolia测试网
-        try {
-          await window.ethereum.request({
-            method: 'wallet_switchEthereumChain',
-            params: [{ chainId: SEPOLIA_CHAIN_ID }]
-          });
-        } catch (switchError) {
-          // 用户拒绝切换或没有添加Sepolia网络
-          throw new Error('请切换到Sepolia测试网再连接钱包');
-        }
+  // 可选择的钱包
+  const wallets = useMemo(() => listConnectors(announcedWallets), [announcedWallets]);
+
+  // 结束等待连接的交易：连接失败或用户取消时交易随之失败
+  const rejectConnectionRequest = (err) => {
+    const request = connectionRequestRef.current;
+    if (!request) return;
+    connectionRequestRef.current = null;
+    setConnectionRequested(false);
+    request.reject(err);
+  };
+
+  /**
+   * 按钱包当前的网络和账户创建provider和signer，连接钱包以及切换账户、网络时调用
+   * 网络变化时只读provider、合约实例和索引器随 readTarget 重建，账户相关的缓存由各Provider和hook按 account 清除
+   * @param wallet EIP-1193 provider
+   * @param accounts 钱包返回的账户列表，使用第一个账户
+   */
+  const openSession = async (wallet, accounts) => {
+    const version = ++sessionVersionRef.current;
+    const currentChainId = parseChainId(await wallet.request({ method: 'eth_chainId' }));
+
+    // 每次重新创建，ethers的BrowserProvider在网络变化后不能继续使用
+    const newWalletProvider = wallet.isSimulated
+      ? new ethers.BrowserProvider(wallet, undefined, SIMULATED_PROVIDER_OPTIONS)
+      : new ethers.BrowserProvider(wallet);
+    const newSigner = await newWalletProvider.getSigner(accounts[0]);
+    if (version !== sessionVersionRef.current) {
+      return;
+    }
+
+    sessionRef.current = { signer: newSigner, chainId: currentChainId };
+    setWalletProvider(newWalletProvider);
+    setSigner(newSigner);
+    setAccount(accounts[0]);
+    setChainId(currentChainId);
+    // 改为浏览钱包所在的网络，没有部署时界面显示不支持的网络
+    setReadTarget(prev => (prev.chainId === currentChainId ? prev : { chainId: currentChainId }));
+    setIsConnected(true);
+    setError(getDeployment(currentChainId) ? null : createMessage('wallet.errors.noDeployment', { network: getChainName(currentChainId) }));
+  };
+
+  // 通过连接器连接钱包（浏览器钱包、临时钱包或模拟链）
+  const connect = async (selectedConnector) => {
+    try {
+      const wallet = selectedConnector ? selectedConnector.getProvider() : null;
+      if (!wallet) {
+        throw createLocalizedError('wallet.errors.notInstalled');
       }
 
       // 请求账户访问权限
-      const accounts = await window.ethereum.request({
+      const accounts = await wallet.request({
         method: 'eth_requestAccounts'
       });
+
+      await openSession(wallet, accounts);
+      setConnector(selectedConnector);
       
-      // 创建provider和signer
-      const newProvider = new ethers.BrowserProvider(window.ethereum);
-      const newSigner = await newProvider.getSigner();
-      
-      // 创建合约实例
-      const newCrowdfundCoreContract = new ethers.Contract(
-        CROWDFUND_CORE_ADDRESS, 
-        CROWDFUND_CORE_ABI, 
-        newSigner
-      );
-      
-      const newMybTokenContract = new ethers.Contract(
-        MYB_TOKEN_ADDRESS, 
-        MYB_TOKEN_ABI, 
-        newSigner
-      );
-
-      const newInvestorRegistryContract = new ethers.Contract(
-        INVESTOR_REGISTRY_ADDRESS, 
-        INVESTOR_REGISTRY_ABI, 
-        newSigner
-      );
-
-      setProvider(newProvider);
-      setSigner(newSigner);
-      setAccount(accounts[0]);
-      setCrowdfundCoreContract(newCrowdfundCoreContract);
-      setMybTokenContract(newMybTokenContract);
-      setInvestorRegistryContract(newInvestorRegistryContract);
-      setIsConnected(true);
-      setError(null);
-      
-      // 记录连接状态到本地存储
-      try {
-        localStorage.setItem('walletConnected', 'true');
-        localStorage.setItem('lastConnectedAccount', accounts[0]);
-      } catch (storageError) {
-        console.log('无法保存连接状态到本地存储:', storageError);
+      // 记录选择的钱包到本地存储（模拟链开启时总是自动连接，不需要记录）
+      if (selectedConnector.type !== CONNECTOR_TYPES.SIMULATED) {
+        try {
+          localStorage.setItem(WALLET_STORAGE_KEY, selectedConnector.id);
+          localStorage.removeItem(LEGACY_CONNECTED_KEY);
+          localStorage.setItem('lastConnectedAccount', accounts[0]);
+        } catch (storageError) {
+          console.log('无法保存连接状态到本地存储:', storageError);
+        }
       }
 
+      detachWalletListeners();
+      walletRef.current = wallet;
+      walletListenersRef.current = {
+        wallet,
+        accountsChanged: handleAccountsChanged,
+        chainChanged: handleChainChanged
+      };
       // 监听账户变化
-      window.ethereum.on('accountsChanged', handleAccountsChanged);
+      wallet.on('accountsChanged', handleAccountsChanged);
       // 监听链变化
-      window.ethereum.on('chainChanged', handleChainChanged);
+      wallet.on('chainChanged', handleChainChanged);
     } catch (err) {
-      setError(err.message);
+      setError(describeError(decodeContractError(err, 'actions.connectWallet')));
       console.error('连接钱包失败:', err);
+      rejectConnectionRequest(err);
+    }
+  };
+
+  // 连接完成并且各Provider已按新账户更新（子组件的effect先执行）后，继续等待连接的交易
+  useEffect(() => {
+    const request = connectionRequestRef.current;
+    if (!signer || !request) return;
+    connectionRequestRef.current = null;
+    setConnectionRequested(false);
+    request.resolve();
+  }, [signer]);
+
+  /**
+   * 连接钱包，开启模拟链时连接模拟链
+   * @param connectorId 选择的钱包（wallets 中的 id），省略时使用第一个可用的钱包
+   */
+  const connectWallet = (connectorId = null) => {
+    if (simulationEnabled) {
+      return connect(SIMULATED_CONNECTOR);
     }
+    return connect(connectorId ? findConnector(wallets, connectorId) : wallets[0] || null);
+  };
+
+  // 发送交易时请求连接钱包：开启模拟链或只有一个钱包时直接连接，否则打开钱包列表等待用户选择
+  const requestConnection = () => {
+    if (!connectionRequestRef.current) {
+      const request = {};
+      request.promise = new Promise((resolve, reject) => {
+        request.resolve = resolve;
+        request.reject = reject;
+      });
+      connectionRequestRef.current = request;
+      if (simulationEnabled || wallets.length === 1) {
+        connectWallet(simulationEnabled ? null : wallets[0].id);
+      } else {
+        setConnectionRequested(true);
+      }
+    }
+    return connectionRequestRef.current.promise;
+  };
+
+  // 用户关闭钱包列表，放弃等待连接的交易
+  const cancelConnectionRequest = () => {
+    rejectConnectionRequest(walletError('WALLET_NOT_CONNECTED'));
   };
 
-  // 处理账户变化
-  const handleAccountsChanged = (accounts) => {
-    if (accounts.length > 0) {
-      setAccount(accounts[0]);
-      // 重新检查网络
-      checkNetwork();
-    } else {
-      // 用户断开了钱包连接
+  /**
+   * 获取发送交易使用的signer，未连接钱包时先请求连接
+   * @param targetChainId 合约所在的网络，钱包不在该网络上时抛出 NETWORK_MISMATCH
+   */
+  const requestSigner = async (targetChainId) => {
+    if (!sessionRef.current) {
+      await requestConnection();
+    }
+    const session = sessionRef.current;
+    if (!session) {
+      throw walletError('WALLET_NOT_CONNECTED');
+    }
+    if (session.chainId !== parseChainId(targetChainId)) {
+      throw walletError('NETWORK_MISMATCH');
+    }
+    return session.signer;
+  };
+
+  // 每次渲染后更新，函数中读取的状态（模拟链开关、钱包列表等）始终是最新的
+  useEffect(() => {
+    actionsRef.current = {
+      connect,
+      connectWallet,
+      disconnectWallet,
+      cancelConnectionRequest,
+      requestSigner,
+      switchNetwork,
+      checkNetwork,
+      setSimulationEnabled,
+      selectSimulatedAccount,
+      resetSimulatedChain
+    };
+  });
+
+  // 处理账户变化：重新创建signer，之后的交易由新账户签名
+  const handleAccountsChanged = async (accounts) => {
+    if (accounts.length === 0) {
+      // 用户锁定钱包或断开了与本站的连接，移除监听器，之后需要重新连接
+      detachWalletListeners();
       resetWeb3State();
+      return;
+    }
+    const wallet = walletRef.current;
+    if (!wallet) return;
+    try {
+      await openSession(wallet, accounts);
+    } catch (err) {
+      console.error('切换账户失败:', err);
+      setError(createMessage('wallet.errors.networkCheckFailed'));
     }
   };
   
-  // 检查当前网络
+  // 检查当前网络是否有合约部署
   const checkNetwork = async () => {
     try {
-      if (window.ethereum) {
-        const chainId = await window.ethereum.request({ method: 'eth_chainId' });
-        if (chainId !== SEPOLIA_CHAIN_ID) {
-          setError('请切换到Sepolia测试网以连接合约');
+      if (walletRef.current) {
+        const currentChainId = await walletRef.current.request({ method: 'eth_chainId' });
+        if (!getDeployment(currentChainId)) {
+          setError(createMessage('wallet.errors.noDeployment', { network: getChainName(currentChainId) }));
           return false;
         } else {
           setError(null);
           return true;
         }
       }
-      return false;
+      // 未连接钱包时检查正在浏览的网络，发送交易时再请求连接
+      return Boolean(getDeployment(readTarget.chainId));
     } catch (err) {
       console.error('检查网络失败:', err);
-      setError('网络检查失败');
+      setError(createMessage('wallet.errors.networkCheckFailed'));
+      return false;
+    }
+  };
+
+  // 切换到指定网络，钱包中没有该网络时尝试添加
+  const switchNetwork = async (targetChainId) => {
+    const wallet = walletRef.current;
+    if (!wallet) return false;
+
+    const hexChainId = toHexChainId(targetChainId);
+    try {
+      await wallet.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: hexChainId }]
+      });
+      return true;
+    } catch (switchError) {
+      // 4902: 钱包中尚未添加该网络
+      const chain = CHAINS[parseChainId(targetChainId)];
+      if (switchError.code === 4902 && chain) {
+        try {
+          await wallet.request({
+            method: 'wallet_addEthereumChain',
+            params: [{
+              chainId: hexChainId,
+              chainName: chain.name,
+              nativeCurrency: chain.nativeCurrency,
+              rpcUrls: chain.rpcUrls,
+              blockExplorerUrls: chain.explorer ? [chain.explorer] : undefined
+            }]
+          });
+          return true;
+        } catch (addError) {
+          console.error('添加网络失败:', addError);
+        }
+      }
+      setError(createMessage('wallet.errors.switchFailed', { network: getChainName(targetChainId) }));
       return false;
     }
   };
 
-  // 处理链变化
-  const handleChainChanged = () => {
-    // 链变化时刷新页面
-    window.location.reload();
+  // 处理链变化：不刷新页面，按新网络重建provider、signer和合约实例，保留当前路由和表单内容
+  const handleChainChanged = async () => {
+    const wallet = walletRef.current;
+    if (!wallet) return;
+    try {
+      const accounts = await wallet.request({ method: 'eth_accounts' });
+      if (accounts.length === 0) {
+        detachWalletListeners();
+        resetWeb3State();
+        return;
+      }
+      await openSession(wallet, accounts);
+    } catch (err) {
+      console.error('切换网络失败:', err);
+      setError(createMessage('wallet.errors.networkCheckFailed'));
+    }
   };
 
-  // 重置Web3状态
+  // 重置钱包状态，只读provider和合约实例保留，可以继续浏览
   const resetWeb3State = () => {
-    setProvider(null);
+    walletRef.current = null;
+    sessionRef.current = null;
+    sessionVersionRef.current++;
+    setConnector(null);
+    setWalletProvider(null);
     setSigner(null);
     setAccount(null);
-    setCrowdfundCoreContract(null);
-    setMybTokenContract(null);
-    setInvestorRegistryContract(null);
+    setChainId(null);
     setIsConnected(false);
   };
 
   // 完全断开连接
   const disconnectWallet = async () => {
+    const wallet = walletRef.current;
     try {
       // 立即重置Web3状态，避免UI显示延迟
       resetWeb3State();
       
       // 清除本地存储中的连接状态（最重要的一步）
       try {
-        localStorage.removeItem('walletConnected');
+        localStorage.removeItem(WALLET_STORAGE_KEY);
+        localStorage.removeItem(LEGACY_CONNECTED_KEY);
         localStorage.removeItem('lastConnectedAccount');
       } catch (storageError) {
         console.log('无法清除本地存储:', storageError);
       }
       
       // 移除事件监听器
-      if (window.ethereum) {
-        window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
-        window.ethereum.removeListener('chainChanged', handleChainChanged);
-        
+      detachWalletListeners();
+      if (wallet) {
         // 尝试使用 experimental_disconnect（如果可用）
-        if (window.ethereum.experimental_disconnect) {
+        if (wallet.experimental_disconnect) {
           try {
-            await window.ethereum.experimental_disconnect();
+            await wallet.experimental_disconnect();
           } catch (disconnectError) {
             console.log('experimental_disconnect 不可用或失败:', disconnectError);
           }
@@ -221,7 +394,7 @@ export const Web3Provider = ({ children }) => {
         
         // 尝试使用wallet_revokePermissions（如果可用）
         try {
-          await window.ethereum.request({
+          await wallet.request({
             method: 'wallet_revokePermissions',
             params: [{ eth_accounts: {} }]
           });
@@ -230,7 +403,7 @@ export const Web3Provider = ({ children }) => {
           
           // 如果wallet_revokePermissions不可用，尝试使用wallet_requestPermissions
           try {
-            await window.ethereum.request({
+            await wallet.request({
               method: 'wallet_requestPermissions',
               params: []
             });
@@ -250,55 +423,228 @@ export const Web3Provider = ({ children }) => {
     }
   };
 
-  // 检查钱包是否已连接
+  // 发现浏览器中的钱包，并检查上次连接的钱包是否仍然授权
   useEffect(() => {
-    const checkConnection = async () => {
-      if (window.ethereum) {
-        try {
-          // 首先检查本地存储中的连接状态标志
-          const walletConnectedFlag = localStorage.getItem('walletConnected');
-          
-          // 只有当本地存储中明确标记为已连接时，才尝试自动连接
-          if (walletConnectedFlag === 'true') {
-            const accounts = await window.ethereum.request({
-              method: 'eth_accounts'
-            });
-            
-            if (accounts.length > 0) {
-              connectWallet();
-            }
-          }
-        } catch (err) {
-          console.error('检查连接失败:', err);
+    // 开启模拟链时直接连接，不需要钱包授权（与 simulationEnabled 的初始值相同）
+    const simulated = readSimulationFlag();
+    if (simulated) {
+      actionsRef.current.connect(SIMULATED_CONNECTOR);
+    }
+
+    // 只有本地存储中记录了连接过的钱包时才尝试自动连接，钱包可能在页面加载后才发出通知
+    let pendingId = simulated ? null : readWalletId();
+    const reconnect = async (announced) => {
+      const saved = findConnector(listConnectors(announced), pendingId);
+      if (!saved) return;
+      pendingId = null;
+      try {
+        const accounts = await saved.getProvider().request({
+          method: 'eth_accounts'
+        });
+        if (accounts.length > 0) {
+          actionsRef.current.connect(saved);
         }
+      } catch (err) {
+        console.error('检查连接失败:', err);
       }
     };
 
-    checkConnection();
+    const stopDiscovery = discoverWallets((announced) => {
+      setAnnouncedWallets(announced);
+      reconnect(announced);
+    });
+    // 不支持 EIP-6963 的钱包和临时钱包不会发出通知
+    reconnect([]);
 
     // 组件卸载时清理事件监听器
     return () => {
-      if (window.ethereum) {
-        window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
-        window.ethereum.removeListener('chainChanged', handleChainChanged);
-      }
+      stopDiscovery();
+      detachWalletListeners();
     };
+  }, [detachWalletListeners]);
+
+  // 开启或关闭浏览器模拟链，切换后断开当前连接，开启时直接连接模拟链
+  const setSimulationEnabled = async (enabled) => {
+    try {
+      localStorage.setItem(SIMULATION_STORAGE_KEY, String(enabled));
+    } catch (storageError) {
+      console.log('无法保存模拟链设置:', storageError);
+    }
+    detachWalletListeners();
+    resetWeb3State();
+    setError(null);
+    setSimulation(enabled);
+    setReadTarget({ chainId: enabled ? SIMULATED_CHAIN_ID : DEFAULT_READ_CHAIN_ID });
+    if (enabled) {
+      await connect(SIMULATED_CONNECTOR);
+    }
+  };
+
+  // 切换模拟链上使用的账户，重新创建signer和合约实例
+  const selectSimulatedAccount = async (address) => {
+    const chain = getSimulatedChain();
+    chain.selectAccount(address);
+    await connect(SIMULATED_CONNECTOR);
+  };
+
+  // 重置模拟链，缓存和索引器随新的只读provider和合约实例一起重建
+  const resetSimulatedChain = async () => {
+    const chain = getSimulatedChain();
+    chain.reset();
+    setReadTarget({ chainId: SIMULATED_CHAIN_ID });
+    await connect(SIMULATED_CONNECTOR);
+  };
+
+  // 当前浏览网络的部署清单，没有部署时为null
+  const deployment = useMemo(() => getDeployment(readTarget.chainId), [readTarget]);
+
+  // 只读provider，不需要连接钱包；没有配置节点的网络通过钱包读取
+  const readProvider = useMemo(() => createReadProvider(readTarget.chainId), [readTarget]);
+  const provider = readProvider || (chainId === readTarget.chainId ? walletProvider : null);
+
+  // 合约实例：只读调用走只读provider，发送交易时才请求钱包签名（见 utils/readProvider.js）
+  const contracts = useMemo(() => {
+    if (!provider || !deployment) {
+      return null;
+    }
+    const runner = createContractRunner(
+      provider,
+      deployment.chainId,
+      (targetChainId) => actionsRef.current.requestSigner(targetChainId)
+    );
+    return {
+      crowdfundCoreContract: new ethers.Contract(getContractAddress(deployment, 'CrowdFundCore'), CROWDFUND_CORE_ABI, runner),
+      mybTokenContract: new ethers.Contract(getContractAddress(deployment, 'MYBToken'), MYB_TOKEN_ABI, runner),
+      investorRegistryContract: new ethers.Contract(getContractAddress(deployment, 'InvestorRegistry'), INVESTOR_REGISTRY_ABI, runner)
+    };
+  }, [provider, deployment]);
+  const crowdfundCoreContract = contracts ? contracts.crowdfundCoreContract : null;
+
+  // 当前的账户和合约实例，在各hook的effect发起读取之前更新
+  const loadScopeRef = useRef(null);
+  useLayoutEffect(() => {
+    loadScopeRef.current = { account, contracts };
+  }, [account, contracts]);
+
+  /**
+   * 读取开始时调用，返回 isCurrent()：账户或网络（合约实例）在读取期间变化时返回false，
+   * 此时读取结果属于之前的账户或网络，不应写入状态
+   */
+  const captureSession = useCallback(() => {
+    const scope = loadScopeRef.current;
+    return () => loadScopeRef.current === scope;
   }, []);
+  const mybTokenContract = contracts ? contracts.mybTokenContract : null;
+  const investorRegistryContract = contracts ? contracts.investorRegistryContract : null;
+
+  // 本地持久化缓存，按网络和 CrowdFundCore 地址保存众筹数据和扫描进度；
+  // 模拟链的状态本身保存在本地存储中，不需要缓存
+  const persistentCache = useMemo(() => {
+    if (!provider || !deployment || deployment.chainId === SIMULATED_CHAIN_ID) {
+      return null;
+    }
+    return createPersistentCache({ deployment, provider, reorgDepth: getReorgDepth(deployment.chainId) });
+  }, [provider, deployment]);
 
-  const value = {
+  // 众筹活动索引器，在合约实例存续期间保留扫描进度
+  const campaignIndexer = useMemo(() => {
+    if (!crowdfundCoreContract || !provider || !deployment) {
+      return null;
+    }
+    return createCampaignIndexer({
+      crowdfundCoreContract,
+      investorRegistryContract,
+      mybTokenContract,
+      provider,
+      deployBlock: getDeployBlock(deployment),
+      multicallAddress: getMulticallAddress(deployment.chainId),
+      persistentCache
+    });
+  }, [crowdfundCoreContract, investorRegistryContract, mybTokenContract, provider, deployment, persistentCache]);
+
+  // 已加载的合约状态缓存，由合约事件实时更新
+  const {
+    campaignCache,
+    cacheCampaigns,
+    mybBalance,
+    cacheMybBalance,
+    onContractEvent
+  } = useContractEventCache({
+    provider,
+    account,
+    crowdfundCoreContract,
+    mybTokenContract,
+    investorRegistryContract,
+    campaignIndexer,
+    persistentCache
+  });
+
+  // 对外提供的操作，函数引用保持不变，调用时转到最新的实现
+  const actions = useMemo(() => ({
+    connectWallet: (...args) => actionsRef.current.connectWallet(...args),
+    disconnectWallet: () => actionsRef.current.disconnectWallet(),
+    cancelConnectionRequest: () => actionsRef.current.cancelConnectionRequest(),
+    requestSigner: targetChainId => actionsRef.current.requestSigner(targetChainId),
+    switchNetwork: targetChainId => actionsRef.current.switchNetwork(targetChainId),
+    checkNetwork: () => actionsRef.current.checkNetwork(),
+    setSimulationEnabled: enabled => actionsRef.current.setSimulationEnabled(enabled),
+    selectSimulatedAccount: address => actionsRef.current.selectSimulatedAccount(address),
+    resetSimulatedChain: () => actionsRef.current.resetSimulatedChain()
+  }), []);
+
+  // 只在其中的状态变化时重新创建，避免每次渲染都使所有使用者重新渲染
+  const value = useMemo(() => ({
+    ...actions,
     provider,
     signer,
     account,
+    chainId,
+    readChainId: readTarget.chainId,
+    deployment,
+    isSupportedNetwork: Boolean(deployment),
+    supportedChains: SUPPORTED_CHAINS,
     crowdfundCoreContract,
     mybTokenContract,
     investorRegistryContract,
+    campaignIndexer,
+    campaignCache,
+    cacheCampaigns,
+    mybBalance,
+    cacheMybBalance,
+    onContractEvent,
+    captureSession,
     isConnected,
+    wallets,
+    connector,
     error,
-    useMockData,
-    connectWallet,
-    disconnectWallet,
-    checkNetwork // 添加网络检查函数到context中
-  };
+    simulationEnabled,
+    simulatedChain: simulationEnabled ? getSimulatedChain() : null,
+    connectionRequested
+  }), [
+    actions,
+    provider,
+    signer,
+    account,
+    chainId,
+    readTarget,
+    deployment,
+    crowdfundCoreContract,
+    mybTokenContract,
+    investorRegistryContract,
+    campaignIndexer,
+    campaignCache,
+    cacheCampaigns,
+    mybBalance,
+    cacheMybBalance,
+    onContractEvent,
+    captureSession,
+    isConnected,
+    wallets,
+    connector,
+    error,
+    simulationEnabled,
+    connectionRequested
+  ]);
 
   return (
     <Web3Context.Provider value={value}>
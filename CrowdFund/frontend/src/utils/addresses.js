@@ -0,0 +1,28 @@
+import { ethers } from 'ethers';
+import { createMessage } from './i18n';
+
+// 钱包返回的地址可能是小写，合约返回的是校验和格式，比较地址时忽略大小写
+export const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * 校验用户输入的地址并转换为校验和格式
+ * 全小写或全大写的地址不带校验和；大小写混合时必须符合EIP-55校验和，输错一位的地址不会被当作有效地址
+ * @return { value }（校验和格式）或 { error }（消息描述，见 utils/i18n.js）
+ */
+export const validateAddress = (input) => {
+  const text = String(input ?? '').trim();
+  if (!text) {
+    return { error: createMessage('addresses.errors.required') };
+  }
+  if (!/^0x[0-9a-fA-F]{40}$/.test(text)) {
+    return { error: createMessage('addresses.errors.invalid') };
+  }
+  if (!ethers.isAddress(text)) {
+    return { error: createMessage('addresses.errors.checksum') };
+  }
+  const value = ethers.getAddress(text);
+  if (value === ethers.ZeroAddress) {
+    return { error: createMessage('addresses.errors.zero') };
+  }
+  return { value };
+};
@@ -0,0 +1,215 @@
+import { ethers } from 'ethers';
+import { CROWDFUND_CORE_ABI, INVESTOR_REGISTRY_ABI, MYB_TOKEN_ABI } from '../abi';
+import { createMessage } from './i18n';
+import { MYB_DECIMALS, formatMyb, parseAmount } from './amounts';
+
+// 表单字段类型
+export const FIELD_TYPES = {
+  ADDRESS: 'address',
+  // 正整数（如兑换比例）
+  UINT: 'uint',
+  // MYB数量，按18位精度输入
+  TOKEN_AMOUNT: 'tokenAmount',
+  CROWDFUND_ID: 'crowdfundId'
+};
+
+// 各合约的ABI接口，用于生成调用摘要
+const INTERFACES = {
+  CrowdFundCore: new ethers.Interface(CROWDFUND_CORE_ABI),
+  InvestorRegistry: new ethers.Interface(INVESTOR_REGISTRY_ABI),
+  MYBToken: new ethers.Interface(MYB_TOKEN_ABI)
+};
+
+/**
+ * 平台管理操作，均为对应合约的 onlyOwner 函数；label、effect 和字段的 label 为语言包中的键
+ * requirePaused 为 true/false 表示 unpause/pause 对暂停状态的要求（见 permissions.js 中的 checkOwnerOperation）
+ */
+export const ADMIN_OPERATIONS = [
+  {
+    id: 'core.pause',
+    contract: 'CrowdFundCore',
+    method: 'pause',
+    label: 'admin.operations.corePause.label',
+    effect: 'admin.operations.corePause.effect',
+    requirePaused: false,
+    fields: []
+  },
+  {
+    id: 'core.unpause',
+    contract: 'CrowdFundCore',
+    method: 'unpause',
+    label: 'admin.operations.coreUnpause.label',
+    effect: 'admin.operations.coreUnpause.effect',
+    requirePaused: true,
+    fields: []
+  },
+  {
+    id: 'registry.pause',
+    contract: 'InvestorRegistry',
+    method: 'pause',
+    label: 'admin.operations.registryPause.label',
+    effect: 'admin.operations.registryPause.effect',
+    requirePaused: false,
+    fields: []
+  },
+  {
+    id: 'registry.unpause',
+    contract: 'InvestorRegistry',
+    method: 'unpause',
+    label: 'admin.operations.registryUnpause.label',
+    effect: 'admin.operations.registryUnpause.effect',
+    requirePaused: true,
+    fields: []
+  },
+  {
+    id: 'core.updateDevFundAddress',
+    contract: 'CrowdFundCore',
+    method: 'updateDevFundAddress',
+    label: 'admin.operations.updateDevFundAddress.label',
+    effect: 'admin.operations.updateDevFundAddress.effect',
+    fields: [{ name: 'newAddress', label: 'admin.fields.newDevFund', type: FIELD_TYPES.ADDRESS }]
+  },
+  {
+    id: 'core.updateCommunityFundAddress',
+    contract: 'CrowdFundCore',
+    method: 'updateCommunityFundAddress',
+    label: 'admin.operations.updateCommunityFundAddress.label',
+    effect: 'admin.operations.updateCommunityFundAddress.effect',
+    fields: [{ name: 'newAddress', label: 'admin.fields.newCommunityFund', type: FIELD_TYPES.ADDRESS }]
+  },
+  {
+    id: 'core.releaseFunds',
+    contract: 'CrowdFundCore',
+    method: 'releaseFunds',
+    label: 'admin.operations.releaseFunds.label',
+    effect: 'admin.operations.releaseFunds.effect',
+    fields: [{ name: 'crowdfundId', label: 'admin.fields.crowdfundId', type: FIELD_TYPES.CROWDFUND_ID }]
+  },
+  {
+    id: 'myb.setExchangeRate',
+    contract: 'MYBToken',
+    method: 'setExchangeRate',
+    label: 'admin.operations.setExchangeRate.label',
+    effect: 'admin.operations.setExchangeRate.effect',
+    fields: [{ name: 'newRate', label: 'admin.fields.newRate', type: FIELD_TYPES.UINT }]
+  },
+  {
+    id: 'myb.mint',
+    contract: 'MYBToken',
+    method: 'mint',
+    label: 'admin.operations.mint.label',
+    effect: 'admin.operations.mint.effect',
+    fields: [
+      { name: 'to', label: 'admin.fields.recipient', type: FIELD_TYPES.ADDRESS },
+      { name: 'amount', label: 'admin.fields.amount', type: FIELD_TYPES.TOKEN_AMOUNT }
+    ]
+  },
+  {
+    id: 'myb.burn',
+    contract: 'MYBToken',
+    method: 'burn',
+    label: 'admin.operations.burn.label',
+    effect: 'admin.operations.burn.effect',
+    fields: [{ name: 'amount', label: 'admin.fields.amount', type: FIELD_TYPES.TOKEN_AMOUNT }]
+  }
+];
+
+// 按ID查找管理操作
+export const getAdminOperation = (id) => ADMIN_OPERATIONS.find(operation => operation.id === id) || null;
+
+// 字段的错误说明，字段名称按当前语言显示
+const fieldMessage = (key, field) => createMessage(key, { field: createMessage(field.label) });
+
+// 解析单个字段，返回 { value } 或 { error }，error 为消息描述
+const parseField = (field, raw) => {
+  const text = (raw || '').trim();
+  if (!text) {
+    return { error: fieldMessage('admin.validation.required', field) };
+  }
+
+  switch (field.type) {
+    case FIELD_TYPES.ADDRESS:
+      if (!ethers.isAddress(text)) {
+        return { error: fieldMessage('admin.validation.invalidAddress', field) };
+      }
+      if (ethers.getAddress(text) === ethers.ZeroAddress) {
+        return { error: fieldMessage('admin.validation.zeroAddress', field) };
+      }
+      return { value: ethers.getAddress(text) };
+    case FIELD_TYPES.UINT:
+    case FIELD_TYPES.CROWDFUND_ID:
+      if (!/^[1-9]\d*$/.test(text)) {
+        return { error: fieldMessage('admin.validation.positiveInteger', field) };
+      }
+      return { value: BigInt(text) };
+    case FIELD_TYPES.TOKEN_AMOUNT: {
+      const value = parseAmount(text, { decimals: MYB_DECIMALS });
+      if (value === null) {
+        return { error: fieldMessage('admin.validation.invalidAmount', field) };
+      }
+      if (value <= 0n) {
+        return { error: fieldMessage('admin.validation.positiveAmount', field) };
+      }
+      return { value };
+    }
+    default:
+      return { value: text };
+  }
+};
+
+/**
+ * 把表单输入转换为合约调用参数
+ * @param operation ADMIN_OPERATIONS 中的操作
+ * @param values 字段名 -> 输入的文本
+ * @return { args, errors }，args 按字段顺序排列；errors 为 字段名 -> 错误的消息描述，没有错误时为空对象
+ */
+export const parseOperationArgs = (operation, values) => {
+  const args = [];
+  const errors = {};
+  operation.fields.forEach((field) => {
+    const { value, error } = parseField(field, values[field.name]);
+    if (error) {
+      errors[field.name] = error;
+    } else {
+      args.push(value);
+    }
+  });
+  return { args: Object.keys(errors).length === 0 ? args : null, errors };
+};
+
+// 参数的显示形式，MYB数量同时显示原始值和换算后的数量
+const formatArgument = (field, value) => {
+  if (field.type === FIELD_TYPES.TOKEN_AMOUNT) {
+    return createMessage('admin.call.tokenAmount', { raw: value.toString(), amount: formatMyb(value) });
+  }
+  return value.toString();
+};
+
+/**
+ * 生成确认对话框中的调用摘要：合约、函数签名、参数、调用数据和影响
+ * @param operation ADMIN_OPERATIONS 中的操作
+ * @param args parseOperationArgs 返回的参数
+ * @param contractAddress 目标合约地址
+ * @return 每行的消息描述，由组件翻译后按行拼接
+ */
+export const describeAdminCall = (operation, args, contractAddress) => {
+  const contractInterface = INTERFACES[operation.contract];
+  const fragment = contractInterface.getFunction(operation.method);
+  const signature = `${fragment.name}(${fragment.inputs.map(input => `${input.type} ${input.name}`).join(', ')})`;
+  const lines = [
+    createMessage('admin.call.contract', { contract: operation.contract, address: contractAddress }),
+    createMessage('admin.call.function', { signature })
+  ];
+  if (operation.fields.length > 0) {
+    lines.push(createMessage('admin.call.params'));
+    operation.fields.forEach((field, index) => {
+      lines.push(createMessage('admin.call.param', {
+        name: fragment.inputs[index].name,
+        value: formatArgument(field, args[index])
+      }));
+    });
+  }
+  lines.push(createMessage('admin.call.calldata', { data: contractInterface.encodeFunctionData(fragment, args) }));
+  lines.push(createMessage('admin.call.blank'), createMessage(operation.effect));
+  return lines;
+};
@@ -0,0 +1,99 @@
+import { ethers } from 'ethers';
+import { createMessage } from './i18n';
+
+/**
+ * 金额计算和格式化
+ *
+ * 链上金额一律以bigint（最小单位）计算，换算与合约中的整数运算一致，
+ * 只在显示时转换为十进制字符串，交给 I18nContext 的 formatAmount 按语言分组
+ */
+
+export const ETH_DECIMALS = 18;
+export const MYB_DECIMALS = 18;
+
+// 与 CrowdFundCore.invest 中的 require(msg.value >= 0.01 ether) 一致
+export const MIN_INVESTMENT = ethers.parseEther('0.01');
+
+// 只接受普通的十进制写法，不接受科学计数法、正负号和千位分隔符
+const DECIMAL_PATTERN = /^(\d+\.?\d*|\.\d+)$/;
+
+/**
+ * 校验并解析用户输入的金额
+ * @param input 输入框中的文本，如 "1.5"
+ * @param options.decimals 精度，默认18位
+ * @param options.min 最小值（最小单位的bigint），省略时要求大于0
+ * @param options.allowZero 是否允许0（预算明细等）
+ * @return { value }（bigint）或 { error }（消息描述，见 utils/i18n.js）
+ */
+export const validateAmount = (input, { decimals = ETH_DECIMALS, min = null, allowZero = false } = {}) => {
+  const text = String(input ?? '').trim();
+  if (!text) {
+    return { error: createMessage('amounts.errors.required') };
+  }
+  if (!DECIMAL_PATTERN.test(text)) {
+    return { error: createMessage('amounts.errors.invalid', { input: text }) };
+  }
+  const fraction = text.split('.')[1] || '';
+  if (fraction.length > decimals) {
+    return { error: createMessage('amounts.errors.tooManyDecimals', { decimals: String(decimals) }) };
+  }
+  const value = ethers.parseUnits(text.startsWith('.') ? `0${text}` : text, decimals);
+  if (value === 0n && !allowZero) {
+    return { error: createMessage('amounts.errors.notPositive') };
+  }
+  if (min !== null && value < min) {
+    return { error: createMessage('amounts.errors.belowMin', { min: formatUnits(min, decimals) }) };
+  }
+  return { value };
+};
+
+// 解析金额，无效时返回null（用于输入过程中的预览）
+export const parseAmount = (input, options = {}) => {
+  const { value } = validateAmount(input, { allowZero: true, ...options });
+  return value ?? null;
+};
+
+/**
+ * 最小单位的金额转换为十进制字符串
+ * @param value bigint金额
+ * @param decimals 精度
+ * @param options.maxFractionDigits 最多保留的小数位，多余的位数舍去（与合约的整数除法一致），省略时保留全部
+ * @param options.minFractionDigits 至少显示的小数位，不足时补0
+ */
+export const formatUnits = (value, decimals = ETH_DECIMALS, { maxFractionDigits = null, minFractionDigits = 0 } = {}) => {
+  const [integer, rawFraction] = ethers.formatUnits(value, decimals).split('.');
+  let fraction = rawFraction.replace(/0+$/, '');
+  if (maxFractionDigits !== null) {
+    fraction = fraction.slice(0, maxFractionDigits).replace(/0+$/, '');
+  }
+  fraction = fraction.padEnd(minFractionDigits, '0');
+  return fraction ? `${integer}.${fraction}` : integer;
+};
+
+export const formatEth = (wei, options) => formatUnits(wei, ETH_DECIMALS, options);
+export const formatMyb = (units, options) => formatUnits(units, MYB_DECIMALS, options);
+
+/**
+ * 投资获得的MYB数量（最小单位），与合约一致：msg.value * mybPerEth / 1 ether（向下取整）
+ * 与投资者记录中的 mybTokens 相同，显示时同样用 formatMyb 转换
+ * @param wei 投资金额
+ * @param mybPerEth 众筹创建时记录的兑换比例（每ETH兑换的MYB数量）
+ */
+export const ethToMyb = (wei, mybPerEth) => (wei * BigInt(mybPerEth)) / ethers.WeiPerEther;
+
+// 获得指定MYB数量需要投资的金额（向上取整，按该金额投资至少获得这么多MYB）
+export const mybToEth = (units, mybPerEth) => {
+  const rate = BigInt(mybPerEth);
+  if (rate === 0n) return 0n;
+  return (units * ethers.WeiPerEther + rate - 1n) / rate;
+};
+
+// 完成百分比（四舍五入到整数，最多100），目标为0时为0
+export const completionPercentage = (current, target) => {
+  if (target <= 0n) return 0;
+  const percentage = (current * 200n + target) / (target * 2n);
+  return Number(percentage > 100n ? 100n : percentage);
+};
+
+// 转换为普通数字，只用于图表坐标等近似显示，不能用于计算或提交
+export const toApproximateNumber = (value, decimals = ETH_DECIMALS) => Number(ethers.formatUnits(value, decimals));
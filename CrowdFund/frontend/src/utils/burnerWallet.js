@@ -0,0 +1,155 @@
+import { ethers } from 'ethers';
+import { createLocalizedError } from './i18n';
+
+/**
+ * 本地开发用的临时钱包（burner wallet）
+ *
+ * 实现EIP-1193接口，账户相关的请求用私钥在浏览器内处理，其余请求原样转发给节点。
+ * 私钥保存在浏览器中，不能用于持有真实资产的账户。
+ */
+
+const KEY_STORAGE_KEY = 'crowdfund:burner-key';
+
+// 与钱包返回的错误格式一致 { code, message, data }，用于转发节点返回的错误
+const rpcError = (code, message, data) => {
+  const error = new Error(message);
+  error.code = code;
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return error;
+};
+
+// 临时钱包自身产生的错误，带消息描述（error.localized），由界面按当前语言显示
+// ethers转换钱包错误时只保留 code、message 和 data，因此 data 中也放一份消息描述
+const walletError = (code, key, params) => {
+  const error = createLocalizedError(key, params);
+  error.code = code;
+  error.data = { localized: error.localized };
+  return error;
+};
+
+// 读取保存的私钥，没有时随机生成
+const loadOrCreateKey = (storage) => {
+  try {
+    const stored = storage && storage.getItem(KEY_STORAGE_KEY);
+    if (stored) return stored;
+  } catch {
+    // 本地存储不可用时每次生成新账户
+  }
+  const { privateKey } = ethers.Wallet.createRandom();
+  try {
+    if (storage) storage.setItem(KEY_STORAGE_KEY, privateKey);
+  } catch (err) {
+    console.error('保存临时钱包私钥失败:', err);
+  }
+  return privateKey;
+};
+
+// 十六进制数量字段转换为ethers的交易字段，省略的字段由钱包填充
+const toTransactionRequest = (tx) => {
+  const request = {
+    to: tx.to,
+    data: tx.data,
+    value: tx.value,
+    gasLimit: tx.gas,
+    gasPrice: tx.gasPrice,
+    maxFeePerGas: tx.maxFeePerGas,
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+    nonce: tx.nonce === undefined ? undefined : Number(tx.nonce),
+    type: tx.type === undefined ? undefined : Number(tx.type),
+    accessList: tx.accessList
+  };
+  return Object.fromEntries(Object.entries(request).filter(([, value]) => value !== undefined && value !== null));
+};
+
+/**
+ * 创建临时钱包
+ * @param options.privateKey 私钥，为null时使用本地存储中的私钥或随机生成
+ * @param options.rpcUrl 节点的JSON-RPC地址
+ * @param options.storage 保存随机私钥的存储（默认为 localStorage）
+ * @returns EIP-1193 provider，address 为钱包地址
+ */
+export const createBurnerWallet = ({ privateKey = null, rpcUrl, storage = window.localStorage }) => {
+  // 关闭ethers的请求缓存，连续发送交易时每次都向节点查询最新的nonce
+  const node = new ethers.JsonRpcProvider(rpcUrl, undefined, { cacheTimeout: -1 });
+  const wallet = new ethers.Wallet(privateKey || loadOrCreateKey(storage), node);
+  let nextId = 1;
+
+  // 转发给节点，保留节点返回的错误码和revert数据
+  const forward = async (method, params) => {
+    let payload;
+    try {
+      const response = await fetch(rpcUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params })
+      });
+      payload = await response.json();
+    } catch (err) {
+      throw walletError(-32603, 'wallet.burner.nodeUnreachable', { url: rpcUrl, reason: err.message });
+    }
+    if (payload.error) {
+      throw rpcError(payload.error.code, payload.error.message, payload.error.data);
+    }
+    return payload.result;
+  };
+
+  const requireOwnAccount = (address) => {
+    if (address && address.toLowerCase() !== wallet.address.toLowerCase()) {
+      throw walletError(4100, 'wallet.burner.foreignAccount', { address });
+    }
+  };
+
+  const methods = {
+    eth_requestAccounts: () => [wallet.address],
+    eth_accounts: () => [wallet.address],
+    eth_sendTransaction: async ([tx]) => {
+      requireOwnAccount(tx.from);
+      const response = await wallet.sendTransaction(toTransactionRequest(tx));
+      return response.hash;
+    },
+    personal_sign: ([message, address]) => {
+      requireOwnAccount(address);
+      return wallet.signMessage(ethers.getBytes(message));
+    },
+    eth_signTypedData_v4: ([address, data]) => {
+      requireOwnAccount(address);
+      const { domain, types, message } = typeof data === 'string' ? JSON.parse(data) : data;
+      // ethers根据domain推导EIP712Domain，传入会报错
+      const { EIP712Domain: _domain, ...messageTypes } = types;
+      return wallet.signTypedData(domain, messageTypes, message);
+    },
+    // 临时钱包固定连接一个节点，不能切换或添加网络
+    wallet_switchEthereumChain: () => {
+      throw walletError(4200, 'wallet.burner.switchChainUnsupported');
+    },
+    wallet_addEthereumChain: () => {
+      throw walletError(4200, 'wallet.burner.addChainUnsupported');
+    },
+    // 没有代币列表界面，余额在页面中查看
+    wallet_watchAsset: () => {
+      throw walletError(4200, 'wallet.burner.watchAssetUnsupported');
+    },
+    // 没有授权流程，断开连接时的权限请求直接成功
+    wallet_revokePermissions: () => null,
+    wallet_requestPermissions: () => [{ parentCapability: 'eth_accounts' }]
+  };
+
+  const request = async ({ method, params = [] }) => {
+    const handler = methods[method];
+    return handler ? handler(params) : forward(method, params);
+  };
+
+  // 账户和网络固定不变，不会触发 accountsChanged 和 chainChanged
+  const on = () => {};
+  const removeListener = () => {};
+
+  return {
+    isBurner: true,
+    address: wallet.address,
+    request,
+    on,
+    removeListener
+  };
+};
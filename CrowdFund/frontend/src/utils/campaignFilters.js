@@ -0,0 +1,125 @@
+import { CROWDFUND_STATUS } from './campaigns';
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// 完成度（基点，10000 即 100%），按wei计算避免浮点误差
+const progressBasisPoints = (campaign) => {
+  if (campaign.targetAmountWei === 0n) return 0;
+  return Number((campaign.currentAmountWei * 10000n) / campaign.targetAmountWei);
+};
+
+// 进行中且未到截止时间，now 为当前链上时间（秒）
+const isRunning = (campaign, now) => campaign.status === CROWDFUND_STATUS.ACTIVE && Number(campaign.deadline) > now;
+
+const hasStatus = (status) => (campaign) => campaign.status === status;
+
+// 进行中且在指定秒数内截止
+const endsWithin = (seconds) => (campaign, now) => isRunning(campaign, now) && Number(campaign.deadline) - now <= seconds;
+
+// 状态筛选，值保存在地址栏的 status 参数中，为空表示全部；label 为语言包中的键
+export const STATUS_FILTERS = [
+  { value: '', label: 'campaignList.filters.all', match: () => true },
+  { value: 'active', label: 'campaignStatus.active', match: hasStatus(CROWDFUND_STATUS.ACTIVE) },
+  { value: 'successful', label: 'campaignStatus.successful', match: hasStatus(CROWDFUND_STATUS.SUCCESSFUL) },
+  { value: 'failed', label: 'campaignStatus.failed', match: hasStatus(CROWDFUND_STATUS.FAILED) },
+  { value: 'refunded', label: 'campaignStatus.refunded', match: hasStatus(CROWDFUND_STATUS.REFUNDED) },
+  // 旧链接中的“已完成”，包括成功、失败和已退款
+  { value: 'completed', label: 'campaignList.filters.completed', match: (campaign) => campaign.isCompleted }
+];
+
+// 完成度筛选（progress 参数）
+export const PROGRESS_FILTERS = [
+  { value: '', label: 'campaignList.filters.anyProgress', match: () => true },
+  {
+    value: 'low',
+    label: 'campaignList.filters.progressLow',
+    match: (campaign) => progressBasisPoints(campaign) < 5000
+  },
+  {
+    value: 'high',
+    label: 'campaignList.filters.progressHigh',
+    match: (campaign) => progressBasisPoints(campaign) >= 5000 && progressBasisPoints(campaign) < 10000
+  },
+  {
+    value: 'reached',
+    label: 'campaignList.filters.progressReached',
+    match: (campaign) => progressBasisPoints(campaign) >= 10000
+  }
+];
+
+// 剩余时间筛选（time 参数），只有进行中且未到截止时间的众筹算作剩余；match 的第二个参数为当前链上时间
+export const TIME_FILTERS = [
+  { value: '', label: 'campaignList.filters.anyTime', match: () => true },
+  { value: 'day', label: 'campaignList.filters.endingDay', match: endsWithin(DAY) },
+  { value: 'week', label: 'campaignList.filters.endingWeek', match: endsWithin(7 * DAY) },
+  { value: 'ended', label: 'campaignList.filters.ended', match: (campaign, now) => Number(campaign.deadline) <= now }
+];
+
+const byNewest = (a, b) => b.createdAt - a.createdAt || Number(b.id) - Number(a.id);
+
+// 排序方式（sort 参数），为空时按最新创建排序；compare 的第三个参数为当前链上时间
+export const SORT_OPTIONS = [
+  { value: '', label: 'campaignList.sort.newest', compare: byNewest },
+  {
+    value: 'ending',
+    label: 'campaignList.sort.ending',
+    // 进行中的按截止时间升序，已截止的排在后面
+    compare: (a, b, now) => (
+      Number(isRunning(b, now)) - Number(isRunning(a, now)) ||
+      (isRunning(a, now) ? Number(a.deadline) - Number(b.deadline) : Number(b.deadline) - Number(a.deadline)) ||
+      byNewest(a, b)
+    )
+  },
+  {
+    value: 'funded',
+    label: 'campaignList.sort.funded',
+    compare: (a, b) => (
+      (a.currentAmountWei === b.currentAmountWei ? 0 : (b.currentAmountWei > a.currentAmountWei ? 1 : -1)) ||
+      byNewest(a, b)
+    )
+  },
+  {
+    value: 'goal',
+    label: 'campaignList.sort.goal',
+    // 尚未达到目标的进行中众筹按完成度降序，其余排在后面
+    compare: (a, b, now) => {
+      const open = (campaign) => isRunning(campaign, now) && progressBasisPoints(campaign) < 10000;
+      return Number(open(b)) - Number(open(a)) ||
+        progressBasisPoints(b) - progressBasisPoints(a) ||
+        byNewest(a, b);
+    }
+  }
+];
+
+// 按值查找选项，值无效时使用第一项（全部/默认）
+export const findOption = (options, value) => options.find(option => option.value === (value || '')) || options[0];
+
+// 搜索项目名称或创建者地址，不区分大小写
+const matchesSearch = (campaign, search) => {
+  const text = (search || '').trim().toLowerCase();
+  if (!text) return true;
+  return campaign.title.toLowerCase().includes(text) || campaign.creator.toLowerCase().includes(text);
+};
+
+/**
+ * 按地址栏中的条件筛选和排序众筹列表
+ * @param campaigns formatCampaign 的返回值列表
+ * @param query { q, status, progress, time, sort, watched }，均可省略；watched 为 '1' 时只显示关注的众筹
+ * @param watchedIds 当前账户关注的众筹ID
+ * @param now 当前链上时间（秒），用于剩余时间筛选和按截止时间排序
+ * @return 新的数组
+ */
+export const filterCampaigns = (campaigns, query, watchedIds, now) => {
+  const status = findOption(STATUS_FILTERS, query.status);
+  const progress = findOption(PROGRESS_FILTERS, query.progress);
+  const time = findOption(TIME_FILTERS, query.time);
+  const sort = findOption(SORT_OPTIONS, query.sort);
+
+  return campaigns
+    .filter(campaign => (
+      matchesSearch(campaign, query.q) && status.match(campaign) && progress.match(campaign) && time.match(campaign, now) &&
+      (query.watched !== '1' || watchedIds.includes(campaign.id))
+    ))
+    .sort((a, b) => sort.compare(a, b, now));
+};
@@ -0,0 +1,408 @@
+import { ethers } from 'ethers';
+import { batchCall } from './multicall';
+
+// 单次 eth_getLogs 查询的区块跨度，公共RPC通常限制在几千到一万个区块
+export const LOG_BLOCK_RANGE = 5000;
+
+// 节点拒绝查询时逐步缩小跨度，低于该值仍失败则放弃
+const MIN_LOG_BLOCK_RANGE = 100;
+
+// 投资者相关的事件，第二个indexed参数均为投资者地址
+const INVESTOR_EVENTS = ['InvestmentReceived', 'TokensClaimed', 'RefundIssued'];
+
+// 众筹生命周期事件：创建、成功、失败和资金释放
+const LIFECYCLE_EVENTS = ['CrowdfundCreated', 'CrowdfundSuccessful', 'CrowdfundFailed', 'FundsReleased'];
+
+// 由所有者操作产生的事件
+const OWNER_EVENTS = ['Paused', 'Unpaused', 'OwnershipTransferred'];
+
+// 并发查询区块时间的数量上限
+const BLOCK_QUERY_CONCURRENCY = 8;
+
+/**
+ * 分段查询合约事件，节点拒绝查询时缩小跨度重试
+ * @param contract 合约实例
+ * @param filter 事件过滤条件（事件过滤器或topic数组）
+ * @param onEvents 每段查询完成后调用，参数为 (events, 该段的最后一个区块)
+ */
+const queryLogsInRanges = async (contract, filter, fromBlock, toBlock, onEvents) => {
+  let start = fromBlock;
+  let range = LOG_BLOCK_RANGE;
+
+  while (start <= toBlock) {
+    const end = Math.min(start + range - 1, toBlock);
+    try {
+      const events = await contract.queryFilter(filter, start, end);
+      onEvents(events, end);
+      start = end + 1;
+    } catch (err) {
+      if (range <= MIN_LOG_BLOCK_RANGE) {
+        throw err;
+      }
+      range = Math.floor(range / 2);
+    }
+  }
+};
+
+// 把合约事件转换为普通对象，事件参数展开为同名字段，众筹ID转换为字符串（没有众筹ID的事件为null）
+const toEventRecord = (event) => ({
+  ...Object.fromEntries(event.fragment.inputs.map((input, index) => [input.name, event.args[index]])),
+  eventName: event.eventName,
+  crowdfundId: event.args.crowdfundId === undefined ? null : event.args.crowdfundId.toString(),
+  blockNumber: event.blockNumber,
+  transactionHash: event.transactionHash,
+  logIndex: event.index
+});
+
+/**
+ * 创建众筹活动索引器
+ * 通过 CrowdfundCreated 事件发现众筹ID和创建者，并记录已扫描到的区块，
+ * 之后每次同步只扫描新产生的区块；投资者和单个众筹的投资记录以同样方式增量扫描
+ * @param crowdfundCoreContract CrowdFundCore合约实例
+ * @param investorRegistryContract、mybTokenContract 另外两个合约实例，用于扫描管理操作事件，可以为空
+ * @param provider 用于查询区块和日志的provider
+ * @param deployBlock 合约部署区块，为null时无法按事件扫描，改用计数器枚举
+ * @param multicallAddress Multicall3地址，用于批量读取众筹详情
+ * @param persistentCache 本地持久化缓存（见 persistentCache.js），为null时每次打开页面从部署区块重新扫描
+ */
+export const createCampaignIndexer = ({
+  crowdfundCoreContract,
+  investorRegistryContract = null,
+  mybTokenContract = null,
+  provider,
+  deployBlock,
+  multicallAddress,
+  persistentCache = null
+}) => {
+  // 已发现的众筹ID（按创建顺序）
+  const campaignIds = new Set();
+  // 众筹ID -> 创建者地址，来自 CrowdfundCreated 事件（creator 不是indexed参数，只能在本地筛选）
+  const campaignCreators = new Map();
+  // 众筹ID -> 创建所在区块，保存缓存时只保存检查点之前创建的众筹
+  const campaignBlocks = new Map();
+  // 已扫描到的最后一个区块
+  let cursor = deployBlock === null ? null : deployBlock - 1;
+  // 正在进行的同步，并发调用共享同一次扫描
+  let pendingSync = null;
+  // 'investor:地址（小写）'、'campaign:众筹ID' 等 -> { cursor, events, pending }，分别记录扫描进度
+  const eventHistories = new Map();
+  // 区块号 -> 区块时间戳
+  const blockTimestamps = new Map();
+
+  // 分段扫描 CrowdfundCreated 事件
+  const scanLogs = (fromBlock, toBlock) => queryLogsInRanges(
+    crowdfundCoreContract,
+    crowdfundCoreContract.filters.CrowdfundCreated(),
+    fromBlock,
+    toBlock,
+    (events, end) => {
+      events.forEach((event) => {
+        const id = event.args.crowdfundId.toString();
+        campaignIds.add(id);
+        campaignCreators.set(id, event.args.creator);
+        campaignBlocks.set(id, event.blockNumber);
+      });
+      cursor = end;
+    }
+  );
+
+  /**
+   * 导出扫描进度和事件记录，只包含检查点区块及之前的部分，之后的区块可能被重组
+   * @param maxBlock 检查点区块号
+   * @return 可以保存到IndexedDB的普通对象；按计数器枚举时没有扫描进度，返回null
+   */
+  const exportState = (maxBlock) => {
+    if (cursor === null) {
+      return null;
+    }
+    const campaigns = [...campaignIds]
+      .filter(id => campaignBlocks.get(id) <= maxBlock)
+      .map(id => ({ id, creator: campaignCreators.get(id), blockNumber: campaignBlocks.get(id) }));
+    const histories = [...eventHistories.entries()].map(([key, history]) => ({
+      key,
+      cursor: Math.min(history.cursor, maxBlock),
+      events: [...history.events.entries()].filter(([, event]) => event.blockNumber <= maxBlock)
+    }));
+    return {
+      cursor: Math.min(cursor, maxBlock),
+      campaigns,
+      histories,
+      blockTimestamps: [...blockTimestamps.entries()].filter(([number]) => number <= maxBlock)
+    };
+  };
+
+  // 恢复 exportState 导出的状态，只在开始扫描之前调用
+  const importState = (state) => {
+    cursor = state.cursor;
+    state.campaigns.forEach(({ id, creator, blockNumber }) => {
+      campaignIds.add(id);
+      campaignCreators.set(id, creator);
+      campaignBlocks.set(id, blockNumber);
+    });
+    state.histories.forEach(({ key, cursor: historyCursor, events }) => {
+      eventHistories.set(key, { cursor: historyCursor, events: new Map(events), pending: null });
+    });
+    state.blockTimestamps.forEach(([number, timestamp]) => blockTimestamps.set(number, timestamp));
+  };
+
+  // 读取本地缓存中的扫描进度，完成前不开始扫描
+  const ready = (async () => {
+    if (!persistentCache || deployBlock === null) return;
+    const record = await persistentCache.restore();
+    if (record?.indexer) {
+      importState(record.indexer);
+    }
+  })();
+
+  // 扫描有进展后延迟写入本地缓存
+  const saveProgress = () => {
+    if (persistentCache) {
+      persistentCache.scheduleSave();
+    }
+  };
+
+  // 部署区块未知时，按 crowdfundCounter 枚举（众筹ID从1开始）
+  const enumerateByCounter = async () => {
+    const count = await crowdfundCoreContract.crowdfundCounter();
+    for (let id = 1n; id <= count; id++) {
+      campaignIds.add(id.toString());
+    }
+  };
+
+  const runSync = async () => {
+    await ready;
+    if (cursor === null) {
+      await enumerateByCounter();
+      return;
+    }
+
+    const latestBlock = await provider.getBlockNumber();
+    if (latestBlock > cursor) {
+      await scanLogs(cursor + 1, latestBlock);
+      saveProgress();
+    }
+  };
+
+  /**
+   * 同步新创建的众筹活动
+   * @return 全部已知的众筹ID
+   */
+  const sync = async () => {
+    if (!pendingSync) {
+      pendingSync = runSync().finally(() => {
+        pendingSync = null;
+      });
+    }
+    await pendingSync;
+    return [...campaignIds];
+  };
+
+  /**
+   * 批量读取众筹详情（所有数据读取自同一个区块）
+   * @param ids 众筹ID列表
+   * @return { blockNumber, campaigns }，campaigns与ids顺序一致，读取失败的项为null
+   */
+  const loadCampaigns = async (ids) => {
+    const blockNumber = await provider.getBlockNumber();
+    const getCrowdfundStatus = crowdfundCoreContract.getFunction('getCrowdfundStatus');
+    const results = await batchCall(
+      provider,
+      ids.map(id => ({ method: getCrowdfundStatus, args: [id] })),
+      multicallAddress,
+      { blockTag: blockNumber }
+    );
+
+    const campaigns = results.map((item, index) => {
+      if (!item.success) {
+        console.error(`获取众筹ID ${ids[index]} 失败:`, item.error);
+        return null;
+      }
+      return item.result;
+    });
+
+    return { blockNumber, campaigns };
+  };
+
+  // 扫描一组事件的新区块，事件按 交易哈希:日志序号 去重
+  const runHistorySync = async (history, contract, topics) => {
+    const latestBlock = await provider.getBlockNumber();
+    if (latestBlock <= history.cursor) return;
+
+    await queryLogsInRanges(contract, topics, history.cursor + 1, latestBlock, (events, end) => {
+      events.forEach((event) => {
+        history.events.set(`${event.transactionHash}:${event.index}`, toEventRecord(event));
+      });
+      history.cursor = end;
+    });
+    saveProgress();
+  };
+
+  // 增量同步一组事件，并发调用共享同一次扫描；部署区块未知时返回null
+  const syncHistory = async (key, topics, contract = crowdfundCoreContract) => {
+    if (deployBlock === null) {
+      return null;
+    }
+
+    await ready;
+    let history = eventHistories.get(key);
+    if (!history) {
+      history = { cursor: deployBlock - 1, events: new Map(), pending: null };
+      eventHistories.set(key, history);
+    }
+    if (!history.pending) {
+      history.pending = runHistorySync(history, contract, topics).finally(() => {
+        history.pending = null;
+      });
+    }
+    await history.pending;
+
+    return [...history.events.values()].sort((a, b) => (
+      a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+    ));
+  };
+
+  const topicHash = (eventName, contract = crowdfundCoreContract) => contract.interface.getEvent(eventName).topicHash;
+
+  /**
+   * 同步投资者的投资、领取代币和退款记录，一次查询按投资者地址同时匹配三种事件
+   * @param investor 投资者地址
+   * @return 按区块顺序排列的事件列表 { eventName, crowdfundId, investor, amount, ... }（其余字段为事件参数），
+   *         部署区块未知、无法按事件扫描时返回null
+   */
+  const syncInvestor = (investor) => syncHistory(`investor:${investor.toLowerCase()}`, [
+    INVESTOR_EVENTS.map(name => topicHash(name)),
+    null,
+    ethers.zeroPadValue(investor, 32)
+  ]);
+
+  /**
+   * 同步单个众筹收到的全部投资（InvestmentReceived）
+   * @param crowdfundId 众筹ID
+   * @return 按区块顺序排列的事件列表，格式同 syncInvestor；部署区块未知时返回null
+   */
+  const syncCampaignInvestments = (crowdfundId) => syncHistory(`campaign:${crowdfundId}`, [
+    topicHash('InvestmentReceived'),
+    ethers.toBeHex(BigInt(crowdfundId), 32)
+  ]);
+
+  /**
+   * 同步单个众筹的生命周期事件（创建、成功、失败、资金释放）
+   * @param crowdfundId 众筹ID
+   * @return 按区块顺序排列的事件列表，格式同 syncInvestor；部署区块未知时返回null
+   */
+  const syncCampaignLifecycle = (crowdfundId) => syncHistory(`lifecycle:${crowdfundId}`, [
+    LIFECYCLE_EVENTS.map(name => topicHash(name)),
+    ethers.toBeHex(BigInt(crowdfundId), 32)
+  ]);
+
+  /**
+   * 同步管理操作相关的事件：三个合约的暂停、恢复和所有权转移，资金释放，以及MYB的铸造和销毁
+   * 更新基金地址和兑换比例的函数不产生事件，无法从链上查询
+   * @return 按区块顺序排列的事件列表，每项增加 source 字段（合约名称）；部署区块未知时返回null
+   */
+  const syncAdminHistory = async () => {
+    const zeroTopic = ethers.zeroPadValue(ethers.ZeroAddress, 32);
+    const groups = [
+      { source: 'CrowdFundCore', contract: crowdfundCoreContract, topics: [[...OWNER_EVENTS, 'FundsReleased'].map(name => topicHash(name))] }
+    ];
+    if (investorRegistryContract) {
+      groups.push({
+        source: 'InvestorRegistry',
+        contract: investorRegistryContract,
+        topics: [OWNER_EVENTS.map(name => topicHash(name, investorRegistryContract))]
+      });
+    }
+    if (mybTokenContract) {
+      const transfer = topicHash('Transfer', mybTokenContract);
+      groups.push(
+        { source: 'MYBToken', contract: mybTokenContract, topics: [topicHash('OwnershipTransferred', mybTokenContract)] },
+        // 铸造：from 为零地址；销毁：to 为零地址
+        { source: 'MYBToken', contract: mybTokenContract, topics: [transfer, zeroTopic] },
+        { source: 'MYBToken', contract: mybTokenContract, topics: [transfer, null, zeroTopic] }
+      );
+    }
+
+    const histories = await Promise.all(groups.map(({ source, contract, topics }, index) => (
+      syncHistory(`admin:${source}:${index}`, topics, contract)
+    )));
+    if (histories.includes(null)) {
+      return null;
+    }
+    return histories
+      .flatMap((events, index) => events.map(event => ({ ...event, source: groups[index].source })))
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  };
+
+  /**
+   * 同步账户的MYB转账记录：转出和转入（包括铸造、销毁和领取代币）分两组查询
+   * @param account 账户地址
+   * @return 按区块顺序排列的 Transfer 事件 { from, to, value, ... }；没有MYB合约或部署区块未知时返回null
+   */
+  const syncTokenTransfers = async (account) => {
+    if (!mybTokenContract) {
+      return null;
+    }
+    const transfer = topicHash('Transfer', mybTokenContract);
+    const accountTopic = ethers.zeroPadValue(account, 32);
+    const key = account.toLowerCase();
+    const [sent, received] = await Promise.all([
+      syncHistory(`transfers:from:${key}`, [transfer, accountTopic], mybTokenContract),
+      syncHistory(`transfers:to:${key}`, [transfer, null, accountTopic], mybTokenContract)
+    ]);
+    if (sent === null || received === null) {
+      return null;
+    }
+    // 转给自己的转账在两组中各出现一次
+    const events = new Map([...sent, ...received].map(event => [`${event.transactionHash}:${event.logIndex}`, event]));
+    return [...events.values()].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  };
+
+  /**
+   * 查找指定地址创建的众筹
+   * @param creator 创建者地址
+   * @return 众筹ID列表；部署区块未知、无法按事件扫描时返回null
+   */
+  const getCreatorCampaigns = async (creator) => {
+    if (deployBlock === null) {
+      return null;
+    }
+    await sync();
+    const target = creator.toLowerCase();
+    return [...campaignIds].filter(id => campaignCreators.get(id)?.toLowerCase() === target);
+  };
+
+  /**
+   * 查询区块时间戳，已查询过的区块直接返回缓存
+   * @param blockNumbers 区块号列表
+   * @return 区块号 -> 时间戳（秒）
+   */
+  const getBlockTimestamps = async (blockNumbers) => {
+    const missing = [...new Set(blockNumbers)].filter(number => !blockTimestamps.has(number));
+    for (let i = 0; i < missing.length; i += BLOCK_QUERY_CONCURRENCY) {
+      const batch = missing.slice(i, i + BLOCK_QUERY_CONCURRENCY);
+      const blocks = await Promise.all(batch.map(number => provider.getBlock(number)));
+      blocks.forEach((block, index) => {
+        if (block) {
+          blockTimestamps.set(batch[index], block.timestamp);
+        }
+      });
+    }
+    return Object.fromEntries(blockNumbers
+      .filter(number => blockTimestamps.has(number))
+      .map(number => [number, blockTimestamps.get(number)]));
+  };
+
+  return {
+    sync,
+    syncInvestor,
+    syncCampaignInvestments,
+    syncCampaignLifecycle,
+    syncAdminHistory,
+    syncTokenTransfers,
+    getCreatorCampaigns,
+    getBlockTimestamps,
+    loadCampaigns,
+    getCursor: () => cursor,
+    exportState
+  };
+};
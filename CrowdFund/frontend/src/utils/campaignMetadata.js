@@ -0,0 +1,113 @@
+import { ethers } from 'ethers';
+import { createLocalizedError } from './i18n';
+import { parseAmount } from './amounts';
+
+// 众筹元数据文档的格式版本
+export const METADATA_VERSION = 1;
+
+// 链上 metadataHash 为0表示创建时没有附带元数据
+export const EMPTY_METADATA_HASH = ethers.ZeroHash;
+
+// 元数据加载状态
+export const METADATA_STATUS = {
+  NONE: 'none',         // 众筹没有元数据
+  PENDING: 'pending',   // 尚未加载
+  VERIFIED: 'verified', // 内容哈希与链上记录一致
+  INVALID: 'invalid',   // 内容与链上哈希不一致或格式错误
+  MISSING: 'missing',   // 存储中找不到该文档
+  ERROR: 'error'        // 读取失败（网络等原因），可以重试
+};
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 10000;
+
+const isUrl = (value) => /^(https?:\/\/|ipfs:\/\/)\S+$/i.test(value);
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * 按固定字段顺序构建元数据文档并校验，字段顺序固定才能保证同样的内容得到同样的哈希
+ * @param fields.title 标题（同时作为链上的 projectName）
+ * @param fields.description 详细描述
+ * @param fields.images 图片 [{ url, caption }]
+ * @param fields.links 相关链接 [{ label, url }]
+ * @param fields.team 团队成员 [{ name, role, address }]
+ * @param fields.budget 预算明细 [{ item, amount }]，amount 为ETH金额字符串
+ * @returns 元数据文档，校验失败时抛出错误
+ */
+export const createMetadataDocument = (fields) => {
+  const document = {
+    version: METADATA_VERSION,
+    title: text(fields.title),
+    description: text(fields.description),
+    images: (fields.images || []).map(image => ({ url: text(image.url), caption: text(image.caption) })),
+    links: (fields.links || []).map(link => ({ label: text(link.label), url: text(link.url) })),
+    team: (fields.team || []).map(member => ({
+      name: text(member.name),
+      role: text(member.role),
+      address: text(member.address)
+    })),
+    budget: (fields.budget || []).map(entry => ({ item: text(entry.item), amount: text(entry.amount) }))
+  };
+  validateMetadataDocument(document);
+  return document;
+};
+
+// 校验元数据文档的格式，不合法时抛出带消息描述的错误（error.localized）
+export const validateMetadataDocument = (document) => {
+  if (!document || document.version !== METADATA_VERSION) {
+    throw createLocalizedError('metadata.errors.unsupportedVersion');
+  }
+  if (!document.title || document.title.length > MAX_TITLE_LENGTH) {
+    throw createLocalizedError('metadata.errors.invalidTitle', { max: MAX_TITLE_LENGTH });
+  }
+  if (document.description.length > MAX_DESCRIPTION_LENGTH) {
+    throw createLocalizedError('metadata.errors.descriptionTooLong', { max: MAX_DESCRIPTION_LENGTH });
+  }
+  ['images', 'links', 'team', 'budget'].forEach((field) => {
+    if (!Array.isArray(document[field])) {
+      throw createLocalizedError('metadata.errors.notArray', { field });
+    }
+  });
+  document.images.forEach((image) => {
+    if (!isUrl(image.url)) {
+      throw createLocalizedError('metadata.errors.invalidImageUrl', { url: image.url });
+    }
+  });
+  document.links.forEach((link) => {
+    if (!isUrl(link.url)) {
+      throw createLocalizedError('metadata.errors.invalidLinkUrl', { url: link.url });
+    }
+  });
+  document.team.forEach((member) => {
+    if (!member.name) {
+      throw createLocalizedError('metadata.errors.memberNameRequired');
+    }
+    if (member.address && !ethers.isAddress(member.address)) {
+      throw createLocalizedError('metadata.errors.invalidMemberAddress', { address: member.address });
+    }
+  });
+  document.budget.forEach((entry) => {
+    if (!entry.item) {
+      throw createLocalizedError('metadata.errors.budgetItemRequired');
+    }
+    if (parseAmount(entry.amount) === null) {
+      throw createLocalizedError('metadata.errors.invalidBudgetAmount', { amount: entry.amount });
+    }
+  });
+};
+
+// 序列化元数据文档，存储和计算哈希都使用这段文本
+export const serializeMetadata = (document) => JSON.stringify(document);
+
+// 计算元数据文本的内容哈希，与链上记录的 metadataHash 对应
+export const hashMetadata = (serialized) => ethers.keccak256(ethers.toUtf8Bytes(serialized));
+
+// 预算明细合计（wei），金额无效时抛出错误
+export const getBudgetTotal = (document) => (document?.budget || []).reduce((total, entry) => {
+  const amount = parseAmount(entry.amount);
+  if (amount === null) {
+    throw createLocalizedError('metadata.errors.invalidBudgetAmount', { amount: entry.amount });
+  }
+  return total + amount;
+}, 0n);
@@ -0,0 +1,148 @@
+import { EMPTY_METADATA_HASH, METADATA_STATUS } from './campaignMetadata';
+import { completionPercentage, formatEth } from './amounts';
+
+// 众筹状态，与 CrowdFundCore.CrowdfundStatus 枚举一致
+export const CROWDFUND_STATUS = {
+  PENDING: 0,
+  ACTIVE: 1,
+  SUCCESSFUL: 2,
+  FAILED: 3,
+  REFUNDED: 4
+};
+
+// 众筹状态的显示名称，语言包中 campaignStatus 下的键
+export const CROWDFUND_STATUS_LABELS = {
+  [CROWDFUND_STATUS.PENDING]: 'campaignStatus.pending',
+  [CROWDFUND_STATUS.ACTIVE]: 'campaignStatus.active',
+  [CROWDFUND_STATUS.SUCCESSFUL]: 'campaignStatus.successful',
+  [CROWDFUND_STATUS.FAILED]: 'campaignStatus.failed',
+  [CROWDFUND_STATUS.REFUNDED]: 'campaignStatus.refunded'
+};
+
+/**
+ * 将合约返回的众筹结构转换为普通对象，金额保留为bigint
+ * @param campaign getCrowdfundStatus 的返回值
+ * @param syncedBlock 读取时使用的区块号，之后的事件才会应用到该对象上
+ */
+export const normalizeCampaign = (campaign, syncedBlock) => ({
+  id: campaign.id.toString(),
+  projectName: campaign.projectName,
+  creator: campaign.creator,
+  targetAmount: campaign.targetAmount,
+  currentAmount: campaign.currentAmount,
+  deadline: Number(campaign.deadline),
+  mybPerEth: campaign.mybPerEth,
+  status: Number(campaign.status),
+  createdAt: Number(campaign.createdAt),
+  fundsReleased: campaign.fundsReleased,
+  metadataHash: campaign.metadataHash ?? EMPTY_METADATA_HASH,
+  syncedBlock,
+  // 已反映到该对象上的最新区块（读取区块或最近应用的事件所在区块）
+  updatedBlock: syncedBlock
+});
+
+/**
+ * 将众筹数据转换为界面使用的格式
+ * @param campaign normalizeCampaign 的返回值
+ * @param metadata 元数据加载结果 { hash, status, document }（见 metadataStore.js），未加载时为null
+ */
+export const formatCampaign = (campaign, metadata = null) => ({
+  id: campaign.id,
+  // 标题和描述优先使用校验通过的链下元数据
+  title: metadata?.document?.title || campaign.projectName,
+  description: metadata?.document?.description || '',
+  metadata: metadata?.document || null,
+  metadataHash: campaign.metadataHash,
+  metadataStatus: metadata ? metadata.status : METADATA_STATUS.PENDING,
+  creator: campaign.creator,
+  goalAmount: formatEth(campaign.targetAmount), // 使用targetAmount作为goalAmount
+  currentAmount: formatEth(campaign.currentAmount),
+  // wei金额，用于排序、比较和计算
+  targetAmountWei: campaign.targetAmount,
+  currentAmountWei: campaign.currentAmount,
+  // 创建时记录的兑换比例，投资按该比例获得MYB
+  mybPerEth: campaign.mybPerEth,
+  deadline: campaign.deadline.toString(),
+  createdAt: campaign.createdAt,
+  status: campaign.status,
+  fundsReleased: campaign.fundsReleased,
+  // 从本地缓存恢复、尚未重新读取的数据
+  stale: Boolean(campaign.stale),
+  isCompleted: campaign.status >= CROWDFUND_STATUS.SUCCESSFUL, // 已完成（SUCCESSFUL、FAILED、REFUNDED）
+  // 计算完成百分比
+  completionPercentage: completionPercentage(campaign.currentAmount, campaign.targetAmount)
+});
+
+/**
+ * 把一条 CrowdFundCore 事件应用到缓存的众筹数据上
+ * @param campaign 缓存中的众筹数据
+ * @param event 合约事件（见 eventSubscription.js 中的事件格式）
+ * @return 更新后的新对象，事件与众筹数据无关时原样返回
+ */
+export const applyCampaignEvent = (campaign, event) => {
+  switch (event.eventName) {
+    case 'InvestmentReceived':
+      return { ...campaign, currentAmount: campaign.currentAmount + event.args.amount };
+    case 'CrowdfundSuccessful':
+      return { ...campaign, status: CROWDFUND_STATUS.SUCCESSFUL, currentAmount: event.args.totalAmount };
+    case 'CrowdfundFailed':
+      return { ...campaign, status: CROWDFUND_STATUS.FAILED };
+    case 'FundsReleased':
+      return { ...campaign, fundsReleased: true };
+    default:
+      return campaign;
+  }
+};
+
+/**
+ * 将 InvestorRegistry.getInvestorInfo 的返回值转换为普通对象
+ * 合约领取代币时会把 mybTokens 扣减为0，已投资但 mybTokens 为0即表示代币已领取
+ * @param investor getInvestorInfo 的返回值
+ */
+export const normalizeInvestor = (investor) => ({
+  isRegistered: investor.isRegistered,
+  totalInvestment: investor.totalInvestment,
+  mybTokens: investor.mybTokens,
+  lastUpdateTime: Number(investor.lastUpdateTime),
+  tokensClaimed: investor.isRegistered && investor.totalInvestment > 0n && investor.mybTokens === 0n
+});
+
+// 未投资时的投资者记录
+export const EMPTY_INVESTOR = {
+  isRegistered: false,
+  totalInvestment: 0n,
+  mybTokens: 0n,
+  lastUpdateTime: 0,
+  tokensClaimed: false
+};
+
+/**
+ * 根据链上状态计算当前账户可执行的操作，条件与 CrowdFundCore 中的 require 一致
+ * @param campaign 众筹数据（formatCampaign 的返回值）
+ * @param investor 当前账户的投资者记录（normalizeInvestor 的返回值）
+ * @param chainTime 最新区块的时间戳（秒），合约用 block.timestamp 判断截止时间
+ */
+export const getCampaignActions = (campaign, investor, chainTime) => {
+  const status = Number(campaign.status);
+  const deadlinePassed = chainTime >= Number(campaign.deadline);
+  const record = investor || EMPTY_INVESTOR;
+
+  return {
+    // invest: ACTIVE 且未到截止时间
+    canInvest: status === CROWDFUND_STATUS.ACTIVE && !deadlinePassed,
+    // finalizeCrowdfund: ACTIVE 且已到截止时间，任何人都可以调用
+    canFinalize: status === CROWDFUND_STATUS.ACTIVE && deadlinePassed,
+    // releaseFunds: SUCCESSFUL 且资金未释放
+    canReleaseFunds: status === CROWDFUND_STATUS.SUCCESSFUL && !campaign.fundsReleased,
+    // claimRefund: FAILED 且有投资记录
+    canClaimRefund: status === CROWDFUND_STATUS.FAILED &&
+      record.isRegistered && record.totalInvestment > 0n,
+    // claimTokens: SUCCESSFUL、资金已释放且还有未领取的代币
+    canClaimTokens: status === CROWDFUND_STATUS.SUCCESSFUL && campaign.fundsReleased &&
+      record.isRegistered && record.mybTokens > 0n,
+    // 众筹成功但资金尚未释放，投资者需等待释放后领取代币
+    awaitingRelease: status === CROWDFUND_STATUS.SUCCESSFUL && !campaign.fundsReleased &&
+      record.isRegistered && record.mybTokens > 0n,
+    tokensClaimed: record.tokensClaimed
+  };
+};
@@ -0,0 +1,350 @@
+import { ethers } from 'ethers';
+import { CROWDFUND_CORE_ABI, INVESTOR_REGISTRY_ABI, MYB_TOKEN_ABI } from '../abi';
+import { createMessage } from './i18n';
+
+// 与具体合约无关的错误代码，说明见语言包中的 errors.generic
+const GENERIC_CODES = new Set([
+  'WALLET_NOT_CONNECTED',
+  'UNSUPPORTED_NETWORK',
+  'NETWORK_MISMATCH',
+  'METADATA_UPLOAD_FAILED',
+  'USER_REJECTED',
+  'UNSUPPORTED_METHOD',
+  'INSUFFICIENT_FUNDS',
+  'NONCE_EXPIRED',
+  'NETWORK_ERROR',
+  'TRANSACTION_NOT_FOUND',
+  'TRANSACTION_REPLACED',
+  'TRANSACTION_CANCELLED',
+  'CALL_EXCEPTION',
+  'TRANSACTION_REVERTED',
+  'UNKNOWN_REVERT',
+  'PANIC',
+  'BAD_DATA',
+  'UNKNOWN'
+]);
+
+// 合约revert字符串目录：revert原文 -> 错误代码、所属合约和说明（语言包中 errors.revert 下的键）
+const REVERT_CATALOGUE = {
+  // CrowdFundCore
+  'Project name cannot be empty': { code: 'PROJECT_NAME_EMPTY', contract: 'CrowdFundCore', message: 'errors.revert.projectNameCannotBeEmpty' },
+  'Target amount must be greater than 0': { code: 'TARGET_AMOUNT_INVALID', contract: 'CrowdFundCore', message: 'errors.revert.targetAmountMustBeGreaterThan0' },
+  'Deadline must be in the future': { code: 'DEADLINE_IN_PAST', contract: 'CrowdFundCore', message: 'errors.revert.deadlineMustBeInTheFuture' },
+  'Investment amount must be at least 0.01 ETH': { code: 'INVESTMENT_TOO_SMALL', contract: 'CrowdFundCore', message: 'errors.revert.investmentAmountMustBeAtLeast001ETH' },
+  'Crowdfund is not active': { code: 'CROWDFUND_NOT_ACTIVE', contract: 'CrowdFundCore', message: 'errors.revert.crowdfundIsNotActive' },
+  'Crowdfund has ended': { code: 'CROWDFUND_ENDED', contract: 'CrowdFundCore', message: 'errors.revert.crowdfundHasEnded' },
+  'Crowdfund deadline not reached': { code: 'DEADLINE_NOT_REACHED', contract: 'CrowdFundCore', message: 'errors.revert.crowdfundDeadlineNotReached' },
+  'Crowdfund not successful': { code: 'CROWDFUND_NOT_SUCCESSFUL', contract: 'CrowdFundCore', message: 'errors.revert.crowdfundNotSuccessful' },
+  'Funds already released': { code: 'FUNDS_ALREADY_RELEASED', contract: 'CrowdFundCore', message: 'errors.revert.fundsAlreadyReleased' },
+  'Transfer to creator failed': { code: 'FUND_TRANSFER_FAILED', contract: 'CrowdFundCore', message: 'errors.revert.transferToCreatorFailed' },
+  'Transfer to dev fund failed': { code: 'FUND_TRANSFER_FAILED', contract: 'CrowdFundCore', message: 'errors.revert.transferToDevFundFailed' },
+  'Transfer to community fund failed': { code: 'FUND_TRANSFER_FAILED', contract: 'CrowdFundCore', message: 'errors.revert.transferToCommunityFundFailed' },
+  'Crowdfund not failed': { code: 'CROWDFUND_NOT_FAILED', contract: 'CrowdFundCore', message: 'errors.revert.crowdfundNotFailed' },
+  'Not an investor': { code: 'NOT_AN_INVESTOR', contract: 'CrowdFundCore', message: 'errors.revert.notAnInvestor' },
+  'No investment to refund': { code: 'NOTHING_TO_REFUND', contract: 'CrowdFundCore', message: 'errors.revert.noInvestmentToRefund' },
+  'Refund transfer failed': { code: 'REFUND_TRANSFER_FAILED', contract: 'CrowdFundCore', message: 'errors.revert.refundTransferFailed' },
+  'Funds not yet released': { code: 'FUNDS_NOT_RELEASED', contract: 'CrowdFundCore', message: 'errors.revert.fundsNotYetReleased' },
+  'No tokens to claim': { code: 'NOTHING_TO_CLAIM', contract: 'CrowdFundCore', message: 'errors.revert.noTokensToClaim' },
+  'Token transfer failed': { code: 'TOKEN_TRANSFER_FAILED', contract: 'CrowdFundCore', message: 'errors.revert.tokenTransferFailed' },
+  'Invalid address': { code: 'INVALID_ADDRESS', contract: 'CrowdFundCore', message: 'errors.revert.invalidAddress' },
+
+  // InvestorRegistry
+  'Invalid investor address': { code: 'INVALID_ADDRESS', contract: 'InvestorRegistry', message: 'errors.revert.invalidInvestorAddress' },
+  'Investment must be greater than 0': { code: 'INVESTMENT_TOO_SMALL', contract: 'InvestorRegistry', message: 'errors.revert.investmentMustBeGreaterThan0' },
+  'Investor not registered': { code: 'NOT_AN_INVESTOR', contract: 'InvestorRegistry', message: 'errors.revert.investorNotRegistered' },
+  'Insufficient tokens': { code: 'NOTHING_TO_CLAIM', contract: 'InvestorRegistry', message: 'errors.revert.insufficientTokens' },
+
+  // MYBToken
+  'Exchange rate must be greater than 0': { code: 'EXCHANGE_RATE_INVALID', contract: 'MYBToken', message: 'errors.revert.exchangeRateMustBeGreaterThan0' },
+
+  // OpenZeppelin（Ownable / Pausable / ReentrancyGuard / ERC20）
+  'Ownable: caller is not the owner': { code: 'NOT_OWNER', contract: null, message: 'errors.revert.callerIsNotTheOwner' },
+  'Ownable: new owner is the zero address': { code: 'INVALID_ADDRESS', contract: null, message: 'errors.revert.newOwnerZero' },
+  'Pausable: paused': { code: 'CONTRACT_PAUSED', contract: null, message: 'errors.revert.paused' },
+  'Pausable: not paused': { code: 'CONTRACT_NOT_PAUSED', contract: null, message: 'errors.revert.notPaused' },
+  'ReentrancyGuard: reentrant call': { code: 'REENTRANT_CALL', contract: null, message: 'errors.revert.reentrantCall' },
+  'ERC20: transfer amount exceeds balance': { code: 'INSUFFICIENT_TOKEN_BALANCE', contract: 'MYBToken', message: 'errors.revert.erc20TransferAmountExceedsBalance' },
+  'ERC20: burn amount exceeds balance': { code: 'INSUFFICIENT_TOKEN_BALANCE', contract: 'MYBToken', message: 'errors.revert.erc20BurnAmountExceedsBalance' },
+  'ERC20: insufficient allowance': { code: 'INSUFFICIENT_ALLOWANCE', contract: 'MYBToken', message: 'errors.revert.erc20InsufficientAllowance' },
+  'ERC20: decreased allowance below zero': { code: 'INSUFFICIENT_ALLOWANCE', contract: 'MYBToken', message: 'errors.revert.erc20DecreasedAllowanceBelowZero' },
+  'ERC20: transfer to the zero address': { code: 'INVALID_ADDRESS', contract: 'MYBToken', message: 'errors.revert.erc20TransferToTheZeroAddress' },
+  'ERC20: transfer from the zero address': { code: 'INVALID_ADDRESS', contract: 'MYBToken', message: 'errors.revert.erc20TransferFromTheZeroAddress' },
+  'ERC20: approve to the zero address': { code: 'INVALID_ADDRESS', contract: 'MYBToken', message: 'errors.revert.erc20ApproveToTheZeroAddress' },
+  'ERC20: mint to the zero address': { code: 'INVALID_ADDRESS', contract: 'MYBToken', message: 'errors.revert.erc20MintToTheZeroAddress' }
+};
+
+// Solidity panic代码说明（语言包中 errors.panic 下的键）
+const PANIC_REASONS = {
+  0x01: 'errors.panic.assert',
+  0x11: 'errors.panic.overflow',
+  0x12: 'errors.panic.divisionByZero',
+  0x21: 'errors.panic.invalidEnum',
+  0x32: 'errors.panic.outOfBounds',
+  0x41: 'errors.panic.outOfMemory'
+};
+
+// 三个合约ABI中声明的自定义错误，用于解码revert数据
+const errorInterface = new ethers.Interface(
+  [...CROWDFUND_CORE_ABI, ...INVESTOR_REGISTRY_ABI, ...MYB_TOKEN_ABI]
+    .filter(fragment => fragment.type === 'error')
+    .filter((fragment, index, list) => list.findIndex(other => (
+      other.name === fragment.name && JSON.stringify(other.inputs) === JSON.stringify(fragment.inputs)
+    )) === index)
+);
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+/**
+ * 创建结构化错误对象
+ * @param code 错误代码
+ * @param details.action 出错的操作，语言包中 actions 下的键（如 'actions.invest'）
+ * @param details.message 覆盖默认说明，为消息描述 { key, params }（见 utils/i18n.js）
+ * @param details.reason 合约revert原文或自定义错误名
+ * @param details.cause 原始错误
+ */
+export const createAppError = (code, details = {}) => ({
+  code,
+  message: details.message || createMessage(`errors.generic.${GENERIC_CODES.has(code) ? code : 'UNKNOWN'}`),
+  action: details.action || null,
+  contract: details.contract || null,
+  reason: details.reason || null,
+  args: details.args || [],
+  cause: details.cause || null
+});
+
+// 钱包的错误常被包装多层，依次检查嵌套的原始错误
+const unwrapErrors = (err) => {
+  const chain = [];
+  const queue = [err];
+  while (queue.length > 0 && chain.length < 10) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object' || chain.includes(current)) {
+      continue;
+    }
+    chain.push(current);
+    queue.push(current.error, current.info?.error, current.cause, current.data);
+  }
+  return chain;
+};
+
+// 查找错误中携带的revert数据（十六进制字符串）
+const findRevertData = (errors) => {
+  for (const current of errors) {
+    const candidates = [current.data, current.data?.data, current.revert?.data];
+    const data = candidates.find(value => typeof value === 'string' && /^0x[0-9a-fA-F]{8}/.test(value));
+    if (data) {
+      return data;
+    }
+  }
+  return null;
+};
+
+// 从节点返回的错误信息中提取revert字符串（如 "execution reverted: Crowdfund has ended"）
+const REVERT_MESSAGE_PATTERNS = [
+  /reverted with reason string '([^']*)'/,
+  /execution reverted: ([^"\n]+)/,
+  /revert(?:ed)? ([A-Z][^"\n]+)/
+];
+
+const findRevertMessage = (errors) => {
+  for (const current of errors) {
+    if (typeof current.message !== 'string') {
+      continue;
+    }
+    for (const pattern of REVERT_MESSAGE_PATTERNS) {
+      const match = current.message.match(pattern);
+      if (match) {
+        return match[1].trim();
+      }
+    }
+  }
+  return null;
+};
+
+// 解码revert数据：Error(string)、Panic(uint256) 或合约自定义错误
+const decodeRevertData = (data) => {
+  const selector = data.slice(0, 10).toLowerCase();
+  const payload = `0x${data.slice(10)}`;
+  try {
+    if (selector === ERROR_STRING_SELECTOR) {
+      const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(['string'], payload);
+      return { reason };
+    }
+    if (selector === PANIC_SELECTOR) {
+      const [panicCode] = ethers.AbiCoder.defaultAbiCoder().decode(['uint256'], payload);
+      return { panicCode: Number(panicCode) };
+    }
+    const parsed = errorInterface.parseError(data);
+    if (parsed) {
+      return { customError: parsed.name, args: [...parsed.args] };
+    }
+  } catch {
+    // 数据无法解码时按未知revert处理
+  }
+  return {};
+};
+
+// 根据revert字符串查找目录中的错误
+const fromRevertReason = (reason, details) => {
+  const entry = REVERT_CATALOGUE[reason];
+  if (entry) {
+    return createAppError(entry.code, {
+      ...details,
+      message: createMessage(entry.message),
+      contract: entry.contract,
+      reason
+    });
+  }
+  return createAppError('UNKNOWN_REVERT', {
+    ...details,
+    message: createMessage('errors.generic.UNKNOWN_REVERT_REASON', { reason }),
+    reason
+  });
+};
+
+const isRejection = (current) => (
+  current.code === 'ACTION_REJECTED' || current.code === 4001
+);
+
+// 钱包不支持请求的方法（EIP-1193 的4200，或JSON-RPC的-32601）
+const isUnsupportedMethod = (current) => (
+  current.code === 4200 || current.code === -32601
+);
+
+const isInsufficientFunds = (current) => (
+  current.code === 'INSUFFICIENT_FUNDS' ||
+  (typeof current.message === 'string' && /insufficient funds/i.test(current.message))
+);
+
+/**
+ * 将ethers v6或钱包抛出的错误解码为结构化错误对象
+ * @param err 原始错误
+ * @param action 出错的操作，语言包中 actions 下的键（如 'actions.invest'）
+ * @returns {{ code, message, action, contract, reason, args, cause }}
+ */
+export const decodeContractError = (err, action = null) => {
+  const details = { action, cause: err };
+  const errors = unwrapErrors(err);
+
+  if (errors.some(isRejection)) {
+    return createAppError('USER_REJECTED', details);
+  }
+
+  if (errors.some(isUnsupportedMethod)) {
+    return createAppError('UNSUPPORTED_METHOD', details);
+  }
+
+  // 发送交易时用户没有连接钱包，或钱包不在正在浏览的网络上（Web3Context 的合约runner抛出）
+  if (err?.code === 'WALLET_NOT_CONNECTED' || err?.code === 'NETWORK_MISMATCH') {
+    return createAppError(err.code, details);
+  }
+
+  // 交易队列跟踪时节点上查不到交易
+  if (err?.code === 'TRANSACTION_NOT_FOUND') {
+    return createAppError('TRANSACTION_NOT_FOUND', details);
+  }
+
+  // 交易发出后被替换（交易队列跟踪时抛出）
+  if (err?.code === 'TRANSACTION_REPLACED') {
+    return createAppError(err.reason === 'cancelled' ? 'TRANSACTION_CANCELLED' : 'TRANSACTION_REPLACED', details);
+  }
+
+  // 合约revert：ethers已解码的原因、自定义错误或原始revert数据
+  const revert = errors.find(current => current.revert)?.revert;
+  if (revert && revert.name && revert.name !== 'Error' && revert.name !== 'Panic') {
+    return createAppError('UNKNOWN_REVERT', {
+      ...details,
+      message: createMessage('errors.generic.UNKNOWN_REVERT_REASON', { reason: revert.name }),
+      reason: revert.name,
+      args: [...revert.args]
+    });
+  }
+
+  const decodedReason = errors.find(current => current.code === 'CALL_EXCEPTION' && typeof current.reason === 'string')?.reason;
+  if (decodedReason) {
+    return fromRevertReason(decodedReason, details);
+  }
+
+  const revertData = findRevertData(errors);
+  if (revertData) {
+    const decoded = decodeRevertData(revertData);
+    if (decoded.reason) {
+      return fromRevertReason(decoded.reason, details);
+    }
+    if (decoded.panicCode != null) {
+      const panicReason = PANIC_REASONS[decoded.panicCode]
+        ? createMessage(PANIC_REASONS[decoded.panicCode])
+        : createMessage('errors.panic.code', { code: `0x${decoded.panicCode.toString(16)}` });
+      return createAppError('PANIC', {
+        ...details,
+        message: createMessage('errors.generic.PANIC_REASON', { reason: panicReason }),
+        reason: `Panic(${decoded.panicCode})`
+      });
+    }
+    if (decoded.customError) {
+      return createAppError('UNKNOWN_REVERT', {
+        ...details,
+        message: createMessage('errors.generic.UNKNOWN_REVERT_REASON', { reason: decoded.customError }),
+        reason: decoded.customError,
+        args: decoded.args
+      });
+    }
+  }
+
+  const revertMessage = findRevertMessage(errors);
+  if (revertMessage) {
+    return fromRevertReason(revertMessage, details);
+  }
+
+  // 余额不足需在revert之后判断，避免误判合约中的 "Insufficient tokens"
+  if (errors.some(isInsufficientFunds)) {
+    return createAppError('INSUFFICIENT_FUNDS', details);
+  }
+
+  if (errors.some(current => current.code === 'NONCE_EXPIRED')) {
+    return createAppError('NONCE_EXPIRED', details);
+  }
+
+  if (errors.some(current => ['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR'].includes(current.code))) {
+    return createAppError('NETWORK_ERROR', details);
+  }
+
+  if (err?.code === 'CALL_EXCEPTION') {
+    // 已打包的交易执行失败时ethers只返回回执，没有revert数据
+    return createAppError(err.receipt ? 'TRANSACTION_REVERTED' : 'CALL_EXCEPTION', details);
+  }
+
+  if (err?.code === 'BAD_DATA') {
+    return createAppError('BAD_DATA', details);
+  }
+
+  // 带消息描述的错误（见 utils/i18n.js 中的 createLocalizedError），也可能被ethers包装在内层
+  const localized = errors.find(current => current.localized);
+  if (localized) {
+    return createAppError('UNKNOWN', { ...details, message: localized.localized });
+  }
+
+  const rawMessage = err?.shortMessage || err?.message;
+  return createAppError('UNKNOWN', {
+    ...details,
+    message: rawMessage ? createMessage('errors.generic.UNKNOWN_DETAIL', { message: rawMessage }) : null
+  });
+};
+
+/**
+ * 生成用于显示的错误消息描述，如“投资失败: 众筹已结束，无法继续投资”
+ * 组件通过 useI18n().t 按当前语言渲染
+ * @param error 结构化错误对象、消息描述或消息键
+ */
+export const describeError = (error) => {
+  if (!error) {
+    return null;
+  }
+  if (typeof error === 'string' || !error.code) {
+    return error;
+  }
+  return error.action
+    ? createMessage('errors.actionFailed', { action: createMessage(error.action), message: error.message })
+    : error.message;
+};
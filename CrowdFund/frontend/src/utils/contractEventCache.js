@@ -0,0 +1,272 @@
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { ethers } from 'ethers';
+import { applyCampaignEvent, normalizeCampaign } from './campaigns';
+import { subscribeToContractEvents } from './eventSubscription';
+import { getMetadataStore } from './metadataStore';
+import { sameAddress } from './addresses';
+
+// 新读取的数据只有不早于缓存中已反映的区块时才覆盖缓存；从本地缓存恢复的旧数据总是被覆盖
+const isFresher = (incoming, existing) => {
+  return !existing || existing.stale || incoming.syncedBlock >= existing.updatedBlock;
+};
+
+/**
+ * Web3Context 内部使用的合约状态缓存
+ * 保存已加载的众筹活动和当前账户的MYB余额，订阅合约事件并就地更新缓存，
+ * 同时把事件转发给通过 onContractEvent 注册的监听器。
+ * 有本地持久化缓存时先显示上次保存的众筹数据（标记为 stale），重新读取后替换
+ */
+export const useContractEventCache = ({
+  provider,
+  account,
+  crowdfundCoreContract,
+  mybTokenContract,
+  investorRegistryContract,
+  campaignIndexer,
+  persistentCache
+}) => {
+  // 众筹ID -> 众筹数据（见 campaigns.js 中的 normalizeCampaign）
+  const [campaignCache, setCampaignCache] = useState({});
+  // 当前账户的MYB余额 { value, syncedBlock, updatedBlock }
+  const [mybBalance, setMybBalance] = useState(null);
+
+  // 已处理的事件（交易哈希:日志序号），避免重复累加
+  const appliedEventsRef = useRef(new Set());
+  const listenersRef = useRef(new Set());
+  const accountRef = useRef(account);
+  const campaignIndexerRef = useRef(campaignIndexer);
+  const crowdfundCoreContractRef = useRef(crowdfundCoreContract);
+  const mybTokenContractRef = useRef(mybTokenContract);
+  const campaignCacheRef = useRef(campaignCache);
+
+  // 在各hook的effect发起读取之前更新，切换账户或网络前发起的读取完成时据此识别为过期结果
+  useLayoutEffect(() => {
+    accountRef.current = account;
+    campaignIndexerRef.current = campaignIndexer;
+    crowdfundCoreContractRef.current = crowdfundCoreContract;
+    mybTokenContractRef.current = mybTokenContract;
+  }, [account, campaignIndexer, crowdfundCoreContract, mybTokenContract]);
+
+  // 账户或网络变化时余额缓存失效
+  useEffect(() => {
+    setMybBalance(null);
+  }, [account, mybTokenContract]);
+
+  // 合约实例变化（连接、断开）时清空缓存
+  useEffect(() => {
+    setCampaignCache({});
+    appliedEventsRef.current = new Set();
+  }, [crowdfundCoreContract]);
+
+  // 从本地缓存恢复上次保存的众筹数据，只补充尚未读取的众筹；
+  // 恢复的数据在重新读取前不应用事件，事件暂存在 pendingEvents 中，读取完成后补上读取区块之后的部分
+  useEffect(() => {
+    if (!persistentCache || !crowdfundCoreContract) return undefined;
+    let cancelled = false;
+    persistentCache.restore().then((record) => {
+      if (cancelled || !record?.campaigns) return;
+      setCampaignCache((prev) => {
+        const next = { ...prev };
+        record.campaigns.forEach((campaign) => {
+          if (!next[campaign.id]) {
+            next[campaign.id] = { ...campaign, stale: true, pendingEvents: [] };
+          }
+        });
+        return next;
+      });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [persistentCache, crowdfundCoreContract]);
+
+  // 保存时收集已重新读取的众筹数据和索引器的扫描进度
+  useEffect(() => {
+    if (!persistentCache) return undefined;
+    persistentCache.setCollector(blockNumber => ({
+      campaigns: Object.values(campaignCacheRef.current).filter(campaign => !campaign.stale),
+      indexer: campaignIndexerRef.current ? campaignIndexerRef.current.exportState(blockNumber) : null
+    }));
+    return () => persistentCache.setCollector(null);
+  }, [persistentCache]);
+
+  // 众筹数据变化后延迟写入本地缓存
+  useEffect(() => {
+    campaignCacheRef.current = campaignCache;
+    if (persistentCache && Object.values(campaignCache).some(campaign => !campaign.stale)) {
+      persistentCache.scheduleSave();
+    }
+  }, [campaignCache, persistentCache]);
+
+  // 写入新读取的众筹数据，切换网络前发起的读取结果直接丢弃
+  const cacheCampaigns = useCallback((campaigns) => {
+    if (crowdfundCoreContract !== crowdfundCoreContractRef.current) return;
+    setCampaignCache((prev) => {
+      const next = { ...prev };
+      campaigns.forEach((campaign) => {
+        const existing = prev[campaign.id];
+        if (!isFresher(campaign, existing)) return;
+        if (existing?.stale) {
+          // 补上重新读取期间到达、读取区块之后的事件
+          next[campaign.id] = existing.pendingEvents
+            .filter(event => event.blockNumber > campaign.syncedBlock)
+            .reduce((updated, event) => ({
+              ...applyCampaignEvent(updated, event),
+              updatedBlock: Math.max(updated.updatedBlock, event.blockNumber)
+            }), campaign);
+        } else {
+          next[campaign.id] = campaign;
+        }
+      });
+      return next;
+    });
+  }, [crowdfundCoreContract]);
+
+  // 写入新读取的MYB余额，切换账户或网络前发起的读取结果直接丢弃
+  const cacheMybBalance = useCallback((value, syncedBlock) => {
+    if (account !== accountRef.current || mybTokenContract !== mybTokenContractRef.current) return;
+    const incoming = { value, syncedBlock, updatedBlock: syncedBlock };
+    setMybBalance(prev => (isFresher(incoming, prev) ? incoming : prev));
+  }, [account, mybTokenContract]);
+
+  // 注册合约事件监听器，返回取消函数
+  const onContractEvent = useCallback((listener) => {
+    listenersRef.current.add(listener);
+    return () => listenersRef.current.delete(listener);
+  }, []);
+
+  // 新创建的众筹活动：通过索引器读取后加入缓存
+  const loadCreatedCampaign = useCallback(async (crowdfundId) => {
+    const indexer = campaignIndexerRef.current;
+    if (!indexer) return;
+    try {
+      await indexer.sync();
+      const { blockNumber, campaigns } = await indexer.loadCampaigns([crowdfundId]);
+      if (campaigns[0]) {
+        const campaign = normalizeCampaign(campaigns[0], blockNumber);
+        // 先加载并校验链下元数据，列表显示新众筹时即可带上描述
+        await getMetadataStore().load(campaign.metadataHash);
+        cacheCampaigns([campaign]);
+      }
+    } catch (err) {
+      console.error(`加载新众筹 ${crowdfundId} 失败:`, err);
+    }
+  }, [cacheCampaigns]);
+
+  const handleEvent = useCallback((event) => {
+    const key = `${event.transactionHash}:${event.logIndex}`;
+    if (appliedEventsRef.current.has(key)) return;
+    appliedEventsRef.current.add(key);
+
+    // Paused、Unpaused、OwnershipTransferred 等与众筹无关的事件只转发给监听器
+    if (event.source === 'CrowdFundCore' && event.args.crowdfundId !== undefined) {
+      const crowdfundId = event.args.crowdfundId.toString();
+
+      if (event.eventName === 'CrowdfundCreated') {
+        loadCreatedCampaign(crowdfundId);
+      } else {
+        setCampaignCache((prev) => {
+          const campaign = prev[crowdfundId];
+          // 未缓存或读取时已包含该事件
+          if (!campaign || event.blockNumber <= campaign.syncedBlock) {
+            return prev;
+          }
+          if (campaign.stale) {
+            return { ...prev, [crowdfundId]: { ...campaign, pendingEvents: [...campaign.pendingEvents, event] } };
+          }
+          return {
+            ...prev,
+            [crowdfundId]: {
+              ...applyCampaignEvent(campaign, event),
+              updatedBlock: Math.max(campaign.updatedBlock, event.blockNumber)
+            }
+          };
+        });
+      }
+    } else if (event.source === 'MYBToken') {
+      const { from, to, value } = event.args;
+      const currentAccount = accountRef.current;
+      const delta = (sameAddress(to, currentAccount) ? value : 0n) - (sameAddress(from, currentAccount) ? value : 0n);
+
+      if (delta !== 0n) {
+        setMybBalance((prev) => {
+          if (!prev || event.blockNumber <= prev.syncedBlock) {
+            return prev;
+          }
+          return {
+            ...prev,
+            value: prev.value + delta,
+            updatedBlock: Math.max(prev.updatedBlock, event.blockNumber)
+          };
+        });
+      }
+    }
+
+    listenersRef.current.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error('合约事件监听器出错:', err);
+      }
+    });
+  }, [loadCreatedCampaign]);
+
+  // 订阅众筹、MYB代币事件，以及各合约的暂停和所有权变化
+  useEffect(() => {
+    if (!provider || !crowdfundCoreContract || !mybTokenContract || !investorRegistryContract) {
+      return undefined;
+    }
+
+    // 只派发界面用到的MYB转账：当前账户的余额和转账记录、CrowdFundCore 的储备、铸造和销毁
+    const coreAddress = crowdfundCoreContract.target;
+    const isRelevantTransfer = ({ from, to }) => [from, to].some(address => (
+      sameAddress(address, accountRef.current) || sameAddress(address, coreAddress) || address === ethers.ZeroAddress
+    ));
+
+    return subscribeToContractEvents({
+      provider,
+      sources: [
+        {
+          source: 'CrowdFundCore',
+          contract: crowdfundCoreContract,
+          events: [
+            crowdfundCoreContract.filters.CrowdfundCreated,
+            crowdfundCoreContract.filters.InvestmentReceived,
+            crowdfundCoreContract.filters.CrowdfundSuccessful,
+            crowdfundCoreContract.filters.CrowdfundFailed,
+            crowdfundCoreContract.filters.FundsReleased,
+            crowdfundCoreContract.filters.RefundIssued,
+            crowdfundCoreContract.filters.TokensClaimed,
+            crowdfundCoreContract.filters.Paused,
+            crowdfundCoreContract.filters.Unpaused,
+            crowdfundCoreContract.filters.OwnershipTransferred
+          ]
+        },
+        {
+          source: 'MYBToken',
+          contract: mybTokenContract,
+          events: [mybTokenContract.filters.Transfer, mybTokenContract.filters.OwnershipTransferred]
+        },
+        {
+          source: 'InvestorRegistry',
+          contract: investorRegistryContract,
+          events: [
+            investorRegistryContract.filters.Paused,
+            investorRegistryContract.filters.Unpaused,
+            investorRegistryContract.filters.OwnershipTransferred
+          ]
+        }
+      ],
+      accept: event => event.source !== 'MYBToken' || event.eventName !== 'Transfer' || isRelevantTransfer(event.args),
+      onEvent: handleEvent
+    });
+  }, [provider, crowdfundCoreContract, mybTokenContract, investorRegistryContract, handleEvent]);
+
+  return {
+    campaignCache,
+    cacheCampaigns,
+    mybBalance,
+    cacheMybBalance,
+    onContractEvent
+  };
+};
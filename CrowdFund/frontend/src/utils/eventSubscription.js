@@ -0,0 +1,143 @@
+import { LOG_BLOCK_RANGE } from './campaignIndexer';
+
+// 检测provider是否支持基于过滤器的订阅（eth_newFilter 系列接口）
+const supportsFilterSubscriptions = async (provider) => {
+  if (typeof provider.send !== 'function') {
+    return false;
+  }
+  try {
+    const filterId = await provider.send('eth_newBlockFilter', []);
+    await provider.send('eth_uninstallFilter', [filterId]).catch(() => {});
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * 订阅合约事件
+ * 所有合约的事件合并为一个日志过滤条件：address 为各合约地址，topics[0] 为全部事件签名。
+ * 优先通过过滤器实时订阅；provider不支持订阅时，改为监听新区块，每个区块只查询一次日志，
+ * 长时间休眠后补查的区块按 LOG_BLOCK_RANGE 分段查询
+ * @param provider 合约所连接的provider
+ * @param sources 订阅列表，每项为 { source, contract, events }，source为合约名称，
+ *                events为该合约的事件（contract.filters.EventName，构建前的ABI检查会核对事件名称）
+ * @param accept 可选，返回false的事件不派发（如与当前页面无关的代币转账）
+ * @param onEvent 事件回调，参数为 { source, eventName, args, blockNumber, transactionHash, logIndex }
+ * @return 取消订阅的函数
+ */
+export const subscribeToContractEvents = ({ provider, sources, accept = () => true, onEvent }) => {
+  let stopped = false;
+  const cleanups = [];
+
+  const cleanup = () => {
+    cleanups.splice(0).forEach((fn) => {
+      Promise.resolve(fn()).catch(err => console.error('取消订阅失败:', err));
+    });
+  };
+
+  // 合并各合约的过滤条件，byAddress 为 合约地址（小写）-> { source, contract, names }
+  const buildFilter = async () => {
+    const byAddress = new Map();
+    const topics = new Set();
+    for (const { source, contract, events } of sources) {
+      const address = (await contract.getAddress()).toLowerCase();
+      const fragments = events.map(event => event.fragment);
+      byAddress.set(address, { source, contract, names: new Set(fragments.map(fragment => fragment.name)) });
+      fragments.forEach(fragment => topics.add(fragment.topicHash));
+    }
+    return {
+      byAddress,
+      filter: { address: [...byAddress.keys()], topics: [[...topics]] }
+    };
+  };
+
+  // 按日志所属的合约解析事件，不属于订阅列表的事件返回null
+  const toContractEvent = (byAddress, log) => {
+    const entry = byAddress.get(log.address.toLowerCase());
+    if (!entry) return null;
+    const parsed = entry.contract.interface.parseLog({ topics: [...log.topics], data: log.data });
+    if (!parsed || !entry.names.has(parsed.name)) return null;
+    return {
+      source: entry.source,
+      eventName: parsed.name,
+      args: parsed.args,
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.index
+    };
+  };
+
+  const dispatch = (byAddress, log) => {
+    const event = toContractEvent(byAddress, log);
+    if (event && accept(event)) {
+      onEvent(event);
+    }
+  };
+
+  const subscribeDirectly = async ({ byAddress, filter }) => {
+    const listener = log => dispatch(byAddress, log);
+    await provider.on(filter, listener);
+    cleanups.push(() => provider.off(filter, listener));
+  };
+
+  const subscribeByPolling = async ({ byAddress, filter }) => {
+    let lastBlock = await provider.getBlockNumber();
+    let latestBlock = lastBlock;
+    let querying = false;
+
+    const handleBlock = async (blockNumber) => {
+      latestBlock = Math.max(latestBlock, blockNumber);
+      // 查询进行中到达的新区块，在本轮查询结束后继续处理
+      if (querying) return;
+      querying = true;
+      try {
+        while (latestBlock > lastBlock && !stopped) {
+          const fromBlock = lastBlock + 1;
+          const toBlock = Math.min(latestBlock, fromBlock + LOG_BLOCK_RANGE - 1);
+          const logs = await provider.getLogs({ ...filter, fromBlock, toBlock });
+          if (stopped) return;
+          // 按链上顺序派发不同合约的事件
+          [...logs]
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+            .forEach(log => dispatch(byAddress, log));
+          lastBlock = toBlock;
+        }
+      } catch (err) {
+        // 失败的区块范围在下一个区块到达时重新查询
+        console.error('轮询合约事件失败:', err);
+      } finally {
+        querying = false;
+      }
+    };
+
+    await provider.on('block', handleBlock);
+    cleanups.push(() => provider.off('block', handleBlock));
+  };
+
+  const start = async () => {
+    const subscription = await buildFilter();
+    if (await supportsFilterSubscriptions(provider)) {
+      try {
+        await subscribeDirectly(subscription);
+        return;
+      } catch (err) {
+        console.error('订阅合约事件失败，改用区块轮询:', err);
+        cleanup();
+      }
+    }
+    await subscribeByPolling(subscription);
+  };
+
+  start()
+    .catch(err => console.error('合约事件订阅失败:', err))
+    .finally(() => {
+      // 启动过程中已经取消订阅
+      if (stopped) cleanup();
+    });
+
+  return () => {
+    stopped = true;
+    cleanup();
+  };
+};
@@ -0,0 +1,150 @@
+import zhCN from '../locales/zh-CN';
+import enUS from '../locales/en-US';
+
+// 支持的语言，label 为语言切换器中显示的名称
+export const LOCALES = {
+  'zh-CN': { label: '中文', messages: zhCN },
+  'en-US': { label: 'English', messages: enUS }
+};
+
+export const DEFAULT_LOCALE = 'zh-CN';
+
+const STORAGE_KEY = 'crowdfund:locale';
+
+// 语言偏好按用户保存：连接钱包时按账户，否则使用浏览器级别的偏好
+const storageKey = (account) => (account ? `${STORAGE_KEY}:${account.toLowerCase()}` : STORAGE_KEY);
+
+/**
+ * 创建消息描述 { key, params }
+ * hooks 和工具函数返回消息描述而不是翻译后的文本，由组件按当前语言渲染；
+ * 描述只包含字符串和数字，可以保存到本地存储
+ */
+export const createMessage = (key, params = {}) => ({ key, params });
+
+/**
+ * 创建带消息描述的错误，error.localized 为 { key, params }
+ * message 为默认语言的文本，便于控制台查看
+ */
+export const createLocalizedError = (key, params = {}) => {
+  const error = new Error(translate(DEFAULT_LOCALE, key, params));
+  error.localized = createMessage(key, params);
+  return error;
+};
+
+// 按 a.b.c 路径查找消息
+const lookup = (messages, key) => key.split('.').reduce(
+  (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+  messages
+);
+
+// 替换 {name} 形式的参数，参数本身也可以是消息描述
+const interpolate = (template, params, locale) => template.replace(/\{(\w+)\}/g, (match, name) => {
+  const value = params[name];
+  if (value === undefined || value === null) return match;
+  return typeof value === 'object' ? translate(locale, value) : String(value);
+});
+
+/**
+ * 翻译消息
+ * @param locale 语言
+ * @param message 消息键、消息描述 { key, params } 或 null
+ * @param params 参数（message 为消息键时使用）
+ * @return 当前语言缺少该消息时使用默认语言；都没有时原样返回键，
+ *         因此旧版本保存的中文文本（如交易记录的说明）仍可正常显示
+ */
+export const translate = (locale, message, params = {}) => {
+  if (message === null || message === undefined) return '';
+  if (typeof message === 'object') {
+    return translate(locale, message.key, { ...message.params, ...params });
+  }
+
+  const messages = (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).messages;
+  const template = lookup(messages, message) ?? lookup(LOCALES[DEFAULT_LOCALE].messages, message);
+  return typeof template === 'string' ? interpolate(template, params, locale) : message;
+};
+
+// 浏览器语言中第一个支持的语言
+const detectLocale = () => {
+  const preferred = typeof navigator === 'undefined' ? [] : (navigator.languages || [navigator.language]);
+  for (const language of preferred) {
+    if (!language) continue;
+    const match = Object.keys(LOCALES).find(locale => (
+      locale.toLowerCase() === language.toLowerCase() || locale.split('-')[0] === language.split('-')[0]
+    ));
+    if (match) return match;
+  }
+  return DEFAULT_LOCALE;
+};
+
+/**
+ * 读取用户的语言偏好，依次使用账户偏好、浏览器级别的偏好和浏览器语言
+ * @param account 当前账户，未连接时为null
+ */
+export const loadLocale = (account = null) => {
+  try {
+    const stored = (account && localStorage.getItem(storageKey(account))) || localStorage.getItem(storageKey(null));
+    if (stored && LOCALES[stored]) return stored;
+  } catch {
+    // 本地存储不可用时使用浏览器语言
+  }
+  return detectLocale();
+};
+
+// 保存语言偏好，同时更新浏览器级别的偏好，使断开钱包后保持同一语言
+export const saveLocale = (locale, account = null) => {
+  try {
+    localStorage.setItem(storageKey(null), locale);
+    if (account) {
+      localStorage.setItem(storageKey(account), locale);
+    }
+  } catch (err) {
+    console.error('保存语言偏好失败:', err);
+  }
+};
+
+// 格式化时间戳（秒）为日期时间
+export const formatDate = (locale, timestamp) => {
+  if (!timestamp) return '-';
+  return new Date(Number(timestamp) * 1000).toLocaleString(locale);
+};
+
+/**
+ * 格式化剩余时间
+ * @param seconds 秒数，不大于0时显示“已结束”
+ */
+export const formatDuration = (locale, seconds) => {
+  if (seconds <= 0) return translate(locale, 'common.duration.ended');
+
+  const days = Math.floor(seconds / (24 * 60 * 60));
+  const hours = Math.floor((seconds % (24 * 60 * 60)) / (60 * 60));
+  const minutes = Math.floor((seconds % (60 * 60)) / 60);
+
+  if (days > 0) {
+    return translate(locale, 'common.duration.daysHours', { days, hours });
+  }
+  if (hours > 0) {
+    return translate(locale, 'common.duration.hoursMinutes', { hours, minutes });
+  }
+  return translate(locale, 'common.duration.minutes', { minutes });
+};
+
+// 格式化数字（整数、bigint 或普通数字）
+export const formatNumber = (locale, value, options = {}) => {
+  if (value === null || value === undefined || value === '') return '-';
+  return new Intl.NumberFormat(locale, options).format(value);
+};
+
+/**
+ * 格式化代币数量，整数部分按语言分组，小数部分原样保留，避免精度损失
+ * @param amount utils/amounts.js 的 formatEth/formatMyb 返回的十进制字符串
+ * @param symbol 单位（ETH、MYB），省略时只显示数字
+ */
+export const formatAmount = (locale, amount, symbol = '') => {
+  if (amount === null || amount === undefined || amount === '') return '-';
+  const [integer, fraction] = String(amount).split('.');
+  const negative = integer.startsWith('-');
+  const grouped = new Intl.NumberFormat(locale).format(BigInt(negative ? integer.slice(1) : integer));
+  const decimal = new Intl.NumberFormat(locale).formatToParts(0.5).find(part => part.type === 'decimal')?.value || '.';
+  const number = `${negative ? '-' : ''}${grouped}${fraction && fraction !== '0' ? `${decimal}${fraction}` : ''}`;
+  return symbol ? `${number} ${symbol}` : number;
+};
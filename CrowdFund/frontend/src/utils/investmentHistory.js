@@ -0,0 +1,37 @@
+import { toApproximateNumber } from './amounts';
+
+/**
+ * 从事件列表中均匀抽取最多 maxCount 项的下标，始终包含最后一项
+ * 投资很多的众筹绘制资金曲线时只需要查询抽样事件所在区块的时间
+ */
+export const sampleIndices = (length, maxCount) => {
+  if (length <= maxCount) {
+    return Array.from({ length }, (_, index) => index);
+  }
+  const step = (length - 1) / (maxCount - 1);
+  return [...new Set(Array.from({ length: maxCount }, (_, index) => Math.round(index * step)))];
+};
+
+/**
+ * 计算资金曲线的数据点
+ * 合约的 currentAmount 只在投资时增加，按时间顺序累加 InvestmentReceived 的金额即为各时刻的已筹金额
+ * @param events syncCampaignInvestments 返回的事件列表（按区块顺序）
+ * @param timestamps 区块号 -> 时间戳，缺少时间戳的事件不生成数据点
+ * @param indices 需要生成数据点的事件下标（见 sampleIndices）
+ * @return [{ time, amount }]，amount 为累计金额（ETH，number）
+ */
+export const buildFundingSeries = (events, timestamps, indices) => {
+  const totals = [];
+  let total = 0n;
+  events.forEach((event) => {
+    total += event.amount;
+    totals.push(total);
+  });
+
+  return indices
+    .filter(index => timestamps[events[index].blockNumber] !== undefined)
+    .map(index => ({
+      time: timestamps[events[index].blockNumber],
+      amount: toApproximateNumber(totals[index])
+    }));
+};
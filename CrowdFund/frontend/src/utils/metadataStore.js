@@ -0,0 +1,135 @@
+import { METADATA_BACKEND, METADATA_HTTP_URL } from '../config/metadata';
+import {
+  EMPTY_METADATA_HASH,
+  METADATA_STATUS,
+  hashMetadata,
+  serializeMetadata,
+  validateMetadataDocument
+} from './campaignMetadata';
+import { createLocalizedError } from './i18n';
+
+// 本地存储后端的键前缀
+const LOCAL_STORAGE_PREFIX = 'crowdfund:metadata';
+
+/**
+ * 浏览器本地存储后端，只在当前浏览器中可见，用于本地开发
+ * 后端只负责按哈希读写文本：get 找不到时返回null
+ */
+export const createLocalStorageBackend = () => ({
+  name: 'local',
+  async get(hash) {
+    return localStorage.getItem(`${LOCAL_STORAGE_PREFIX}:${hash}`);
+  },
+  async put(hash, serialized) {
+    localStorage.setItem(`${LOCAL_STORAGE_PREFIX}:${hash}`, serialized);
+  }
+});
+
+/**
+ * HTTP后端，GET/PUT `${baseUrl}/<hash>`，作为IPFS网关和固定服务的替代
+ * @param baseUrl 服务地址，如 http://127.0.0.1:8787/metadata
+ */
+export const createHttpBackend = (baseUrl) => ({
+  name: 'http',
+  async get(hash) {
+    const response = await fetch(`${baseUrl}/${hash}`);
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw createLocalizedError('metadata.errors.readFailed', { status: response.status });
+    }
+    return response.text();
+  },
+  async put(hash, serialized) {
+    const response = await fetch(`${baseUrl}/${hash}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: serialized
+    });
+    if (!response.ok) {
+      throw createLocalizedError('metadata.errors.uploadFailed', { status: response.status });
+    }
+  }
+});
+
+/**
+ * 内容寻址的元数据存储：文档以内容哈希为键保存，读取时重新计算哈希校验内容
+ * @param backend 存储后端（见 createLocalStorageBackend / createHttpBackend）
+ * @returns {{ put, load, peek }}
+ */
+export const createMetadataStore = (backend) => {
+  // 内容哈希对应的文档不会变化，校验结果可以一直缓存
+  const results = new Map();
+
+  // 保存文档，返回链上记录用的内容哈希
+  const put = async (document) => {
+    validateMetadataDocument(document);
+    const serialized = serializeMetadata(document);
+    const hash = hashMetadata(serialized);
+    await backend.put(hash, serialized);
+    results.set(hash, { hash, status: METADATA_STATUS.VERIFIED, document });
+    return hash;
+  };
+
+  // 按链上哈希读取并校验文档，返回 { hash, status, document }
+  const load = async (hash) => {
+    if (!hash || hash === EMPTY_METADATA_HASH) {
+      return { hash: EMPTY_METADATA_HASH, status: METADATA_STATUS.NONE, document: null };
+    }
+    if (results.has(hash)) {
+      return results.get(hash);
+    }
+
+    let serialized;
+    try {
+      serialized = await backend.get(hash);
+    } catch (err) {
+      // 读取失败不缓存，下次加载时重试
+      console.error('读取元数据错误:', err);
+      return { hash, status: METADATA_STATUS.ERROR, document: null };
+    }
+    if (serialized === null) {
+      return { hash, status: METADATA_STATUS.MISSING, document: null };
+    }
+
+    let result;
+    if (hashMetadata(serialized) !== hash) {
+      result = { hash, status: METADATA_STATUS.INVALID, document: null };
+    } else {
+      try {
+        const document = JSON.parse(serialized);
+        validateMetadataDocument(document);
+        result = { hash, status: METADATA_STATUS.VERIFIED, document };
+      } catch (err) {
+        console.error('元数据格式错误:', err);
+        result = { hash, status: METADATA_STATUS.INVALID, document: null };
+      }
+    }
+    results.set(hash, result);
+    return result;
+  };
+
+  // 同步读取已加载的结果，未加载时返回null
+  const peek = (hash) => {
+    if (!hash || hash === EMPTY_METADATA_HASH) {
+      return { hash: EMPTY_METADATA_HASH, status: METADATA_STATUS.NONE, document: null };
+    }
+    return results.get(hash) || null;
+  };
+
+  return { backend: backend.name, put, load, peek };
+};
+
+let defaultStore = null;
+
+// 按配置创建的全局元数据存储
+export const getMetadataStore = () => {
+  if (!defaultStore) {
+    const backend = METADATA_BACKEND === 'http'
+      ? createHttpBackend(METADATA_HTTP_URL)
+      : createLocalStorageBackend();
+    defaultStore = createMetadataStore(backend);
+  }
+  return defaultStore;
+};
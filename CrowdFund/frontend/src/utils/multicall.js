@@ -0,0 +1,117 @@
+import { ethers } from 'ethers';
+
+// Multicall3 聚合调用接口（仅使用 aggregate3）
+const MULTICALL3_ABI = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)'
+];
+
+// 单次multicall打包的调用数量上限，避免超出节点的响应大小限制
+const MULTICALL_BATCH_SIZE = 100;
+
+// 无法使用multicall时，并发请求的数量上限
+const FALLBACK_CONCURRENCY = 8;
+
+// provider -> (multicall地址 -> 是否已部署)
+const availabilityCache = new WeakMap();
+
+// 检查multicall合约是否部署在当前网络上
+const isMulticallAvailable = async (provider, address) => {
+  if (!address) return false;
+
+  let cache = availabilityCache.get(provider);
+  if (!cache) {
+    cache = new Map();
+    availabilityCache.set(provider, cache);
+  }
+
+  if (!cache.has(address)) {
+    try {
+      const code = await provider.getCode(address);
+      cache.set(address, code !== '0x');
+    } catch (err) {
+      console.error('检查Multicall3部署失败:', err);
+      cache.set(address, false);
+    }
+  }
+  return cache.get(address);
+};
+
+// 将数组按固定大小分块
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// 与 contract.method.staticCall 一致：只有一个返回值时直接返回该值
+const unwrapResult = (result) => (result.length === 1 ? result[0] : result);
+
+// 通过Multicall3批量执行只读调用
+const aggregate = async (provider, address, calls, overrides) => {
+  const multicall = new ethers.Contract(address, MULTICALL3_ABI, provider);
+  const results = [];
+
+  for (const batch of chunk(calls, MULTICALL_BATCH_SIZE)) {
+    const encoded = await Promise.all(batch.map(async ({ method, args }) => {
+      const tx = await method.populateTransaction(...args);
+      return { target: tx.to, allowFailure: true, callData: tx.data };
+    }));
+
+    const responses = await multicall.aggregate3.staticCall(encoded, overrides);
+
+    responses.forEach(({ success, returnData }, index) => {
+      if (!success) {
+        results.push({ success: false, result: null, error: new Error('调用失败') });
+        return;
+      }
+      try {
+        const decoded = ethers.AbiCoder.defaultAbiCoder().decode(batch[index].method.fragment.outputs, returnData);
+        results.push({ success: true, result: unwrapResult(decoded), error: null });
+      } catch (err) {
+        results.push({ success: false, result: null, error: err });
+      }
+    });
+  }
+
+  return results;
+};
+
+// 没有multicall时按有限并发逐个调用
+const callIndividually = async (calls, overrides) => {
+  const results = [];
+
+  for (const batch of chunk(calls, FALLBACK_CONCURRENCY)) {
+    const settled = await Promise.allSettled(batch.map(({ method, args }) => method.staticCall(...args, overrides)));
+    settled.forEach((outcome) => {
+      results.push(outcome.status === 'fulfilled'
+        ? { success: true, result: outcome.value, error: null }
+        : { success: false, result: null, error: outcome.reason });
+    });
+  }
+
+  return results;
+};
+
+/**
+ * 批量执行合约只读调用
+ * @param provider 用于查询的provider
+ * @param calls 调用列表，每项为 { method: contract.getFunction('name'), args: [...] }
+ * @param multicallAddress Multicall3地址，为空或未部署时退回并发调用
+ * @param overrides 调用选项，如 { blockTag } 指定读取的区块
+ * @return 与calls顺序一致的结果列表 { success, result, error }
+ */
+export const batchCall = async (provider, calls, multicallAddress, overrides = {}) => {
+  if (calls.length === 0) return [];
+
+  if (await isMulticallAvailable(provider, multicallAddress)) {
+    try {
+      return await aggregate(provider, multicallAddress, calls, overrides);
+    } catch (err) {
+      console.error('Multicall3调用失败，改为逐个调用:', err);
+    }
+  }
+
+  return callIndividually(calls, overrides);
+};
@@ -0,0 +1,91 @@
+import { CROWDFUND_STATUS } from './campaigns';
+import { formatEth } from './amounts';
+
+// 关注的众筹会触发的提醒类型，值为语言包中 notifications.messages 下的键
+export const ALERT_TYPES = {
+  INVESTMENT: 'investment',   // 收到新的投资
+  SUCCESSFUL: 'successful',   // 达到目标（CrowdfundSuccessful）
+  DEADLINE: 'deadline',       // 即将到达截止时间
+  REFUNDABLE: 'refundable',   // 众筹失败，可以申请退款
+  CLAIMABLE: 'claimable'      // 资金已释放，当前账户有可领取的代币
+};
+
+// 距截止时间不足该时长（秒）时提醒
+export const DEADLINE_WARNING = 24 * 60 * 60;
+
+/**
+ * 比较众筹的当前状态和上次检查时的快照，得出需要发出的提醒
+ * 快照保存在本地存储中，离线期间发生的变化在下次打开页面时补发，同一事件只提醒一次
+ * @param campaign 缓存中的众筹数据（normalizeCampaign 的返回值）
+ * @param snapshot 上次的快照 { status, currentAmount, alerted }，刚关注时为null
+ * @param options.investor 当前账户的投资者记录（normalizeInvestor 的返回值），未读取时为null
+ * @param options.chainTime 当前链上时间（秒）
+ * @param options.ownInvestment 快照之后当前账户自己投入的金额（wei），不计入新投资提醒
+ * @return { alerts, snapshot }：alerts 为 [{ type, params }]，snapshot 为更新后的快照
+ */
+export const detectCampaignAlerts = (campaign, snapshot, { investor = null, chainTime, ownInvestment = 0n }) => {
+  const alerts = [];
+  const alerted = { ...(snapshot?.alerted || {}) };
+
+  if (snapshot) {
+    const previousAmount = BigInt(snapshot.currentAmount);
+    const received = campaign.currentAmount - previousAmount - ownInvestment;
+    if (received > 0n) {
+      alerts.push({ type: ALERT_TYPES.INVESTMENT, params: { amount: formatEth(received) } });
+    }
+    if (campaign.status === CROWDFUND_STATUS.SUCCESSFUL && snapshot.status !== CROWDFUND_STATUS.SUCCESSFUL) {
+      alerts.push({ type: ALERT_TYPES.SUCCESSFUL, params: { amount: formatEth(campaign.currentAmount) } });
+    }
+    if (campaign.status === CROWDFUND_STATUS.FAILED && snapshot.status !== CROWDFUND_STATUS.FAILED) {
+      alerts.push({ type: ALERT_TYPES.REFUNDABLE, params: {} });
+    }
+  }
+
+  // 截止时间和可领取代币按当前状态判断，刚关注时已满足条件也会提醒
+  const remaining = campaign.deadline - chainTime;
+  if (
+    campaign.status === CROWDFUND_STATUS.ACTIVE &&
+    remaining > 0 && remaining <= DEADLINE_WARNING &&
+    !alerted.deadline
+  ) {
+    alerted.deadline = true;
+    alerts.push({ type: ALERT_TYPES.DEADLINE, params: { deadline: campaign.deadline } });
+  }
+
+  if (
+    campaign.status === CROWDFUND_STATUS.SUCCESSFUL &&
+    campaign.fundsReleased &&
+    investor && investor.mybTokens > 0n &&
+    !alerted.claimable
+  ) {
+    alerted.claimable = true;
+    alerts.push({ type: ALERT_TYPES.CLAIMABLE, params: {} });
+  }
+
+  return {
+    alerts,
+    snapshot: {
+      status: campaign.status,
+      currentAmount: campaign.currentAmount.toString(),
+      alerted
+    }
+  };
+};
+
+// 快照是否有变化，没有变化时不写本地存储
+export const sameSnapshot = (a, b) => Boolean(a && b) &&
+  a.status === b.status &&
+  a.currentAmount === b.currentAmount &&
+  Boolean(a.alerted.deadline) === Boolean(b.alerted.deadline) &&
+  Boolean(a.alerted.claimable) === Boolean(b.alerted.claimable);
+
+/**
+ * 下一次需要重新检查截止时间提醒的时刻（链上时间，秒）
+ * @param campaigns 关注的众筹（normalizeCampaign 的返回值）
+ * @return 最早的“截止时间 - DEADLINE_WARNING”，没有时为Infinity
+ */
+export const nextDeadlineWarning = (campaigns, chainTime) => campaigns
+  .filter(campaign => campaign.status === CROWDFUND_STATUS.ACTIVE)
+  .map(campaign => campaign.deadline - DEADLINE_WARNING)
+  .filter(time => time > chainTime)
+  .reduce((min, time) => Math.min(min, time), Infinity);
@@ -0,0 +1,182 @@
+import { CROWDFUND_STATUS, EMPTY_INVESTOR } from './campaigns';
+import { sameAddress } from './addresses';
+
+// 可检查的操作，对应 CrowdFundCore 的写入函数
+export const ACTIONS = {
+  CREATE: 'createCrowdfund',
+  INVEST: 'invest',
+  FINALIZE: 'finalizeCrowdfund',
+  RELEASE_FUNDS: 'releaseFunds',
+  CLAIM_REFUND: 'claimRefund',
+  CLAIM_TOKENS: 'claimTokens',
+  // pause、unpause、更新基金地址等 onlyOwner 的管理操作
+  ADMIN: 'admin'
+};
+
+// 操作不可执行的原因
+export const DENIAL_REASONS = {
+  NO_ACCOUNT: 'NO_ACCOUNT',
+  NOT_FOUND: 'NOT_FOUND',
+  CORE_PAUSED: 'CORE_PAUSED',
+  REGISTRY_PAUSED: 'REGISTRY_PAUSED',
+  NOT_OWNER: 'NOT_OWNER',
+  NOT_ACTIVE: 'NOT_ACTIVE',
+  DEADLINE_PASSED: 'DEADLINE_PASSED',
+  DEADLINE_NOT_REACHED: 'DEADLINE_NOT_REACHED',
+  NOT_SUCCESSFUL: 'NOT_SUCCESSFUL',
+  ALREADY_RELEASED: 'ALREADY_RELEASED',
+  NOT_RELEASED: 'NOT_RELEASED',
+  NOT_FAILED: 'NOT_FAILED',
+  NOT_INVESTOR: 'NOT_INVESTOR',
+  NOTHING_TO_CLAIM: 'NOTHING_TO_CLAIM',
+  ALREADY_PAUSED: 'ALREADY_PAUSED',
+  NOT_PAUSED: 'NOT_PAUSED'
+};
+
+// 原因的说明，语言包中 permissions 下的键
+export const DENIAL_MESSAGES = Object.fromEntries(
+  Object.values(DENIAL_REASONS).map(reason => [reason, `permissions.${reason}`])
+);
+
+/**
+ * 暂时无法执行的原因：操作对该众筹适用，等待条件变化（恢复运行、到期、释放资金）
+ * 或换用有权限的账户后即可执行。界面据此显示禁用的按钮和原因，其余原因直接隐藏按钮
+ */
+const PENDING_REASONS = new Set([
+  DENIAL_REASONS.NO_ACCOUNT,
+  DENIAL_REASONS.CORE_PAUSED,
+  DENIAL_REASONS.REGISTRY_PAUSED,
+  DENIAL_REASONS.NOT_OWNER,
+  DENIAL_REASONS.DEADLINE_NOT_REACHED,
+  DENIAL_REASONS.NOT_RELEASED
+]);
+
+const allow = () => ({ allowed: true, reason: null, message: null });
+
+const deny = (reason) => ({ allowed: false, reason, message: DENIAL_MESSAGES[reason] });
+
+// 依次检查条件，返回第一个不满足的原因
+const firstDenial = (checks) => {
+  const failed = checks.find(([passed]) => !passed);
+  return failed ? deny(failed[1]) : allow();
+};
+
+/**
+ * 检查当前账户能否执行某个操作，条件与合约中的修饰器和 require 一致
+ * 先检查众筹状态，再检查账户、所有者和暂停状态：状态决定操作是否适用，
+ * 后者只是暂时不可执行。任何账户都能执行的操作（创建、投资、结算）最后检查账户，
+ * 返回 NO_ACCOUNT 时说明只差连接钱包（见 canAttempt）
+ * @param action 操作（ACTIONS 中的值）
+ * @param context { account, owner, corePaused, registryPaused, campaign, investor, chainTime }
+ *        campaign 为 formatCampaign 的返回值，investor 为 normalizeInvestor 的返回值，
+ *        chainTime 为最新区块的时间戳（秒）；owner、暂停状态未读取时为null
+ * @return { allowed, reason, message }，reason 为 DENIAL_REASONS 中的值，message 为消息键
+ */
+export const checkPermission = (action, context) => {
+  const { account, owner, corePaused, registryPaused, campaign, investor, chainTime } = context;
+  const hasAccount = Boolean(account);
+  const isOwner = sameAddress(owner, account);
+
+  if (action === ACTIONS.CREATE) {
+    return firstDenial([
+      [!corePaused, DENIAL_REASONS.CORE_PAUSED],
+      [hasAccount, DENIAL_REASONS.NO_ACCOUNT]
+    ]);
+  }
+
+  if (action === ACTIONS.ADMIN) {
+    return firstDenial([
+      [hasAccount, DENIAL_REASONS.NO_ACCOUNT],
+      [isOwner, DENIAL_REASONS.NOT_OWNER]
+    ]);
+  }
+
+  if (!campaign) {
+    return deny(DENIAL_REASONS.NOT_FOUND);
+  }
+
+  const status = Number(campaign.status);
+  const deadlinePassed = chainTime >= Number(campaign.deadline);
+  const record = investor || EMPTY_INVESTOR;
+
+  switch (action) {
+    case ACTIONS.INVEST:
+      // invest 为 whenNotPaused，并在 InvestorRegistry.registerInvestor（同为 whenNotPaused）中登记
+      return firstDenial([
+        [status === CROWDFUND_STATUS.ACTIVE, DENIAL_REASONS.NOT_ACTIVE],
+        [!deadlinePassed, DENIAL_REASONS.DEADLINE_PASSED],
+        [!corePaused, DENIAL_REASONS.CORE_PAUSED],
+        [!registryPaused, DENIAL_REASONS.REGISTRY_PAUSED],
+        [hasAccount, DENIAL_REASONS.NO_ACCOUNT]
+      ]);
+    case ACTIONS.FINALIZE:
+      // 任何人都可以结算，但受 whenNotPaused 限制
+      return firstDenial([
+        [status === CROWDFUND_STATUS.ACTIVE, DENIAL_REASONS.NOT_ACTIVE],
+        [deadlinePassed, DENIAL_REASONS.DEADLINE_NOT_REACHED],
+        [!corePaused, DENIAL_REASONS.CORE_PAUSED],
+        [hasAccount, DENIAL_REASONS.NO_ACCOUNT]
+      ]);
+    case ACTIONS.RELEASE_FUNDS:
+      return firstDenial([
+        [status === CROWDFUND_STATUS.SUCCESSFUL, DENIAL_REASONS.NOT_SUCCESSFUL],
+        [!campaign.fundsReleased, DENIAL_REASONS.ALREADY_RELEASED],
+        [hasAccount, DENIAL_REASONS.NO_ACCOUNT],
+        [isOwner, DENIAL_REASONS.NOT_OWNER]
+      ]);
+    case ACTIONS.CLAIM_REFUND:
+      // claimRefund 和 claimTokens 没有暂停检查
+      return firstDenial([
+        [status === CROWDFUND_STATUS.FAILED, DENIAL_REASONS.NOT_FAILED],
+        [hasAccount, DENIAL_REASONS.NO_ACCOUNT],
+        [record.isRegistered && record.totalInvestment > 0n, DENIAL_REASONS.NOT_INVESTOR]
+      ]);
+    case ACTIONS.CLAIM_TOKENS:
+      return firstDenial([
+        [status === CROWDFUND_STATUS.SUCCESSFUL, DENIAL_REASONS.NOT_SUCCESSFUL],
+        [hasAccount, DENIAL_REASONS.NO_ACCOUNT],
+        [record.isRegistered, DENIAL_REASONS.NOT_INVESTOR],
+        [record.mybTokens > 0n, DENIAL_REASONS.NOTHING_TO_CLAIM],
+        [campaign.fundsReleased, DENIAL_REASONS.NOT_RELEASED]
+      ]);
+    default:
+      throw new Error(`未知的操作: ${action}`);
+  }
+};
+
+/**
+ * 检查 onlyOwner 的管理操作，三个合约的所有者各自独立（InvestorRegistry 的所有者为 CrowdFundCore 合约）
+ * @param context { account, owner, paused, requirePaused }，owner 为目标合约的所有者，paused 为其暂停状态；
+ *        requirePaused 为 true 表示 unpause（要求已暂停），false 表示 pause（要求未暂停），省略时不检查
+ * @return { allowed, reason, message }
+ */
+export const checkOwnerOperation = ({ account, owner, paused = null, requirePaused }) => {
+  return firstDenial([
+    [Boolean(account), DENIAL_REASONS.NO_ACCOUNT],
+    [sameAddress(owner, account), DENIAL_REASONS.NOT_OWNER],
+    [requirePaused !== false || !paused, DENIAL_REASONS.ALREADY_PAUSED],
+    [requirePaused !== true || Boolean(paused), DENIAL_REASONS.NOT_PAUSED]
+  ]);
+};
+
+/**
+ * 是否应显示该操作的按钮：可以执行，或只是暂时无法执行（此时显示禁用状态和原因）
+ * @param permission checkPermission 的返回值
+ */
+export const isActionVisible = (permission) => {
+  return permission.allowed || PENDING_REASONS.has(permission.reason);
+};
+
+// 结果与账户无关的操作，未连接钱包时也可以点击，发送交易时再请求连接
+const ATTEMPTABLE_ACTIONS = new Set([ACTIONS.CREATE, ACTIONS.INVEST, ACTIONS.FINALIZE]);
+
+/**
+ * 是否可以点击该操作的按钮：可以执行，或除连接钱包外的条件都已满足
+ * 领取代币、退款等操作取决于账户的投资记录，仍需先连接钱包
+ * @param action 操作（ACTIONS 中的值）
+ * @param permission checkPermission 的返回值
+ */
+export const canAttempt = (action, permission) => {
+  return permission.allowed
+    || (permission.reason === DENIAL_REASONS.NO_ACCOUNT && ATTEMPTABLE_ACTIONS.has(action));
+};
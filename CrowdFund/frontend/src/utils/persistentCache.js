@@ -0,0 +1,181 @@
+import { REQUIRED_CONTRACTS, getContractAddress } from '../config/deployments';
+import { ABI_HASHES } from '../abi';
+
+// IndexedDB数据库，每个链上的 CrowdFundCore 合约对应一条记录
+const DB_NAME = 'crowdfund-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+// 缓存记录的格式版本，修改保存的字段时加1，旧格式的记录会被丢弃
+const CACHE_FORMAT = 1;
+
+// 状态变化后延迟保存，连续的事件和同步只写一次
+const SAVE_DELAY = 2000;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * IndexedDB存储，按键读写结构化数据（bigint可以直接保存）
+ * 浏览器不支持或禁用IndexedDB（如部分隐私模式）时返回null，不使用缓存
+ */
+export const createIndexedDbStore = () => {
+  if (typeof indexedDB === 'undefined') {
+    return null;
+  }
+
+  let database = null;
+  const open = () => {
+    if (!database) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      database = requestToPromise(request);
+    }
+    return database;
+  };
+
+  const run = async (mode, operation) => {
+    const db = await open();
+    return requestToPromise(operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  };
+
+  return {
+    get: key => run('readonly', store => store.get(key)),
+    put: (key, value) => run('readwrite', store => store.put(value, key)),
+    delete: key => run('readwrite', store => store.delete(key))
+  };
+};
+
+/**
+ * 部署的指纹：部署清单的版本和部署区块、各合约地址和ABI哈希、前端ABI以及重组深度，
+ * 任何一项变化（重新部署、升级合约、修改配置）都会使旧缓存失效
+ */
+export const getDeploymentFingerprint = (deployment, reorgDepth) => JSON.stringify({
+  format: CACHE_FORMAT,
+  revision: deployment.revision ?? null,
+  deployBlock: deployment.deployBlock ?? null,
+  contracts: REQUIRED_CONTRACTS.map(name => [
+    name,
+    getContractAddress(deployment, name).toLowerCase(),
+    deployment.contracts[name].abiHash ?? null,
+    ABI_HASHES[name]
+  ]),
+  reorgDepth
+});
+
+/**
+ * 众筹数据的持久化缓存（stale-while-revalidate）
+ * 保存众筹快照、索引器的扫描进度和事件记录，页面打开时先显示缓存，再从节点增量同步。
+ * 索引器状态只保存到 最新区块 - reorgDepth 为止的事件，并记录该区块的哈希作为检查点；
+ * 读取时检查点区块的哈希不一致（发生了更深的重组，或本地节点已重启）则丢弃整个缓存
+ * @param deployment 部署清单
+ * @param provider 读取区块使用的provider
+ * @param reorgDepth 可能被重组的区块数（见 config/chains.js 的 getReorgDepth）
+ * @param store 存储后端，默认为IndexedDB
+ * @returns {{ restore, setCollector, scheduleSave, clear }}，store 不可用时返回null
+ */
+export const createPersistentCache = ({ deployment, provider, reorgDepth, store = createIndexedDbStore() }) => {
+  if (!store) {
+    return null;
+  }
+
+  const key = `${deployment.chainId}:${getContractAddress(deployment, 'CrowdFundCore').toLowerCase()}`;
+  const fingerprint = getDeploymentFingerprint(deployment, reorgDepth);
+  let restored = null;
+  let collector = null;
+  let saveTimer = null;
+
+  const discard = async () => {
+    try {
+      await store.delete(key);
+    } catch (err) {
+      console.error('清除本地缓存失败:', err);
+    }
+  };
+
+  const loadVerified = async () => {
+    try {
+      const record = await store.get(key);
+      if (!record) {
+        return null;
+      }
+      if (record.fingerprint !== fingerprint) {
+        await discard();
+        return null;
+      }
+      const block = await provider.getBlock(record.checkpoint.blockNumber);
+      if (!block || block.hash !== record.checkpoint.blockHash) {
+        console.warn(`链 ${deployment.chainId} 的区块 ${record.checkpoint.blockNumber} 已变化，丢弃本地缓存`);
+        await discard();
+        return null;
+      }
+      return record;
+    } catch (err) {
+      console.error('读取本地缓存失败:', err);
+      return null;
+    }
+  };
+
+  /**
+   * 读取并校验缓存，只读取一次，之后返回同一个结果
+   * @return { checkpoint, campaigns, indexer, savedAt }，没有可用的缓存时为null
+   */
+  const restore = () => {
+    if (!restored) {
+      restored = loadVerified();
+    }
+    return restored;
+  };
+
+  /**
+   * 设置保存时收集数据的函数，参数为检查点区块号，返回 { campaigns, indexer }；为null时不保存
+   * 切换网络时先清除，避免把新网络的数据写入旧网络的缓存
+   */
+  const setCollector = (next) => {
+    collector = next;
+  };
+
+  const save = async () => {
+    // 缓存读取完成前保存会覆盖尚未恢复的数据
+    await restore();
+    if (!collector) return;
+    try {
+      const latest = await provider.getBlockNumber();
+      const blockNumber = Math.max(0, latest - reorgDepth);
+      const block = await provider.getBlock(blockNumber);
+      if (!block || !collector) return;
+      const data = collector(blockNumber);
+      await store.put(key, {
+        fingerprint,
+        checkpoint: { blockNumber, blockHash: block.hash },
+        campaigns: data.campaigns,
+        indexer: data.indexer,
+        savedAt: Date.now()
+      });
+    } catch (err) {
+      console.error('保存本地缓存失败:', err);
+    }
+  };
+
+  // 延迟保存，等待期间的多次调用合并为一次
+  const scheduleSave = () => {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      save();
+    }, SAVE_DELAY);
+  };
+
+  const clear = async () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    restored = Promise.resolve(null);
+    await discard();
+  };
+
+  return { restore, setCollector, scheduleSave, clear };
+};
@@ -0,0 +1,77 @@
+import { CROWDFUND_STATUS, EMPTY_INVESTOR, getCampaignActions } from './campaigns';
+
+// 投资组合的合计项，均为bigint
+const EMPTY_TOTALS = {
+  invested: 0n,
+  refunded: 0n,
+  refundable: 0n,
+  allocated: 0n,
+  claimed: 0n,
+  unclaimed: 0n
+};
+
+// 按众筹汇总投资者事件
+const summarizeEvents = (events) => {
+  const summaries = {};
+  events.forEach((event) => {
+    const summary = summaries[event.crowdfundId] || { invested: 0n, allocated: 0n, claimed: 0n, refunded: 0n };
+    switch (event.eventName) {
+      case 'InvestmentReceived':
+        summary.invested += event.amount;
+        summary.allocated += event.mybTokens;
+        break;
+      case 'TokensClaimed':
+        summary.claimed += event.amount;
+        break;
+      case 'RefundIssued':
+        summary.refunded += event.amount;
+        break;
+      default:
+        break;
+    }
+    summaries[event.crowdfundId] = summary;
+  });
+  return summaries;
+};
+
+/**
+ * 汇总投资者在各众筹中的持仓
+ * 有事件记录时，投资金额和分配的代币按 InvestmentReceived 累加，已领取和已退款按
+ * TokensClaimed、RefundIssued 累加；没有事件记录时（部署区块未知）以投资者登记记录为准。
+ * 待领取的代币以登记记录中的 mybTokens 为准，即 claimTokens 实际会转出的数量，只计入众筹成功的项目
+ * @param campaigns 众筹数据列表（formatCampaign 的返回值）
+ * @param investors 众筹ID -> 投资者记录（normalizeInvestor 的返回值）
+ * @param events syncInvestor 返回的事件列表，为null表示没有事件记录
+ * @param chainTime 最新区块的时间戳（秒）
+ * @return { positions, totals }
+ */
+export const buildPortfolio = ({ campaigns, investors, events, chainTime }) => {
+  const summaries = events ? summarizeEvents(events) : null;
+  const totals = { ...EMPTY_TOTALS };
+
+  const positions = campaigns.map((campaign) => {
+    const investor = investors[campaign.id] || EMPTY_INVESTOR;
+    const summary = summaries?.[campaign.id];
+    const actions = getCampaignActions(campaign, investor, chainTime);
+
+    const position = {
+      campaign,
+      investor,
+      actions,
+      invested: summary ? summary.invested : investor.totalInvestment,
+      allocated: summary ? summary.allocated : investor.mybTokens,
+      claimed: summary ? summary.claimed : 0n,
+      unclaimed: Number(campaign.status) === CROWDFUND_STATUS.SUCCESSFUL ? investor.mybTokens : 0n,
+      refunded: summary ? summary.refunded : 0n,
+      // 可退款金额即 claimRefund 会退回的金额
+      refundable: actions.canClaimRefund ? investor.totalInvestment : 0n
+    };
+
+    Object.keys(totals).forEach((key) => {
+      totals[key] += position[key];
+    });
+    return position;
+  });
+
+  return { positions, totals };
+};
@@ -0,0 +1,44 @@
+import { ethers } from 'ethers';
+import { getReadRpcUrl } from '../config/chains';
+import { SIMULATED_CHAIN_ID, SIMULATED_PROVIDER_OPTIONS } from '../config/simulation';
+import { getSimulatedChain } from './simulatedChain';
+
+/**
+ * 只读provider和合约runner
+ *
+ * 合约的只读调用和事件查询通过节点的JSON-RPC完成，不需要连接钱包；
+ * 只有发送交易时才需要钱包签名，由 createContractRunner 在发送时向 Web3Context 请求signer
+ */
+
+/**
+ * 创建读取某个网络的provider
+ * 模拟链直接读取浏览器内的模拟链，其余网络连接 getReadRpcUrl 配置的节点
+ * @return provider，没有可用节点时返回null
+ */
+export const createReadProvider = (chainId) => {
+  if (chainId === SIMULATED_CHAIN_ID) {
+    return new ethers.BrowserProvider(getSimulatedChain(), undefined, SIMULATED_PROVIDER_OPTIONS);
+  }
+  const rpcUrl = getReadRpcUrl(chainId);
+  if (!rpcUrl) {
+    return null;
+  }
+  // 网络已知，不需要每次请求前向节点查询链ID
+  const network = ethers.Network.from(chainId);
+  return new ethers.JsonRpcProvider(rpcUrl, network, { staticNetwork: network });
+};
+
+/**
+ * 创建合约使用的runner：只读调用走只读provider，发送交易时才获取钱包的signer
+ * @param provider 只读provider
+ * @param chainId provider所在的网络
+ * @param getSigner (chainId) => Promise<Signer>，未连接钱包时请求用户连接，
+ *        用户取消或钱包不在该网络上时抛出错误
+ */
+export const createContractRunner = (provider, chainId, getSigner) => ({
+  provider,
+  call: (tx) => provider.call(tx),
+  resolveName: (name) => provider.resolveName(name),
+  estimateGas: async (tx) => (await getSigner(chainId)).estimateGas(tx),
+  sendTransaction: async (tx) => (await getSigner(chainId)).sendTransaction(tx)
+});
@@ -0,0 +1,511 @@
+import { ethers } from 'ethers';
+import {
+  SIMULATED_ACCOUNTS,
+  SIMULATED_CHAIN_ID,
+  SIMULATED_DEPLOYMENT,
+  SIMULATED_INITIAL_BALANCE
+} from '../config/simulation';
+import { createGenesisWorld, executeMessage, getContractName } from './simulatedContracts';
+
+/**
+ * 浏览器内的模拟链
+ * 实现EIP-1193接口（与 window.ethereum 相同），由 ethers.BrowserProvider 直接使用，
+ * 合约调用、事件查询、交易跟踪都走与真实链相同的代码路径。
+ * 每笔交易立即打包为一个区块，链状态保存在本地存储中，刷新页面后保留；
+ * 区块时间可以快进，用于测试截止时间之后的结算、退款和领取代币流程
+ */
+
+const STORAGE_KEY = 'crowdfund:simulated-chain';
+// 存储格式版本，格式变化时丢弃旧数据重新创建
+const STORAGE_VERSION = 1;
+
+// 固定的Gas价格和基础费用（1 gwei）
+const GAS_PRICE = ethers.parseUnits('1', 'gwei');
+const BLOCK_GAS_LIMIT = 30000000n;
+const TRANSFER_GAS = 21000n;
+// 合约调用在基础Gas之外的固定执行开销
+const CONTRACT_CALL_GAS = 60000n;
+
+// 内存中保留的历史状态区块数，更早的区块不能按 blockTag 读取
+const STATE_HISTORY_BLOCKS = 128;
+
+const EMPTY_BLOOM = `0x${'00'.repeat(256)}`;
+const EMPTY_NONCE = '0x0000000000000000';
+// 模拟交易没有签名，使用固定的占位签名
+const PLACEHOLDER_SIGNATURE = { r: `0x${'11'.repeat(32)}`, s: `0x${'22'.repeat(32)}`, v: '0x0', yParity: '0x0' };
+
+const toQuantity = (value) => ethers.toQuantity(value);
+
+// 带错误码的JSON-RPC错误（EIP-1193 ProviderRpcError）
+const rpcError = (code, message, data) => {
+  const error = new Error(message);
+  error.code = code;
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return error;
+};
+
+// 世界状态中包含bigint，序列化时转换为带标记的字符串
+const serialize = (value) => JSON.stringify(value, (key, item) => (
+  typeof item === 'bigint' ? { $bigint: item.toString() } : item
+));
+
+const deserialize = (text) => JSON.parse(text, (key, item) => (
+  item && typeof item === 'object' && typeof item.$bigint === 'string' ? BigInt(item.$bigint) : item
+));
+
+// 当前的真实时间（秒）
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// 计算调用数据的基础Gas（与以太坊的calldata计费规则一致）
+const intrinsicGas = (data) => {
+  const bytes = ethers.getBytes(data || '0x');
+  return bytes.reduce((total, byte) => total + (byte === 0 ? 4n : 16n), TRANSFER_GAS);
+};
+
+/**
+ * 创建模拟链
+ * @param options.storage 保存链状态的存储（默认为 localStorage），为null时不持久化
+ * @returns EIP-1193 provider，另外提供快进时间、切换账户和重置等控制方法
+ */
+export const createSimulatedChain = ({ storage = window.localStorage } = {}) => {
+  // 持久化的链数据 { version, salt, timeOffset, accountIndex, blocks, transactions, world }
+  let chain = null;
+  // 区块号 -> 该区块执行后的世界状态，用于历史区块的只读调用
+  const stateHistory = new Map();
+  const listeners = new Map();
+
+  const emit = (eventName, ...args) => {
+    (listeners.get(eventName) || []).forEach((listener) => {
+      try {
+        listener(...args);
+      } catch (err) {
+        console.error('模拟链事件监听器出错:', err);
+      }
+    });
+  };
+
+  const latestBlock = () => chain.blocks[chain.blocks.length - 1];
+
+  const rememberState = (blockNumber, world) => {
+    stateHistory.set(blockNumber, world);
+    stateHistory.delete(blockNumber - STATE_HISTORY_BLOCKS);
+  };
+
+  const save = () => {
+    if (!storage) return;
+    try {
+      storage.setItem(STORAGE_KEY, serialize(chain));
+    } catch (err) {
+      console.error('保存模拟链状态失败:', err);
+    }
+  };
+
+  const createBlock = (number, parentHash, timestamp, transactions, gasUsed) => ({
+    number,
+    // 每次重置使用不同的salt，避免新旧链的区块和交易哈希相同
+    hash: ethers.id(`${chain.salt}:block:${number}:${timestamp}`),
+    parentHash,
+    timestamp,
+    transactions,
+    gasUsed: gasUsed.toString()
+  });
+
+  // 创建创世区块，合约已按部署脚本完成部署
+  const createGenesis = () => {
+    chain = {
+      version: STORAGE_VERSION,
+      salt: ethers.hexlify(ethers.randomBytes(16)),
+      timeOffset: 0,
+      accountIndex: 0,
+      blocks: [],
+      transactions: {},
+      world: createGenesisWorld({
+        deployment: SIMULATED_DEPLOYMENT,
+        accounts: SIMULATED_ACCOUNTS,
+        initialBalance: SIMULATED_INITIAL_BALANCE
+      })
+    };
+    chain.blocks.push(createBlock(0, ethers.ZeroHash, nowSeconds(), [], 0n));
+    stateHistory.clear();
+    rememberState(0, chain.world);
+    save();
+  };
+
+  const load = () => {
+    try {
+      const stored = storage && storage.getItem(STORAGE_KEY);
+      if (stored) {
+        const parsed = deserialize(stored);
+        if (parsed.version === STORAGE_VERSION) {
+          chain = parsed;
+          rememberState(latestBlock().number, chain.world);
+          return;
+        }
+      }
+    } catch (err) {
+      console.error('读取模拟链状态失败，重新创建:', err);
+    }
+    createGenesis();
+  };
+
+  // 下一个区块的时间戳：真实时间加上快进的时间，且严格大于上一个区块
+  const nextTimestamp = () => Math.max(latestBlock().timestamp + 1, nowSeconds() + chain.timeOffset);
+
+  // 打包一个区块，entries 为 { transaction, receipt } 列表，world 为执行后的状态
+  const mineBlock = (entries, world) => {
+    const parent = latestBlock();
+    const timestamp = entries.length > 0 ? entries[0].timestamp : nextTimestamp();
+    const gasUsed = entries.reduce((total, entry) => total + entry.gasUsed, 0n);
+    const block = createBlock(parent.number + 1, parent.hash, timestamp, entries.map(entry => entry.hash), gasUsed);
+
+    entries.forEach((entry, index) => {
+      const location = {
+        blockHash: block.hash,
+        blockNumber: toQuantity(block.number),
+        transactionIndex: toQuantity(index)
+      };
+      chain.transactions[entry.hash] = {
+        transaction: { ...entry.transaction, ...location },
+        receipt: {
+          ...entry.receipt,
+          ...location,
+          logs: entry.receipt.logs.map((log, logIndex) => ({
+            ...log,
+            ...location,
+            transactionHash: entry.hash,
+            logIndex: toQuantity(logIndex),
+            removed: false
+          }))
+        }
+      };
+    });
+
+    chain.blocks.push(block);
+    chain.world = world;
+    rememberState(block.number, world);
+    save();
+    emit('block', block.number);
+    return block;
+  };
+
+  // 解析 blockTag 为区块号
+  const resolveBlockNumber = (blockTag = 'latest') => {
+    const latest = latestBlock().number;
+    if (['latest', 'pending', 'safe', 'finalized'].includes(blockTag)) {
+      return latest;
+    }
+    if (blockTag === 'earliest') {
+      return 0;
+    }
+    const number = typeof blockTag === 'object' ? Number(blockTag.blockNumber) : Number(blockTag);
+    if (!Number.isInteger(number) || number < 0 || number > latest) {
+      throw rpcError(-32000, `header not found: ${blockTag}`);
+    }
+    return number;
+  };
+
+  // 读取指定区块之后的世界状态
+  const worldAt = (blockTag) => {
+    const number = resolveBlockNumber(blockTag);
+    const world = stateHistory.get(number);
+    if (!world) {
+      throw rpcError(-32000, `missing trie node: state of block ${number} is not available`);
+    }
+    return world;
+  };
+
+  const formatBlock = (block, fullTransactions) => ({
+    number: toQuantity(block.number),
+    hash: block.hash,
+    parentHash: block.parentHash,
+    nonce: EMPTY_NONCE,
+    sha3Uncles: ethers.ZeroHash,
+    logsBloom: EMPTY_BLOOM,
+    miner: ethers.ZeroAddress,
+    difficulty: '0x0',
+    extraData: '0x',
+    gasLimit: toQuantity(BLOCK_GAS_LIMIT),
+    gasUsed: toQuantity(BigInt(block.gasUsed)),
+    baseFeePerGas: toQuantity(GAS_PRICE),
+    timestamp: toQuantity(block.timestamp),
+    transactions: block.transactions.map(hash => (
+      fullTransactions ? chain.transactions[hash].transaction : hash
+    )),
+    uncles: []
+  });
+
+  // 计算交易使用的Gas
+  const estimateGasUsed = (world, to, data) => (
+    intrinsicGas(data) + (to && getContractName(world, to) ? CONTRACT_CALL_GAS : 0n)
+  );
+
+  // 在状态副本上执行调用，revert时抛出带revert数据的RPC错误
+  const simulateCall = (world, call, timestamp) => {
+    const draft = structuredClone(world);
+    try {
+      const result = executeMessage(draft, { ...call, timestamp });
+      return { ...result, world: draft };
+    } catch (err) {
+      if (err.data !== undefined) {
+        throw rpcError(3, err.message, err.data);
+      }
+      throw err;
+    }
+  };
+
+  // 把RPC请求中的交易参数转换为内部格式
+  const parseCallRequest = (request) => ({
+    from: request.from ? ethers.getAddress(request.from) : ethers.ZeroAddress,
+    to: request.to ? ethers.getAddress(request.to) : null,
+    value: request.value ? BigInt(request.value) : 0n,
+    data: request.data || request.input || '0x'
+  });
+
+  const currentAccount = () => SIMULATED_ACCOUNTS[chain.accountIndex] || SIMULATED_ACCOUNTS[0];
+
+  // 发送交易：立即执行并打包，revert的交易同样上链（status为0），扣除Gas费用
+  const sendTransaction = (request) => {
+    const call = parseCallRequest(request);
+    if (!SIMULATED_ACCOUNTS.includes(call.from)) {
+      throw rpcError(4100, `模拟链中没有账户 ${call.from}`);
+    }
+    if (!call.to) {
+      throw rpcError(-32000, '模拟链不支持部署合约');
+    }
+
+    const world = chain.world;
+    const nonce = world.nonces[call.from] || 0;
+    if (request.nonce !== undefined && Number(request.nonce) !== nonce) {
+      throw rpcError(-32000, Number(request.nonce) < nonce ? 'nonce too low' : 'nonce too high');
+    }
+
+    const requiredGas = estimateGasUsed(world, call.to, call.data);
+    const gasLimit = request.gas ? BigInt(request.gas) : requiredGas;
+    if ((world.balances[call.from] || 0n) < call.value + gasLimit * GAS_PRICE) {
+      throw rpcError(-32000, 'insufficient funds for gas * price + value');
+    }
+
+    const timestamp = nextTimestamp();
+    // 先扣除Gas费用并增加nonce，执行失败时只保留这部分修改
+    const charged = structuredClone(world);
+    const gasUsed = gasLimit < requiredGas ? gasLimit : requiredGas;
+    charged.balances[call.from] -= gasUsed * GAS_PRICE;
+    charged.nonces[call.from] = nonce + 1;
+
+    let finalWorld = charged;
+    let logs = [];
+    let status = 0;
+    if (gasLimit >= requiredGas) {
+      try {
+        const result = simulateCall(charged, call, timestamp);
+        finalWorld = result.world;
+        logs = result.logs;
+        status = 1;
+      } catch (err) {
+        if (err.code !== 3) throw err;
+      }
+    }
+
+    const hash = ethers.id(`${chain.salt}:tx:${call.from}:${nonce}`);
+    const transaction = {
+      hash,
+      type: '0x2',
+      chainId: toQuantity(SIMULATED_CHAIN_ID),
+      nonce: toQuantity(nonce),
+      from: call.from,
+      to: call.to,
+      value: toQuantity(call.value),
+      input: call.data,
+      gas: toQuantity(gasLimit),
+      gasPrice: toQuantity(GAS_PRICE),
+      maxFeePerGas: toQuantity(GAS_PRICE),
+      maxPriorityFeePerGas: '0x0',
+      accessList: [],
+      ...PLACEHOLDER_SIGNATURE
+    };
+    const receipt = {
+      transactionHash: hash,
+      from: call.from,
+      to: call.to,
+      contractAddress: null,
+      gasUsed: toQuantity(gasUsed),
+      cumulativeGasUsed: toQuantity(gasUsed),
+      effectiveGasPrice: toQuantity(GAS_PRICE),
+      logsBloom: EMPTY_BLOOM,
+      logs,
+      status: toQuantity(status),
+      type: '0x2'
+    };
+
+    mineBlock([{ hash, transaction, receipt, timestamp, gasUsed }], finalWorld);
+    return hash;
+  };
+
+  // 匹配 eth_getLogs 的地址和主题过滤条件
+  const matchesFilter = (log, filter) => {
+    if (filter.address) {
+      const addresses = (Array.isArray(filter.address) ? filter.address : [filter.address]).map(a => a.toLowerCase());
+      if (!addresses.includes(log.address.toLowerCase())) return false;
+    }
+    return (filter.topics || []).every((expected, index) => {
+      if (expected === null || expected === undefined) return true;
+      const options = (Array.isArray(expected) ? expected : [expected]).map(topic => topic.toLowerCase());
+      return Boolean(log.topics[index]) && options.includes(log.topics[index].toLowerCase());
+    });
+  };
+
+  const getLogs = (filter = {}) => {
+    let blocks;
+    if (filter.blockHash) {
+      blocks = chain.blocks.filter(block => block.hash === filter.blockHash);
+    } else {
+      const fromBlock = resolveBlockNumber(filter.fromBlock || 'latest');
+      const toBlock = resolveBlockNumber(filter.toBlock || 'latest');
+      blocks = chain.blocks.slice(fromBlock, toBlock + 1);
+    }
+    return blocks.flatMap(block => block.transactions.flatMap(hash => (
+      chain.transactions[hash].receipt.logs.filter(log => matchesFilter(log, filter))
+    )));
+  };
+
+  const findBlock = (predicate) => chain.blocks.find(predicate) || null;
+
+  // JSON-RPC方法实现
+  const methods = {
+    eth_chainId: () => toQuantity(SIMULATED_CHAIN_ID),
+    net_version: () => String(SIMULATED_CHAIN_ID),
+    web3_clientVersion: () => 'CrowdFund/SimulatedChain',
+    eth_accounts: () => [currentAccount()],
+    eth_requestAccounts: () => [currentAccount()],
+    eth_blockNumber: () => toQuantity(latestBlock().number),
+    eth_gasPrice: () => toQuantity(GAS_PRICE),
+    eth_maxPriorityFeePerGas: () => '0x0',
+    eth_getBalance: ([address, blockTag]) => toQuantity(worldAt(blockTag).balances[ethers.getAddress(address)] || 0n),
+    eth_getTransactionCount: ([address, blockTag]) => toQuantity(worldAt(blockTag).nonces[ethers.getAddress(address)] || 0),
+    // 模拟合约没有字节码，返回非空占位代码表示该地址是合约
+    eth_getCode: ([address, blockTag]) => (getContractName(worldAt(blockTag), address) ? '0xfe' : '0x'),
+    eth_getBlockByNumber: ([blockTag, full]) => {
+      const number = resolveBlockNumber(blockTag);
+      return formatBlock(chain.blocks[number], full);
+    },
+    eth_getBlockByHash: ([hash, full]) => {
+      const block = findBlock(item => item.hash === hash);
+      return block ? formatBlock(block, full) : null;
+    },
+    eth_getTransactionByHash: ([hash]) => chain.transactions[hash]?.transaction || null,
+    eth_getTransactionReceipt: ([hash]) => chain.transactions[hash]?.receipt || null,
+    eth_getLogs: ([filter]) => getLogs(filter),
+    eth_call: ([request, blockTag]) => {
+      const world = worldAt(blockTag);
+      const block = chain.blocks[resolveBlockNumber(blockTag)];
+      return simulateCall(world, parseCallRequest(request), block.timestamp).returnData;
+    },
+    eth_estimateGas: ([request]) => {
+      const call = parseCallRequest(request);
+      if ((chain.world.balances[call.from] || 0n) < call.value) {
+        throw rpcError(-32000, 'insufficient funds for gas * price + value');
+      }
+      simulateCall(chain.world, call, nextTimestamp());
+      return toQuantity(estimateGasUsed(chain.world, call.to, call.data));
+    },
+    eth_sendTransaction: ([request]) => sendTransaction(request),
+    // 与 Hardhat/Ganache 相同的时间控制接口
+    evm_increaseTime: ([seconds]) => {
+      chain.timeOffset += Number(seconds);
+      save();
+      return toQuantity(chain.timeOffset);
+    },
+    evm_mine: () => {
+      mineBlock([], chain.world);
+      return '0x0';
+    },
+    // 模拟链没有授权流程，断开连接时的权限请求直接成功
+    wallet_revokePermissions: () => null,
+    wallet_requestPermissions: () => [{ parentCapability: 'eth_accounts' }]
+  };
+
+  /**
+   * EIP-1193 请求入口
+   * @param args.method JSON-RPC方法名
+   * @param args.params 参数列表
+   */
+  const request = async ({ method, params = [] }) => {
+    const handler = methods[method];
+    if (!handler) {
+      throw rpcError(4200, `模拟链不支持 ${method}`);
+    }
+    return handler(params);
+  };
+
+  const on = (eventName, listener) => {
+    listeners.set(eventName, [...(listeners.get(eventName) || []), listener]);
+  };
+
+  const removeListener = (eventName, listener) => {
+    listeners.set(eventName, (listeners.get(eventName) || []).filter(item => item !== listener));
+  };
+
+  // 快进区块时间并打包一个空区块，使新的时间立即生效
+  const increaseTime = async (seconds) => {
+    await request({ method: 'evm_increaseTime', params: [seconds] });
+    await request({ method: 'evm_mine' });
+  };
+
+  // 切换当前使用的账户
+  const selectAccount = (address) => {
+    const index = SIMULATED_ACCOUNTS.findIndex(account => account.toLowerCase() === address.toLowerCase());
+    if (index === -1 || index === chain.accountIndex) return;
+    chain.accountIndex = index;
+    save();
+    emit('accountsChanged', [currentAccount()]);
+  };
+
+  // 丢弃所有数据，重新创建创世区块
+  const reset = () => {
+    const accountIndex = chain.accountIndex;
+    createGenesis();
+    chain.accountIndex = accountIndex;
+    save();
+    emit('block', 0);
+  };
+
+  // 模拟链概况，供控制面板显示
+  const getStatus = () => {
+    const block = latestBlock();
+    return {
+      blockNumber: block.number,
+      timestamp: block.timestamp,
+      timeOffset: chain.timeOffset,
+      account: currentAccount(),
+      accounts: SIMULATED_ACCOUNTS.map(address => ({
+        address,
+        balance: chain.world.balances[address] || 0n
+      }))
+    };
+  };
+
+  load();
+
+  return {
+    isSimulated: true,
+    request,
+    on,
+    removeListener,
+    increaseTime,
+    selectAccount,
+    reset,
+    getStatus
+  };
+};
+
+let sharedChain = null;
+
+// 获取共享的模拟链实例
+export const getSimulatedChain = () => {
+  if (!sharedChain) {
+    sharedChain = createSimulatedChain();
+  }
+  return sharedChain;
+};
@@ -0,0 +1,581 @@
+import { ethers } from 'ethers';
+import { CROWDFUND_CORE_ABI, INVESTOR_REGISTRY_ABI, MYB_TOKEN_ABI } from '../abi';
+import { CROWDFUND_STATUS } from './campaigns';
+
+/**
+ * 模拟链上运行的合约逻辑
+ * 按 contract/ 目录下的Solidity合约逐个函数移植，revert信息与合约中的require完全一致，
+ * 这样错误解码、按钮可用条件等前端逻辑在模拟链和真实链上的表现相同
+ */
+
+// revert数据的编码接口：Error(string) 与 Panic(uint256)
+const revertInterface = new ethers.Interface(['error Error(string)', 'error Panic(uint256)']);
+
+// 抛出与EVM一致的revert，data为ABI编码的revert数据
+const revert = (reason) => {
+  const error = new Error(reason ? `execution reverted: ${reason}` : 'execution reverted');
+  error.reason = reason || null;
+  error.data = reason ? revertInterface.encodeErrorResult('Error', [reason]) : '0x';
+  throw error;
+};
+
+// Solidity 的 panic（如数组越界 0x32）
+const panic = (code) => {
+  const error = new Error(`execution reverted: panic code 0x${code.toString(16)}`);
+  error.reason = null;
+  error.data = revertInterface.encodeErrorResult('Panic', [code]);
+  throw error;
+};
+
+// 对应合约中的 require(condition, reason)
+const ensure = (condition, reason) => {
+  if (!condition) {
+    revert(reason);
+  }
+};
+
+// MYB代币的初始供应量：100,000 MYB
+const MYB_INITIAL_SUPPLY = ethers.parseUnits('100000', 18);
+
+// 资金分配比例（基点），与 CrowdFundCore 中的常量一致
+const INVESTOR_ALLOCATION = 7000n;
+const DEVELOPMENT_ALLOCATION = 2000n;
+const COMMUNITY_ALLOCATION = 1000n;
+
+// 最小投资金额 0.01 ETH
+const MIN_INVESTMENT = ethers.parseEther('0.01');
+
+// 不存在的众筹，与Solidity mapping的默认值一致
+const EMPTY_CROWDFUND = {
+  id: 0n,
+  projectName: '',
+  creator: ethers.ZeroAddress,
+  targetAmount: 0n,
+  currentAmount: 0n,
+  deadline: 0n,
+  mybPerEth: 0n,
+  status: CROWDFUND_STATUS.PENDING,
+  createdAt: 0n,
+  fundsReleased: false,
+  metadataHash: ethers.ZeroHash
+};
+
+const EMPTY_INVESTOR_RECORD = {
+  isRegistered: false,
+  totalInvestment: 0n,
+  mybTokens: 0n,
+  lastUpdateTime: 0n
+};
+
+// 按结构体字段顺序返回，供ABI编码
+const crowdfundFields = (crowdfund) => [
+  crowdfund.id,
+  crowdfund.projectName,
+  crowdfund.creator,
+  crowdfund.targetAmount,
+  crowdfund.currentAmount,
+  crowdfund.deadline,
+  crowdfund.mybPerEth,
+  crowdfund.status,
+  crowdfund.createdAt,
+  crowdfund.fundsReleased,
+  crowdfund.metadataHash
+];
+
+const investorFields = (investor) => [
+  investor.isRegistered,
+  investor.totalInvestment,
+  investor.mybTokens,
+  investor.lastUpdateTime
+];
+
+const getInvestor = (storage, crowdfundId, investor) => (
+  storage.investors[crowdfundId.toString()]?.[investor] || EMPTY_INVESTOR_RECORD
+);
+
+// OpenZeppelin Ownable
+const onlyOwner = (ctx) => ensure(ctx.sender === ctx.storage.owner, 'Ownable: caller is not the owner');
+
+const ownableFunctions = {
+  owner: ({ storage }) => storage.owner,
+  transferOwnership: (ctx, newOwner) => {
+    onlyOwner(ctx);
+    ensure(newOwner !== ethers.ZeroAddress, 'Ownable: new owner is the zero address');
+    ctx.emit('OwnershipTransferred', [ctx.storage.owner, newOwner]);
+    ctx.storage.owner = newOwner;
+  },
+  renounceOwnership: (ctx) => {
+    onlyOwner(ctx);
+    ctx.emit('OwnershipTransferred', [ctx.storage.owner, ethers.ZeroAddress]);
+    ctx.storage.owner = ethers.ZeroAddress;
+  }
+};
+
+// OpenZeppelin Pausable，pause/unpause 在两个合约中都限定为所有者调用
+const whenNotPaused = (ctx) => ensure(!ctx.storage.paused, 'Pausable: paused');
+
+const pausableFunctions = {
+  paused: ({ storage }) => storage.paused,
+  pause: (ctx) => {
+    onlyOwner(ctx);
+    whenNotPaused(ctx);
+    ctx.storage.paused = true;
+    ctx.emit('Paused', [ctx.sender]);
+  },
+  unpause: (ctx) => {
+    onlyOwner(ctx);
+    ensure(ctx.storage.paused, 'Pausable: not paused');
+    ctx.storage.paused = false;
+    ctx.emit('Unpaused', [ctx.sender]);
+  }
+};
+
+// OpenZeppelin ERC20 内部函数
+const transferTokens = (ctx, from, to, amount) => {
+  ensure(from !== ethers.ZeroAddress, 'ERC20: transfer from the zero address');
+  ensure(to !== ethers.ZeroAddress, 'ERC20: transfer to the zero address');
+  const { balances } = ctx.storage;
+  const fromBalance = balances[from] || 0n;
+  ensure(fromBalance >= amount, 'ERC20: transfer amount exceeds balance');
+  balances[from] = fromBalance - amount;
+  balances[to] = (balances[to] || 0n) + amount;
+  ctx.emit('Transfer', [from, to, amount]);
+};
+
+const approveTokens = (ctx, owner, spender, amount) => {
+  ensure(owner !== ethers.ZeroAddress, 'ERC20: approve from the zero address');
+  ensure(spender !== ethers.ZeroAddress, 'ERC20: approve to the zero address');
+  const { allowances } = ctx.storage;
+  allowances[owner] = { ...allowances[owner], [spender]: amount };
+  ctx.emit('Approval', [owner, spender, amount]);
+};
+
+const allowanceOf = (storage, owner, spender) => storage.allowances[owner]?.[spender] || 0n;
+
+const MYBToken = {
+  abi: MYB_TOKEN_ABI,
+  functions: {
+    ...ownableFunctions,
+    name: () => 'CrowdFund Token',
+    symbol: () => 'MYB',
+    decimals: () => 18n,
+    totalSupply: ({ storage }) => storage.totalSupply,
+    balanceOf: ({ storage }, account) => storage.balances[account] || 0n,
+    allowance: ({ storage }, owner, spender) => allowanceOf(storage, owner, spender),
+    exchangeRate: ({ storage }) => storage.exchangeRate,
+    transfer: (ctx, to, amount) => {
+      transferTokens(ctx, ctx.sender, to, amount);
+      return true;
+    },
+    approve: (ctx, spender, amount) => {
+      approveTokens(ctx, ctx.sender, spender, amount);
+      return true;
+    },
+    transferFrom: (ctx, from, to, amount) => {
+      const current = allowanceOf(ctx.storage, from, ctx.sender);
+      if (current !== ethers.MaxUint256) {
+        ensure(current >= amount, 'ERC20: insufficient allowance');
+        approveTokens(ctx, from, ctx.sender, current - amount);
+      }
+      transferTokens(ctx, from, to, amount);
+      return true;
+    },
+    increaseAllowance: (ctx, spender, addedValue) => {
+      approveTokens(ctx, ctx.sender, spender, allowanceOf(ctx.storage, ctx.sender, spender) + addedValue);
+      return true;
+    },
+    decreaseAllowance: (ctx, spender, subtractedValue) => {
+      const current = allowanceOf(ctx.storage, ctx.sender, spender);
+      ensure(current >= subtractedValue, 'ERC20: decreased allowance below zero');
+      approveTokens(ctx, ctx.sender, spender, current - subtractedValue);
+      return true;
+    },
+    setExchangeRate: (ctx, newRate) => {
+      onlyOwner(ctx);
+      ensure(newRate > 0n, 'Exchange rate must be greater than 0');
+      ctx.storage.exchangeRate = newRate;
+    },
+    mint: (ctx, to, amount) => {
+      onlyOwner(ctx);
+      ensure(to !== ethers.ZeroAddress, 'ERC20: mint to the zero address');
+      ctx.storage.totalSupply += amount;
+      ctx.storage.balances[to] = (ctx.storage.balances[to] || 0n) + amount;
+      ctx.emit('Transfer', [ethers.ZeroAddress, to, amount]);
+    },
+    burn: (ctx, amount) => {
+      onlyOwner(ctx);
+      const balance = ctx.storage.balances[ctx.sender] || 0n;
+      ensure(balance >= amount, 'ERC20: burn amount exceeds balance');
+      ctx.storage.balances[ctx.sender] = balance - amount;
+      ctx.storage.totalSupply -= amount;
+      ctx.emit('Transfer', [ctx.sender, ethers.ZeroAddress, amount]);
+    }
+  }
+};
+
+const InvestorRegistry = {
+  abi: INVESTOR_REGISTRY_ABI,
+  functions: {
+    ...ownableFunctions,
+    ...pausableFunctions,
+    investors: ({ storage }, crowdfundId, investor) => investorFields(getInvestor(storage, crowdfundId, investor)),
+    crowdfundInvestors: ({ storage }, crowdfundId, index) => {
+      const list = storage.crowdfundInvestors[crowdfundId.toString()] || [];
+      if (index >= BigInt(list.length)) {
+        panic(0x32);
+      }
+      return list[Number(index)];
+    },
+    investorCount: ({ storage }, crowdfundId) => storage.investorCount[crowdfundId.toString()] || 0n,
+    getCrowdfundInvestors: ({ storage }, crowdfundId) => [...(storage.crowdfundInvestors[crowdfundId.toString()] || [])],
+    getInvestorInfo: ({ storage }, crowdfundId, investor) => investorFields(getInvestor(storage, crowdfundId, investor)),
+    registerInvestor: (ctx, crowdfundId, investor, investment) => {
+      onlyOwner(ctx);
+      whenNotPaused(ctx);
+      ensure(investor !== ethers.ZeroAddress, 'Invalid investor address');
+      ensure(investment > 0n, 'Investment must be greater than 0');
+
+      const key = crowdfundId.toString();
+      const { storage } = ctx;
+      const user = { ...getInvestor(storage, crowdfundId, investor) };
+
+      // 新投资者加入列表
+      if (!user.isRegistered) {
+        user.isRegistered = true;
+        storage.crowdfundInvestors[key] = [...(storage.crowdfundInvestors[key] || []), investor];
+        storage.investorCount[key] = (storage.investorCount[key] || 0n) + 1n;
+        ctx.emit('InvestorRegistered', [crowdfundId, investor, investment]);
+      } else {
+        ctx.emit('InvestmentUpdated', [crowdfundId, investor, user.totalInvestment + investment]);
+      }
+
+      user.totalInvestment += investment;
+      user.lastUpdateTime = ctx.timestamp;
+      storage.investors[key] = { ...storage.investors[key], [investor]: user };
+    },
+    setInvestorTokens: (ctx, crowdfundId, investor, tokenAmount) => {
+      onlyOwner(ctx);
+      const user = getInvestor(ctx.storage, crowdfundId, investor);
+      ensure(user.isRegistered, 'Investor not registered');
+      // 与合约一致：重复投资时覆盖而不是累加
+      ctx.storage.investors[crowdfundId.toString()][investor] = { ...user, mybTokens: tokenAmount };
+    },
+    markTokensClaimed: (ctx, crowdfundId, investor, amount) => {
+      onlyOwner(ctx);
+      const user = getInvestor(ctx.storage, crowdfundId, investor);
+      ensure(user.isRegistered, 'Investor not registered');
+      ensure(user.mybTokens >= amount, 'Insufficient tokens');
+      ctx.storage.investors[crowdfundId.toString()][investor] = { ...user, mybTokens: user.mybTokens - amount };
+      ctx.emit('TokensClaimed', [crowdfundId, investor, amount]);
+    },
+    clearInvestment: (ctx, crowdfundId, investor) => {
+      onlyOwner(ctx);
+      const user = getInvestor(ctx.storage, crowdfundId, investor);
+      ensure(user.isRegistered, 'Investor not registered');
+      ctx.storage.investors[crowdfundId.toString()][investor] = {
+        ...user,
+        totalInvestment: 0n,
+        mybTokens: 0n,
+        lastUpdateTime: ctx.timestamp
+      };
+      ctx.emit('InvestmentUpdated', [crowdfundId, investor, 0n]);
+    }
+  }
+};
+
+const getCrowdfund = (storage, crowdfundId) => storage.crowdfunds[crowdfundId.toString()] || EMPTY_CROWDFUND;
+
+// 修改众筹记录（不存在时在默认值上修改，与Solidity storage一致）
+const updateCrowdfund = (storage, crowdfundId, patch) => {
+  const key = crowdfundId.toString();
+  storage.crowdfunds[key] = { ...getCrowdfund(storage, crowdfundId), ...patch };
+  return storage.crowdfunds[key];
+};
+
+const CrowdFundCore = {
+  abi: CROWDFUND_CORE_ABI,
+  functions: {
+    ...ownableFunctions,
+    ...pausableFunctions,
+    INVESTOR_ALLOCATION: () => INVESTOR_ALLOCATION,
+    DEVELOPMENT_ALLOCATION: () => DEVELOPMENT_ALLOCATION,
+    COMMUNITY_ALLOCATION: () => COMMUNITY_ALLOCATION,
+    crowdfundCounter: ({ storage }) => storage.crowdfundCounter,
+    crowdfunds: ({ storage }, crowdfundId) => crowdfundFields(getCrowdfund(storage, crowdfundId)),
+    getCrowdfundStatus: ({ storage }, crowdfundId) => crowdfundFields(getCrowdfund(storage, crowdfundId)),
+    mybToken: (ctx) => ctx.addressOf('MYBToken'),
+    investorRegistry: (ctx) => ctx.addressOf('InvestorRegistry'),
+    devFundAddress: ({ storage }) => storage.devFundAddress,
+    communityFundAddress: ({ storage }) => storage.communityFundAddress,
+    getContractBalance: (ctx) => ctx.balanceOf(ctx.address),
+    createCrowdfund: (ctx, projectName, targetAmount, deadline, metadataHash) => {
+      whenNotPaused(ctx);
+      ensure(projectName.length > 0, 'Project name cannot be empty');
+      ensure(targetAmount > 0n, 'Target amount must be greater than 0');
+      ensure(deadline > ctx.timestamp, 'Deadline must be in the future');
+
+      const crowdfundId = ctx.storage.crowdfundCounter + 1n;
+      ctx.storage.crowdfundCounter = crowdfundId;
+      const mybPerEth = ctx.call('MYBToken', 'exchangeRate');
+
+      updateCrowdfund(ctx.storage, crowdfundId, {
+        id: crowdfundId,
+        projectName,
+        creator: ctx.sender,
+        targetAmount,
+        currentAmount: 0n,
+        deadline,
+        mybPerEth,
+        status: CROWDFUND_STATUS.ACTIVE,
+        createdAt: ctx.timestamp,
+        fundsReleased: false,
+        metadataHash
+      });
+
+      ctx.emit('CrowdfundCreated', [crowdfundId, projectName, ctx.sender, targetAmount, deadline]);
+    },
+    invest: (ctx, crowdfundId) => {
+      whenNotPaused(ctx);
+      ensure(ctx.value >= MIN_INVESTMENT, 'Investment amount must be at least 0.01 ETH');
+
+      const crowdfund = getCrowdfund(ctx.storage, crowdfundId);
+      ensure(crowdfund.status === CROWDFUND_STATUS.ACTIVE, 'Crowdfund is not active');
+      ensure(ctx.timestamp < crowdfund.deadline, 'Crowdfund has ended');
+
+      const mybTokens = (ctx.value * crowdfund.mybPerEth) / ethers.WeiPerEther;
+      const updated = updateCrowdfund(ctx.storage, crowdfundId, { currentAmount: crowdfund.currentAmount + ctx.value });
+
+      ctx.call('InvestorRegistry', 'registerInvestor', [crowdfundId, ctx.sender, ctx.value]);
+      ctx.call('InvestorRegistry', 'setInvestorTokens', [crowdfundId, ctx.sender, mybTokens]);
+
+      ctx.emit('InvestmentReceived', [crowdfundId, ctx.sender, ctx.value, mybTokens]);
+
+      if (updated.currentAmount >= updated.targetAmount) {
+        updateCrowdfund(ctx.storage, crowdfundId, { status: CROWDFUND_STATUS.SUCCESSFUL });
+        ctx.emit('CrowdfundSuccessful', [crowdfundId, updated.currentAmount]);
+      }
+    },
+    finalizeCrowdfund: (ctx, crowdfundId) => {
+      whenNotPaused(ctx);
+      const crowdfund = getCrowdfund(ctx.storage, crowdfundId);
+      ensure(crowdfund.status === CROWDFUND_STATUS.ACTIVE, 'Crowdfund is not active');
+      ensure(ctx.timestamp >= crowdfund.deadline, 'Crowdfund deadline not reached');
+
+      if (crowdfund.currentAmount >= crowdfund.targetAmount) {
+        updateCrowdfund(ctx.storage, crowdfundId, { status: CROWDFUND_STATUS.SUCCESSFUL });
+        ctx.emit('CrowdfundSuccessful', [crowdfundId, crowdfund.currentAmount]);
+      } else {
+        updateCrowdfund(ctx.storage, crowdfundId, { status: CROWDFUND_STATUS.FAILED });
+        ctx.emit('CrowdfundFailed', [crowdfundId]);
+      }
+    },
+    releaseFunds: (ctx, crowdfundId) => {
+      onlyOwner(ctx);
+      const crowdfund = getCrowdfund(ctx.storage, crowdfundId);
+      ensure(crowdfund.status === CROWDFUND_STATUS.SUCCESSFUL, 'Crowdfund not successful');
+      ensure(!crowdfund.fundsReleased, 'Funds already released');
+
+      const totalFunds = crowdfund.currentAmount;
+      const projectCreatorAmount = (totalFunds * INVESTOR_ALLOCATION) / 10000n;
+      const devFundAmount = (totalFunds * DEVELOPMENT_ALLOCATION) / 10000n;
+      const communityFundAmount = (totalFunds * COMMUNITY_ALLOCATION) / 10000n;
+
+      updateCrowdfund(ctx.storage, crowdfundId, { fundsReleased: true });
+
+      ensure(ctx.sendEth(crowdfund.creator, projectCreatorAmount), 'Transfer to creator failed');
+      ctx.emit('FundsReleased', [crowdfundId, crowdfund.creator, projectCreatorAmount]);
+
+      ensure(ctx.sendEth(ctx.storage.devFundAddress, devFundAmount), 'Transfer to dev fund failed');
+      ctx.emit('FundsReleased', [crowdfundId, ctx.storage.devFundAddress, devFundAmount]);
+
+      ensure(ctx.sendEth(ctx.storage.communityFundAddress, communityFundAmount), 'Transfer to community fund failed');
+      ctx.emit('FundsReleased', [crowdfundId, ctx.storage.communityFundAddress, communityFundAmount]);
+    },
+    claimRefund: (ctx, crowdfundId) => {
+      const crowdfund = getCrowdfund(ctx.storage, crowdfundId);
+      ensure(crowdfund.status === CROWDFUND_STATUS.FAILED, 'Crowdfund not failed');
+
+      const [isRegistered, totalInvestment] = ctx.call('InvestorRegistry', 'getInvestorInfo', [crowdfundId, ctx.sender]);
+      ensure(isRegistered, 'Not an investor');
+      ensure(totalInvestment > 0n, 'No investment to refund');
+
+      ctx.call('InvestorRegistry', 'clearInvestment', [crowdfundId, ctx.sender]);
+
+      ensure(ctx.sendEth(ctx.sender, totalInvestment), 'Refund transfer failed');
+      ctx.emit('RefundIssued', [crowdfundId, ctx.sender, totalInvestment]);
+    },
+    claimTokens: (ctx, crowdfundId) => {
+      const crowdfund = getCrowdfund(ctx.storage, crowdfundId);
+      ensure(crowdfund.status === CROWDFUND_STATUS.SUCCESSFUL, 'Crowdfund not successful');
+      ensure(crowdfund.fundsReleased, 'Funds not yet released');
+
+      const [isRegistered, , mybTokens] = ctx.call('InvestorRegistry', 'getInvestorInfo', [crowdfundId, ctx.sender]);
+      ensure(isRegistered, 'Not an investor');
+      ensure(mybTokens > 0n, 'No tokens to claim');
+
+      ctx.call('InvestorRegistry', 'markTokensClaimed', [crowdfundId, ctx.sender, mybTokens]);
+      ensure(ctx.call('MYBToken', 'transfer', [ctx.sender, mybTokens]), 'Token transfer failed');
+
+      ctx.emit('TokensClaimed', [crowdfundId, ctx.sender, mybTokens]);
+    },
+    updateDevFundAddress: (ctx, newAddress) => {
+      onlyOwner(ctx);
+      ensure(newAddress !== ethers.ZeroAddress, 'Invalid address');
+      ctx.storage.devFundAddress = newAddress;
+    },
+    updateCommunityFundAddress: (ctx, newAddress) => {
+      onlyOwner(ctx);
+      ensure(newAddress !== ethers.ZeroAddress, 'Invalid address');
+      ctx.storage.communityFundAddress = newAddress;
+    }
+  },
+  // receive()：直接转入的ETH留在合约中
+  receive: () => {}
+};
+
+const CONTRACTS = { CrowdFundCore, MYBToken, InvestorRegistry };
+
+const interfaces = Object.fromEntries(
+  Object.entries(CONTRACTS).map(([name, contract]) => [name, new ethers.Interface(contract.abi)])
+);
+
+/**
+ * 按部署脚本的步骤创建模拟链的初始状态：
+ * 部署三个合约，70% 的MYB转入 CrowdFundCore，InvestorRegistry 的所有权转给 CrowdFundCore
+ * @param deployment 部署清单（合约地址和部署者）
+ * @param accounts 账户地址列表
+ * @param initialBalance 每个账户的初始ETH余额
+ * @returns 世界状态 { balances, nonces, contracts: { 合约名: 存储 } }
+ */
+export const createGenesisWorld = ({ deployment, accounts, initialBalance }) => {
+  const addresses = Object.fromEntries(
+    Object.entries(deployment.contracts).map(([name, entry]) => [name, entry.address])
+  );
+  const deployer = deployment.deployer;
+  const coreAllocation = (MYB_INITIAL_SUPPLY * 70n) / 100n;
+
+  return {
+    addresses,
+    balances: Object.fromEntries(accounts.map(account => [account, initialBalance])),
+    // 部署者发送了5笔部署交易
+    nonces: { [deployer]: 5 },
+    contracts: {
+      MYBToken: {
+        owner: deployer,
+        totalSupply: MYB_INITIAL_SUPPLY,
+        exchangeRate: 10000n,
+        balances: {
+          [deployer]: MYB_INITIAL_SUPPLY - coreAllocation,
+          [addresses.CrowdFundCore]: coreAllocation
+        },
+        allowances: {}
+      },
+      InvestorRegistry: {
+        owner: addresses.CrowdFundCore,
+        paused: false,
+        investors: {},
+        crowdfundInvestors: {},
+        investorCount: {}
+      },
+      CrowdFundCore: {
+        owner: deployer,
+        paused: false,
+        crowdfundCounter: 0n,
+        crowdfunds: {},
+        devFundAddress: deployer,
+        communityFundAddress: deployer
+      }
+    }
+  };
+};
+
+// 根据地址查找模拟合约的名称，不是合约时返回null
+export const getContractName = (world, address) => {
+  const target = address.toLowerCase();
+  const entry = Object.entries(world.addresses).find(([, contractAddress]) => contractAddress.toLowerCase() === target);
+  return entry ? entry[0] : null;
+};
+
+/**
+ * 在世界状态上执行一次消息调用（会直接修改world，调用方负责在revert时丢弃修改）
+ * @param world 世界状态（见 createGenesisWorld）
+ * @param call.from 调用者地址
+ * @param call.to 目标地址
+ * @param call.value 转账金额（wei）
+ * @param call.data 调用数据
+ * @param call.timestamp 当前区块时间戳（秒）
+ * @returns { returnData, logs }，logs 为 { address, topics, data } 列表；revert时抛出带 data 的错误
+ */
+export const executeMessage = (world, { from, to, value = 0n, data = '0x', timestamp }) => {
+  const logs = [];
+
+  const moveEth = (sender, recipient, amount) => {
+    if (amount === 0n) return true;
+    const balance = world.balances[sender] || 0n;
+    if (balance < amount) return false;
+    world.balances[sender] = balance - amount;
+    world.balances[recipient] = (world.balances[recipient] || 0n) + amount;
+    return true;
+  };
+
+  // 合约之间的调用直接执行函数，msg.sender 为发起调用的合约
+  const invoke = (contractName, sender, callValue, functionName, args) => {
+    const contract = CONTRACTS[contractName];
+    const address = world.addresses[contractName];
+    const iface = interfaces[contractName];
+    const ctx = {
+      address,
+      sender,
+      value: callValue,
+      timestamp: BigInt(timestamp),
+      storage: world.contracts[contractName],
+      addressOf: name => world.addresses[name],
+      balanceOf: account => world.balances[account] || 0n,
+      sendEth: (recipient, amount) => moveEth(address, recipient, amount),
+      call: (targetName, targetFunction, targetArgs = []) => invoke(targetName, address, 0n, targetFunction, targetArgs),
+      emit: (eventName, eventArgs) => {
+        const { data: eventData, topics } = iface.encodeEventLog(eventName, eventArgs);
+        logs.push({ address, topics, data: eventData });
+      }
+    };
+    return contract.functions[functionName](ctx, ...args);
+  };
+
+  if (!moveEth(from, to, value)) {
+    revert();
+  }
+
+  const contractName = getContractName(world, to);
+  // 普通账户之间转账
+  if (!contractName) {
+    return { returnData: '0x', logs };
+  }
+
+  const contract = CONTRACTS[contractName];
+  const iface = interfaces[contractName];
+
+  if (!data || data === '0x') {
+    if (!contract.receive) {
+      revert();
+    }
+    contract.receive();
+    return { returnData: '0x', logs };
+  }
+
+  const parsed = iface.parseTransaction({ data, value });
+  // 合约中没有该函数（也没有fallback）
+  if (!parsed || !contract.functions[parsed.name]) {
+    revert();
+  }
+  if (value > 0n && !parsed.fragment.payable) {
+    revert();
+  }
+
+  const result = invoke(contractName, from, value, parsed.name, [...parsed.args]);
+  const outputs = parsed.fragment.outputs;
+  if (outputs.length === 0) {
+    return { returnData: '0x', logs };
+  }
+  const values = outputs.length === 1 ? [result] : result;
+  return { returnData: iface.encodeFunctionResult(parsed.fragment, values), logs };
+};
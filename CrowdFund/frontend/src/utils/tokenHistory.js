@@ -0,0 +1,52 @@
+import { ethers } from 'ethers';
+import { sameAddress } from './addresses';
+
+// MYB转账记录的类型
+export const TRANSFER_KINDS = {
+  CLAIM: 'claim',       // claimTokens 领取的众筹代币
+  MINT: 'mint',         // 铸造（from 为零地址）
+  BURN: 'burn',         // 销毁（to 为零地址）
+  SELF: 'self',         // 转给自己
+  SENT: 'sent',
+  RECEIVED: 'received'
+};
+
+const getKind = (event, account, claimedCampaign) => {
+  if (claimedCampaign) return TRANSFER_KINDS.CLAIM;
+  if (event.from === ethers.ZeroAddress) return TRANSFER_KINDS.MINT;
+  if (event.to === ethers.ZeroAddress) return TRANSFER_KINDS.BURN;
+  if (sameAddress(event.from, account) && sameAddress(event.to, account)) return TRANSFER_KINDS.SELF;
+  return sameAddress(event.from, account) ? TRANSFER_KINDS.SENT : TRANSFER_KINDS.RECEIVED;
+};
+
+/**
+ * 把账户的MYB转账事件整理为转账记录
+ * claimTokens 在同一笔交易中产生 TokensClaimed 和 Transfer 事件，按交易哈希识别领取代币的转账
+ * @param transfers campaignIndexer.syncTokenTransfers 返回的 Transfer 事件
+ * @param investorEvents campaignIndexer.syncInvestor 返回的投资者事件
+ * @param account 当前账户
+ * @return 按区块顺序排列的记录 { kind, counterparty, value, amount, crowdfundId, blockNumber, transactionHash, logIndex }，
+ *         value 为转账数量，amount 为账户余额的变化（转入为正，转出为负，转给自己为0），
+ *         crowdfundId 为领取代币的众筹ID（其他转账为null）
+ */
+export const buildTokenHistory = (transfers, investorEvents, account) => {
+  const claims = new Map(investorEvents
+    .filter(event => event.eventName === 'TokensClaimed')
+    .map(event => [event.transactionHash, event.crowdfundId]));
+
+  return transfers.map((event) => {
+    const incoming = sameAddress(event.to, account);
+    const outgoing = sameAddress(event.from, account);
+    const crowdfundId = incoming ? claims.get(event.transactionHash) ?? null : null;
+    return {
+      kind: getKind(event, account, crowdfundId),
+      counterparty: outgoing ? event.to : event.from,
+      amount: (incoming ? event.value : 0n) - (outgoing ? event.value : 0n),
+      value: event.value,
+      crowdfundId,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex
+    };
+  });
+};
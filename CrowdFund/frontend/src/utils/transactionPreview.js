@@ -0,0 +1,90 @@
+import { createMessage } from './i18n';
+import { formatEth, formatMyb, formatUnits } from './amounts';
+
+/**
+ * 交易预览
+ *
+ * useCrowdfund 的写操作在请求签名前先静态调用并估算gas，生成预览
+ * { method, from, gasLimit, gasPrice, fee, ...details }，details 随操作不同：
+ * - createCrowdfund: { title, goalAmount, mybPerEth }
+ * - invest: { campaignId, amount, mybPerEth, mybTokens }
+ * - finalizeCrowdfund: { campaignId, currentAmount, targetAmount }
+ * - releaseFunds: { campaignId, totalFunds, allocations, recipients }
+ * - claimRefund: { campaignId, refundAmount }
+ * - claimTokens: { campaignId, mybTokens }
+ */
+
+// 分配比例的基数，与 CrowdFundCore.releaseFunds 中的 / 10000 一致
+const ALLOCATION_BASE = 10000n;
+
+// Gas价格的显示单位（Gwei）
+const GWEI_DECIMALS = 9;
+
+/**
+ * 释放资金时各方获得的金额，与 CrowdFundCore.releaseFunds 一致（各自向下取整）
+ * @param totalFunds 众筹已筹金额（wei）
+ * @param allocations { investor, development, community }，合约中的 *_ALLOCATION 常量
+ * @return { creator, devFund, communityFund }（wei）
+ */
+export const splitReleasedFunds = (totalFunds, allocations) => ({
+  creator: (totalFunds * BigInt(allocations.investor)) / ALLOCATION_BASE,
+  devFund: (totalFunds * BigInt(allocations.development)) / ALLOCATION_BASE,
+  communityFund: (totalFunds * BigInt(allocations.community)) / ALLOCATION_BASE
+});
+
+// 分配比例转换为百分比，如 7000 -> "70"
+const toPercent = (allocation) => formatUnits(BigInt(allocation), 2);
+
+// 各操作在预览中显示的内容
+const DETAIL_LINES = {
+  createCrowdfund: (preview) => [
+    createMessage('preview.create.action', { title: preview.title }),
+    createMessage('preview.create.goal', { amount: formatEth(preview.goalAmount) }),
+    createMessage('preview.create.rate', { rate: preview.mybPerEth.toString() })
+  ],
+  invest: (preview) => [
+    createMessage('preview.invest.action', { id: String(preview.campaignId), amount: formatEth(preview.amount) }),
+    createMessage('preview.invest.tokens', { amount: formatMyb(preview.mybTokens), rate: preview.mybPerEth.toString() })
+  ],
+  finalizeCrowdfund: (preview) => [
+    createMessage('preview.finalize.action', { id: String(preview.campaignId) }),
+    createMessage(
+      preview.currentAmount >= preview.targetAmount ? 'preview.finalize.successful' : 'preview.finalize.failed',
+      { raised: formatEth(preview.currentAmount), goal: formatEth(preview.targetAmount) }
+    )
+  ],
+  releaseFunds: (preview) => {
+    const split = splitReleasedFunds(preview.totalFunds, preview.allocations);
+    const share = (recipient, allocation) => createMessage('preview.release.share', {
+      recipient: createMessage(`preview.release.${recipient}`),
+      percent: toPercent(allocation),
+      amount: formatEth(split[recipient]),
+      address: preview.recipients[recipient]
+    });
+    return [
+      createMessage('preview.release.action', { id: String(preview.campaignId), amount: formatEth(preview.totalFunds) }),
+      share('creator', preview.allocations.investor),
+      share('devFund', preview.allocations.development),
+      share('communityFund', preview.allocations.community)
+    ];
+  },
+  claimRefund: (preview) => [
+    createMessage('preview.refund.action', { id: String(preview.campaignId), amount: formatEth(preview.refundAmount) })
+  ],
+  claimTokens: (preview) => [
+    createMessage('preview.claimTokens.action', { id: String(preview.campaignId), amount: formatMyb(preview.mybTokens) })
+  ]
+};
+
+/**
+ * 生成确认对话框中的预览：操作内容、发送账户和网络费用
+ * @param preview useCrowdfund 的写操作生成的预览
+ * @return 每行的消息描述，由组件翻译后按行拼接
+ */
+export const describeTransactionPreview = (preview) => [
+  ...DETAIL_LINES[preview.method](preview),
+  createMessage('preview.blank'),
+  createMessage('preview.from', { address: preview.from }),
+  createMessage('preview.gas', { gasLimit: preview.gasLimit.toString() }),
+  createMessage('preview.fee', { fee: formatEth(preview.fee), gasPrice: formatUnits(preview.gasPrice, GWEI_DECIMALS) })
+];
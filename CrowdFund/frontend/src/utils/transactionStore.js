@@ -0,0 +1,38 @@
+// 交易记录在本地存储中的键前缀，按链和账户分别保存
+const STORAGE_PREFIX = 'crowdfund:transactions';
+
+// 每个账户最多保留的交易记录数
+const MAX_STORED_TRANSACTIONS = 50;
+
+// 交易状态
+export const TX_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  REPLACED: 'replaced'
+};
+
+const storageKey = (chainId, account) => `${STORAGE_PREFIX}:${chainId}:${account.toLowerCase()}`;
+
+// 读取某个账户在某条链上的交易记录（最新的在前）
+export const loadTransactions = (chainId, account) => {
+  try {
+    const stored = localStorage.getItem(storageKey(chainId, account));
+    return stored ? JSON.parse(stored) : [];
+  } catch (storageError) {
+    console.log('无法读取交易记录:', storageError);
+    return [];
+  }
+};
+
+// 保存交易记录，超出上限时丢弃最旧的记录
+export const saveTransactions = (chainId, account, transactions) => {
+  try {
+    localStorage.setItem(
+      storageKey(chainId, account),
+      JSON.stringify(transactions.slice(0, MAX_STORED_TRANSACTIONS))
+    );
+  } catch (storageError) {
+    console.log('无法保存交易记录:', storageError);
+  }
+};
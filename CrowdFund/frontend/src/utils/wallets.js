@@ -0,0 +1,112 @@
+import { getSimulatedChain } from './simulatedChain';
+import { createBurnerWallet } from './burnerWallet';
+import { BURNER_PRIVATE_KEY, BURNER_RPC_URL, BURNER_WALLET_ENABLED } from '../config/wallets';
+
+/**
+ * 钱包连接器
+ *
+ * Web3Context 通过连接器连接不同来源的钱包，连接器的结构为
+ * { id, type, name, icon, getProvider }：
+ * - id：EIP-6963 钱包为其 rdns（如 io.metamask），其余为 injected、burner、simulated，保存在本地存储中用于自动重连
+ * - name：钱包名称，内置连接器为语言包中的键
+ * - icon：图标的data URI，可以为null
+ * - getProvider()：返回EIP-1193 provider（request、on、removeListener），不可用时返回null
+ */
+
+export const CONNECTOR_TYPES = {
+  EIP6963: 'eip6963',
+  INJECTED: 'injected',
+  BURNER: 'burner',
+  SIMULATED: 'simulated'
+};
+
+// 不支持 EIP-6963 的旧钱包只注入 window.ethereum
+export const INJECTED_CONNECTOR = {
+  id: 'injected',
+  type: CONNECTOR_TYPES.INJECTED,
+  name: 'wallet.connectors.injected',
+  icon: null,
+  getProvider: () => (typeof window !== 'undefined' && window.ethereum) || null
+};
+
+let burnerWallet = null;
+
+// 本地开发用的临时钱包，首次使用时创建
+export const BURNER_CONNECTOR = {
+  id: 'burner',
+  type: CONNECTOR_TYPES.BURNER,
+  name: 'wallet.connectors.burner',
+  icon: null,
+  getProvider: () => {
+    if (!burnerWallet) {
+      burnerWallet = createBurnerWallet({ privateKey: BURNER_PRIVATE_KEY, rpcUrl: BURNER_RPC_URL });
+    }
+    return burnerWallet;
+  }
+};
+
+// 浏览器模拟链，由模拟链开关控制，不出现在钱包列表中
+export const SIMULATED_CONNECTOR = {
+  id: 'simulated',
+  type: CONNECTOR_TYPES.SIMULATED,
+  name: 'wallet.connectors.simulated',
+  icon: null,
+  getProvider: getSimulatedChain
+};
+
+/**
+ * 发现浏览器中安装的钱包（EIP-6963）
+ * 钱包在收到 eip6963:requestProvider 后发出 eip6963:announceProvider，之后加载的钱包也会主动发出
+ * @param onChange 钱包列表变化时调用，参数为连接器列表，同一rdns只保留最新的一个
+ * @return 停止监听的函数
+ */
+export const discoverWallets = (onChange) => {
+  const found = new Map();
+
+  const handleAnnounce = (event) => {
+    const { info, provider } = event.detail || {};
+    if (!info || !info.rdns || !provider) return;
+    if (found.get(info.rdns)?.getProvider() === provider) return;
+    found.set(info.rdns, {
+      id: info.rdns,
+      type: CONNECTOR_TYPES.EIP6963,
+      name: info.name,
+      icon: info.icon || null,
+      getProvider: () => provider
+    });
+    onChange([...found.values()]);
+  };
+
+  window.addEventListener('eip6963:announceProvider', handleAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  return () => window.removeEventListener('eip6963:announceProvider', handleAnnounce);
+};
+
+/**
+ * 钱包选择列表：发现的 EIP-6963 钱包，没有时退回 window.ethereum；开启临时钱包时追加在最后
+ * @param announced discoverWallets 发现的连接器
+ */
+export const listConnectors = (announced) => {
+  const connectors = announced.length > 0
+    ? [...announced]
+    : [INJECTED_CONNECTOR].filter(connector => connector.getProvider());
+  if (BURNER_WALLET_ENABLED) {
+    connectors.push(BURNER_CONNECTOR);
+  }
+  return connectors;
+};
+
+/**
+ * 按ID查找连接器
+ * 记录的是 window.ethereum（injected）而该钱包已通过 EIP-6963 发现时，使用对应的 EIP-6963 连接器
+ */
+export const findConnector = (connectors, id) => {
+  if (!id) return null;
+  const connector = connectors.find(item => item.id === id);
+  if (connector) return connector;
+  if (id === INJECTED_CONNECTOR.id) {
+    const injected = INJECTED_CONNECTOR.getProvider();
+    return connectors.find(item => injected && item.getProvider() === injected) || null;
+  }
+  return null;
+};
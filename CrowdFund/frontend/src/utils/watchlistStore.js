@@ -0,0 +1,54 @@
+// 关注列表和提醒在本地存储中的键前缀，按链和账户分别保存
+const WATCHLIST_PREFIX = 'crowdfund:watchlist';
+const NOTIFICATIONS_PREFIX = 'crowdfund:notifications';
+
+// 每个账户最多保留的提醒数
+const MAX_STORED_NOTIFICATIONS = 50;
+
+const storageKey = (prefix, chainId, account) => `${prefix}:${chainId}:${account.toLowerCase()}`;
+
+const load = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (storageError) {
+    console.log('无法读取本地存储:', storageError);
+    return fallback;
+  }
+};
+
+const save = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (storageError) {
+    console.log('无法写入本地存储:', storageError);
+  }
+};
+
+/**
+ * 读取关注列表
+ * @return { ids, snapshots }：ids 为关注的众筹ID（按关注顺序），
+ *         snapshots 为 众筹ID -> 上次检查时的状态（见 utils/notifications.js 的 detectCampaignAlerts）
+ */
+export const loadWatchlist = (chainId, account) => {
+  const stored = load(storageKey(WATCHLIST_PREFIX, chainId, account), null);
+  return {
+    ids: Array.isArray(stored?.ids) ? stored.ids : [],
+    snapshots: stored?.snapshots || {}
+  };
+};
+
+export const saveWatchlist = (chainId, account, watchlist) => {
+  save(storageKey(WATCHLIST_PREFIX, chainId, account), watchlist);
+};
+
+// 读取提醒记录（最新的在前）
+export const loadNotifications = (chainId, account) => {
+  const stored = load(storageKey(NOTIFICATIONS_PREFIX, chainId, account), []);
+  return Array.isArray(stored) ? stored : [];
+};
+
+// 保存提醒记录，超出上限时丢弃最旧的记录
+export const saveNotifications = (chainId, account, notifications) => {
+  save(storageKey(NOTIFICATIONS_PREFIX, chainId, account), notifications.slice(0, MAX_STORED_NOTIFICATIONS));
+};
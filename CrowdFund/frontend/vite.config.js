@@ -1,7 +1,21 @@
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// 部署脚本生成的部署清单目录（位于前端项目之外）
+const deploymentsDir = fileURLToPath(new URL('../deployments', import.meta.url))
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: {
+      '@deployments': deploymentsDir,
+    },
+  },
+  server: {
+    fs: {
+      allow: ['.', deploymentsDir],
+    },
+  },
 })
@@ -1,5 +1,6 @@
 // scripts/deploy-crowdfund.js
 const hre = require("hardhat");
+const { writeDeployment } = require("./utils/deployments");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
@@ -50,6 +51,18 @@ async function main() {
   await mybToken.transfer(crowdfundCore.address, investorAllocation);
   console.log(`已转移 ${ethers.utils.formatEther(investorAllocation)} MYB 到CrowdFundCore合约`);
   
+  // 将InvestorRegistry的所有权转移给CrowdFundCore（投资、退款时由核心合约写入投资者记录）
+  console.log("\n转移InvestorRegistry所有权给CrowdFundCore...");
+  await (await investorRegistry.transferOwnership(crowdfundCore.address)).wait();
+  
+  // 写入部署清单，前端按链ID读取合约地址
+  const manifestFile = await writeDeployment(hre, deployer, {
+    MYBToken: mybToken,
+    InvestorRegistry: investorRegistry,
+    CrowdFundCore: crowdfundCore
+  });
+  console.log("\n部署清单已写入:", manifestFile);
+  
   console.log("\n部署完成！合约信息摘要:");
   console.log("1. MYBToken: 合约地址 =", mybToken.address);
   console.log("2. InvestorRegistry: 合约地址 =", investorRegistry.address);
@@ -0,0 +1,82 @@
+// scripts/export-abi.js
+// 从Hardhat编译产物中导出合约ABI，生成前端可直接导入的ABI模块
+// 用法: npm run export-abi（会先执行编译）
+const fs = require("fs");
+const path = require("path");
+const { utils } = require("ethers");
+
+// 需要导出的合约及其在前端ABI模块中的常量名
+const CONTRACTS = {
+  CrowdFundCore: "CROWDFUND_CORE_ABI",
+  MYBToken: "MYB_TOKEN_ABI",
+  InvestorRegistry: "INVESTOR_REGISTRY_ABI"
+};
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts");
+const OUTPUT_DIR = path.join(__dirname, "..", "frontend", "src", "abi");
+
+/**
+ * 在编译产物目录中查找合约的artifact文件
+ * @param dir 搜索目录
+ * @param contractName 合约名称
+ */
+function findArtifact(dir, contractName) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      // build-info中是完整的编译输入输出，不包含单独的artifact
+      if (entry.name === "build-info") continue;
+      const found = findArtifact(fullPath, contractName);
+      if (found) return found;
+    } else if (entry.name === `${contractName}.json`) {
+      return fullPath;
+    }
+  }
+  return null;
+}
+
+function main() {
+  if (!fs.existsSync(ARTIFACTS_DIR)) {
+    throw new Error("未找到编译产物，请先运行 npm run compile");
+  }
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  const hashes = {};
+  for (const contractName of Object.keys(CONTRACTS)) {
+    const artifactFile = findArtifact(ARTIFACTS_DIR, contractName);
+    if (!artifactFile) {
+      throw new Error(`未找到 ${contractName} 的编译产物`);
+    }
+
+    const { abi } = JSON.parse(fs.readFileSync(artifactFile, "utf8"));
+    // 与部署清单中的abiHash计算方式一致
+    hashes[contractName] = utils.id(JSON.stringify(abi));
+
+    fs.writeFileSync(path.join(OUTPUT_DIR, `${contractName}.json`), JSON.stringify(abi, null, 2) + "\n");
+    console.log(`已导出 ${contractName} ABI (${abi.length} 项)`);
+  }
+
+  const lines = [
+    "// 此文件由 scripts/export-abi.js 根据Hardhat编译产物自动生成，请勿手动修改",
+    ...Object.keys(CONTRACTS).map((name) => `import ${name} from './${name}.json';`),
+    "",
+    ...Object.entries(CONTRACTS).map(([name, constName]) => `export const ${constName} = ${name};`),
+    "",
+    "// 各合约ABI的哈希，用于与部署清单中的abiHash比对",
+    "export const ABI_HASHES = {",
+    Object.entries(hashes).map(([name, hash]) => `  ${name}: '${hash}'`).join(",\n"),
+    "};",
+    ""
+  ];
+  fs.writeFileSync(path.join(OUTPUT_DIR, "index.js"), lines.join("\n"));
+
+  console.log("\nABI模块已写入:", OUTPUT_DIR);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
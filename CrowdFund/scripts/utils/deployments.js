@@ -0,0 +1,84 @@
+// scripts/utils/deployments.js
+const fs = require("fs");
+const path = require("path");
+
+// 部署清单格式版本，清单结构发生变化时递增
+const MANIFEST_VERSION = 1;
+
+// 部署清单目录，每条链一个文件：deployments/<chainId>.json
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+/**
+ * 读取指定链的部署清单
+ * @param chainId 链ID
+ * @return 部署清单，不存在时返回null
+ */
+function readDeployment(chainId) {
+  const file = path.join(DEPLOYMENTS_DIR, `${chainId}.json`);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * 收集单个合约的部署信息
+ * @param hre Hardhat运行环境
+ * @param name 合约名称（与编译产物名称一致）
+ * @param contract 已部署的合约实例
+ */
+async function describeContract(hre, name, contract) {
+  const receipt = await contract.deployTransaction.wait();
+  const artifact = await hre.artifacts.readArtifact(name);
+
+  return {
+    address: contract.address,
+    txHash: contract.deployTransaction.hash,
+    blockNumber: receipt.blockNumber,
+    // ABI哈希用于前端判断导出的ABI是否与链上合约一致
+    abiHash: hre.ethers.utils.id(JSON.stringify(artifact.abi))
+  };
+}
+
+/**
+ * 写入当前网络的部署清单
+ * @param hre Hardhat运行环境
+ * @param deployer 部署账户
+ * @param contracts 合约名称到合约实例的映射
+ * @return 清单文件路径
+ */
+async function writeDeployment(hre, deployer, contracts) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  const entries = {};
+  for (const [name, contract] of Object.entries(contracts)) {
+    entries[name] = await describeContract(hre, name, contract);
+  }
+
+  // 同一条链重复部署时递增修订号，前端据此判断清单是否更新
+  const previous = readDeployment(chainId);
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    revision: previous ? (previous.revision || 0) + 1 : 1,
+    chainId,
+    network: hre.network.name,
+    deployer: deployer.address,
+    deployBlock: Math.min(...Object.values(entries).map((entry) => entry.blockNumber)),
+    deployedAt: new Date().toISOString(),
+    contracts: entries
+  };
+
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  const file = path.join(DEPLOYMENTS_DIR, `${chainId}.json`);
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+
+  return file;
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  DEPLOYMENTS_DIR,
+  readDeployment,
+  writeDeployment
+};
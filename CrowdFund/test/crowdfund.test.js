@@ -6,6 +6,13 @@ describe("CrowdFund 合约测试", function () {
   let owner, creator, investor1, investor2;
   let initialSupply;
   
+  // 创建众筹活动，返回 CrowdfundCreated 事件中的众筹ID
+  async function createCampaign(signer, projectName, targetAmount, deadline, metadataHash) {
+    const tx = await crowdfundCore.connect(signer).createCrowdfund(projectName, targetAmount, deadline, metadataHash);
+    const receipt = await tx.wait();
+    return receipt.events.find(event => event.event === "CrowdfundCreated").args.crowdfundId;
+  }
+  
   before(async function () {
     [owner, creator, investor1, investor2] = await ethers.getSigners();
     
@@ -50,15 +57,18 @@ describe("CrowdFund 合约测试", function () {
       const projectName = "测试项目";
       const targetAmount = ethers.utils.parseEther("10"); // 目标10 ETH
       const deadline = Math.floor(Date.now() / 1000) + 86400; // 24小时后
+      // 链下元数据文档的内容哈希
+      const metadataHash = ethers.utils.id(JSON.stringify({ title: projectName, description: "测试项目描述" }));
       
       await expect(crowdfundCore.connect(creator).createCrowdfund(
-        projectName, targetAmount, deadline
+        projectName, targetAmount, deadline, metadataHash
       )).to.emit(crowdfundCore, "CrowdfundCreated");
       
       const crowdfund = await crowdfundCore.getCrowdfundStatus(1);
       expect(crowdfund.projectName).to.equal(projectName);
       expect(crowdfund.creator).to.equal(creator.address);
       expect(crowdfund.targetAmount).to.equal(targetAmount);
+      expect(crowdfund.metadataHash).to.equal(metadataHash);
     });
     
     it("应该正确处理投资", async function () {
@@ -131,7 +141,7 @@ describe("CrowdFund 合约测试", function () {
       const deadline = Math.floor(Date.now() / 1000) + 3600; // 1小时后
       
       await crowdfundCore.connect(creator).createCrowdfund(
-        projectName, targetAmount, deadline
+        projectName, targetAmount, deadline, ethers.constants.HashZero
       );
       
       // 投资并达到目标
@@ -156,7 +166,7 @@ describe("CrowdFund 合约测试", function () {
       
       await expect(
         crowdfundCore.connect(creator).createCrowdfund(
-          projectName, targetAmount, deadline
+          projectName, targetAmount, deadline, ethers.constants.HashZero
         )
       ).to.be.reverted;
       
@@ -164,4 +174,63 @@ describe("CrowdFund 合约测试", function () {
       await crowdfundCore.unpause();
     });
   });
-});
\ No newline at end of file
+  
+  describe("元数据测试", function () {
+    it("应该允许不附带元数据创建众筹", async function () {
+      const targetAmount = ethers.utils.parseEther("1");
+      const deadline = Math.floor(Date.now() / 1000) + 3600;
+      
+      const crowdfundId = await createCampaign(
+        creator, "无元数据项目", targetAmount, deadline, ethers.constants.HashZero
+      );
+      
+      const crowdfund = await crowdfundCore.getCrowdfundStatus(crowdfundId);
+      expect(crowdfund.metadataHash).to.equal(ethers.constants.HashZero);
+    });
+    
+    it("每个众筹应该保存各自的元数据哈希", async function () {
+      const targetAmount = ethers.utils.parseEther("1");
+      const deadline = Math.floor(Date.now() / 1000) + 3600;
+      const firstHash = ethers.utils.id("元数据A");
+      const secondHash = ethers.utils.id("元数据B");
+      
+      const firstId = await createCampaign(creator, "项目A", targetAmount, deadline, firstHash);
+      const secondId = await createCampaign(investor2, "项目B", targetAmount, deadline, secondHash);
+      
+      expect((await crowdfundCore.getCrowdfundStatus(firstId)).metadataHash).to.equal(firstHash);
+      expect((await crowdfundCore.getCrowdfundStatus(secondId)).metadataHash).to.equal(secondHash);
+    });
+  });
+  
+  describe("退款测试", function () {
+    it("众筹失败后投资者应该能够退款且只能退款一次", async function () {
+      const targetAmount = ethers.utils.parseEther("10");
+      const investmentAmount = ethers.utils.parseEther("2");
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      
+      const crowdfundId = await createCampaign(
+        creator, "退款测试项目", targetAmount, deadline, ethers.constants.HashZero
+      );
+      await crowdfundCore.connect(investor2).invest(crowdfundId, { value: investmentAmount });
+      
+      // 截止时间过后未达到目标，结算为失败
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(crowdfundCore.finalizeCrowdfund(crowdfundId))
+        .to.emit(crowdfundCore, "CrowdfundFailed");
+      
+      await expect(crowdfundCore.connect(investor2).claimRefund(crowdfundId))
+        .to.emit(crowdfundCore, "RefundIssued")
+        .withArgs(crowdfundId, investor2.address, investmentAmount);
+      
+      // 投资记录已清除
+      const investorInfo = await investorRegistry.getInvestorInfo(crowdfundId, investor2.address);
+      expect(investorInfo.isRegistered).to.be.true;
+      expect(investorInfo.totalInvestment).to.equal(0);
+      
+      await expect(
+        crowdfundCore.connect(investor2).claimRefund(crowdfundId)
+      ).to.be.revertedWith("No investment to refund");
+    });
+  });
+});